@@ -14,6 +14,7 @@ CREATE TABLE IF NOT EXISTS users (
     last_name VARCHAR(100) NOT NULL,
     role VARCHAR(50) DEFAULT 'user' CHECK (role IN ('user', 'pharmacist', 'admin', 'manufacturer', 'distributor', 'retailer')),
     organization VARCHAR(255),
+    entity_id INTEGER, -- Supply chain entity the user acts for; set by an admin
     license_number VARCHAR(100),
     phone VARCHAR(20),
     address TEXT,
@@ -35,6 +36,9 @@ CREATE TABLE IF NOT EXISTS manufacturers (
     email VARCHAR(255),
     country VARCHAR(100),
     certification TEXT, -- JSON array of certifications
+    signing_public_key TEXT, -- ECDSA P-256 public key (PEM) used to verify QR payloads
+    signing_private_key TEXT, -- Encrypted private key envelope used to sign QR payloads
+    signing_key_created_at DATETIME,
     is_active BOOLEAN DEFAULT 1,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -58,6 +62,7 @@ CREATE TABLE IF NOT EXISTS drugs (
     brand_name VARCHAR(255),
     drug_code VARCHAR(100) UNIQUE NOT NULL,
     ndc_number VARCHAR(50), -- National Drug Code
+    gtin VARCHAR(14), -- GS1 GTIN-14 printed as AI (01) on the pack
     manufacturer_id INTEGER NOT NULL,
     category_id INTEGER,
     dosage_form VARCHAR(100), -- tablet, capsule, injection, etc.
@@ -68,6 +73,7 @@ CREATE TABLE IF NOT EXISTS drugs (
     prescription_required BOOLEAN DEFAULT 1,
     controlled_substance_schedule INTEGER, -- DEA schedule (1-5)
     storage_conditions TEXT,
+    storage_profile TEXT, -- JSON cold-chain profile; derived from storage_conditions when empty
     warnings TEXT,
     contraindications TEXT,
     is_active BOOLEAN DEFAULT 1,
@@ -104,12 +110,32 @@ CREATE TABLE IF NOT EXISTS drug_batches (
     UNIQUE(drug_id, batch_number)
 );
 
+-- Serialized units (one unique serial number per saleable pack)
+CREATE TABLE IF NOT EXISTS serialized_units (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    batch_id INTEGER NOT NULL,
+    serial_number VARCHAR(20) UNIQUE NOT NULL,
+    qr_code TEXT UNIQUE, -- Signed QR payload carrying the serial number
+    status VARCHAR(50) DEFAULT 'commissioned' CHECK (status IN ('commissioned', 'shipped', 'dispensed', 'decommissioned')),
+    status_reason TEXT,
+    status_changed_by_user_id INTEGER,
+    commissioned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    shipped_at DATETIME,
+    dispensed_at DATETIME,
+    decommissioned_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (batch_id) REFERENCES drug_batches(id),
+    FOREIGN KEY (status_changed_by_user_id) REFERENCES users(id)
+);
+
 -- Supply chain entities table
 CREATE TABLE IF NOT EXISTS supply_chain_entities (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     name VARCHAR(255) NOT NULL,
     type VARCHAR(50) NOT NULL CHECK (type IN ('manufacturer', 'distributor', 'wholesaler', 'retailer', 'pharmacy', 'hospital')),
     license_number VARCHAR(100) UNIQUE,
+    gln VARCHAR(13), -- GS1 Global Location Number used in EPCIS exchange
     address TEXT NOT NULL,
     phone VARCHAR(20),
     email VARCHAR(255),
@@ -121,6 +147,19 @@ CREATE TABLE IF NOT EXISTS supply_chain_entities (
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Public keys supply chain entities sign custody statements with
+CREATE TABLE IF NOT EXISTS entity_signing_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entity_id INTEGER NOT NULL,
+    key_id VARCHAR(32) UNIQUE NOT NULL, -- SHA-256 of the SPKI encoding, truncated
+    public_key TEXT NOT NULL, -- ECDSA P-256 public key (PEM)
+    registered_by_user_id INTEGER,
+    registered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    revoked_at DATETIME, -- Set when the entity registers a replacement key
+    FOREIGN KEY (entity_id) REFERENCES supply_chain_entities(id),
+    FOREIGN KEY (registered_by_user_id) REFERENCES users(id)
+);
+
 -- Supply chain transactions (blockchain-like ledger)
 CREATE TABLE IF NOT EXISTS supply_chain_transactions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -142,12 +181,104 @@ CREATE TABLE IF NOT EXISTS supply_chain_transactions (
     temperature_log TEXT, -- JSON array for cold chain tracking
     digital_signature TEXT,
     notes TEXT,
+    payload_hash VARCHAR(64), -- SHA-256 of canonical_payload
+    canonical_payload TEXT, -- Exact JSON that was hashed when the block was mined
+    nonce INTEGER, -- Proof-of-work nonce
+    mined_at INTEGER, -- Timestamp (ms) included in the block hash
+    ledger_block_id INTEGER, -- Merkle block the transaction was sealed into; NULL while pending
+    receipt_signature TEXT, -- JSON record of the receiver's countersignature
+    shipment_status VARCHAR(20) DEFAULT 'dispatched' CHECK (shipment_status IN ('dispatched', 'in_transit', 'received', 'rejected')),
+    expected_delivery_date DATETIME,
+    in_transit_at DATETIME,
+    quantity_received INTEGER, -- Units accepted on receipt; 0 when rejected
+    receipt_discrepancies TEXT, -- JSON array of { type, description, quantity }
+    epcis_event_id VARCHAR(255), -- eventID of the EPCIS event the transaction was captured from
+    packaging_unit_id INTEGER, -- Case or pallet shipped whole; its contents move with it
     is_verified BOOLEAN DEFAULT 0,
     verification_date DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (batch_id) REFERENCES drug_batches(id),
     FOREIGN KEY (from_entity_id) REFERENCES supply_chain_entities(id),
-    FOREIGN KEY (to_entity_id) REFERENCES supply_chain_entities(id)
+    FOREIGN KEY (to_entity_id) REFERENCES supply_chain_entities(id),
+    FOREIGN KEY (ledger_block_id) REFERENCES ledger_blocks(id),
+    FOREIGN KEY (packaging_unit_id) REFERENCES packaging_units(id)
+);
+
+-- Periodic ledger blocks grouping transactions under a Merkle root
+CREATE TABLE IF NOT EXISTS ledger_blocks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    block_number INTEGER UNIQUE NOT NULL,
+    block_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the block header
+    previous_block_hash VARCHAR(64) NOT NULL,
+    merkle_root VARCHAR(64) NOT NULL,
+    transaction_count INTEGER NOT NULL,
+    first_transaction_id INTEGER NOT NULL,
+    last_transaction_id INTEGER NOT NULL,
+    sealed_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- IoT data loggers that stream shipment telemetry
+CREATE TABLE IF NOT EXISTS telemetry_devices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id VARCHAR(100) UNIQUE NOT NULL, -- Manufacturer serial of the logger
+    name VARCHAR(255),
+    owner_entity_id INTEGER NOT NULL, -- Entity whose shipments the device may report on
+    key_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the device key; the key itself is shown once
+    is_active BOOLEAN DEFAULT 1,
+    last_seen_at DATETIME,
+    registered_by_user_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (owner_entity_id) REFERENCES supply_chain_entities(id),
+    FOREIGN KEY (registered_by_user_id) REFERENCES users(id)
+);
+
+-- Time series of logger readings per shipment
+CREATE TABLE IF NOT EXISTS shipment_telemetry (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    transaction_id INTEGER NOT NULL,
+    device_id INTEGER NOT NULL,
+    recorded_at DATETIME NOT NULL,
+    temperature DECIMAL(5,2),
+    humidity DECIMAL(5,2),
+    shock_g DECIMAL(6,2), -- Peak acceleration since the previous reading
+    latitude DECIMAL(9,6),
+    longitude DECIMAL(9,6),
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (device_id, transaction_id, recorded_at), -- Loggers resend unacknowledged batches
+    FOREIGN KEY (transaction_id) REFERENCES supply_chain_transactions(id),
+    FOREIGN KEY (device_id) REFERENCES telemetry_devices(id)
+);
+
+-- Logistic units: cases of packs and SSCC-labelled pallets of cases, one batch each
+CREATE TABLE IF NOT EXISTS packaging_units (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code VARCHAR(50) UNIQUE NOT NULL, -- SSCC for pallets; SSCC or case label for cases
+    level VARCHAR(20) NOT NULL CHECK (level IN ('case', 'pallet')),
+    batch_id INTEGER, -- Set by the first pack or case packed into the unit
+    created_by_user_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (batch_id) REFERENCES drug_batches(id),
+    FOREIGN KEY (created_by_user_id) REFERENCES users(id)
+);
+
+-- Parent/child aggregation; rows are closed on unpack rather than deleted so the
+-- containers a pack travelled in can be looked up for any point in time
+CREATE TABLE IF NOT EXISTS packaging_contents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    parent_id INTEGER NOT NULL,
+    child_unit_id INTEGER, -- Case packed onto a pallet
+    child_serial_id INTEGER, -- Pack packed into a case
+    packed_at DATETIME NOT NULL,
+    unpacked_at DATETIME,
+    packed_by_user_id INTEGER,
+    unpacked_by_user_id INTEGER,
+    CHECK ((child_unit_id IS NULL) != (child_serial_id IS NULL)),
+    FOREIGN KEY (parent_id) REFERENCES packaging_units(id),
+    FOREIGN KEY (child_unit_id) REFERENCES packaging_units(id),
+    FOREIGN KEY (child_serial_id) REFERENCES serialized_units(id),
+    FOREIGN KEY (packed_by_user_id) REFERENCES users(id),
+    FOREIGN KEY (unpacked_by_user_id) REFERENCES users(id)
 );
 
 -- Drug verification logs
@@ -155,6 +286,7 @@ CREATE TABLE IF NOT EXISTS verification_logs (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id INTEGER,
     batch_id INTEGER,
+    serial_number VARCHAR(20), -- Set when the scanned code identifies a single pack
     verification_method VARCHAR(50) CHECK (verification_method IN ('qr_scan', 'barcode_scan', 'manual_entry')),
     scanned_data TEXT,
     verification_result VARCHAR(50) CHECK (verification_result IN ('authentic', 'counterfeit', 'suspicious', 'expired', 'recalled', 'unknown')),
@@ -167,6 +299,7 @@ CREATE TABLE IF NOT EXISTS verification_logs (
     session_id VARCHAR(255),
     verification_time DATETIME DEFAULT CURRENT_TIMESTAMP,
     response_time_ms INTEGER,
+    rule_version INTEGER, -- Scoring rule set version that produced the score
     FOREIGN KEY (user_id) REFERENCES users(id),
     FOREIGN KEY (batch_id) REFERENCES drug_batches(id)
 );
@@ -197,8 +330,81 @@ CREATE TABLE IF NOT EXISTS counterfeit_reports (
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     resolved_at DATETIME,
+    matched_batch_id INTEGER, -- Catalogue batch the free-text report resolved to
+    matched_drug_id INTEGER,
+    matched_manufacturer_id INTEGER,
+    match_confidence VARCHAR(10) CHECK (match_confidence IN ('high', 'medium', 'low', 'none')),
+    match_details TEXT, -- JSON array of the reasons behind the match
+    cluster_id INTEGER, -- Earliest report about the same batch; its own id when first
+    outcome VARCHAR(30) CHECK (outcome IN ('confirmed_counterfeit', 'false_alarm', 'insufficient_evidence')),
+    outcome_details TEXT, -- JSON structured outcome recorded when the case is resolved
+    first_response_at DATETIME, -- ISO timestamp of the first investigator action; stops the response SLA
     FOREIGN KEY (reporter_user_id) REFERENCES users(id),
-    FOREIGN KEY (assigned_investigator_id) REFERENCES users(id)
+    FOREIGN KEY (assigned_investigator_id) REFERENCES users(id),
+    FOREIGN KEY (matched_batch_id) REFERENCES drug_batches(id),
+    FOREIGN KEY (matched_drug_id) REFERENCES drugs(id),
+    FOREIGN KEY (matched_manufacturer_id) REFERENCES manufacturers(id)
+);
+
+-- Reporter scans of the reported product, attached when the report is filed
+CREATE TABLE IF NOT EXISTS report_verification_links (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    report_id INTEGER NOT NULL,
+    verification_log_id INTEGER NOT NULL,
+    linked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (report_id, verification_log_id),
+    FOREIGN KEY (report_id) REFERENCES counterfeit_reports(id),
+    FOREIGN KEY (verification_log_id) REFERENCES verification_logs(id)
+);
+
+-- Investigation case timeline: notes and every case action
+CREATE TABLE IF NOT EXISTS case_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    report_id INTEGER NOT NULL,
+    event_type VARCHAR(30) NOT NULL CHECK (event_type IN ('note', 'status_change', 'assignment', 'task_created', 'task_updated', 'evidence_added', 'outcome', 'escalation')),
+    message TEXT NOT NULL,
+    details TEXT, -- JSON object
+    user_id INTEGER,
+    created_at DATETIME NOT NULL, -- ISO timestamp
+    FOREIGN KEY (report_id) REFERENCES counterfeit_reports(id),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Investigation tasks with due dates
+CREATE TABLE IF NOT EXISTS case_tasks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    report_id INTEGER NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    assigned_to_user_id INTEGER,
+    due_at DATETIME NOT NULL, -- ISO timestamp
+    status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'done', 'cancelled')),
+    created_by_user_id INTEGER,
+    created_at DATETIME NOT NULL,
+    completed_at DATETIME,
+    completed_by_user_id INTEGER,
+    FOREIGN KEY (report_id) REFERENCES counterfeit_reports(id),
+    FOREIGN KEY (assigned_to_user_id) REFERENCES users(id),
+    FOREIGN KEY (created_by_user_id) REFERENCES users(id),
+    FOREIGN KEY (completed_by_user_id) REFERENCES users(id)
+);
+
+-- Evidence gathered during an investigation, including laboratory test results
+CREATE TABLE IF NOT EXISTS case_evidence (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    report_id INTEGER NOT NULL,
+    evidence_type VARCHAR(20) NOT NULL CHECK (evidence_type IN ('photo', 'document', 'sample', 'lab_result', 'other')),
+    description TEXT NOT NULL,
+    stored_filename VARCHAR(255), -- Attachment under the case-evidence upload directory
+    lab_name VARCHAR(255),
+    test_method VARCHAR(255),
+    lab_result VARCHAR(20) CHECK (lab_result IN ('authentic', 'counterfeit', 'substandard', 'inconclusive')),
+    result_details TEXT, -- JSON object with assay values and notes
+    collected_at DATETIME,
+    added_by_user_id INTEGER,
+    created_at DATETIME NOT NULL,
+    FOREIGN KEY (report_id) REFERENCES counterfeit_reports(id),
+    FOREIGN KEY (added_by_user_id) REFERENCES users(id)
 );
 
 -- Alerts and notifications
@@ -212,6 +418,9 @@ CREATE TABLE IF NOT EXISTS alerts (
     related_drug_id INTEGER,
     related_report_id INTEGER,
     target_audience TEXT, -- JSON array of user roles or specific user IDs
+    target_entity_id INTEGER, -- Shown to the users of this supply chain entity
+    related_recall_id INTEGER,
+    region VARCHAR(100), -- Where the alert applies; NULL means everywhere
     is_public BOOLEAN DEFAULT 0,
     is_active BOOLEAN DEFAULT 1,
     auto_resolve BOOLEAN DEFAULT 0,
@@ -222,9 +431,59 @@ CREATE TABLE IF NOT EXISTS alerts (
     FOREIGN KEY (related_batch_id) REFERENCES drug_batches(id),
     FOREIGN KEY (related_drug_id) REFERENCES drugs(id),
     FOREIGN KEY (related_report_id) REFERENCES counterfeit_reports(id),
+    FOREIGN KEY (target_entity_id) REFERENCES supply_chain_entities(id),
+    FOREIGN KEY (related_recall_id) REFERENCES recalls(id),
     FOREIGN KEY (created_by_user_id) REFERENCES users(id)
 );
 
+-- Product recalls
+CREATE TABLE IF NOT EXISTS recalls (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    recall_number VARCHAR(20) UNIQUE, -- RCL-YYYY-NNNN, assigned on creation
+    recall_class VARCHAR(3) NOT NULL CHECK (recall_class IN ('I', 'II', 'III')),
+    reason TEXT NOT NULL,
+    scope TEXT NOT NULL, -- JSON object: batchIds, lotNumbers, drugId, manufacturedFrom, manufacturedTo
+    status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    initiated_at DATETIME NOT NULL, -- ISO timestamp; returns dated after it count towards the recall
+    initiated_by_user_id INTEGER,
+    closed_at DATETIME,
+    closed_by_user_id INTEGER,
+    closure_notes TEXT,
+    FOREIGN KEY (initiated_by_user_id) REFERENCES users(id),
+    FOREIGN KEY (closed_by_user_id) REFERENCES users(id)
+);
+
+-- Batches a recall resolved to, with the stock outstanding when it was issued
+CREATE TABLE IF NOT EXISTS recall_batches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    recall_id INTEGER NOT NULL,
+    batch_id INTEGER NOT NULL,
+    previous_status VARCHAR(50), -- Batch status before the recall
+    UNIQUE (recall_id, batch_id),
+    FOREIGN KEY (recall_id) REFERENCES recalls(id),
+    FOREIGN KEY (batch_id) REFERENCES drug_batches(id)
+);
+
+-- One notice per entity holding affected stock of a batch
+CREATE TABLE IF NOT EXISTS recall_notices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    recall_id INTEGER NOT NULL,
+    entity_id INTEGER NOT NULL,
+    batch_id INTEGER NOT NULL,
+    quantity_held INTEGER NOT NULL, -- Held or inbound when the recall was issued
+    alert_id INTEGER,
+    acknowledged_at DATETIME,
+    acknowledged_by_user_id INTEGER,
+    acknowledgement_notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (recall_id, entity_id, batch_id),
+    FOREIGN KEY (recall_id) REFERENCES recalls(id),
+    FOREIGN KEY (entity_id) REFERENCES supply_chain_entities(id),
+    FOREIGN KEY (batch_id) REFERENCES drug_batches(id),
+    FOREIGN KEY (alert_id) REFERENCES alerts(id),
+    FOREIGN KEY (acknowledged_by_user_id) REFERENCES users(id)
+);
+
 -- User alert subscriptions
 CREATE TABLE IF NOT EXISTS user_alert_subscriptions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -240,10 +499,151 @@ CREATE TABLE IF NOT EXISTS user_alert_subscriptions (
     UNIQUE(user_id, alert_id)
 );
 
+-- How each user wants to be told about alerts, one row per channel
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    channel VARCHAR(20) NOT NULL CHECK (channel IN ('email', 'sms', 'webhook')),
+    is_enabled BOOLEAN DEFAULT 1,
+    min_severity VARCHAR(20) DEFAULT 'error' CHECK (min_severity IN ('info', 'warning', 'error', 'critical')),
+    destination VARCHAR(500), -- Address, phone number or URL; NULL uses the account's email or phone
+    alert_types TEXT, -- JSON array of alert types; NULL means all
+    include_public BOOLEAN DEFAULT 0, -- Also deliver public alerts not addressed to the user
+    webhook_secret VARCHAR(128), -- HMAC key for signing webhook payloads
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NOT NULL,
+    UNIQUE (user_id, channel),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Outgoing notification queue, one row per alert, recipient and channel
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    alert_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    channel VARCHAR(20) NOT NULL,
+    destination VARCHAR(500) NOT NULL,
+    public_copy BOOLEAN DEFAULT 0, -- recipient only opted in to public alerts, so gets the redacted version
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER NOT NULL,
+    next_attempt_at DATETIME NOT NULL, -- ISO timestamp
+    last_error TEXT,
+    created_at DATETIME NOT NULL,
+    sent_at DATETIME,
+    UNIQUE (alert_id, user_id, channel),
+    FOREIGN KEY (alert_id) REFERENCES alerts(id),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Every send attempt made for a delivery
+CREATE TABLE IF NOT EXISTS notification_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    delivery_id INTEGER NOT NULL,
+    attempt_number INTEGER NOT NULL,
+    transport VARCHAR(20) NOT NULL,
+    success BOOLEAN NOT NULL,
+    response TEXT,
+    error TEXT,
+    duration_ms INTEGER,
+    attempted_at DATETIME NOT NULL,
+    FOREIGN KEY (delivery_id) REFERENCES notification_deliveries(id)
+);
+
+-- Signed-in devices; each session holds the one refresh token that may still be used
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id VARCHAR(36) PRIMARY KEY, -- UUID carried in the access and refresh tokens as sid
+    user_id INTEGER NOT NULL,
+    refresh_token_hash VARCHAR(64) NOT NULL, -- SHA-256 of the current refresh token ID; older ones are spent
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    created_at DATETIME NOT NULL,
+    last_used_at DATETIME NOT NULL,
+    rotated_at DATETIME, -- Last time the refresh token was exchanged
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    revoked_reason VARCHAR(50) CHECK (revoked_reason IN ('logout', 'user_revoked', 'password_changed', 'admin_logout', 'token_reuse')),
+    revoked_by_user_id INTEGER,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (revoked_by_user_id) REFERENCES users(id)
+);
+
+-- TOTP second factor; one row per user, enabled once the first code is confirmed
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id INTEGER PRIMARY KEY,
+    secret_encrypted TEXT NOT NULL, -- AES-256-GCM envelope of the base32 secret
+    enabled_at DATETIME, -- NULL while enrolment waits for its first code
+    last_used_step INTEGER, -- Last accepted TOTP time step; older codes are refused
+    created_at DATETIME NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Single-use codes for signing in without the authenticator
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash VARCHAR(64) NOT NULL, -- SHA-256 of the normalised code
+    used_at DATETIME,
+    created_at DATETIME NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Emailed links for verifying an address or resetting a password
+CREATE TABLE IF NOT EXISTS account_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+    token_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the token; the token itself is only in the email
+    email VARCHAR(255) NOT NULL, -- Address the link was sent to
+    requested_ip VARCHAR(45),
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Sign-in attempts, for lockouts and new-device notices
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER, -- NULL when the username or email matched no account
+    identifier VARCHAR(255) NOT NULL, -- Username or email as entered, lowercased
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    success BOOLEAN NOT NULL,
+    reason VARCHAR(50), -- Why a failed attempt failed
+    cleared_at DATETIME, -- Set on a failure once a sign-in succeeds or an admin unlocks the account
+    created_at DATETIME NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Keys for external integrations such as pharmacy POS systems
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(100) NOT NULL,
+    organization VARCHAR(255) NOT NULL,
+    entity_id INTEGER, -- Supply chain entity the integration acts for
+    key_prefix VARCHAR(16) NOT NULL, -- Start of the key, shown to tell keys apart
+    key_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the key; the key itself is shown once
+    scopes TEXT NOT NULL, -- JSON array of scopes
+    expires_at DATETIME, -- ISO timestamp; NULL never expires
+    is_active BOOLEAN DEFAULT 1,
+    last_used_at DATETIME,
+    rotated_from_key_id INTEGER, -- Key this one replaced
+    revoked_at DATETIME,
+    revoked_by_user_id INTEGER,
+    created_by_user_id INTEGER,
+    created_at DATETIME NOT NULL,
+    FOREIGN KEY (entity_id) REFERENCES supply_chain_entities(id),
+    FOREIGN KEY (rotated_from_key_id) REFERENCES api_keys(id),
+    FOREIGN KEY (revoked_by_user_id) REFERENCES users(id),
+    FOREIGN KEY (created_by_user_id) REFERENCES users(id)
+);
+
 -- API usage logs
 CREATE TABLE IF NOT EXISTS api_logs (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id INTEGER,
+    api_key_id INTEGER, -- Set when the request authenticated with an API key
     endpoint VARCHAR(255) NOT NULL,
     method VARCHAR(10) NOT NULL,
     status_code INTEGER NOT NULL,
@@ -253,7 +653,8 @@ CREATE TABLE IF NOT EXISTS api_logs (
     user_agent TEXT,
     execution_time_ms INTEGER,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id)
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (api_key_id) REFERENCES api_keys(id)
 );
 
 -- System configuration
@@ -267,6 +668,19 @@ CREATE TABLE IF NOT EXISTS system_config (
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Versioned authenticity scoring rule sets; versions are never edited, only superseded
+CREATE TABLE IF NOT EXISTS scoring_rule_sets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    version INTEGER UNIQUE NOT NULL,
+    rules TEXT NOT NULL, -- JSON array of { id, enabled, when, penalty, penalty_per, max_score, result, explanation }
+    thresholds TEXT NOT NULL, -- JSON { counterfeit_below, suspicious_below }
+    change_note TEXT,
+    created_by_user_id INTEGER,
+    is_active BOOLEAN DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by_user_id) REFERENCES users(id)
+);
+
 -- Audit trail for sensitive operations
 CREATE TABLE IF NOT EXISTS audit_trail (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -314,12 +728,26 @@ CREATE INDEX IF NOT EXISTS idx_batches_expiry ON drug_batches(expiry_date);
 CREATE INDEX IF NOT EXISTS idx_batches_qr_code ON drug_batches(qr_code);
 CREATE INDEX IF NOT EXISTS idx_batches_barcode ON drug_batches(barcode);
 
+CREATE INDEX IF NOT EXISTS idx_serialized_units_batch ON serialized_units(batch_id);
+CREATE INDEX IF NOT EXISTS idx_serialized_units_status ON serialized_units(status);
+
+CREATE INDEX IF NOT EXISTS idx_entity_signing_keys_entity ON entity_signing_keys(entity_id);
+
 CREATE INDEX IF NOT EXISTS idx_supply_chain_batch ON supply_chain_transactions(batch_id);
 CREATE INDEX IF NOT EXISTS idx_supply_chain_from_entity ON supply_chain_transactions(from_entity_id);
 CREATE INDEX IF NOT EXISTS idx_supply_chain_to_entity ON supply_chain_transactions(to_entity_id);
 CREATE INDEX IF NOT EXISTS idx_supply_chain_date ON supply_chain_transactions(transaction_date);
 CREATE INDEX IF NOT EXISTS idx_supply_chain_hash ON supply_chain_transactions(transaction_hash);
 
+CREATE INDEX IF NOT EXISTS idx_telemetry_devices_owner ON telemetry_devices(owner_entity_id);
+CREATE INDEX IF NOT EXISTS idx_shipment_telemetry_transaction ON shipment_telemetry(transaction_id, recorded_at);
+
+CREATE INDEX IF NOT EXISTS idx_packaging_contents_parent ON packaging_contents(parent_id);
+-- A child can only be in one container at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_packaging_contents_open_unit ON packaging_contents(child_unit_id) WHERE unpacked_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_packaging_contents_open_serial ON packaging_contents(child_serial_id) WHERE unpacked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_packaging_contents_serial ON packaging_contents(child_serial_id);
+
 CREATE INDEX IF NOT EXISTS idx_verification_user ON verification_logs(user_id);
 CREATE INDEX IF NOT EXISTS idx_verification_batch ON verification_logs(batch_id);
 CREATE INDEX IF NOT EXISTS idx_verification_time ON verification_logs(verification_time);
@@ -328,11 +756,30 @@ CREATE INDEX IF NOT EXISTS idx_verification_result ON verification_logs(verifica
 CREATE INDEX IF NOT EXISTS idx_reports_reporter ON counterfeit_reports(reporter_user_id);
 CREATE INDEX IF NOT EXISTS idx_reports_status ON counterfeit_reports(status);
 CREATE INDEX IF NOT EXISTS idx_reports_created ON counterfeit_reports(created_at);
+CREATE INDEX IF NOT EXISTS idx_report_links_verification ON report_verification_links(verification_log_id);
+CREATE INDEX IF NOT EXISTS idx_case_events_report ON case_events(report_id);
+CREATE INDEX IF NOT EXISTS idx_case_tasks_report ON case_tasks(report_id);
+CREATE INDEX IF NOT EXISTS idx_case_evidence_report ON case_evidence(report_id);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id, revoked_at);
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON two_factor_recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_account_tokens_user ON account_tokens(user_id, purpose);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user ON login_attempts(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_identifier ON login_attempts(identifier, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_api_keys_organization ON api_keys(organization);
 
 CREATE INDEX IF NOT EXISTS idx_alerts_type ON alerts(alert_type);
 CREATE INDEX IF NOT EXISTS idx_alerts_active ON alerts(is_active);
 CREATE INDEX IF NOT EXISTS idx_alerts_created ON alerts(created_at);
 
+CREATE INDEX IF NOT EXISTS idx_recall_batches_batch ON recall_batches(batch_id);
+CREATE INDEX IF NOT EXISTS idx_recall_notices_entity ON recall_notices(entity_id);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_queue ON notification_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_user ON notification_deliveries(user_id);
+CREATE INDEX IF NOT EXISTS idx_notification_attempts_delivery ON notification_attempts(delivery_id);
+
 -- Triggers for updated_at timestamps
 CREATE TRIGGER IF NOT EXISTS update_users_updated_at
     AFTER UPDATE ON users
@@ -358,6 +805,12 @@ CREATE TRIGGER IF NOT EXISTS update_batches_updated_at
         UPDATE drug_batches SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
     END;
 
+CREATE TRIGGER IF NOT EXISTS update_serialized_units_updated_at
+    AFTER UPDATE ON serialized_units
+    BEGIN
+        UPDATE serialized_units SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
+
 CREATE TRIGGER IF NOT EXISTS update_supply_chain_entities_updated_at
     AFTER UPDATE ON supply_chain_entities
     BEGIN
@@ -438,7 +891,8 @@ INSERT OR IGNORE INTO system_config (config_key, config_value, description, is_p
 ('alert_retention_days', '90', 'Days to keep resolved alerts', 0),
 ('log_retention_days', '365', 'Days to keep system logs', 0),
 ('enable_public_api', 'false', 'Enable public API access', 0),
-('maintenance_mode', 'false', 'System maintenance mode', 1);
+('maintenance_mode', 'false', 'System maintenance mode', 1),
+('two_factor_required_roles', '', 'Comma-separated roles that must use two-factor authentication to sign in', 0);
 
 -- Insert default drug categories
 INSERT OR IGNORE INTO drug_categories (name, description) VALUES
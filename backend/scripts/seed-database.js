@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Demo profile seeding script for Drug Authenticity Verification System
+ * Loads the sample catalogue, the demo accounts and a starter supply chain ledger
+ */
+
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const dbManager = require('../src/config/database');
+const blockchain = require('../src/utils/blockchain');
+const serialization = require('../src/utils/serialization');
+
+// Accounts advertised on the frontend login page
+const DEMO_ACCOUNTS = [
+    { username: 'pharmacist1', email: 'pharmacist@example.com', password: 'pharm123', firstName: 'John', lastName: 'Pharmacist', role: 'pharmacist', organization: 'HealthMart Pharmacy' },
+    { username: 'user1', email: 'user@example.com', password: 'user123', firstName: 'Regular', lastName: 'User', role: 'user', organization: null }
+];
+
+// Packs serialized up front so unit-level verification can be tried out
+const DEMO_SERIALIZED_BATCH = 'BATCH001';
+const DEMO_SERIAL_COUNT = 5;
+
+// Route of each seeded batch through the supply chain, by entity license number
+const DEMO_SHIPMENTS = [
+    { batchNumber: 'BATCH001', route: ['PC2024001', 'DIST001', 'PHARM001'], quantities: [10000, 2000, 500] },
+    { batchNumber: 'BATCH002', route: ['MC2024002', 'DIST001', 'HOSP001'], quantities: [5000, 1000, 300] },
+    { batchNumber: 'BATCH003', route: ['GM2024003', 'DIST001'], quantities: [15000, 4000] }
+];
+
+/**
+ * Seed the demo profile into an already connected and initialized database
+ */
+async function seedDemoProfile() {
+    // Catalogue: admin, manufacturers, drugs, batches and supply chain entities
+    await dbManager.seedDatabase();
+
+    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    for (const account of DEMO_ACCOUNTS) {
+        const passwordHash = await bcrypt.hash(account.password, saltRounds);
+
+        await dbManager.run(`
+            INSERT OR IGNORE INTO users (username, email, password_hash, first_name, last_name, role, organization, is_active, is_verified)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            account.username,
+            account.email,
+            passwordHash,
+            account.firstName,
+            account.lastName,
+            account.role,
+            account.organization,
+            1,
+            1
+        ]);
+    }
+
+    const serialBatch = await dbManager.queryOne(`
+        SELECT db.id, COUNT(su.id) as serials
+        FROM drug_batches db
+        LEFT JOIN serialized_units su ON su.batch_id = db.id
+        WHERE db.batch_number = ?
+        GROUP BY db.id
+    `, [DEMO_SERIALIZED_BATCH]);
+
+    if (serialBatch && serialBatch.serials === 0) {
+        await serialization.commissionUnits(serialBatch.id, DEMO_SERIAL_COUNT);
+    }
+
+    // Only build the ledger once - blocks are append-only
+    const existingTransactions = await dbManager.queryOne('SELECT COUNT(*) as count FROM supply_chain_transactions');
+    if (existingTransactions.count > 0) {
+        return;
+    }
+
+    for (const shipment of DEMO_SHIPMENTS) {
+        const batch = await dbManager.queryOne('SELECT id FROM drug_batches WHERE batch_number = ?', [shipment.batchNumber]);
+        if (!batch) {
+            continue;
+        }
+
+        let fromEntityId = null;
+        for (let i = 0; i < shipment.route.length; i++) {
+            const entity = await dbManager.queryOne(
+                'SELECT id FROM supply_chain_entities WHERE license_number = ?',
+                [shipment.route[i]]
+            );
+
+            const transaction = await blockchain.createTransaction({
+                batchId: batch.id,
+                fromEntityId,
+                toEntityId: entity.id,
+                transactionType: i === 0 ? 'manufacture' : 'transfer',
+                quantity: shipment.quantities[i],
+                temperatureLog: [{ timestamp: new Date().toISOString(), temperature: 20, humidity: 45 }],
+                notes: 'Demo profile ledger entry'
+            });
+
+            // Demo shipments have already arrived; stock levels in the catalogue reflect that
+            if (i > 0) {
+                await dbManager.run(`
+                    UPDATE supply_chain_transactions
+                    SET shipment_status = 'received', received_date = transaction_date, received_by = ?,
+                        condition_on_receipt = 'good', quantity_received = quantity
+                    WHERE id = ?
+                `, ['Demo profile', transaction.transactionId]);
+            }
+
+            fromEntityId = entity.id;
+        }
+    }
+}
+
+async function seedDatabase() {
+    try {
+        console.log('🌱 Seeding demo profile...');
+
+        await dbManager.connect();
+        await dbManager.initializeSchema();
+        await seedDemoProfile();
+
+        console.log('✅ Demo profile loaded');
+        console.log('\nDemo accounts:');
+        console.log(`   Admin: ${process.env.ADMIN_EMAIL || 'admin@drugverification.com'} / ${process.env.ADMIN_PASSWORD || 'admin123'}`);
+        DEMO_ACCOUNTS.forEach(account => {
+            console.log(`   ${account.role}: ${account.email} / ${account.password}`);
+        });
+
+    } catch (error) {
+        console.error('❌ Demo seeding failed:', error.message);
+        if (process.env.NODE_ENV === 'development') {
+            console.error('Stack trace:', error.stack);
+        }
+        process.exit(1);
+    } finally {
+        await dbManager.close();
+    }
+}
+
+// Run seeding if called directly
+if (require.main === module) {
+    seedDatabase();
+}
+
+module.exports = { seedDemoProfile, DEMO_ACCOUNTS };
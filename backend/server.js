@@ -11,6 +11,8 @@ require('dotenv').config();
 // Import database and blockchain
 const dbManager = require('./src/config/database');
 const blockchain = require('./src/utils/blockchain');
+const notifications = require('./src/utils/notifications');
+const { seedDemoProfile } = require('./scripts/seed-database');
 
 // Import routes
 const authRoutes = require('./src/routes/auth');
@@ -18,11 +20,20 @@ const verificationRoutes = require('./src/routes/verification');
 const reportsRoutes = require('./src/routes/reports');
 const adminRoutes = require('./src/routes/admin');
 const supplyChainRoutes = require('./src/routes/supply-chain');
+const recallRoutes = require('./src/routes/recalls');
+const publicRoutes = require('./src/routes/public');
+const notificationRoutes = require('./src/routes/notifications');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Demo mode seeds the sample catalogue, demo accounts and ledger on startup.
+// Defaults to on outside production; set DEMO_MODE explicitly to override.
+const DEMO_MODE = process.env.DEMO_MODE
+    ? process.env.DEMO_MODE === 'true'
+    : process.env.NODE_ENV !== 'production';
+
 // Trust proxy (important for rate limiting and IP detection)
 app.set('trust proxy', 1);
 
@@ -58,7 +69,10 @@ const corsOptions = {
     allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key']
 };
 
-app.use(cors(corsOptions));
+// The public alert feed is meant to be embedded and polled from any site
+const publicCors = cors({ origin: '*', methods: ['GET', 'OPTIONS'] });
+const appCors = cors(corsOptions);
+app.use((req, res, next) => (req.path.startsWith('/api/public/') ? publicCors : appCors)(req, res, next));
 
 // Compression middleware
 app.use(compression());
@@ -104,6 +118,9 @@ app.use('/api/verification', verificationRoutes);
 app.use('/api/reports', reportsRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/supply-chain', supplyChainRoutes);
+app.use('/api/recalls', recallRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
@@ -118,6 +135,7 @@ app.get('/api/health', async (req, res) => {
             timestamp: new Date().toISOString(),
             version: '1.0.0',
             environment: process.env.NODE_ENV || 'development',
+            mode: DEMO_MODE ? 'demo' : 'production',
             components: {
                 database: {
                     status: dbHealth.status,
@@ -156,6 +174,7 @@ app.get('/', (req, res) => {
         success: true,
         message: 'Drug Authenticity Verification System API',
         version: '1.0.0',
+        mode: DEMO_MODE ? 'demo' : 'production',
         documentation: '/api/docs',
         health_check: '/api/health',
         endpoints: {
@@ -163,7 +182,10 @@ app.get('/', (req, res) => {
             verification: '/api/verification',
             reports: '/api/reports',
             admin: '/api/admin',
-            supply_chain: '/api/supply-chain'
+            supply_chain: '/api/supply-chain',
+            recalls: '/api/recalls',
+            public: '/api/public',
+            notifications: '/api/notifications'
         }
     });
 });
@@ -178,11 +200,26 @@ app.get('/api/docs', (req, res) => {
             authentication: {
                 'POST /api/auth/register': 'Register new user',
                 'POST /api/auth/login': 'User login',
+                'POST /api/auth/login/2fa': 'Second login step with an authenticator or recovery code',
+                'POST /api/auth/login/2fa/setup': 'Start required two-factor enrolment during login',
+                'POST /api/auth/login/2fa/enable': 'Confirm two-factor enrolment and finish login',
+                'POST /api/auth/verify-email': 'Confirm an email address with a mailed token',
+                'POST /api/auth/verify-email/resend': 'Send a new verification email',
+                'POST /api/auth/forgot-password': 'Email a password reset link',
+                'POST /api/auth/reset-password': 'Set a new password with a mailed token',
                 'POST /api/auth/refresh': 'Refresh access token',
                 'GET /api/auth/profile': 'Get user profile',
                 'PUT /api/auth/profile': 'Update user profile',
                 'PUT /api/auth/password': 'Change password',
-                'POST /api/auth/logout': 'User logout'
+                'POST /api/auth/logout': 'User logout',
+                'GET /api/auth/sessions': 'List signed-in devices',
+                'DELETE /api/auth/sessions': 'Sign out other devices',
+                'DELETE /api/auth/sessions/:sessionId': 'Sign out one device',
+                'GET /api/auth/2fa': 'Two-factor status',
+                'POST /api/auth/2fa/setup': 'Start two-factor enrolment',
+                'POST /api/auth/2fa/enable': 'Confirm two-factor enrolment',
+                'POST /api/auth/2fa/disable': 'Turn off two-factor authentication',
+                'POST /api/auth/2fa/recovery-codes': 'Regenerate recovery codes'
             },
             verification: {
                 'POST /api/verification/verify': 'Verify drug authenticity',
@@ -197,20 +234,62 @@ app.get('/api/docs', (req, res) => {
                 'GET /api/reports/:id': 'Get report details',
                 'PUT /api/reports/:id': 'Update report',
                 'DELETE /api/reports/:id': 'Delete report',
-                'GET /api/reports/stats': 'Get report statistics'
+                'GET /api/reports/stats': 'Get report statistics',
+                'GET /api/reports/cases/queue': 'Open investigation cases by SLA deadline',
+                'POST /api/reports/:id/assign': 'Assign report to an investigator',
+                'GET /api/reports/:id/case': 'Get investigation case',
+                'POST /api/reports/:id/notes': 'Add case note',
+                'POST /api/reports/:id/status': 'Change case status',
+                'POST /api/reports/:id/tasks': 'Add case task',
+                'PUT /api/reports/:id/tasks/:taskId': 'Update case task',
+                'POST /api/reports/:id/evidence': 'Add case evidence or lab result',
+                'POST /api/reports/:id/resolve': 'Resolve case with outcome and optional escalation'
             },
             admin: {
                 'GET /api/admin/dashboard': 'Get admin dashboard data',
                 'GET /api/admin/users': 'Manage users',
+                'POST /api/admin/users/:userId/logout': 'Force-logout a user from every device',
+                'POST /api/admin/users/:userId/unlock': 'Lift a sign-in lockout',
+                'DELETE /api/admin/users/:userId/2fa': 'Reset two-factor authentication for a user who lost their device',
                 'GET /api/admin/drugs': 'Manage drugs',
                 'GET /api/admin/batches': 'Manage batches',
-                'GET /api/admin/system': 'System configuration'
+                'GET /api/admin/system': 'System configuration',
+                'GET /api/admin/api-keys': 'List integration API keys with request counts',
+                'POST /api/admin/api-keys': 'Issue an API key with scopes and expiry',
+                'GET /api/admin/api-keys/:id': 'Get an API key with its usage',
+                'POST /api/admin/api-keys/:id/rotate': 'Rotate an API key',
+                'DELETE /api/admin/api-keys/:id': 'Revoke an API key'
             },
             supply_chain: {
                 'POST /api/supply-chain/transaction': 'Create supply chain transaction',
                 'GET /api/supply-chain/track/:batchId': 'Track batch supply chain',
                 'GET /api/supply-chain/verify': 'Verify blockchain integrity',
-                'GET /api/supply-chain/stats': 'Get blockchain statistics'
+                'GET /api/supply-chain/stats': 'Get blockchain statistics',
+                'POST /api/supply-chain/telemetry': 'Ingest IoT logger readings (device key)',
+                'POST /api/supply-chain/epcis/capture': 'Capture GS1 EPCIS 2.0 events (JSON-LD or XML)',
+                'GET /api/supply-chain/epcis/events': 'Export ledger as GS1 EPCIS 2.0 events'
+            },
+            recalls: {
+                'POST /api/recalls': 'Issue a recall and notify holders of affected stock',
+                'GET /api/recalls': 'List recalls',
+                'GET /api/recalls/:id': 'Get recall progress',
+                'POST /api/recalls/:id/acknowledge': 'Acknowledge a recall for an entity',
+                'POST /api/recalls/:id/close': 'Close a recall'
+            },
+            public: {
+                'GET /api/public/alerts': 'Public alert feed as JSON, RSS or Atom (format or Accept)',
+                'GET /api/public/alerts.rss': 'Public alert feed as RSS 2.0',
+                'GET /api/public/alerts.atom': 'Public alert feed as Atom',
+                'GET /api/public/alerts/:id': 'Get a public alert'
+            },
+            notifications: {
+                'GET /api/notifications/preferences': 'Get your alert notification preferences',
+                'PUT /api/notifications/preferences/:channel': 'Set your email, SMS or webhook preference',
+                'POST /api/notifications/preferences/:channel/test': 'Send yourself a test notification',
+                'GET /api/notifications/deliveries': 'Notification delivery log',
+                'GET /api/notifications/deliveries/:id': 'Get a delivery with its attempts',
+                'POST /api/notifications/deliveries/:id/retry': 'Retry a failed delivery (Admin)',
+                'GET /api/notifications/outbox': 'Messages captured by stub transports (Admin)'
             }
         }
     };
@@ -285,6 +364,9 @@ const gracefulShutdown = async (signal) => {
     console.log(`Received ${signal}. Starting graceful shutdown...`);
 
     try {
+        blockchain.stopBlockProducer();
+        notifications.stopDispatcher();
+
         // Close database connection
         await dbManager.close();
 
@@ -319,21 +401,33 @@ const startServer = async () => {
         await dbManager.initializeSchema();
         console.log('Database schema initialized');
 
-        // Seed database in development mode
-        if (process.env.NODE_ENV === 'development') {
+        // Codes issued before manufacturer signing would no longer verify
+        const reissuedCodes = await dbManager.reissueUnsignedQRCodes();
+        if (reissuedCodes > 0) {
+            console.log(`Re-issued ${reissuedCodes} unsigned batch QR codes`);
+        }
+
+        // Seed the demo profile
+        if (DEMO_MODE) {
             try {
-                await dbManager.seedDatabase();
-                console.log('Database seeded with sample data');
+                await seedDemoProfile();
+                console.log('Demo profile seeded');
             } catch (seedError) {
-                console.log('Database already seeded or seed failed:', seedError.message);
+                console.log('Demo profile already seeded or seed failed:', seedError.message);
             }
         }
 
+        // Seal supply chain transactions into Merkle blocks
+        blockchain.startBlockProducer();
+
+        // Send queued alert notifications and retry failed ones
+        notifications.startDispatcher();
+
         // Start server
         const server = app.listen(PORT, () => {
             console.log(`
 🚀 Drug Authenticity Verification System API is running!
-📍 Environment: ${process.env.NODE_ENV || 'development'}
+📍 Environment: ${process.env.NODE_ENV || 'development'}${DEMO_MODE ? ' (demo profile)' : ''}
 🌐 Server URL: http://localhost:${PORT}
 📊 Health Check: http://localhost:${PORT}/api/health
 📚 API Documentation: http://localhost:${PORT}/api/docs
@@ -2,12 +2,87 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const signer = require('../utils/signing');
+
+// Columns added after the first schema release; CREATE TABLE IF NOT EXISTS
+// leaves existing databases untouched, so these are applied with ALTER TABLE
+const COLUMN_MIGRATIONS = [
+    { table: 'manufacturers', column: 'signing_public_key', definition: 'TEXT' },
+    { table: 'manufacturers', column: 'signing_private_key', definition: 'TEXT' },
+    { table: 'manufacturers', column: 'signing_key_created_at', definition: 'DATETIME' },
+    { table: 'verification_logs', column: 'serial_number', definition: 'VARCHAR(20)' },
+    { table: 'drugs', column: 'gtin', definition: 'VARCHAR(14)' },
+    { table: 'supply_chain_transactions', column: 'payload_hash', definition: 'VARCHAR(64)' },
+    { table: 'supply_chain_transactions', column: 'canonical_payload', definition: 'TEXT' },
+    { table: 'supply_chain_transactions', column: 'nonce', definition: 'INTEGER' },
+    { table: 'supply_chain_transactions', column: 'mined_at', definition: 'INTEGER' },
+    { table: 'supply_chain_transactions', column: 'ledger_block_id', definition: 'INTEGER REFERENCES ledger_blocks(id)' },
+    { table: 'supply_chain_transactions', column: 'receipt_signature', definition: 'TEXT' },
+    // Transfers recorded before the shipment lifecycle moved stock on creation, so they count as received
+    { table: 'supply_chain_transactions', column: 'shipment_status', definition: "VARCHAR(20) DEFAULT 'received' CHECK (shipment_status IN ('dispatched', 'in_transit', 'received', 'rejected'))" },
+    { table: 'supply_chain_transactions', column: 'expected_delivery_date', definition: 'DATETIME' },
+    { table: 'supply_chain_transactions', column: 'in_transit_at', definition: 'DATETIME' },
+    { table: 'supply_chain_transactions', column: 'quantity_received', definition: 'INTEGER' },
+    { table: 'supply_chain_transactions', column: 'receipt_discrepancies', definition: 'TEXT' },
+    { table: 'verification_logs', column: 'rule_version', definition: 'INTEGER' },
+    { table: 'drugs', column: 'storage_profile', definition: 'TEXT' },
+    { table: 'supply_chain_entities', column: 'gln', definition: 'VARCHAR(13)' },
+    { table: 'supply_chain_transactions', column: 'epcis_event_id', definition: 'VARCHAR(255)' },
+    { table: 'supply_chain_transactions', column: 'packaging_unit_id', definition: 'INTEGER REFERENCES packaging_units(id)' },
+    { table: 'users', column: 'entity_id', definition: 'INTEGER REFERENCES supply_chain_entities(id)' },
+    { table: 'alerts', column: 'target_entity_id', definition: 'INTEGER REFERENCES supply_chain_entities(id)' },
+    { table: 'alerts', column: 'related_recall_id', definition: 'INTEGER REFERENCES recalls(id)' },
+    { table: 'counterfeit_reports', column: 'matched_batch_id', definition: 'INTEGER REFERENCES drug_batches(id)' },
+    { table: 'counterfeit_reports', column: 'matched_drug_id', definition: 'INTEGER REFERENCES drugs(id)' },
+    { table: 'counterfeit_reports', column: 'matched_manufacturer_id', definition: 'INTEGER REFERENCES manufacturers(id)' },
+    { table: 'counterfeit_reports', column: 'match_confidence', definition: "VARCHAR(10) CHECK (match_confidence IN ('high', 'medium', 'low', 'none'))" },
+    { table: 'counterfeit_reports', column: 'match_details', definition: 'TEXT' },
+    { table: 'counterfeit_reports', column: 'cluster_id', definition: 'INTEGER' },
+    { table: 'counterfeit_reports', column: 'outcome', definition: "VARCHAR(30) CHECK (outcome IN ('confirmed_counterfeit', 'false_alarm', 'insufficient_evidence'))" },
+    { table: 'counterfeit_reports', column: 'outcome_details', definition: 'TEXT' },
+    { table: 'counterfeit_reports', column: 'first_response_at', definition: 'DATETIME' },
+    { table: 'alerts', column: 'region', definition: 'VARCHAR(100)' },
+    { table: 'api_logs', column: 'api_key_id', definition: 'INTEGER REFERENCES api_keys(id)' },
+    { table: 'notification_deliveries', column: 'public_copy', definition: 'BOOLEAN DEFAULT 0' }
+];
+
+// Indexes on migrated columns can only be created once the column exists
+const INDEX_MIGRATIONS = [
+    'CREATE INDEX IF NOT EXISTS idx_verification_serial ON verification_logs(serial_number)',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_drugs_gtin ON drugs(gtin)',
+    'CREATE INDEX IF NOT EXISTS idx_supply_chain_ledger_block ON supply_chain_transactions(ledger_block_id)',
+    'CREATE INDEX IF NOT EXISTS idx_supply_chain_shipment_status ON supply_chain_transactions(shipment_status)',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_entities_gln ON supply_chain_entities(gln)',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_supply_chain_epcis_event ON supply_chain_transactions(epcis_event_id)',
+    'CREATE INDEX IF NOT EXISTS idx_supply_chain_packaging_unit ON supply_chain_transactions(packaging_unit_id)',
+    'CREATE INDEX IF NOT EXISTS idx_users_entity ON users(entity_id)',
+    'CREATE INDEX IF NOT EXISTS idx_alerts_target_entity ON alerts(target_entity_id)',
+    'CREATE INDEX IF NOT EXISTS idx_reports_matched_batch ON counterfeit_reports(matched_batch_id)',
+    'CREATE INDEX IF NOT EXISTS idx_reports_cluster ON counterfeit_reports(cluster_id)',
+    'CREATE INDEX IF NOT EXISTS idx_api_logs_api_key ON api_logs(api_key_id, created_at)'
+];
 
 class DatabaseManager {
     constructor() {
         this.db = null;
         this.isConnected = false;
         this.dbPath = process.env.DATABASE_PATH || './database/drug_verification.db';
+        // Every request shares one connection, so only one transaction may be open at a time.
+        // The open transaction is tracked through its async context: statements issued from
+        // inside it run at once, everything else waits until it commits or rolls back.
+        this.transactionScope = new AsyncLocalStorage();
+        this.transactionQueue = Promise.resolve();
+        this.activeTransaction = null;
+    }
+
+    /**
+     * Hold a statement back while another caller's transaction is open
+     */
+    async waitForTransaction() {
+        while (this.activeTransaction && this.transactionScope.getStore() !== this.activeTransaction) {
+            await this.activeTransaction;
+        }
     }
 
     /**
@@ -60,44 +135,48 @@ class DatabaseManager {
         }
 
         const schema = fs.readFileSync(schemaPath, 'utf8');
-        const statements = schema.split(';').filter(stmt => stmt.trim());
 
+        // exec runs the whole script so trigger bodies keep their inner semicolons
         return new Promise((resolve, reject) => {
-            this.db.serialize(() => {
-                let completed = 0;
-                const total = statements.length;
-
-                statements.forEach((statement, index) => {
-                    if (statement.trim()) {
-                        this.db.run(statement, (err) => {
-                            if (err) {
-                                console.error(`Error executing statement ${index + 1}:`, err.message);
-                                console.error('Statement:', statement);
-                                reject(err);
-                                return;
-                            }
-
-                            completed++;
-                            if (completed === total) {
-                                console.log('Database schema initialized successfully');
-                                resolve();
-                            }
-                        });
-                    } else {
-                        completed++;
-                        if (completed === total) {
-                            resolve();
-                        }
-                    }
-                });
+            this.db.exec(schema, (err) => {
+                if (err) {
+                    console.error('Error executing schema:', err.message);
+                    reject(err);
+                    return;
+                }
+
+                this.runMigrations()
+                    .then(() => {
+                        console.log('Database schema initialized successfully');
+                        resolve();
+                    })
+                    .catch(reject);
             });
         });
     }
 
+    /**
+     * Add columns introduced after a database was created
+     */
+    async runMigrations() {
+        for (const { table, column, definition } of COLUMN_MIGRATIONS) {
+            const columns = await this.query(`PRAGMA table_info(${table})`);
+            if (!columns.some(existing => existing.name === column)) {
+                await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            }
+        }
+
+        for (const statement of INDEX_MIGRATIONS) {
+            await this.run(statement);
+        }
+    }
+
     /**
      * Execute a query with parameters
      */
     async query(sql, params = []) {
+        await this.waitForTransaction();
+
         return new Promise((resolve, reject) => {
             if (!this.isConnected || !this.db) {
                 reject(new Error('Database not connected'));
@@ -129,6 +208,8 @@ class DatabaseManager {
      * Execute an insert/update/delete statement
      */
     async run(sql, params = []) {
+        await this.waitForTransaction();
+
         return new Promise((resolve, reject) => {
             if (!this.isConnected || !this.db) {
                 reject(new Error('Database not connected'));
@@ -152,45 +233,52 @@ class DatabaseManager {
     }
 
     /**
-     * Begin a database transaction
+     * Run work inside a transaction, committing when it resolves and rolling back when it throws
+     * Transactions are queued one after another; a call from inside an open transaction joins it
      */
-    async beginTransaction() {
-        return this.run('BEGIN TRANSACTION');
-    }
+    async withTransaction(work) {
+        if (this.activeTransaction && this.transactionScope.getStore() === this.activeTransaction) {
+            return work();
+        }
 
-    /**
-     * Commit a database transaction
-     */
-    async commitTransaction() {
-        return this.run('COMMIT');
-    }
+        const previous = this.transactionQueue;
+        let finish;
+        const done = new Promise(resolve => { finish = resolve; });
+        this.transactionQueue = previous.then(() => done);
 
-    /**
-     * Rollback a database transaction
-     */
-    async rollbackTransaction() {
-        return this.run('ROLLBACK');
+        await previous;
+        this.activeTransaction = done;
+
+        try {
+            return await this.transactionScope.run(done, async () => {
+                await this.run('BEGIN TRANSACTION');
+                try {
+                    const result = await work();
+                    await this.run('COMMIT');
+                    return result;
+                } catch (error) {
+                    await this.run('ROLLBACK');
+                    throw error;
+                }
+            });
+        } finally {
+            this.activeTransaction = null;
+            finish();
+        }
     }
 
     /**
      * Execute multiple statements in a transaction
      */
     async transaction(operations) {
-        try {
-            await this.beginTransaction();
-
+        return this.withTransaction(async () => {
             const results = [];
             for (const operation of operations) {
                 const result = await this.run(operation.sql, operation.params);
                 results.push(result);
             }
-
-            await this.commitTransaction();
             return results;
-        } catch (error) {
-            await this.rollbackTransaction();
-            throw error;
-        }
+        });
     }
 
     /**
@@ -202,42 +290,97 @@ class DatabaseManager {
     }
 
     /**
-     * Generate a unique QR code data string
+     * Get a manufacturer's signing key pair, generating one on first use
+     */
+    async getManufacturerSigningKey(manufacturerId) {
+        const manufacturer = await this.queryOne(
+            'SELECT id, code, signing_public_key, signing_private_key FROM manufacturers WHERE id = ?',
+            [manufacturerId]
+        );
+
+        if (!manufacturer) {
+            throw new Error('Manufacturer not found');
+        }
+
+        if (!manufacturer.signing_private_key) {
+            const { publicKey, encryptedPrivateKey } = signer.generateKeyPair();
+
+            await this.run(`
+                UPDATE manufacturers
+                SET signing_public_key = ?, signing_private_key = ?, signing_key_created_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [publicKey, encryptedPrivateKey, manufacturer.id]);
+
+            manufacturer.signing_public_key = publicKey;
+            manufacturer.signing_private_key = encryptedPrivateKey;
+        }
+
+        return manufacturer;
+    }
+
+    /**
+     * Generate QR code data signed with the batch manufacturer's private key
      */
-    generateQRCode(drugId, batchId, batchNumber) {
-        const timestamp = Date.now();
-        const randomString = crypto.randomBytes(8).toString('hex');
-        const qrData = {
-            drug_id: drugId,
-            batch_id: batchId,
-            batch_number: batchNumber,
-            timestamp: timestamp,
-            verification_code: randomString,
-            hash: crypto.createHash('sha256').update(`${drugId}:${batchId}:${batchNumber}:${timestamp}:${randomString}`).digest('hex').substring(0, 16)
-        };
+    async generateQRCode(drugId, batchId, batchNumber, serialNumber = null) {
+        const drug = await this.queryOne('SELECT manufacturer_id FROM drugs WHERE id = ?', [drugId]);
+        if (!drug) {
+            throw new Error('Drug not found');
+        }
+
+        const manufacturer = await this.getManufacturerSigningKey(drug.manufacturer_id);
+        const qrData = signer.signQRPayload({
+            drugId,
+            batchId,
+            batchNumber,
+            manufacturerCode: manufacturer.code,
+            serialNumber
+        }, manufacturer.signing_private_key);
+
         return JSON.stringify(qrData);
     }
 
     /**
-     * Validate QR code data
+     * Validate QR code data against the public key of the drug's manufacturer
+     * The key is looked up through the drug, never taken from the payload itself
      */
-    validateQRCode(qrCodeData) {
+    async validateQRCode(qrCodeData) {
         try {
             const data = JSON.parse(qrCodeData);
-            const { drug_id, batch_id, batch_number, timestamp, verification_code, hash } = data;
 
-            // Verify hash
-            const expectedHash = crypto.createHash('sha256')
-                .update(`${drug_id}:${batch_id}:${batch_number}:${timestamp}:${verification_code}`)
-                .digest('hex')
-                .substring(0, 16);
+            const manufacturer = await this.queryOne(`
+                SELECT m.code, m.signing_public_key
+                FROM drugs d
+                JOIN manufacturers m ON d.manufacturer_id = m.id
+                WHERE d.id = ?
+            `, [data.drug_id]);
 
-            return hash === expectedHash;
+            if (!manufacturer || manufacturer.code !== data.manufacturer_code) {
+                return false;
+            }
+
+            return signer.verifyQRPayload(data, manufacturer.signing_public_key);
         } catch (error) {
             return false;
         }
     }
 
+    /**
+     * Re-issue batch QR codes that predate signed payloads
+     */
+    async reissueUnsignedQRCodes() {
+        const batches = await this.query(`
+            SELECT id, drug_id, batch_number FROM drug_batches
+            WHERE qr_code IS NOT NULL AND qr_code NOT LIKE '%"sig":%'
+        `);
+
+        for (const batch of batches) {
+            const qrCode = await this.generateQRCode(batch.drug_id, batch.id, batch.batch_number);
+            await this.run('UPDATE drug_batches SET qr_code = ? WHERE id = ?', [qrCode, batch.id]);
+        }
+
+        return batches.length;
+    }
+
     /**
      * Get database statistics
      */
@@ -245,7 +388,7 @@ class DatabaseManager {
         const stats = {};
 
         const tables = [
-            'users', 'drugs', 'drug_batches', 'manufacturers',
+            'users', 'drugs', 'drug_batches', 'serialized_units', 'manufacturers',
             'supply_chain_transactions', 'verification_logs',
             'counterfeit_reports', 'alerts'
         ];
@@ -369,15 +512,15 @@ class DatabaseManager {
 
             // Create sample drugs
             const drugs = [
-                ['Paracetamol', 'Paracetamol', 'Tylenol', 'PARA500', 'NDC-12345-001', 1, 1, 'tablet', '500mg', '["Acetaminophen"]', 'Pain reliever and fever reducer'],
-                ['Amoxicillin', 'Amoxicillin', 'Amoxil', 'AMOX250', 'NDC-12345-002', 2, 2, 'capsule', '250mg', '["Amoxicillin trihydrate"]', 'Antibiotic for bacterial infections'],
-                ['Lisinopril', 'Lisinopril', 'Prinivil', 'LISI10', 'NDC-12345-003', 3, 4, 'tablet', '10mg', '["Lisinopril dihydrate"]', 'ACE inhibitor for high blood pressure']
+                ['Paracetamol', 'Paracetamol', 'Tylenol', 'PARA500', 'NDC-12345-001', '00300123450011', 1, 1, 'tablet', '500mg', '["Acetaminophen"]', 'Pain reliever and fever reducer', 'Store below 25°C'],
+                ['Amoxicillin', 'Amoxicillin', 'Amoxil', 'AMOX250', 'NDC-12345-002', '00300123450028', 2, 2, 'capsule', '250mg', '["Amoxicillin trihydrate"]', 'Antibiotic for bacterial infections', 'Store below 25°C in a dry place'],
+                ['Lisinopril', 'Lisinopril', 'Prinivil', 'LISI10', 'NDC-12345-003', '00300123450035', 3, 4, 'tablet', '10mg', '["Lisinopril dihydrate"]', 'ACE inhibitor for high blood pressure', 'Store at 15°C to 25°C']
             ];
 
             for (const drug of drugs) {
                 await this.run(`
-                    INSERT OR IGNORE INTO drugs (name, generic_name, brand_name, drug_code, ndc_number, manufacturer_id, category_id, dosage_form, strength, active_ingredients, description)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    INSERT OR IGNORE INTO drugs (name, generic_name, brand_name, drug_code, ndc_number, gtin, manufacturer_id, category_id, dosage_form, strength, active_ingredients, description, storage_conditions)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                 `, drug);
             }
 
@@ -390,7 +533,7 @@ class DatabaseManager {
 
             for (let i = 0; i < batches.length; i++) {
                 const batch = batches[i];
-                const qrCode = this.generateQRCode(batch[0], i + 1, batch[1]);
+                const qrCode = await this.generateQRCode(batch[0], i + 1, batch[1]);
                 const barcode = `BC${batch[1]}${Date.now().toString().slice(-6)}`;
 
                 await this.run(`
@@ -402,15 +545,18 @@ class DatabaseManager {
 
             // Create sample supply chain entities
             const entities = [
-                ['MediDistrib Corp', 'distributor', 'DIST001', '100 Distribution Way, Dallas, TX 75201', '+1-555-0200', 'orders@medidistrib.com', 'John Smith'],
-                ['HealthMart Pharmacy', 'pharmacy', 'PHARM001', '200 Main Street, Phoenix, AZ 85001', '+1-555-0300', 'info@healthmart.com', 'Jane Doe'],
-                ['City Hospital', 'hospital', 'HOSP001', '300 Hospital Blvd, Seattle, WA 98101', '+1-555-0400', 'purchasing@cityhospital.com', 'Dr. Mike Johnson']
+                ['Pharma Corp', 'manufacturer', 'PC2024001', '0300123000018', '123 Pharma Street, New York, NY 10001', '+1-555-0123', 'contact@pharmacorp.com', 'Quality Assurance'],
+                ['MediCare Inc', 'manufacturer', 'MC2024002', '0300123000025', '456 Medical Ave, Los Angeles, CA 90210', '+1-555-0124', 'info@medicare-inc.com', 'Quality Assurance'],
+                ['GlobalMed Ltd', 'manufacturer', 'GM2024003', '0300123000032', '789 Health Plaza, Chicago, IL 60601', '+1-555-0125', 'contact@globalmed.com', 'Quality Assurance'],
+                ['MediDistrib Corp', 'distributor', 'DIST001', '0300123000049', '100 Distribution Way, Dallas, TX 75201', '+1-555-0200', 'orders@medidistrib.com', 'John Smith'],
+                ['HealthMart Pharmacy', 'pharmacy', 'PHARM001', '0300123000056', '200 Main Street, Phoenix, AZ 85001', '+1-555-0300', 'info@healthmart.com', 'Jane Doe'],
+                ['City Hospital', 'hospital', 'HOSP001', '0300123000063', '300 Hospital Blvd, Seattle, WA 98101', '+1-555-0400', 'purchasing@cityhospital.com', 'Dr. Mike Johnson']
             ];
 
             for (const entity of entities) {
                 await this.run(`
-                    INSERT OR IGNORE INTO supply_chain_entities (name, type, license_number, address, phone, email, contact_person, is_verified)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                    INSERT OR IGNORE INTO supply_chain_entities (name, type, license_number, gln, address, phone, email, contact_person, is_verified)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
                 `, [...entity, 1]);
             }
 
@@ -1,7 +1,117 @@
 const bcrypt = require('bcryptjs');
 const { validationResult } = require('express-validator');
 const dbManager = require('../config/database');
-const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../middleware/auth');
+const {
+    generateToken,
+    generateRefreshToken,
+    verifyRefreshToken,
+    generateTwoFactorChallenge,
+    verifyTwoFactorChallenge
+} = require('../middleware/auth');
+const sessions = require('../utils/sessions');
+const twoFactor = require('../utils/twoFactor');
+const accountTokens = require('../utils/accountTokens');
+const loginProtection = require('../utils/loginProtection');
+
+/**
+ * Token pair for a session, as returned by register, login and refresh
+ */
+const issueTokens = (user, session) => ({
+    access_token: generateToken(user, session.id),
+    refresh_token: generateRefreshToken(user, session),
+    token_type: 'Bearer',
+    expires_in: process.env.JWT_EXPIRES_IN || '24h'
+});
+
+const sessionContext = (req) => ({
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent') || null
+});
+
+/**
+ * Finish a login once every required factor has been checked: open a session and return its tokens
+ */
+const completeLogin = async (req, res, user, { method = 'password', extra = {} } = {}) => {
+    // Update last login
+    await dbManager.run(
+        'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
+        [user.id]
+    );
+
+    // Each sign-in gets its own session
+    const session = await sessions.createSession(user.id, sessionContext(req));
+
+    const signIn = await loginProtection.recordSuccess(user, sessionContext(req));
+    if (signIn.newIp || signIn.newDevice) {
+        await dbManager.run(`
+            INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            user.id,
+            'NEW_DEVICE_LOGIN',
+            'users',
+            user.id,
+            JSON.stringify({ new_ip: signIn.newIp, new_device: signIn.newDevice, device: signIn.device }),
+            req.ip,
+            req.get('User-Agent')
+        ]);
+
+        // Not awaited; a mail failure must not block the sign-in
+        loginProtection.notifyNewSignIn(user, { ipAddress: req.ip, ...signIn })
+            .catch(error => console.error('New sign-in notice error:', error));
+    }
+
+    // Log successful login
+    await dbManager.run(`
+        INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+        user.id,
+        'LOGIN_SUCCESS',
+        'users',
+        user.id,
+        JSON.stringify({ username: user.username, role: user.role, method }),
+        req.ip,
+        req.get('User-Agent')
+    ]);
+
+    res.json({
+        success: true,
+        message: 'Login successful',
+        user: user,
+        tokens: issueTokens(user, session),
+        ...extra
+    });
+};
+
+/**
+ * Answer 429 for a sign-in refused by the lockout
+ */
+const lockedOut = (res, error) => {
+    res.set('Retry-After', String(error.retryAfter));
+    res.status(429).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        retry_after: error.retryAfter
+    });
+};
+
+/**
+ * Resolve the user behind a two-factor challenge, answering 401 when it is invalid or expired
+ */
+const challengeUser = async (req, res) => {
+    try {
+        return await verifyTwoFactorChallenge(req.body.challengeToken);
+    } catch (error) {
+        res.status(401).json({
+            success: false,
+            message: 'Login challenge is invalid or has expired; sign in again',
+            code: 'CHALLENGE_EXPIRED'
+        });
+        return null;
+    }
+};
 
 /**
  * Authentication Controller
@@ -82,9 +192,8 @@ class AuthController {
                 FROM users WHERE id = ?
             `, [result.id]);
 
-            // Generate tokens
-            const accessToken = generateToken(newUser);
-            const refreshToken = generateRefreshToken(newUser);
+            // Open the first session for the new account
+            const session = await sessions.createSession(newUser.id, sessionContext(req));
 
             // Log registration
             await dbManager.run(`
@@ -100,16 +209,23 @@ class AuthController {
                 req.get('User-Agent')
             ]);
 
+            // A mail failure shouldn't lose the account; the user can ask for another link
+            let verificationEmailSent = false;
+            if (!newUser.is_verified) {
+                try {
+                    await accountTokens.sendVerificationEmail(newUser, { ipAddress: req.ip });
+                    verificationEmailSent = true;
+                } catch (error) {
+                    console.error('Verification email error:', error);
+                }
+            }
+
             res.status(201).json({
                 success: true,
                 message: 'User registered successfully',
                 user: newUser,
-                tokens: {
-                    access_token: accessToken,
-                    refresh_token: refreshToken,
-                    token_type: 'Bearer',
-                    expires_in: process.env.JWT_EXPIRES_IN || '24h'
-                }
+                tokens: issueTokens(newUser, session),
+                verification_email_sent: verificationEmailSent
             });
 
         } catch (error) {
@@ -138,6 +254,7 @@ class AuthController {
             }
 
             const { username, password } = req.body;
+            const attempt = { identifier: username, ipAddress: req.ip, userAgent: req.get('User-Agent') || null };
 
             // Find user by username or email
             const user = await dbManager.queryOne(`
@@ -147,24 +264,30 @@ class AuthController {
                 WHERE username = ? OR email = ?
             `, [username, username]);
 
-            if (!user) {
-                return res.status(401).json({
-                    success: false,
-                    message: 'Invalid username or password'
-                });
+            let attemptId;
+            try {
+                attemptId = await loginProtection.startAttempt({ ...attempt, userId: user ? user.id : null });
+            } catch (error) {
+                if (error instanceof loginProtection.LoginLockedError) {
+                    return lockedOut(res, error);
+                }
+                throw error;
             }
 
-            // Check if account is active
-            if (!user.is_active) {
+            // Unknown usernames go through the same password check and answer, so they cannot be told apart
+            const passwordValid = await loginProtection.verifyPassword(password, user ? user.password_hash : null);
+            if (!user) {
+                await loginProtection.recordFailure(attemptId, 'unknown_user');
+
                 return res.status(401).json({
                     success: false,
-                    message: 'Account is deactivated'
+                    message: 'Invalid username or password'
                 });
             }
 
-            // Verify password
-            const passwordValid = await bcrypt.compare(password, user.password_hash);
             if (!passwordValid) {
+                await loginProtection.recordFailure(attemptId, 'invalid_password');
+
                 // Log failed login attempt
                 await dbManager.run(`
                     INSERT INTO audit_trail (user_id, action, table_name, record_id, old_values, ip_address, user_agent)
@@ -185,44 +308,36 @@ class AuthController {
                 });
             }
 
-            // Update last login
-            await dbManager.run(
-                'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
-                [user.id]
-            );
+            await loginProtection.pass(attemptId);
+
+            // Only reported once the password is right, so it reveals nothing to a guesser
+            if (!user.is_active) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Account is deactivated'
+                });
+            }
 
             // Remove password from user object
             delete user.password_hash;
 
-            // Generate tokens
-            const accessToken = generateToken(user);
-            const refreshToken = generateRefreshToken(user);
-
-            // Log successful login
-            await dbManager.run(`
-                INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-            `, [
-                user.id,
-                'LOGIN_SUCCESS',
-                'users',
-                user.id,
-                JSON.stringify({ username: user.username, role: user.role }),
-                req.ip,
-                req.get('User-Agent')
-            ]);
+            // Enrolled users, and roles that must use a second factor, finish through /login/2fa
+            const twoFactorEnabled = await twoFactor.isEnabled(user.id);
+            if (twoFactorEnabled || await twoFactor.isRequiredFor(user.role)) {
+                return res.json({
+                    success: true,
+                    message: twoFactorEnabled
+                        ? 'Enter the code from your authenticator app'
+                        : 'Your role requires two-factor authentication; set it up to continue',
+                    two_factor: {
+                        required: true,
+                        setup_required: !twoFactorEnabled,
+                        challenge_token: generateTwoFactorChallenge(user)
+                    }
+                });
+            }
 
-            res.json({
-                success: true,
-                message: 'Login successful',
-                user: user,
-                tokens: {
-                    access_token: accessToken,
-                    refresh_token: refreshToken,
-                    token_type: 'Bearer',
-                    expires_in: process.env.JWT_EXPIRES_IN || '24h'
-                }
-            });
+            await completeLogin(req, res, user);
 
         } catch (error) {
             console.error('Login error:', error);
@@ -236,6 +351,7 @@ class AuthController {
 
     /**
      * Refresh access token
+     * The refresh token is spent and a new one returned alongside the access token
      */
     async refreshToken(req, res) {
         try {
@@ -249,18 +365,48 @@ class AuthController {
             }
 
             // Verify refresh token
-            const user = await verifyRefreshToken(refresh_token);
+            const { user, sessionId, tokenId } = await verifyRefreshToken(refresh_token);
+
+            if (!sessionId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session has expired or been revoked',
+                    code: 'SESSION_REVOKED'
+                });
+            }
 
-            // Generate new access token
-            const accessToken = generateToken(user);
+            let session;
+            try {
+                session = await sessions.rotateSession(sessionId, user.id, tokenId, sessionContext(req));
+            } catch (error) {
+                if (error.code === 'TOKEN_REUSED') {
+                    // A spent token came back: someone else holds a copy of this session
+                    await dbManager.run(`
+                        INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
+                        VALUES (?, ?, ?, ?, ?, ?, ?)
+                    `, [
+                        user.id,
+                        'REFRESH_TOKEN_REUSE',
+                        'users',
+                        user.id,
+                        JSON.stringify({ session_id: sessionId }),
+                        req.ip,
+                        req.get('User-Agent')
+                    ]);
+                }
+                if (error.statusCode) {
+                    return res.status(error.statusCode).json({
+                        success: false,
+                        message: error.message,
+                        code: error.code
+                    });
+                }
+                throw error;
+            }
 
             res.json({
                 success: true,
-                tokens: {
-                    access_token: accessToken,
-                    token_type: 'Bearer',
-                    expires_in: process.env.JWT_EXPIRES_IN || '24h'
-                }
+                tokens: issueTokens(user, session)
             });
 
         } catch (error) {
@@ -463,6 +609,13 @@ class AuthController {
                 [newPasswordHash, req.user.id]
             );
 
+            // Sign out every other device; this one stays signed in
+            const revokedSessions = await sessions.revokeAllSessions(req.user.id, {
+                exceptSessionId: req.sessionId,
+                reason: 'password_changed',
+                revokedBy: req.user.id
+            });
+
             // Log password change
             await dbManager.run(`
                 INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
@@ -472,14 +625,15 @@ class AuthController {
                 'PASSWORD_CHANGED',
                 'users',
                 req.user.id,
-                JSON.stringify({ username: req.user.username }),
+                JSON.stringify({ username: req.user.username, revoked_sessions: revokedSessions }),
                 req.ip,
                 req.get('User-Agent')
             ]);
 
             res.json({
                 success: true,
-                message: 'Password changed successfully'
+                message: 'Password changed successfully',
+                revoked_sessions: revokedSessions
             });
 
         } catch (error) {
@@ -493,10 +647,12 @@ class AuthController {
     }
 
     /**
-     * Logout user (client-side token invalidation)
+     * Logout user by revoking the current session
      */
     async logout(req, res) {
         try {
+            await sessions.revokeSession(req.user.id, req.sessionId, { reason: 'logout', revokedBy: req.user.id });
+
             // Log logout
             await dbManager.run(`
                 INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
@@ -506,7 +662,7 @@ class AuthController {
                 'LOGOUT',
                 'users',
                 req.user.id,
-                JSON.stringify({ username: req.user.username }),
+                JSON.stringify({ username: req.user.username, session_id: req.sessionId }),
                 req.ip,
                 req.get('User-Agent')
             ]);
@@ -526,14 +682,644 @@ class AuthController {
     }
 
     /**
-     * Verify user account (for email verification)
+     * Second login step: an authenticator or recovery code for the password-checked challenge
+     */
+    async loginTwoFactor(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation errors',
+                    errors: errors.array()
+                });
+            }
+
+            const user = await challengeUser(req, res);
+            if (!user) {
+                return;
+            }
+
+            const attempt = { userId: user.id, identifier: user.username, ipAddress: req.ip, userAgent: req.get('User-Agent') || null };
+            let attemptId;
+            try {
+                attemptId = await loginProtection.startAttempt(attempt);
+            } catch (error) {
+                if (error instanceof loginProtection.LoginLockedError) {
+                    return lockedOut(res, error);
+                }
+                throw error;
+            }
+
+            let result;
+            try {
+                result = await twoFactor.verify(user.id, req.body);
+            } catch (error) {
+                if (error.statusCode !== 401) {
+                    await loginProtection.pass(attemptId);
+                } else {
+                    await loginProtection.recordFailure(attemptId, 'invalid_two_factor_code');
+                    await dbManager.run(`
+                        INSERT INTO audit_trail (user_id, action, table_name, record_id, old_values, ip_address, user_agent)
+                        VALUES (?, ?, ?, ?, ?, ?, ?)
+                    `, [
+                        user.id,
+                        'LOGIN_FAILED',
+                        'users',
+                        user.id,
+                        JSON.stringify({ reason: 'invalid_two_factor_code', username: user.username }),
+                        req.ip,
+                        req.get('User-Agent')
+                    ]);
+                }
+                throw error;
+            }
+
+            await loginProtection.pass(attemptId);
+            await completeLogin(req, res, user, { method: result.method });
+
+        } catch (error) {
+            console.error('Two-factor login error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Login failed',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    /**
+     * Start enrolment during login for a role that requires two-factor authentication
+     */
+    async loginTwoFactorSetup(req, res) {
+        try {
+            const user = await challengeUser(req, res);
+            if (!user) {
+                return;
+            }
+
+            const provisioning = await twoFactor.beginEnrolment(user);
+
+            res.json({
+                success: true,
+                two_factor: provisioning
+            });
+
+        } catch (error) {
+            console.error('Two-factor login setup error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to start two-factor setup',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    /**
+     * Confirm enrolment during login and finish signing in
+     */
+    async loginTwoFactorEnable(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation errors',
+                    errors: errors.array()
+                });
+            }
+
+            const user = await challengeUser(req, res);
+            if (!user) {
+                return;
+            }
+
+            const recoveryCodes = await twoFactor.enable(user.id, req.body.code);
+
+            await dbManager.run(`
+                INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                user.id,
+                'TWO_FACTOR_ENABLED',
+                'users',
+                user.id,
+                JSON.stringify({ username: user.username, during_login: true }),
+                req.ip,
+                req.get('User-Agent')
+            ]);
+
+            await completeLogin(req, res, user, { method: 'totp', extra: { recovery_codes: recoveryCodes } });
+
+        } catch (error) {
+            console.error('Two-factor login enable error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to enable two-factor authentication',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    /**
+     * Two-factor status for the current user
+     */
+    async getTwoFactorStatus(req, res) {
+        try {
+            const status = await twoFactor.getStatus(req.user);
+
+            res.json({
+                success: true,
+                two_factor: status
+            });
+
+        } catch (error) {
+            console.error('Two-factor status error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve two-factor status'
+            });
+        }
+    }
+
+    /**
+     * Start two-factor enrolment: a new secret with its otpauth URL and QR code
+     */
+    async setupTwoFactor(req, res) {
+        try {
+            const provisioning = await twoFactor.beginEnrolment(req.user);
+
+            res.json({
+                success: true,
+                two_factor: provisioning
+            });
+
+        } catch (error) {
+            console.error('Two-factor setup error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to start two-factor setup',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    /**
+     * Confirm enrolment with a first code; the recovery codes are only shown here
+     */
+    async enableTwoFactor(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation errors',
+                    errors: errors.array()
+                });
+            }
+
+            const recoveryCodes = await twoFactor.enable(req.user.id, req.body.code);
+
+            await dbManager.run(`
+                INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                req.user.id,
+                'TWO_FACTOR_ENABLED',
+                'users',
+                req.user.id,
+                JSON.stringify({ username: req.user.username }),
+                req.ip,
+                req.get('User-Agent')
+            ]);
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication enabled',
+                recovery_codes: recoveryCodes
+            });
+
+        } catch (error) {
+            console.error('Two-factor enable error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to enable two-factor authentication',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    /**
+     * Turn two-factor authentication off; needs the password and a current code
+     */
+    async disableTwoFactor(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation errors',
+                    errors: errors.array()
+                });
+            }
+
+            if (await twoFactor.isRequiredFor(req.user.role)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Two-factor authentication is required for your role'
+                });
+            }
+
+            const user = await dbManager.queryOne('SELECT password_hash FROM users WHERE id = ?', [req.user.id]);
+            const passwordValid = await bcrypt.compare(req.body.password, user.password_hash);
+            if (!passwordValid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Password is incorrect'
+                });
+            }
+
+            await twoFactor.verify(req.user.id, req.body);
+            await twoFactor.disable(req.user.id);
+
+            await dbManager.run(`
+                INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                req.user.id,
+                'TWO_FACTOR_DISABLED',
+                'users',
+                req.user.id,
+                JSON.stringify({ username: req.user.username }),
+                req.ip,
+                req.get('User-Agent')
+            ]);
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication disabled'
+            });
+
+        } catch (error) {
+            console.error('Two-factor disable error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to disable two-factor authentication',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    /**
+     * Replace the recovery codes; the old ones stop working
+     */
+    async regenerateRecoveryCodes(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation errors',
+                    errors: errors.array()
+                });
+            }
+
+            const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user.id, req.body.code);
+
+            await dbManager.run(`
+                INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                req.user.id,
+                'RECOVERY_CODES_REGENERATED',
+                'users',
+                req.user.id,
+                JSON.stringify({ username: req.user.username }),
+                req.ip,
+                req.get('User-Agent')
+            ]);
+
+            res.json({
+                success: true,
+                message: 'Recovery codes regenerated',
+                recovery_codes: recoveryCodes
+            });
+
+        } catch (error) {
+            console.error('Recovery code regeneration error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to regenerate recovery codes',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    /**
+     * List the devices the current user is signed in on
+     */
+    async getSessions(req, res) {
+        try {
+            const userSessions = await sessions.listSessions(req.user.id, req.sessionId);
+
+            res.json({
+                success: true,
+                sessions: userSessions
+            });
+
+        } catch (error) {
+            console.error('Session list error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve sessions'
+            });
+        }
+    }
+
+    /**
+     * Sign out one of the current user's devices
+     */
+    async revokeSession(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation errors',
+                    errors: errors.array()
+                });
+            }
+
+            await sessions.revokeSession(req.user.id, req.params.sessionId, { revokedBy: req.user.id });
+
+            await dbManager.run(`
+                INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                req.user.id,
+                'SESSION_REVOKED',
+                'users',
+                req.user.id,
+                JSON.stringify({ session_id: req.params.sessionId }),
+                req.ip,
+                req.get('User-Agent')
+            ]);
+
+            res.json({
+                success: true,
+                message: 'Session revoked',
+                current_session_revoked: req.params.sessionId === req.sessionId
+            });
+
+        } catch (error) {
+            console.error('Session revocation error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to revoke session',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    /**
+     * Sign out every device except the current one
+     */
+    async revokeOtherSessions(req, res) {
+        try {
+            const revoked = await sessions.revokeAllSessions(req.user.id, {
+                exceptSessionId: req.sessionId,
+                revokedBy: req.user.id
+            });
+
+            await dbManager.run(`
+                INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                req.user.id,
+                'OTHER_SESSIONS_REVOKED',
+                'users',
+                req.user.id,
+                JSON.stringify({ revoked_sessions: revoked }),
+                req.ip,
+                req.get('User-Agent')
+            ]);
+
+            res.json({
+                success: true,
+                message: `Signed out of ${revoked} other session${revoked === 1 ? '' : 's'}`,
+                revoked_sessions: revoked
+            });
+
+        } catch (error) {
+            console.error('Session revocation error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to revoke sessions',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    /**
+     * Confirm an email address with the token from the verification email
+     */
+    async verifyEmail(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation errors',
+                    errors: errors.array()
+                });
+            }
+
+            const { userId, email } = await accountTokens.consume(req.body.token, 'email_verification');
+
+            await dbManager.run(
+                'UPDATE users SET is_verified = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [userId]
+            );
+
+            await dbManager.run(`
+                INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                userId,
+                'EMAIL_VERIFIED',
+                'users',
+                userId,
+                JSON.stringify({ email }),
+                req.ip,
+                req.get('User-Agent')
+            ]);
+
+            res.json({
+                success: true,
+                message: 'Email address verified'
+            });
+
+        } catch (error) {
+            console.error('Email verification error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Email verification failed',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    /**
+     * Send the current user a new verification link
+     */
+    async resendVerificationEmail(req, res) {
+        try {
+            const user = await dbManager.queryOne(
+                'SELECT id, username, email, first_name, is_verified FROM users WHERE id = ?',
+                [req.user.id]
+            );
+
+            if (user.is_verified) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Email address is already verified'
+                });
+            }
+
+            await accountTokens.sendVerificationEmail(user, { ipAddress: req.ip });
+
+            res.json({
+                success: true,
+                message: `Verification email sent to ${user.email}`
+            });
+
+        } catch (error) {
+            console.error('Verification email error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to send verification email',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    /**
+     * Email a password reset link
+     * The answer is the same whether or not the address has an account
+     */
+    async forgotPassword(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation errors',
+                    errors: errors.array()
+                });
+            }
+
+            const user = await dbManager.queryOne(
+                'SELECT id, username, email, first_name, is_active FROM users WHERE email = ?',
+                [req.body.email]
+            );
+
+            if (user && user.is_active) {
+                // Not awaited, so the response takes as long for unknown addresses as for known ones
+                accountTokens.sendPasswordResetEmail(user, { ipAddress: req.ip })
+                    .then(() => dbManager.run(`
+                        INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
+                        VALUES (?, ?, ?, ?, ?, ?, ?)
+                    `, [
+                        user.id,
+                        'PASSWORD_RESET_REQUESTED',
+                        'users',
+                        user.id,
+                        JSON.stringify({ email: user.email }),
+                        req.ip,
+                        req.get('User-Agent')
+                    ]))
+                    .catch(error => console.error('Password reset email error:', error));
+            }
+
+            res.json({
+                success: true,
+                message: 'If an account uses that email address, a password reset link has been sent to it'
+            });
+
+        } catch (error) {
+            console.error('Forgot password error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to request password reset',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    /**
+     * Set a new password with the token from the reset email and sign out every session
+     */
+    async resetPassword(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation errors',
+                    errors: errors.array()
+                });
+            }
+
+            const { userId } = await accountTokens.consume(req.body.token, 'password_reset');
+
+            const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+            const passwordHash = await bcrypt.hash(req.body.newPassword, saltRounds);
+
+            await dbManager.run(
+                'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [passwordHash, userId]
+            );
+
+            // Whoever knew the old password is signed out everywhere
+            const revokedSessions = await sessions.revokeAllSessions(userId, { reason: 'password_changed' });
+            // Proving control of the email address also lifts a sign-in lockout
+            await loginProtection.unlock(userId);
+
+            await dbManager.run(`
+                INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                userId,
+                'PASSWORD_RESET',
+                'users',
+                userId,
+                JSON.stringify({ revoked_sessions: revokedSessions }),
+                req.ip,
+                req.get('User-Agent')
+            ]);
+
+            res.json({
+                success: true,
+                message: 'Password has been reset; sign in with your new password'
+            });
+
+        } catch (error) {
+            console.error('Password reset error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Password reset failed',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    /**
+     * Mark an account verified without email confirmation (admin override)
      */
     async verifyAccount(req, res) {
         try {
-            const { userId, verificationCode } = req.params;
+            const { userId } = req.params;
 
-            // In a real implementation, you would store verification codes
-            // For this demo, we'll use a simple admin verification
             if (!req.user || req.user.role !== 'admin') {
                 return res.status(403).json({
                     success: false,
@@ -2,12 +2,22 @@ const dbManager = require('../config/database');
 const { validationResult } = require('express-validator');
 const path = require('path');
 const fs = require('fs');
+const reportTriage = require('../utils/reportTriage');
+const notifications = require('../utils/notifications');
 
 /**
  * Reports Controller
  * Handles counterfeit drug reporting, investigation, and management
  */
 class ReportsController {
+    constructor() {
+        // Handlers are passed to Express unbound, so pin `this` to the singleton
+        Object.getOwnPropertyNames(ReportsController.prototype)
+            .filter(name => name !== 'constructor')
+            .forEach(name => {
+                this[name] = this[name].bind(this);
+            });
+    }
 
     /**
      * Create a new counterfeit drug report
@@ -60,14 +70,18 @@ class ReportsController {
                 }
             }
 
+            // Resolve the free-text product against the catalogue
+            const match = await reportTriage.resolve({ drugName, suspectedBatchNumber, manufacturerClaimed });
+
             // Insert report into database
             const result = await dbManager.run(`
                 INSERT INTO counterfeit_reports
                 (reporter_user_id, drug_name, suspected_batch_number, manufacturer_claimed,
                  report_type, description, location_found, purchase_location, purchase_date,
                  purchase_price, evidence_photos, packaging_photos, reporter_contact_info,
-                 severity_level, status)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                 severity_level, status, matched_batch_id, matched_drug_id, matched_manufacturer_id,
+                 match_confidence, match_details)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `, [
                 reporterId,
                 drugName,
@@ -83,7 +97,12 @@ class ReportsController {
                 JSON.stringify(packagingPhotos),
                 JSON.stringify(reporterContactInfo),
                 severityLevel,
-                'pending'
+                'pending',
+                match.matched_batch_id,
+                match.matched_drug_id,
+                match.matched_manufacturer_id,
+                match.match_confidence,
+                JSON.stringify(match.match_details)
             ]);
 
             // Get the created report
@@ -91,6 +110,9 @@ class ReportsController {
                 SELECT * FROM counterfeit_reports WHERE id = ?
             `, [result.id]);
 
+            // Group with earlier reports about the same batch and attach the reporter's scans
+            const triage = await reportTriage.linkReport(report);
+
             // Create alert if high severity
             if (severityLevel === 'high' || severityLevel === 'critical') {
                 await this.createReportAlert(report);
@@ -108,7 +130,9 @@ class ReportsController {
                 JSON.stringify({
                     drug_name: drugName,
                     report_type: reportType,
-                    severity_level: severityLevel
+                    severity_level: severityLevel,
+                    matched_batch_id: match.matched_batch_id,
+                    match_confidence: match.match_confidence
                 }),
                 req.ip,
                 req.get('User-Agent')
@@ -125,7 +149,14 @@ class ReportsController {
                     status: report.status,
                     created_at: report.created_at,
                     evidence_photos_count: evidencePhotos.length,
-                    packaging_photos_count: packagingPhotos.length
+                    packaging_photos_count: packagingPhotos.length,
+                    matched_batch_id: match.matched_batch_id,
+                    matched_drug_id: match.matched_drug_id,
+                    matched_manufacturer_id: match.matched_manufacturer_id,
+                    match_confidence: match.match_confidence,
+                    match_details: match.match_details,
+                    cluster_id: triage.cluster_id,
+                    linked_scans_count: triage.linked_scans
                 }
             });
 
@@ -231,16 +262,20 @@ class ReportsController {
                     report.evidence_photos = report.evidence_photos ? JSON.parse(report.evidence_photos) : [];
                     report.packaging_photos = report.packaging_photos ? JSON.parse(report.packaging_photos) : [];
                     report.reporter_contact_info = report.reporter_contact_info ? JSON.parse(report.reporter_contact_info) : {};
+                    report.match_details = report.match_details ? JSON.parse(report.match_details) : [];
+                    report.outcome_details = report.outcome_details ? JSON.parse(report.outcome_details) : null;
                 } catch (e) {
                     report.evidence_photos = [];
                     report.packaging_photos = [];
                     report.reporter_contact_info = {};
+                    report.match_details = [];
+                    report.outcome_details = null;
                 }
             });
 
             res.json({
                 success: true,
-                reports,
+                reports: req.user.is_api ? reports.map(report => this.withoutReporterIdentity(report)) : reports,
                 pagination: {
                     current_page: parseInt(page),
                     per_page: parseInt(limit),
@@ -275,10 +310,16 @@ class ReportsController {
                     reporter.last_name as reporter_last_name,
                     investigator.username as investigator_username,
                     investigator.first_name as investigator_first_name,
-                    investigator.last_name as investigator_last_name
+                    investigator.last_name as investigator_last_name,
+                    mb.batch_number as matched_batch_number,
+                    md.name as matched_drug_name,
+                    mm.name as matched_manufacturer_name
                 FROM counterfeit_reports cr
                 LEFT JOIN users reporter ON cr.reporter_user_id = reporter.id
                 LEFT JOIN users investigator ON cr.assigned_investigator_id = investigator.id
+                LEFT JOIN drug_batches mb ON cr.matched_batch_id = mb.id
+                LEFT JOIN drugs md ON cr.matched_drug_id = md.id
+                LEFT JOIN manufacturers mm ON cr.matched_manufacturer_id = mm.id
                 WHERE cr.id = ?
             `, [reportId]);
 
@@ -302,15 +343,26 @@ class ReportsController {
                 report.evidence_photos = report.evidence_photos ? JSON.parse(report.evidence_photos) : [];
                 report.packaging_photos = report.packaging_photos ? JSON.parse(report.packaging_photos) : [];
                 report.reporter_contact_info = report.reporter_contact_info ? JSON.parse(report.reporter_contact_info) : {};
+                report.match_details = report.match_details ? JSON.parse(report.match_details) : [];
+                report.outcome_details = report.outcome_details ? JSON.parse(report.outcome_details) : null;
             } catch (e) {
                 report.evidence_photos = [];
                 report.packaging_photos = [];
                 report.reporter_contact_info = {};
+                report.match_details = [];
+                report.outcome_details = null;
+            }
+
+            // Reporters only see their own side of a cluster
+            let relatedReports = await reportTriage.getRelatedReports(report);
+            if (req.user.role === 'user') {
+                relatedReports = relatedReports.filter(related => related.reporter_user_id === req.user.id);
             }
+            const relatedScans = await reportTriage.getLinkedScans([report.id, ...relatedReports.map(related => related.id)]);
 
             // Get investigation history
             const investigationHistory = await dbManager.query(`
-                SELECT action, old_values, new_values, created_at, user_id,
+                SELECT at.action, at.old_values, at.new_values, at.created_at, at.user_id,
                        u.username, u.first_name, u.last_name
                 FROM audit_trail at
                 LEFT JOIN users u ON at.user_id = u.id
@@ -318,9 +370,21 @@ class ReportsController {
                 ORDER BY at.created_at DESC
             `, [reportId]);
 
+            // Integrations see the product side of a case, not who reported or scanned it
+            if (req.user.is_api) {
+                return res.json({
+                    success: true,
+                    report: this.withoutReporterIdentity(report),
+                    related_reports: relatedReports.map(related => this.withoutReporterIdentity(related)),
+                    investigation_history: investigationHistory
+                });
+            }
+
             res.json({
                 success: true,
                 report,
+                related_reports: relatedReports,
+                related_scans: relatedScans,
                 investigation_history: investigationHistory
             });
 
@@ -356,7 +420,8 @@ class ReportsController {
                 investigationNotes,
                 resolutionNotes,
                 publicAlertIssued = false,
-                alertMessage
+                alertMessage,
+                alertRegion = null
             } = req.body;
 
             // Get current report for audit log
@@ -434,19 +499,25 @@ class ReportsController {
 
             // Create public alert if specified
             if (publicAlertIssued && alertMessage) {
-                await dbManager.run(`
+                const alert = await dbManager.run(`
                     INSERT INTO alerts
-                    (alert_type, title, message, severity, related_report_id, is_public, created_by_user_id)
-                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                    (alert_type, title, message, severity, related_batch_id, related_drug_id, related_report_id,
+                     region, is_public, created_by_user_id)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                 `, [
                     'counterfeit_detected',
                     `Counterfeit Alert: ${currentReport.drug_name}`,
                     alertMessage,
                     currentReport.severity_level === 'critical' ? 'critical' : 'warning',
+                    currentReport.matched_batch_id,
+                    currentReport.matched_drug_id,
                     reportId,
+                    alertRegion,
                     1,
                     req.user.id
                 ]);
+
+                await notifications.notifyAlert(alert.id);
             }
 
             // Log the update
@@ -516,15 +587,24 @@ class ReportsController {
             try {
                 const evidencePhotos = report.evidence_photos ? JSON.parse(report.evidence_photos) : [];
                 const packagingPhotos = report.packaging_photos ? JSON.parse(report.packaging_photos) : [];
+                const caseFiles = await dbManager.query(
+                    'SELECT stored_filename FROM case_evidence WHERE report_id = ? AND stored_filename IS NOT NULL',
+                    [reportId]
+                );
 
-                for (const photo of [...evidencePhotos, ...packagingPhotos]) {
+                for (const photo of [...evidencePhotos, ...packagingPhotos, ...caseFiles.map(file => file.stored_filename)]) {
                     await this.deleteUploadedFile(photo);
                 }
             } catch (e) {
                 console.error('Error deleting associated files:', e);
             }
 
-            // Delete report
+            // Delete report with its linked scans and investigation case
+            for (const table of ['report_verification_links', 'case_events', 'case_tasks', 'case_evidence']) {
+                await dbManager.run(`DELETE FROM ${table} WHERE report_id = ?`, [reportId]);
+            }
+            // Alerts raised from the report outlive it
+            await dbManager.run('UPDATE alerts SET related_report_id = NULL WHERE related_report_id = ?', [reportId]);
             await dbManager.run('DELETE FROM counterfeit_reports WHERE id = ?', [reportId]);
 
             // Log deletion
@@ -714,6 +794,17 @@ class ReportsController {
         }
     }
 
+    /**
+     * Report without the fields that identify or contact its reporter
+     */
+    withoutReporterIdentity(report) {
+        const {
+            reporter_user_id, reporter_username, reporter_email, reporter_first_name, reporter_last_name,
+            reporter_contact_info, ...rest
+        } = report;
+        return rest;
+    }
+
     /**
      * Create alert for high severity reports
      */
@@ -725,7 +816,7 @@ class ReportsController {
                 Location: ${report.location_found || 'Not specified'}.
                 Immediate investigation required.`;
 
-            await dbManager.run(`
+            const alert = await dbManager.run(`
                 INSERT INTO alerts
                 (alert_type, title, message, severity, related_report_id, target_audience, is_public, created_by_user_id)
                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)
@@ -739,6 +830,8 @@ class ReportsController {
                 0,
                 report.reporter_user_id
             ]);
+
+            await notifications.notifyAlert(alert.id);
         } catch (error) {
             console.error('Error creating report alert:', error);
         }
@@ -1,15 +1,38 @@
 const dbManager = require('../config/database');
 const blockchain = require('../utils/blockchain');
+const serialization = require('../utils/serialization');
+const gs1 = require('../utils/gs1');
+const scanVelocity = require('../utils/scanVelocity');
+const scoringEngine = require('../utils/scoringEngine');
+const notifications = require('../utils/notifications');
 const crypto = require('crypto');
 const QrCode = require('qrcode');
 const Jimp = require('jimp');
 const jsQR = require('jsqr');
 
+// Batch fields a verification may show to anyone who scans; qr_code is left out because it
+// holds the manufacturer-signed payload, which would let the scanner print working copies
+const BATCH_INFO_FIELDS = [
+    'id', 'drug_id', 'batch_number', 'lot_number', 'manufacturing_date', 'expiry_date',
+    'quantity_remaining', 'unit_type', 'packaging_type', 'package_size', 'status',
+    'quality_check_status', 'drug_name', 'drug_code', 'generic_name', 'brand_name', 'strength',
+    'manufacturer_name', 'manufacturer_code'
+];
+
 /**
  * Drug Verification Controller
  * Handles drug authenticity verification through QR codes, barcodes, and manual entry
  */
 class VerificationController {
+    constructor() {
+        // Handlers are passed to Express unbound, so pin `this` to the singleton
+        Object.getOwnPropertyNames(VerificationController.prototype)
+            .filter(name => name !== 'constructor')
+            .forEach(name => {
+                this[name] = this[name].bind(this);
+            });
+    }
+
 
     /**
      * Verify drug authenticity by QR code or barcode
@@ -21,6 +44,7 @@ class VerificationController {
                 barcode,
                 batchNumber,
                 drugCode,
+                serialNumber = null,
                 verificationMethod = 'manual_entry',
                 locationData = null,
                 deviceInfo = null
@@ -43,11 +67,25 @@ class VerificationController {
 
             // Determine verification method and find batch
             let batch = null;
+            let qrSignatureValid = null;
+            let scannedSerial = serialNumber;
+            let gs1Data = null;
+            let lookupError = null;
             let actualMethod = verificationMethod;
 
             if (qrCode) {
                 actualMethod = 'qr_scan';
-                batch = await this.verifyQRCode(qrCode);
+                const qrResult = await this.verifyQRCode(qrCode);
+                batch = qrResult.batch;
+                qrSignatureValid = qrResult.signatureValid;
+                scannedSerial = qrResult.serialNumber;
+            } else if (barcode && gs1.isElementString(barcode)) {
+                actualMethod = 'barcode_scan';
+                const gs1Result = await this.verifyGS1Code(barcode);
+                batch = gs1Result.batch;
+                gs1Data = gs1Result.gs1;
+                lookupError = gs1Result.error;
+                scannedSerial = (gs1Data && gs1Data.serial) || scannedSerial;
             } else if (barcode) {
                 actualMethod = 'barcode_scan';
                 batch = await this.verifyBarcode(barcode);
@@ -62,10 +100,29 @@ class VerificationController {
 
             if (!batch) {
                 verificationResult.result = 'unknown';
+                verificationResult.gs1 = gs1Data;
+                if (lookupError) {
+                    verificationResult.risk_factors.push(lookupError);
+                }
                 verificationResult.risk_factors.push('Batch not found in database');
+            } else if (qrSignatureValid === false) {
+                // The batch exists but the code was not signed by its manufacturer. The scanned
+                // code is fake, but the genuine batch is not marked against: anyone can edit a code
+                verificationResult = {
+                    ...verificationResult,
+                    success: true,
+                    result: 'counterfeit',
+                    qr_signature_valid: false,
+                    risk_factors: ['QR code signature does not match the manufacturer key'],
+                    batch_info: this.toBatchInfo(batch)
+                };
             } else {
                 // Perform comprehensive verification
-                verificationResult = await this.performVerification(batch);
+                verificationResult = await this.performVerification(batch, {
+                    serialNumber: scannedSerial,
+                    gs1: gs1Data,
+                    scanContext: { locationData, userId, ipAddress }
+                });
             }
 
             // Calculate response time
@@ -74,13 +131,14 @@ class VerificationController {
             // Log verification attempt
             await dbManager.run(`
                 INSERT INTO verification_logs
-                (user_id, batch_id, verification_method, scanned_data, verification_result,
+                (user_id, batch_id, serial_number, verification_method, scanned_data, verification_result,
                  authenticity_score, risk_factors, location_data, device_info, ip_address,
-                 user_agent, response_time_ms)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                 user_agent, session_id, response_time_ms, rule_version)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `, [
                 userId,
                 batch ? batch.id : null,
+                scannedSerial,
                 actualMethod,
                 qrCode || barcode || `${batchNumber}:${drugCode}`,
                 verificationResult.result,
@@ -90,12 +148,15 @@ class VerificationController {
                 JSON.stringify(deviceInfo),
                 ipAddress,
                 userAgent,
-                responseTime
+                req.sessionId || null,
+                responseTime,
+                verificationResult.scoring ? verificationResult.scoring.rule_version : null
             ]);
 
             // Check for alerts and suspicious activity
-            if (verificationResult.result === 'counterfeit' || verificationResult.result === 'suspicious') {
-                await this.createSuspiciousActivityAlert(batch, verificationResult, req.user);
+            const cloneSuspected = verificationResult.scan_velocity && verificationResult.scan_velocity.clone_suspected;
+            if (verificationResult.result === 'counterfeit' || verificationResult.result === 'suspicious' || cloneSuspected) {
+                await this.createSuspiciousActivityAlert(batch, verificationResult, req.user, locationData);
             }
 
             res.json({
@@ -115,19 +176,19 @@ class VerificationController {
         }
     }
 
+    toBatchInfo(batch) {
+        return Object.fromEntries(BATCH_INFO_FIELDS.map(field => [field, batch[field] ?? null]));
+    }
+
     /**
      * Verify QR code data
+     * Resolves the batch the code points at and whether its manufacturer signature holds
      */
     async verifyQRCode(qrCodeData) {
         try {
             // Parse QR code data
             const parsedData = JSON.parse(qrCodeData);
-            const { drug_id, batch_id, batch_number, hash } = parsedData;
-
-            // Validate QR code integrity
-            if (!dbManager.validateQRCode(qrCodeData)) {
-                return null;
-            }
+            const { drug_id, batch_id, batch_number } = parsedData;
 
             // Find batch by QR code or batch details
             const batch = await dbManager.queryOne(`
@@ -137,6 +198,7 @@ class VerificationController {
                     d.drug_code,
                     d.generic_name,
                     d.brand_name,
+                    d.strength,
                     m.name as manufacturer_name,
                     m.code as manufacturer_code
                 FROM drug_batches db
@@ -145,10 +207,17 @@ class VerificationController {
                 WHERE db.qr_code = ? OR (db.id = ? AND d.id = ? AND db.batch_number = ?)
             `, [qrCodeData, batch_id, drug_id, batch_number]);
 
-            return batch;
+            if (!batch) {
+                return { batch: null, signatureValid: null, serialNumber: null };
+            }
+
+            // Validate the signature against the manufacturer public key
+            const signatureValid = await dbManager.validateQRCode(qrCodeData);
+
+            return { batch, signatureValid, serialNumber: parsedData.serial || null };
         } catch (error) {
             console.error('QR code verification error:', error);
-            return null;
+            return { batch: null, signatureValid: null, serialNumber: null };
         }
     }
 
@@ -164,6 +233,7 @@ class VerificationController {
                     d.drug_code,
                     d.generic_name,
                     d.brand_name,
+                    d.strength,
                     m.name as manufacturer_name,
                     m.code as manufacturer_code
                 FROM drug_batches db
@@ -179,6 +249,88 @@ class VerificationController {
         }
     }
 
+    /**
+     * Verify a GS1 element string (DataMatrix, GS1-128 or GS1 QR)
+     * GTIN resolves the drug, then lot or serial resolves the batch
+     */
+    async verifyGS1Code(data) {
+        let parsed;
+        try {
+            parsed = gs1.parse(data);
+        } catch (error) {
+            if (error instanceof gs1.GS1ParseError) {
+                return { batch: null, gs1: null, error: `Unreadable GS1 code: ${error.message}` };
+            }
+            throw error;
+        }
+
+        if (!parsed.gtin) {
+            return { batch: null, gs1: parsed, error: 'GS1 code does not carry a GTIN (01)' };
+        }
+
+        try {
+            const batchQuery = `
+                SELECT
+                    db.*,
+                    d.name as drug_name,
+                    d.drug_code,
+                    d.generic_name,
+                    d.brand_name,
+                    d.strength,
+                    m.name as manufacturer_name,
+                    m.code as manufacturer_code
+                FROM drug_batches db
+                JOIN drugs d ON db.drug_id = d.id
+                JOIN manufacturers m ON d.manufacturer_id = m.id
+            `;
+
+            let batch = null;
+            if (parsed.lot) {
+                batch = await dbManager.queryOne(`
+                    ${batchQuery}
+                    WHERE d.gtin = ? AND (db.lot_number = ? OR db.batch_number = ?)
+                `, [gs1.toGTIN14(parsed.gtin), parsed.lot, parsed.lot]);
+            } else if (parsed.serial) {
+                batch = await dbManager.queryOne(`
+                    ${batchQuery}
+                    JOIN serialized_units su ON su.batch_id = db.id
+                    WHERE d.gtin = ? AND su.serial_number = ?
+                `, [gs1.toGTIN14(parsed.gtin), parsed.serial]);
+            }
+
+            if (!batch) {
+                const drug = await dbManager.queryOne('SELECT id FROM drugs WHERE gtin = ?', [gs1.toGTIN14(parsed.gtin)]);
+                const error = drug
+                    ? `No batch of GTIN ${parsed.gtin} matches lot ${parsed.lot || '(none)'}`
+                    : `GTIN ${parsed.gtin} is not registered`;
+                return { batch: null, gs1: parsed, error };
+            }
+
+            return { batch, gs1: parsed, error: null };
+        } catch (error) {
+            console.error('GS1 verification error:', error);
+            return { batch: null, gs1: parsed, error: null };
+        }
+    }
+
+    /**
+     * Compare the expiry printed in a GS1 code with the batch record
+     * A printed day of 00 means "end of month", so only year and month are compared
+     */
+    hasPrintedExpiryMismatch(batch, gs1Data) {
+        const expiryElement = gs1Data.elements.find(element => element.ai === '17');
+        if (!expiryElement) {
+            return false;
+        }
+
+        const recordedExpiry = String(batch.expiry_date).substring(0, 10);
+        const matches = expiryElement.value.endsWith('00')
+            ? recordedExpiry.substring(0, 7) === gs1Data.expiry_date.substring(0, 7)
+            : recordedExpiry === gs1Data.expiry_date;
+
+        return !matches;
+    }
+
     /**
      * Verify manual entry
      */
@@ -191,6 +343,7 @@ class VerificationController {
                     d.drug_code,
                     d.generic_name,
                     d.brand_name,
+                    d.strength,
                     m.name as manufacturer_name,
                     m.code as manufacturer_code
                 FROM drug_batches db
@@ -208,93 +361,111 @@ class VerificationController {
 
     /**
      * Perform comprehensive verification
+     * Collects facts about the batch, printed label, supply chain, alerts, pack serial
+     * and scan history, then scores them with the active scoring rule set
      */
-    async performVerification(batch) {
+    async performVerification(batch, { serialNumber = null, gs1: gs1Data = null, scanContext = null } = {}) {
         const verificationResult = {
             success: true,
             result: 'authentic',
             authenticity_score: 100,
             risk_factors: [],
-            batch_info: batch,
+            batch_info: this.toBatchInfo(batch),
+            serial_info: null,
+            gs1: gs1Data,
+            scan_velocity: null,
             supply_chain: null,
-            alerts: []
+            alerts: [],
+            scoring: null
         };
 
-        // Check expiry date
-        const currentDate = new Date();
+        // Gather the facts the scoring rules are evaluated against
         const expiryDate = new Date(batch.expiry_date);
+        const facts = {
+            batch: {
+                status: batch.status,
+                quality_check_status: batch.quality_check_status,
+                expired: expiryDate < new Date(),
+                days_to_expiry: Math.floor((expiryDate - new Date()) / 86400000),
+                expiry_date: String(batch.expiry_date).substring(0, 10)
+            },
+            label: {
+                expiry_mismatch: false,
+                printed_expiry: gs1Data ? gs1Data.expiry_date || null : null
+            },
+            chain: { available: true, integrity_valid: null, anomaly_count: 0, risk_level: 'low' },
+            alerts: { count: 0, critical_count: 0 },
+            serial: { provided: !!serialNumber, issued: null, status: null, dispensed_at: null, status_reason: null },
+            scan: { scans_in_window: 0 }
+        };
 
-        if (expiryDate < currentDate) {
-            verificationResult.result = 'expired';
-            verificationResult.authenticity_score -= 30;
-            verificationResult.risk_factors.push('Product expired');
-        }
-
-        // Check batch status
-        if (batch.status === 'recalled') {
-            verificationResult.result = 'recalled';
-            verificationResult.authenticity_score -= 50;
-            verificationResult.risk_factors.push('Batch has been recalled');
-        }
-
-        if (batch.status === 'depleted') {
-            verificationResult.authenticity_score -= 20;
-            verificationResult.risk_factors.push('Batch depleted - may be counterfeit');
-        }
-
-        // Check quality control status
-        if (batch.quality_check_status === 'failed') {
-            verificationResult.result = 'suspicious';
-            verificationResult.authenticity_score -= 40;
-            verificationResult.risk_factors.push('Failed quality control check');
+        // Check the printed expiry against the batch record
+        if (gs1Data) {
+            facts.label.expiry_mismatch = this.hasPrintedExpiryMismatch(batch, gs1Data);
         }
 
-        // Get supply chain history
+        // Get supply chain history, with the cases and pallets a scanned pack travelled in
         try {
-            const supplyChainHistory = await blockchain.getSupplyChainHistory(batch.id);
+            const supplyChainHistory = await blockchain.getSupplyChainHistory(batch.id, { serialNumber });
             verificationResult.supply_chain = supplyChainHistory;
+            facts.chain.integrity_valid = supplyChainHistory.chainIntegrity.isValid;
 
             // Detect supply chain anomalies
             const anomalies = await blockchain.detectAnomalies(batch.id);
-            if (anomalies.anomaliesDetected) {
-                verificationResult.authenticity_score -= (anomalies.totalAnomalies * 10);
-                verificationResult.risk_factors.push(`Supply chain anomalies detected: ${anomalies.totalAnomalies}`);
-
-                if (anomalies.riskLevel === 'high') {
-                    verificationResult.result = 'suspicious';
-                }
-            }
+            facts.chain.anomaly_count = anomalies.totalAnomalies;
+            facts.chain.risk_level = anomalies.riskLevel;
         } catch (error) {
             console.error('Supply chain verification error:', error);
-            verificationResult.risk_factors.push('Unable to verify supply chain');
-            verificationResult.authenticity_score -= 15;
+            facts.chain.available = false;
         }
 
         // Check for active alerts related to this batch
         const alerts = await this.getActiveAlerts(batch.id, batch.drug_id);
-        if (alerts.length > 0) {
-            verificationResult.alerts = alerts;
-            verificationResult.authenticity_score -= (alerts.length * 10);
-
-            const criticalAlerts = alerts.filter(a => a.severity === 'critical');
-            if (criticalAlerts.length > 0) {
-                verificationResult.result = 'counterfeit';
-                verificationResult.authenticity_score = Math.min(verificationResult.authenticity_score, 20);
-            }
+        verificationResult.alerts = alerts;
+        facts.alerts.count = alerts.length;
+        facts.alerts.critical_count = alerts.filter(a => a.severity === 'critical').length;
+
+        // Check the individual pack
+        if (serialNumber) {
+            const unit = await serialization.getUnit(serialNumber);
+            const issued = !!unit && unit.batch_id === batch.id;
+
+            verificationResult.serial_info = issued
+                ? { serial_number: unit.serial_number, status: unit.status }
+                : { serial_number: serialNumber, status: 'unknown' };
+            facts.serial = {
+                provided: true,
+                issued,
+                status: issued ? unit.status : null,
+                dispensed_at: issued ? unit.dispensed_at : null,
+                status_reason: issued ? unit.status_reason : null
+            };
         }
 
-        // Final score calculation
-        verificationResult.authenticity_score = Math.max(0, Math.min(100, verificationResult.authenticity_score));
-
-        // Determine final result based on score
-        if (verificationResult.result === 'authentic') {
-            if (verificationResult.authenticity_score < 30) {
-                verificationResult.result = 'counterfeit';
-            } else if (verificationResult.authenticity_score < 70) {
-                verificationResult.result = 'suspicious';
+        // Check the scan history for clone and replay patterns
+        if (scanContext) {
+            try {
+                const velocity = await scanVelocity.analyze({ batch, serialNumber, ...scanContext });
+                verificationResult.scan_velocity = velocity;
+                facts.scan.scans_in_window = velocity.scans_in_window;
+                velocity.findings.forEach(finding => {
+                    facts.scan[finding.type] = { detected: true, message: finding.message };
+                });
+            } catch (error) {
+                console.error('Scan velocity analysis error:', error);
             }
         }
 
+        // Score with the active rule set
+        const scoring = await scoringEngine.evaluate(facts);
+        verificationResult.result = scoring.result;
+        verificationResult.authenticity_score = scoring.score;
+        verificationResult.risk_factors = scoring.risk_factors;
+        verificationResult.scoring = {
+            rule_version: scoring.rule_version,
+            matched_rules: scoring.matched_rules
+        };
+
         return verificationResult;
     }
 
@@ -327,34 +498,65 @@ class VerificationController {
 
     /**
      * Create suspicious activity alert
+     * Only the region named in the scan location is kept; coordinates stay in the verification log
      */
-    async createSuspiciousActivityAlert(batch, verificationResult, user) {
+    async createSuspiciousActivityAlert(batch, verificationResult, user, locationData = null) {
         try {
-            const alertTitle = verificationResult.result === 'counterfeit'
+            const cloneSuspected = verificationResult.scan_velocity && verificationResult.scan_velocity.clone_suspected;
+            // A forged code says nothing about the genuine batch it names, so it only gets a
+            // staff-only warning; a critical alert would make every genuine scan fail
+            const forgedCode = verificationResult.qr_signature_valid === false;
+            const counterfeit = verificationResult.result === 'counterfeit' && !forgedCode;
+            let alertTitle = counterfeit
                 ? 'Counterfeit Drug Detected'
                 : 'Suspicious Drug Activity';
 
+            if (forgedCode) {
+                alertTitle = 'Forged QR Code Scanned';
+            } else if (cloneSuspected && !counterfeit) {
+                alertTitle = 'Possible Cloned Label';
+            }
+
+            if (forgedCode || alertTitle === 'Possible Cloned Label') {
+                // One open alert of these kinds per batch is enough; repeat scans would only pile up duplicates
+                const openAlert = await dbManager.queryOne(`
+                    SELECT id FROM alerts
+                    WHERE related_batch_id = ? AND title = ? AND is_active = 1
+                    AND created_at > datetime('now', '-1 day')
+                `, [batch.id, alertTitle]);
+
+                if (openAlert) {
+                    return;
+                }
+            }
+
             const alertMessage = `${alertTitle} - ${batch ? batch.drug_name : 'Unknown drug'}
                 (Batch: ${batch ? batch.batch_number : 'Unknown'})
                 verified with authenticity score: ${verificationResult.authenticity_score}%.
                 Risk factors: ${verificationResult.risk_factors.join(', ')}`;
 
-            await dbManager.run(`
+            const region = locationData && [locationData.region, locationData.country]
+                .find(value => typeof value === 'string' && value.trim());
+
+            const alert = await dbManager.run(`
                 INSERT INTO alerts
                 (alert_type, title, message, severity, related_batch_id, related_drug_id,
-                 target_audience, is_public, created_by_user_id)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                 target_audience, region, is_public, created_by_user_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `, [
-                verificationResult.result === 'counterfeit' ? 'counterfeit_detected' : 'suspicious_activity',
+                counterfeit ? 'counterfeit_detected' : 'suspicious_activity',
                 alertTitle,
                 alertMessage,
-                verificationResult.result === 'counterfeit' ? 'critical' : 'warning',
+                counterfeit ? 'critical' : 'warning',
                 batch ? batch.id : null,
                 batch ? batch.drug_id : null,
                 JSON.stringify(['admin', 'pharmacist']),
-                verificationResult.result === 'counterfeit' ? 1 : 0,
+                region ? region.trim().slice(0, 100) : null,
+                counterfeit ? 1 : 0,
                 user ? user.id : null
             ]);
+
+            await notifications.notifyAlert(alert.id);
         } catch (error) {
             console.error('Error creating alert:', error);
         }
@@ -436,7 +638,7 @@ class VerificationController {
             }
 
             // Generate QR code data
-            const qrCodeData = dbManager.generateQRCode(batch.drug_id, batch.id, batch.batch_number);
+            const qrCodeData = await dbManager.generateQRCode(batch.drug_id, batch.id, batch.batch_number);
 
             // Update batch with QR code
             await dbManager.run(
@@ -471,6 +673,47 @@ class VerificationController {
         }
     }
 
+    /**
+     * Get a manufacturer's QR signing public key for offline verification
+     */
+    async getManufacturerPublicKey(req, res) {
+        try {
+            const { manufacturerCode } = req.params;
+
+            const manufacturer = await dbManager.queryOne(`
+                SELECT id, name, code, signing_public_key, signing_key_created_at
+                FROM manufacturers
+                WHERE code = ? AND is_active = 1
+            `, [manufacturerCode]);
+
+            if (!manufacturer || !manufacturer.signing_public_key) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'No signing key found for this manufacturer'
+                });
+            }
+
+            res.json({
+                success: true,
+                manufacturer: {
+                    name: manufacturer.name,
+                    code: manufacturer.code
+                },
+                public_key: manufacturer.signing_public_key,
+                algorithm: 'ECDSA-P256-SHA256',
+                key_created_at: manufacturer.signing_key_created_at
+            });
+
+        } catch (error) {
+            console.error('Public key lookup error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get manufacturer public key',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
     /**
      * Get verification statistics
      */
@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const dbManager = require('../config/database');
+const telemetry = require('../utils/telemetry');
+const apiKeys = require('../utils/apiKeys');
+const sessions = require('../utils/sessions');
 
 /**
  * Authentication middleware
@@ -20,7 +23,7 @@ const authenticateToken = async (req, res, next) => {
 
         // Get user from database
         const user = await dbManager.queryOne(
-            'SELECT id, username, email, role, is_active, is_verified FROM users WHERE id = ?',
+            'SELECT id, username, email, role, entity_id, is_active, is_verified FROM users WHERE id = ?',
             [decoded.userId]
         );
 
@@ -38,6 +41,16 @@ const authenticateToken = async (req, res, next) => {
             });
         }
 
+        // Tokens stop working as soon as their session is revoked
+        const session = decoded.sid ? await sessions.findActiveSession(decoded.sid, user.id) : null;
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has expired or been revoked',
+                code: 'SESSION_REVOKED'
+            });
+        }
+
         // Update last login
         await dbManager.run(
             'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
@@ -45,6 +58,7 @@ const authenticateToken = async (req, res, next) => {
         );
 
         req.user = user;
+        req.sessionId = session.id;
         next();
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
@@ -113,7 +127,12 @@ const optionalAuth = async (req, res, next) => {
             [decoded.userId]
         );
 
-        req.user = user && user.is_active ? user : null;
+        const session = user && user.is_active && decoded.sid
+            ? await sessions.findActiveSession(decoded.sid, user.id)
+            : null;
+
+        req.user = session ? user : null;
+        req.sessionId = session ? session.id : null;
     } catch (error) {
         req.user = null;
     }
@@ -122,14 +141,15 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Generate JWT token
+ * Generate JWT token for a session
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
     const payload = {
         userId: user.id,
         username: user.username,
         email: user.email,
-        role: user.role
+        role: user.role,
+        sid: sessionId
     };
 
     return jwt.sign(
@@ -144,25 +164,29 @@ const generateToken = (user) => {
 
 /**
  * Generate refresh token
+ * The token ID is single-use; the session only accepts the one it issued last
  */
-const generateRefreshToken = (user) => {
+const generateRefreshToken = (user, session) => {
     const payload = {
         userId: user.id,
-        type: 'refresh'
+        type: 'refresh',
+        sid: session.id
     };
 
     return jwt.sign(
         payload,
         process.env.JWT_REFRESH_SECRET || 'fallback_refresh_secret',
         {
-            expiresIn: '7d',
-            issuer: 'drug-verification-system'
+            expiresIn: Math.round(sessions.ttlMs / 1000),
+            issuer: 'drug-verification-system',
+            jwtid: session.tokenId
         }
     );
 };
 
 /**
  * Verify refresh token
+ * Returns the user with the session and token ID the token was issued for
  */
 const verifyRefreshToken = async (token) => {
     try {
@@ -181,14 +205,53 @@ const verifyRefreshToken = async (token) => {
             throw new Error('User not found or inactive');
         }
 
-        return user;
+        return { user, sessionId: decoded.sid, tokenId: decoded.jti };
     } catch (error) {
         throw error;
     }
 };
 
+/**
+ * Generate a short-lived token proving the password step of a login
+ * It carries no session, so it is only accepted by the two-factor login routes
+ */
+const generateTwoFactorChallenge = (user) => {
+    return jwt.sign(
+        { userId: user.id, type: 'two_factor' },
+        process.env.JWT_SECRET || 'fallback_secret',
+        {
+            expiresIn: '5m',
+            issuer: 'drug-verification-system'
+        }
+    );
+};
+
+/**
+ * Verify a two-factor challenge token and return its user
+ */
+const verifyTwoFactorChallenge = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+
+    if (decoded.type !== 'two_factor') {
+        throw new Error('Invalid token type');
+    }
+
+    const user = await dbManager.queryOne(`
+        SELECT id, username, email, first_name, last_name, role, organization,
+               license_number, is_active, is_verified, last_login
+        FROM users WHERE id = ?
+    `, [decoded.userId]);
+
+    if (!user || !user.is_active) {
+        throw new Error('User not found or inactive');
+    }
+
+    return user;
+};
+
 /**
  * API key authentication (for external integrations)
+ * The key's requests are metered against it in api_logs
  */
 const authenticateApiKey = async (req, res, next) => {
     const apiKey = req.headers['x-api-key'];
@@ -201,25 +264,40 @@ const authenticateApiKey = async (req, res, next) => {
     }
 
     try {
-        // In a real implementation, you would store API keys in database
-        // For this demo, we'll use environment variables
-        const validApiKeys = (process.env.VALID_API_KEYS || '').split(',');
+        const key = await apiKeys.findActiveKey(apiKey);
 
-        if (!validApiKeys.includes(apiKey)) {
+        if (!key) {
             return res.status(401).json({
                 success: false,
-                message: 'Invalid API key'
+                message: 'Invalid, expired or revoked API key'
             });
         }
 
-        // Set a system user for API key requests
+        // Integrations act as their organization, not as a user account
         req.user = {
-            id: 0,
-            username: 'api_user',
+            id: null,
+            username: `api:${key.name}`,
             role: 'api',
+            entity_id: key.entity_id,
+            organization: key.organization,
+            scopes: key.scopes,
+            api_key_id: key.id,
             is_api: true
         };
 
+        const startTime = Date.now();
+        res.on('finish', () => {
+            apiKeys.recordUsage(key.id, {
+                endpoint: req.originalUrl,
+                method: req.method,
+                statusCode: res.statusCode,
+                requestBody: req.method !== 'GET' ? JSON.stringify(req.body) : null,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                executionTimeMs: Date.now() - startTime
+            }).catch(err => console.error('API key usage log error:', err));
+        });
+
         next();
     } catch (error) {
         console.error('API key authentication error:', error);
@@ -230,6 +308,74 @@ const authenticateApiKey = async (req, res, next) => {
     }
 };
 
+/**
+ * Scope check for API key requests; user tokens are left to authorize()
+ */
+const requireScope = (scope) => {
+    return (req, res, next) => {
+        if (req.user && req.user.is_api && !req.user.scopes.includes(scope)) {
+            return res.status(403).json({
+                success: false,
+                message: 'API key lacks the required scope',
+                required_scope: scope,
+                key_scopes: req.user.scopes
+            });
+        }
+
+        next();
+    };
+};
+
+/**
+ * Accept an API key with the given scope in place of user authentication
+ * Requests without an X-API-Key header go through userAuth as before
+ */
+const allowApiKey = (scope, userAuth = authenticateToken) => {
+    const checkScope = requireScope(scope);
+
+    return (req, res, next) => {
+        if (!req.headers['x-api-key']) {
+            return userAuth(req, res, next);
+        }
+
+        return authenticateApiKey(req, res, () => checkScope(req, res, next));
+    };
+};
+
+/**
+ * Device key authentication for IoT loggers
+ */
+const authenticateDevice = async (req, res, next) => {
+    const deviceKey = req.headers['x-device-key'];
+
+    if (!deviceKey) {
+        return res.status(401).json({
+            success: false,
+            message: 'Device key required'
+        });
+    }
+
+    try {
+        const device = await telemetry.findDeviceByKey(deviceKey);
+
+        if (!device) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or inactive device key'
+            });
+        }
+
+        req.device = device;
+        next();
+    } catch (error) {
+        console.error('Device authentication error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Authentication error'
+        });
+    }
+};
+
 /**
  * Rate limiting middleware
  */
@@ -237,7 +383,8 @@ const rateLimitByUser = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
     const requests = new Map();
 
     return (req, res, next) => {
-        const userId = req.user ? req.user.id : req.ip;
+        // API keys have no user account, so each key gets its own allowance
+        const userId = req.user ? (req.user.api_key_id ? `api_key:${req.user.api_key_id}` : req.user.id) : req.ip;
         const now = Date.now();
         const windowStart = now - windowMs;
 
@@ -275,11 +422,43 @@ const rateLimitByUser = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
     };
 };
 
+// Request fields holding credentials or one-time secrets, never written to the audit log
+const REDACTED_AUDIT_FIELDS = [
+    'password',
+    'currentPassword',
+    'newPassword',
+    'confirmPassword',
+    'code',
+    'recoveryCode',
+    'challengeToken',
+    'token',
+    'refresh_token'
+];
+
+/**
+ * Request body as stored in the audit log, with secrets masked
+ */
+const redactAuditBody = (body) => {
+    if (!body || typeof body !== 'object') {
+        return body;
+    }
+
+    return Object.fromEntries(Object.entries(body).map(([key, value]) => [
+        key,
+        REDACTED_AUDIT_FIELDS.includes(key) && value !== undefined && value !== null ? '[REDACTED]' : value
+    ]));
+};
+
 /**
  * Audit logging middleware
  */
 const auditLog = (action) => {
     return async (req, res, next) => {
+        // API key requests are already logged against their key
+        if (req.user && req.user.is_api) {
+            return next();
+        }
+
         const originalSend = res.json;
 
         res.json = function(body) {
@@ -291,7 +470,7 @@ const auditLog = (action) => {
                 url: req.originalUrl,
                 ip_address: req.ip,
                 user_agent: req.get('User-Agent'),
-                request_body: req.method !== 'GET' ? JSON.stringify(req.body) : null,
+                request_body: req.method !== 'GET' ? JSON.stringify(redactAuditBody(req.body)) : null,
                 response_status: res.statusCode,
                 timestamp: new Date().toISOString()
             };
@@ -348,7 +527,12 @@ module.exports = {
     generateToken,
     generateRefreshToken,
     verifyRefreshToken,
+    generateTwoFactorChallenge,
+    verifyTwoFactorChallenge,
     authenticateApiKey,
+    requireScope,
+    allowApiKey,
+    authenticateDevice,
     rateLimitByUser,
     auditLog,
     requireVerification
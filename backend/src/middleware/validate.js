@@ -0,0 +1,21 @@
+const { validationResult } = require('express-validator');
+
+/**
+ * Reject the request with the express-validator errors collected so far
+ * Place after the validation chain for routes with inline handlers
+ */
+const validateRequest = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+    next();
+};
+
+module.exports = {
+    validateRequest
+};
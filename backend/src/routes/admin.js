@@ -3,6 +3,14 @@ const { body, param, query } = require('express-validator');
 const { authenticateToken, authorize, auditLog } = require('../middleware/auth');
 const dbManager = require('../config/database');
 const blockchain = require('../utils/blockchain');
+const gs1 = require('../utils/gs1');
+const coldChain = require('../utils/coldChain');
+const scoringEngine = require('../utils/scoringEngine');
+const apiKeys = require('../utils/apiKeys');
+const sessions = require('../utils/sessions');
+const twoFactor = require('../utils/twoFactor');
+const loginProtection = require('../utils/loginProtection');
+const { validateRequest } = require('../middleware/validate');
 
 const router = express.Router();
 
@@ -151,7 +159,7 @@ router.get('/users',
             }
 
             const users = await dbManager.query(`
-                SELECT id, username, email, first_name, last_name, role, organization,
+                SELECT id, username, email, first_name, last_name, role, organization, entity_id,
                        license_number, is_active, is_verified, last_login, created_at
                 FROM users
                 WHERE ${whereClause}
@@ -163,9 +171,17 @@ router.get('/users',
                 SELECT COUNT(*) as count FROM users WHERE ${whereClause}
             `, params);
 
+            const lockouts = await loginProtection.getAccountStatuses(users.map(user => user.id));
+
             res.json({
                 success: true,
-                users,
+                users: users.map(user => ({
+                    ...user,
+                    failed_login_attempts: 0,
+                    last_failed_login_at: null,
+                    locked_until: null,
+                    ...lockouts[user.id]
+                })),
                 pagination: {
                     current_page: parseInt(page),
                     per_page: parseInt(limit),
@@ -197,11 +213,13 @@ router.put('/users/:userId',
     body('role').optional().isIn(['user', 'pharmacist', 'admin', 'manufacturer', 'distributor', 'retailer']).withMessage('Invalid role'),
     body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
     body('isVerified').optional().isBoolean().withMessage('isVerified must be a boolean'),
+    body('entityId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Entity ID must be a positive integer').toInt(),
+    validateRequest,
     auditLog('ADMIN_USER_UPDATE'),
     async (req, res) => {
         try {
             const { userId } = req.params;
-            const { role, isActive, isVerified } = req.body;
+            const { role, isActive, isVerified, entityId } = req.body;
 
             // Get current user for audit log
             const currentUser = await dbManager.queryOne(
@@ -232,6 +250,20 @@ router.put('/users/:userId',
                 updateFields.push('is_verified = ?');
                 updateParams.push(isVerified ? 1 : 0);
             }
+            if (entityId !== undefined) {
+                // Links the user to the supply chain entity they act for; null unlinks
+                if (entityId !== null) {
+                    const entity = await dbManager.queryOne('SELECT id FROM supply_chain_entities WHERE id = ?', [entityId]);
+                    if (!entity) {
+                        return res.status(400).json({
+                            success: false,
+                            message: 'Invalid entity ID'
+                        });
+                    }
+                }
+                updateFields.push('entity_id = ?');
+                updateParams.push(entityId);
+            }
 
             if (updateFields.length === 0) {
                 return res.status(400).json({
@@ -259,15 +291,16 @@ router.put('/users/:userId',
                 JSON.stringify({
                     role: currentUser.role,
                     is_active: currentUser.is_active,
-                    is_verified: currentUser.is_verified
+                    is_verified: currentUser.is_verified,
+                    entity_id: currentUser.entity_id
                 }),
-                JSON.stringify({ role, isActive, isVerified }),
+                JSON.stringify({ role, isActive, isVerified, entityId }),
                 req.ip,
                 req.get('User-Agent')
             ]);
 
             const updatedUser = await dbManager.queryOne(`
-                SELECT id, username, email, first_name, last_name, role, is_active, is_verified, updated_at
+                SELECT id, username, email, first_name, last_name, role, entity_id, is_active, is_verified, updated_at
                 FROM users WHERE id = ?
             `, [userId]);
 
@@ -288,6 +321,180 @@ router.put('/users/:userId',
     }
 );
 
+/**
+ * @route   POST /api/admin/users/:userId/logout
+ * @desc    Revoke every session of a user so they must sign in again
+ * @access  Private (Admin only)
+ */
+router.post('/users/:userId/logout',
+    authenticateToken,
+    authorize('admin'),
+    param('userId').isInt({ min: 1 }).withMessage('Valid user ID is required').toInt(),
+    validateRequest,
+    auditLog('ADMIN_USER_LOGOUT'),
+    async (req, res) => {
+        try {
+            const { userId } = req.params;
+
+            const user = await dbManager.queryOne('SELECT id, username FROM users WHERE id = ?', [userId]);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            const revoked = await sessions.revokeAllSessions(userId, {
+                reason: 'admin_logout',
+                revokedBy: req.user.id
+            });
+
+            await dbManager.run(`
+                INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                req.user.id,
+                'ADMIN_USER_LOGOUT',
+                'users',
+                userId,
+                JSON.stringify({ username: user.username, revoked_sessions: revoked }),
+                req.ip,
+                req.get('User-Agent')
+            ]);
+
+            res.json({
+                success: true,
+                message: `Revoked ${revoked} session${revoked === 1 ? '' : 's'} for ${user.username}`,
+                revoked_sessions: revoked
+            });
+
+        } catch (error) {
+            console.error('Admin force logout error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to log out user',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/admin/users/:userId/unlock
+ * @desc    Clear a user's failed sign-in attempts, lifting any lockout
+ * @access  Private (Admin only)
+ */
+router.post('/users/:userId/unlock',
+    authenticateToken,
+    authorize('admin'),
+    param('userId').isInt({ min: 1 }).withMessage('Valid user ID is required').toInt(),
+    validateRequest,
+    auditLog('ADMIN_USER_UNLOCK'),
+    async (req, res) => {
+        try {
+            const { userId } = req.params;
+
+            const user = await dbManager.queryOne('SELECT id, username FROM users WHERE id = ?', [userId]);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            const cleared = await loginProtection.unlock(userId);
+
+            await dbManager.run(`
+                INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                req.user.id,
+                'ADMIN_USER_UNLOCK',
+                'users',
+                userId,
+                JSON.stringify({ username: user.username, cleared_failed_attempts: cleared }),
+                req.ip,
+                req.get('User-Agent')
+            ]);
+
+            res.json({
+                success: true,
+                message: `Sign-in unlocked for ${user.username}`,
+                cleared_failed_attempts: cleared
+            });
+
+        } catch (error) {
+            console.error('Admin user unlock error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to unlock user',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   DELETE /api/admin/users/:userId/2fa
+ * @desc    Remove a user's authenticator and recovery codes, e.g. after a lost device
+ * @access  Private (Admin only)
+ */
+router.delete('/users/:userId/2fa',
+    authenticateToken,
+    authorize('admin'),
+    param('userId').isInt({ min: 1 }).withMessage('Valid user ID is required').toInt(),
+    validateRequest,
+    auditLog('ADMIN_TWO_FACTOR_RESET'),
+    async (req, res) => {
+        try {
+            const { userId } = req.params;
+
+            const user = await dbManager.queryOne('SELECT id, username, role FROM users WHERE id = ?', [userId]);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            if (!await twoFactor.disable(userId)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'User has not set up two-factor authentication'
+                });
+            }
+
+            await dbManager.run(`
+                INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                req.user.id,
+                'ADMIN_TWO_FACTOR_RESET',
+                'users',
+                userId,
+                JSON.stringify({ username: user.username }),
+                req.ip,
+                req.get('User-Agent')
+            ]);
+
+            res.json({
+                success: true,
+                message: await twoFactor.isRequiredFor(user.role)
+                    ? `Two-factor authentication reset; ${user.username} must enrol again at next sign-in`
+                    : `Two-factor authentication reset for ${user.username}`
+            });
+
+        } catch (error) {
+            console.error('Admin two-factor reset error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to reset two-factor authentication',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
 /**
  * @route   GET /api/admin/drugs
  * @desc    Get list of drugs with management capabilities
@@ -310,9 +517,9 @@ router.get('/drugs',
             const params = [];
 
             if (search) {
-                whereClause += ' AND (d.name LIKE ? OR d.generic_name LIKE ? OR d.drug_code LIKE ?)';
+                whereClause += ' AND (d.name LIKE ? OR d.generic_name LIKE ? OR d.drug_code LIKE ? OR d.gtin LIKE ?)';
                 const searchParam = `%${search}%`;
-                params.push(searchParam, searchParam, searchParam);
+                params.push(searchParam, searchParam, searchParam, searchParam);
             }
 
             if (manufacturerId) {
@@ -347,6 +554,9 @@ router.get('/drugs',
                 } catch (e) {
                     drug.active_ingredients = [];
                 }
+
+                // The profile anomaly detection will apply, explicit or parsed from storage_conditions
+                drug.storage_profile = coldChain.getProfile(drug);
             });
 
             res.json({
@@ -382,9 +592,15 @@ router.post('/drugs',
     body('name').isLength({ min: 1, max: 255 }).withMessage('Drug name is required and must be less than 255 characters').trim(),
     body('drugCode').isLength({ min: 1, max: 100 }).withMessage('Drug code is required and must be less than 100 characters').trim(),
     body('manufacturerId').isInt({ min: 1 }).withMessage('Valid manufacturer ID is required'),
+    body('gtin')
+        .optional({ checkFalsy: true })
+        .custom(value => gs1.isValidGTIN(String(value)))
+        .withMessage('GTIN must be 8, 12, 13 or 14 digits with a valid check digit'),
     body('dosageForm').optional().isLength({ max: 100 }).withMessage('Dosage form must be less than 100 characters').trim(),
     body('strength').optional().isLength({ max: 100 }).withMessage('Strength must be less than 100 characters').trim(),
     body('description').optional().isLength({ max: 2000 }).withMessage('Description must be less than 2000 characters').trim(),
+    body('storageConditions').optional().isLength({ max: 500 }).withMessage('Storage conditions must be less than 500 characters').trim(),
+    body('storageProfile').optional({ nullable: true }).isObject().withMessage('Storage profile must be an object'),
     auditLog('ADMIN_DRUG_CREATE'),
     async (req, res) => {
         try {
@@ -394,6 +610,7 @@ router.post('/drugs',
                 brandName,
                 drugCode,
                 ndcNumber,
+                gtin,
                 manufacturerId,
                 categoryId,
                 dosageForm,
@@ -401,9 +618,23 @@ router.post('/drugs',
                 activeIngredients = [],
                 description,
                 therapeuticClass,
-                prescriptionRequired = true
+                prescriptionRequired = true,
+                storageConditions,
+                storageProfile
             } = req.body;
 
+            let normalizedProfile = null;
+            if (storageProfile) {
+                try {
+                    normalizedProfile = coldChain.normalizeProfile(storageProfile);
+                } catch (error) {
+                    return res.status(error.statusCode || 400).json({
+                        success: false,
+                        message: error.message
+                    });
+                }
+            }
+
             // Check if drug code already exists
             const existingDrug = await dbManager.queryOne(
                 'SELECT id FROM drugs WHERE drug_code = ?',
@@ -417,6 +648,19 @@ router.post('/drugs',
                 });
             }
 
+            // GTINs are stored in their 14-digit form so every symbology maps to the same drug
+            const normalizedGtin = gtin ? gs1.toGTIN14(gtin) : null;
+            if (normalizedGtin) {
+                const existingGtin = await dbManager.queryOne('SELECT id FROM drugs WHERE gtin = ?', [normalizedGtin]);
+
+                if (existingGtin) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'Drug with this GTIN already exists'
+                    });
+                }
+            }
+
             // Verify manufacturer exists
             const manufacturer = await dbManager.queryOne(
                 'SELECT id FROM manufacturers WHERE id = ?',
@@ -432,12 +676,14 @@ router.post('/drugs',
 
             const result = await dbManager.run(`
                 INSERT INTO drugs
-                (name, generic_name, brand_name, drug_code, ndc_number, manufacturer_id, category_id,
-                 dosage_form, strength, active_ingredients, description, therapeutic_class, prescription_required)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                (name, generic_name, brand_name, drug_code, ndc_number, gtin, manufacturer_id, category_id,
+                 dosage_form, strength, active_ingredients, description, therapeutic_class, prescription_required,
+                 storage_conditions, storage_profile)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `, [
-                name, genericName, brandName, drugCode, ndcNumber, manufacturerId, categoryId,
-                dosageForm, strength, JSON.stringify(activeIngredients), description, therapeuticClass, prescriptionRequired ? 1 : 0
+                name, genericName, brandName, drugCode, ndcNumber, normalizedGtin, manufacturerId, categoryId,
+                dosageForm, strength, JSON.stringify(activeIngredients), description, therapeuticClass, prescriptionRequired ? 1 : 0,
+                storageConditions || null, normalizedProfile ? JSON.stringify(normalizedProfile) : null
             ]);
 
             const newDrug = await dbManager.queryOne(`
@@ -464,6 +710,64 @@ router.post('/drugs',
     }
 );
 
+/**
+ * @route   PUT /api/admin/drugs/:drugId/storage-profile
+ * @desc    Set or clear a drug's cold-chain storage profile
+ * @access  Private (Admin only)
+ */
+router.put('/drugs/:drugId/storage-profile',
+    authenticateToken,
+    authorize('admin'),
+    param('drugId').isInt({ min: 1 }).withMessage('Valid drug ID is required'),
+    body('storageConditions').optional().isLength({ max: 500 }).withMessage('Storage conditions must be less than 500 characters').trim(),
+    body('storageProfile').optional({ nullable: true }).isObject().withMessage('Storage profile must be an object'),
+    validateRequest,
+    auditLog('ADMIN_DRUG_STORAGE_PROFILE_UPDATE'),
+    async (req, res) => {
+        try {
+            const { drugId } = req.params;
+            const { storageConditions, storageProfile } = req.body;
+
+            const drug = await dbManager.queryOne('SELECT id, storage_conditions, storage_profile FROM drugs WHERE id = ?', [drugId]);
+            if (!drug) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Drug not found'
+                });
+            }
+
+            // A null profile clears it, so the profile is parsed from storage_conditions again
+            if (storageProfile !== undefined) {
+                drug.storage_profile = storageProfile ? JSON.stringify(coldChain.normalizeProfile(storageProfile)) : null;
+            }
+            if (storageConditions !== undefined) {
+                drug.storage_conditions = storageConditions || null;
+            }
+
+            await dbManager.run(`
+                UPDATE drugs
+                SET storage_conditions = ?, storage_profile = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [drug.storage_conditions, drug.storage_profile, drug.id]);
+
+            res.json({
+                success: true,
+                message: 'Storage profile updated successfully',
+                storage_conditions: drug.storage_conditions,
+                storage_profile: coldChain.getProfile(drug)
+            });
+
+        } catch (error) {
+            console.error('Admin storage profile update error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to update storage profile',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
 /**
  * @route   GET /api/admin/batches
  * @desc    Get list of drug batches
@@ -593,7 +897,7 @@ router.post('/batches',
             }
 
             // Generate QR code and barcode
-            const qrCode = dbManager.generateQRCode(drugId, null, batchNumber);
+            const qrCode = await dbManager.generateQRCode(drugId, null, batchNumber);
             const barcode = `BC${batchNumber}${Date.now().toString().slice(-6)}`;
 
             const result = await dbManager.run(`
@@ -607,7 +911,7 @@ router.post('/batches',
             ]);
 
             // Update QR code with actual batch ID
-            const updatedQrCode = dbManager.generateQRCode(drugId, result.id, batchNumber);
+            const updatedQrCode = await dbManager.generateQRCode(drugId, result.id, batchNumber);
             await dbManager.run(
                 'UPDATE drug_batches SET qr_code = ? WHERE id = ?',
                 [updatedQrCode, result.id]
@@ -711,6 +1015,16 @@ router.put('/system/config',
         try {
             const { configs } = req.body;
 
+            const invalidRoles = configs.find(config =>
+                config.key === twoFactor.requiredRolesKey && !twoFactor.parseRoles(config.value)
+            );
+            if (invalidRoles) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${twoFactor.requiredRolesKey} must be a comma-separated list of: ${twoFactor.roles.join(', ')}`
+                });
+            }
+
             for (const config of configs) {
                 await dbManager.run(`
                     UPDATE system_config
@@ -736,6 +1050,332 @@ router.put('/system/config',
     }
 );
 
+/**
+ * @route   GET /api/admin/scoring-rules
+ * @desc    Get the active authenticity scoring rule set, its version history and the available facts
+ * @access  Private (Admin only)
+ */
+router.get('/scoring-rules',
+    authenticateToken,
+    authorize('admin'),
+    auditLog('ADMIN_SCORING_RULES_VIEW'),
+    async (req, res) => {
+        try {
+            const active = await scoringEngine.getActiveRuleSet();
+            const versions = await scoringEngine.listVersions();
+
+            res.json({
+                success: true,
+                scoring_rules: active,
+                versions,
+                facts: scoringEngine.facts,
+                operators: scoringEngine.operators,
+                results: scoringEngine.results
+            });
+
+        } catch (error) {
+            console.error('Admin scoring rules view error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve scoring rules',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/admin/scoring-rules/:version
+ * @desc    Get one version of the scoring rule set
+ * @access  Private (Admin only)
+ */
+router.get('/scoring-rules/:version',
+    authenticateToken,
+    authorize('admin'),
+    param('version').isInt({ min: 1 }).withMessage('Valid version is required').toInt(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const ruleSet = await scoringEngine.getVersion(req.params.version);
+
+            if (!ruleSet) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Scoring rule version not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                scoring_rules: ruleSet
+            });
+
+        } catch (error) {
+            console.error('Admin scoring rules version error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve scoring rule version',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   PUT /api/admin/scoring-rules
+ * @desc    Save the scoring rules as a new active version
+ * @access  Private (Admin only)
+ */
+router.put('/scoring-rules',
+    authenticateToken,
+    authorize('admin'),
+    body('rules').isArray({ min: 1 }).withMessage('Rules must be a non-empty array'),
+    body('thresholds').isObject().withMessage('Thresholds are required'),
+    body('changeNote').optional().isLength({ max: 500 }).withMessage('Change note must be less than 500 characters').trim(),
+    validateRequest,
+    auditLog('ADMIN_SCORING_RULES_UPDATE'),
+    async (req, res) => {
+        try {
+            const ruleSet = await scoringEngine.saveRuleSet(
+                { rules: req.body.rules, thresholds: req.body.thresholds },
+                { userId: req.user.id, changeNote: req.body.changeNote || null }
+            );
+
+            res.json({
+                success: true,
+                message: `Scoring rules saved as version ${ruleSet.version}`,
+                scoring_rules: ruleSet
+            });
+
+        } catch (error) {
+            console.error('Admin scoring rules update error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to save scoring rules',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/admin/scoring-rules/:version/activate
+ * @desc    Make an earlier scoring rule version active again
+ * @access  Private (Admin only)
+ */
+router.post('/scoring-rules/:version/activate',
+    authenticateToken,
+    authorize('admin'),
+    param('version').isInt({ min: 1 }).withMessage('Valid version is required').toInt(),
+    validateRequest,
+    auditLog('ADMIN_SCORING_RULES_ACTIVATE'),
+    async (req, res) => {
+        try {
+            const ruleSet = await scoringEngine.activateVersion(req.params.version);
+
+            if (!ruleSet) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Scoring rule version not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `Scoring rules version ${ruleSet.version} is now active`,
+                scoring_rules: ruleSet
+            });
+
+        } catch (error) {
+            console.error('Admin scoring rules activate error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to activate scoring rule version',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/admin/api-keys
+ * @desc    List integration API keys with their recent request counts
+ * @access  Private (Admin only)
+ */
+router.get('/api-keys',
+    authenticateToken,
+    authorize('admin'),
+    query('organization').optional().isLength({ min: 1, max: 255 }).withMessage('Organization filter must be between 1 and 255 characters').trim(),
+    query('includeRevoked').optional().isBoolean().withMessage('includeRevoked must be a boolean').toBoolean(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const keys = await apiKeys.listKeys({
+                organization: req.query.organization || null,
+                includeRevoked: req.query.includeRevoked || false
+            });
+
+            res.json({
+                success: true,
+                api_keys: keys,
+                scopes: apiKeys.scopes
+            });
+
+        } catch (error) {
+            console.error('Admin API key list error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get API keys',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/admin/api-keys
+ * @desc    Issue an API key for an external integration
+ * @access  Private (Admin only)
+ */
+router.post('/api-keys',
+    authenticateToken,
+    authorize('admin'),
+    body('name').isLength({ min: 1, max: 100 }).withMessage('Name is required and must be less than 100 characters').trim(),
+    body('organization').isLength({ min: 1, max: 255 }).withMessage('Organization is required and must be less than 255 characters').trim(),
+    body('entityId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Entity ID must be a positive integer').toInt(),
+    body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').isIn(apiKeys.scopes).withMessage(`Scopes must be among: ${apiKeys.scopes.join(', ')}`),
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Expiry must be a valid date'),
+    validateRequest,
+    auditLog('ADMIN_API_KEY_ISSUE'),
+    async (req, res) => {
+        try {
+            const { apiKey, key } = await apiKeys.issueKey(req.body, req.user.id);
+
+            res.status(201).json({
+                success: true,
+                message: 'API key issued; store the key now, it is not shown again',
+                api_key: apiKey,
+                key
+            });
+
+        } catch (error) {
+            console.error('Admin API key issue error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to issue API key',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/admin/api-keys/:id
+ * @desc    Get an API key with its usage by day, endpoint and status
+ * @access  Private (Admin only)
+ */
+router.get('/api-keys/:id',
+    authenticateToken,
+    authorize('admin'),
+    param('id').isInt({ min: 1 }).withMessage('Valid API key ID is required').toInt(),
+    query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365').toInt(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const apiKey = await apiKeys.requireKey(req.params.id);
+            const usage = await apiKeys.getUsage(req.params.id, { days: req.query.days || 30 });
+
+            res.json({
+                success: true,
+                api_key: apiKey,
+                usage
+            });
+
+        } catch (error) {
+            console.error('Admin API key retrieval error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to get API key',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/admin/api-keys/:id/rotate
+ * @desc    Replace an API key, optionally keeping the old one valid for a grace period
+ * @access  Private (Admin only)
+ */
+router.post('/api-keys/:id/rotate',
+    authenticateToken,
+    authorize('admin'),
+    param('id').isInt({ min: 1 }).withMessage('Valid API key ID is required').toInt(),
+    body('gracePeriodHours').optional().isInt({ min: 0, max: 720 }).withMessage('Grace period must be between 0 and 720 hours').toInt(),
+    validateRequest,
+    auditLog('ADMIN_API_KEY_ROTATE'),
+    async (req, res) => {
+        try {
+            const { apiKey, key, previous } = await apiKeys.rotateKey(
+                req.params.id,
+                { gracePeriodHours: req.body.gracePeriodHours || 0 },
+                req.user.id
+            );
+
+            res.status(201).json({
+                success: true,
+                message: previous.is_active
+                    ? `API key rotated; the old key stops working at ${previous.expires_at}`
+                    : 'API key rotated; the old key no longer works',
+                api_key: apiKey,
+                key,
+                previous_api_key: previous
+            });
+
+        } catch (error) {
+            console.error('Admin API key rotation error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to rotate API key',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   DELETE /api/admin/api-keys/:id
+ * @desc    Revoke an API key so it is no longer accepted
+ * @access  Private (Admin only)
+ */
+router.delete('/api-keys/:id',
+    authenticateToken,
+    authorize('admin'),
+    param('id').isInt({ min: 1 }).withMessage('Valid API key ID is required').toInt(),
+    validateRequest,
+    auditLog('ADMIN_API_KEY_REVOKE'),
+    async (req, res) => {
+        try {
+            const apiKey = await apiKeys.revokeKey(req.params.id, req.user.id);
+
+            res.json({
+                success: true,
+                message: 'API key revoked',
+                api_key: apiKey
+            });
+
+        } catch (error) {
+            console.error('Admin API key revocation error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to revoke API key',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
 /**
  * @route   GET /api/admin/audit-logs
  * @desc    Get audit logs with filtering
@@ -1,7 +1,7 @@
 const express = require('express');
 const { body, param } = require('express-validator');
 const authController = require('../controllers/authController');
-const { authenticateToken, authorize, auditLog } = require('../middleware/auth');
+const { authenticateToken, authorize, auditLog, rateLimitByUser } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -151,6 +151,75 @@ const refreshTokenValidation = [
         .withMessage('Refresh token is required')
 ];
 
+/**
+ * Validation for a second factor: an authenticator code or a recovery code
+ */
+const twoFactorCodeValidation = [
+    body('code')
+        .if(body('recoveryCode').not().exists())
+        .matches(/^\d{6}$/)
+        .withMessage('A 6-digit authentication code is required'),
+
+    body('recoveryCode')
+        .optional()
+        .matches(/^[0-9a-fA-F]{5}-?[0-9a-fA-F]{5}$/)
+        .withMessage('Invalid recovery code format')
+];
+
+const challengeValidation = [
+    body('challengeToken')
+        .notEmpty()
+        .withMessage('Login challenge token is required')
+];
+
+const authenticatorCodeValidation = [
+    body('code')
+        .matches(/^\d{6}$/)
+        .withMessage('A 6-digit authentication code is required')
+];
+
+/**
+ * Validation rules for mailed account links and password reset
+ */
+const accountTokenValidation = [
+    body('token')
+        .isString()
+        .isLength({ min: 20, max: 100 })
+        .withMessage('A valid link token is required')
+];
+
+const forgotPasswordValidation = [
+    body('email')
+        .isEmail()
+        .withMessage('Please provide a valid email address')
+        .normalizeEmail()
+];
+
+const passwordResetValidation = [
+    ...accountTokenValidation,
+
+    body('newPassword')
+        .isLength({ min: 8 })
+        .withMessage('New password must be at least 8 characters long')
+        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+        .withMessage('New password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
+
+    body('confirmPassword')
+        .custom((value, { req }) => {
+            if (value !== req.body.newPassword) {
+                throw new Error('Password confirmation does not match');
+            }
+            return true;
+        })
+];
+
+// Guesses at a 6-digit code are capped per client
+const twoFactorRateLimit = rateLimitByUser(10, 15 * 60 * 1000);
+
+// Each mailed link request sends an email, so they are capped per client
+const accountEmailRateLimit = rateLimitByUser(5, 15 * 60 * 1000);
+const passwordResetRateLimit = rateLimitByUser(10, 15 * 60 * 1000);
+
 // Public routes (no authentication required)
 
 /**
@@ -175,6 +244,75 @@ router.post('/login',
     authController.login
 );
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Finish a login with an authenticator or recovery code
+ * @access  Public (login challenge token)
+ */
+router.post('/login/2fa',
+    twoFactorRateLimit,
+    challengeValidation,
+    twoFactorCodeValidation,
+    auditLog('USER_LOGIN_2FA'),
+    authController.loginTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/login/2fa/setup
+ * @desc    Start two-factor enrolment during a login that requires it
+ * @access  Public (login challenge token)
+ */
+router.post('/login/2fa/setup',
+    challengeValidation,
+    authController.loginTwoFactorSetup
+);
+
+/**
+ * @route   POST /api/auth/login/2fa/enable
+ * @desc    Confirm two-factor enrolment and finish the login
+ * @access  Public (login challenge token)
+ */
+router.post('/login/2fa/enable',
+    twoFactorRateLimit,
+    challengeValidation,
+    authenticatorCodeValidation,
+    auditLog('USER_LOGIN_2FA_ENROL'),
+    authController.loginTwoFactorEnable
+);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address with the token from the verification email
+ * @access  Public (verification token)
+ */
+router.post('/verify-email',
+    accountTokenValidation,
+    authController.verifyEmail
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ */
+router.post('/forgot-password',
+    accountEmailRateLimit,
+    forgotPasswordValidation,
+    auditLog('PASSWORD_RESET_REQUEST'),
+    authController.forgotPassword
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with the token from the reset email
+ * @access  Public (reset token)
+ */
+router.post('/reset-password',
+    passwordResetRateLimit,
+    passwordResetValidation,
+    authController.resetPassword
+);
+
 /**
  * @route   POST /api/auth/refresh
  * @desc    Refresh access token using refresh token
@@ -225,7 +363,7 @@ router.put('/password',
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (client-side token invalidation)
+ * @desc    Logout user and revoke the current session
  * @access  Private
  */
 router.post('/logout',
@@ -234,9 +372,115 @@ router.post('/logout',
     authController.logout
 );
 
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor status for the current user
+ * @access  Private
+ */
+router.get('/2fa',
+    authenticateToken,
+    authController.getTwoFactorStatus
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrolment and get the QR code
+ * @access  Private
+ */
+router.post('/2fa/setup',
+    authenticateToken,
+    auditLog('TWO_FACTOR_SETUP'),
+    authController.setupTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrolment with a first code and get recovery codes
+ * @access  Private
+ */
+router.post('/2fa/enable',
+    authenticateToken,
+    twoFactorRateLimit,
+    authenticatorCodeValidation,
+    auditLog('TWO_FACTOR_ENABLE'),
+    authController.enableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor authentication (not allowed for roles that require it)
+ * @access  Private
+ */
+router.post('/2fa/disable',
+    authenticateToken,
+    twoFactorRateLimit,
+    body('password').notEmpty().withMessage('Password is required'),
+    twoFactorCodeValidation,
+    auditLog('TWO_FACTOR_DISABLE'),
+    authController.disableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes',
+    authenticateToken,
+    twoFactorRateLimit,
+    authenticatorCodeValidation,
+    auditLog('RECOVERY_CODES_REGENERATE'),
+    authController.regenerateRecoveryCodes
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the devices the current user is signed in on
+ * @access  Private
+ */
+router.get('/sessions',
+    authenticateToken,
+    authController.getSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out every other device
+ * @access  Private
+ */
+router.delete('/sessions',
+    authenticateToken,
+    auditLog('SESSIONS_REVOKE'),
+    authController.revokeOtherSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Sign out one device
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId',
+    authenticateToken,
+    param('sessionId').isUUID().withMessage('Valid session ID required'),
+    auditLog('SESSION_REVOKE'),
+    authController.revokeSession
+);
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Send the current user a new verification email
+ * @access  Private
+ */
+router.post('/verify-email/resend',
+    authenticateToken,
+    accountEmailRateLimit,
+    auditLog('VERIFICATION_EMAIL_RESEND'),
+    authController.resendVerificationEmail
+);
+
 /**
  * @route   PUT /api/auth/verify/:userId/:verificationCode
- * @desc    Verify user account (admin only)
+ * @desc    Mark an account verified without email confirmation; the code is not checked
  * @access  Private (Admin only)
  */
 router.put('/verify/:userId/:verificationCode',
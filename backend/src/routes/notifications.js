@@ -0,0 +1,329 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken, authorize, auditLog } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const notifications = require('../utils/notifications');
+
+const router = express.Router();
+
+const channelParam = param('channel')
+    .isIn(notifications.channels)
+    .withMessage(`Channel must be one of: ${notifications.channels.join(', ')}`);
+
+/**
+ * Validation rules for a channel preference
+ */
+const preferenceValidation = [
+    channelParam,
+
+    body('isEnabled')
+        .optional()
+        .isBoolean()
+        .withMessage('isEnabled must be a boolean')
+        .toBoolean(),
+
+    body('minSeverity')
+        .optional()
+        .isIn(notifications.severities)
+        .withMessage(`Minimum severity must be one of: ${notifications.severities.join(', ')}`),
+
+    body('destination')
+        .optional({ values: 'falsy' })
+        .isLength({ max: 500 })
+        .withMessage('Destination must be at most 500 characters')
+        .trim(),
+
+    // Destinations are checked against the channel they are for
+    body('destination')
+        .if(param('channel').equals('email'))
+        .optional({ values: 'falsy' })
+        .isEmail()
+        .withMessage('Destination must be a valid email address'),
+
+    body('destination')
+        .if(param('channel').equals('sms'))
+        .optional({ values: 'falsy' })
+        .matches(/^\+?[0-9\s().-]{7,20}$/)
+        .withMessage('Destination must be a valid phone number'),
+
+    body('destination')
+        .if(param('channel').equals('webhook'))
+        .optional({ values: 'falsy' })
+        .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: process.env.NODE_ENV === 'production' })
+        .withMessage('Destination must be an http(s) URL'),
+
+    body('alertTypes')
+        .optional({ nullable: true })
+        .isArray()
+        .withMessage('Alert types must be an array'),
+
+    body('alertTypes.*')
+        .isIn(notifications.alertTypes)
+        .withMessage(`Alert types must be among: ${notifications.alertTypes.join(', ')}`),
+
+    body('includePublic')
+        .optional()
+        .isBoolean()
+        .withMessage('includePublic must be a boolean')
+        .toBoolean(),
+
+    body('webhookSecret')
+        .optional({ nullable: true })
+        .isLength({ min: 16, max: 128 })
+        .withMessage('Webhook secret must be between 16 and 128 characters')
+];
+
+const deliveryListValidation = [
+    query('status')
+        .optional()
+        .isIn(['pending', 'sending', 'sent', 'failed'])
+        .withMessage('Invalid delivery status'),
+
+    query('channel')
+        .optional()
+        .isIn(notifications.channels)
+        .withMessage('Invalid channel'),
+
+    query('alertId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Alert ID must be a positive integer')
+        .toInt(),
+
+    query('userId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('User ID must be a positive integer')
+        .toInt(),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer')
+        .toInt(),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100')
+        .toInt()
+];
+
+const deliveryIdParam = param('deliveryId').isInt({ min: 1 }).withMessage('Valid delivery ID is required').toInt();
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Current user's notification preferences for every channel
+ * @access  Private
+ */
+router.get('/preferences',
+    authenticateToken,
+    async (req, res) => {
+        try {
+            const preferences = await notifications.getPreferences(req.user.id);
+
+            res.json({
+                success: true,
+                preferences
+            });
+
+        } catch (error) {
+            console.error('Get notification preferences error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to get notification preferences',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   PUT /api/notifications/preferences/:channel
+ * @desc    Set the current user's preference for one channel
+ * @access  Private (webhooks: organisation accounts only)
+ */
+router.put('/preferences/:channel',
+    authenticateToken,
+    preferenceValidation,
+    validateRequest,
+    auditLog('NOTIFICATION_PREFERENCES_UPDATE'),
+    async (req, res) => {
+        try {
+            const preference = await notifications.updatePreference(req.user, req.params.channel, req.body);
+
+            res.json({
+                success: true,
+                message: 'Notification preference updated',
+                preference
+            });
+
+        } catch (error) {
+            console.error('Update notification preference error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to update notification preference',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/notifications/preferences/:channel/test
+ * @desc    Send a test message through one channel to the current user
+ * @access  Private
+ */
+router.post('/preferences/:channel/test',
+    authenticateToken,
+    channelParam,
+    validateRequest,
+    async (req, res) => {
+        try {
+            const result = await notifications.sendTest(req.user, req.params.channel);
+
+            res.json({
+                success: true,
+                message: `Test ${req.params.channel} notification sent`,
+                result
+            });
+
+        } catch (error) {
+            console.error('Test notification error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to send test notification',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/notifications/deliveries
+ * @desc    Delivery log; users see their own, admins see everyone's
+ * @access  Private
+ */
+router.get('/deliveries',
+    authenticateToken,
+    deliveryListValidation,
+    validateRequest,
+    async (req, res) => {
+        try {
+            const page = req.query.page || 1;
+            const limit = req.query.limit || 20;
+
+            const { deliveries, total } = await notifications.listDeliveries({
+                userId: req.user.role === 'admin' ? req.query.userId || null : req.user.id,
+                alertId: req.query.alertId || null,
+                status: req.query.status || null,
+                channel: req.query.channel || null,
+                page,
+                limit
+            });
+
+            res.json({
+                success: true,
+                deliveries,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            });
+
+        } catch (error) {
+            console.error('Get notification deliveries error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to get notification deliveries',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/notifications/deliveries/:deliveryId
+ * @desc    One delivery with its attempt log
+ * @access  Private (own deliveries, or Admin)
+ */
+router.get('/deliveries/:deliveryId',
+    authenticateToken,
+    deliveryIdParam,
+    validateRequest,
+    async (req, res) => {
+        try {
+            const delivery = await notifications.getDelivery(req.params.deliveryId, req.user);
+
+            res.json({
+                success: true,
+                delivery
+            });
+
+        } catch (error) {
+            console.error('Get notification delivery error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to get notification delivery',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/notifications/deliveries/:deliveryId/retry
+ * @desc    Retry a delivery that ran out of attempts
+ * @access  Private (Admin only)
+ */
+router.post('/deliveries/:deliveryId/retry',
+    authenticateToken,
+    authorize('admin'),
+    deliveryIdParam,
+    validateRequest,
+    auditLog('NOTIFICATION_RETRY'),
+    async (req, res) => {
+        try {
+            const delivery = await notifications.retryDelivery(req.params.deliveryId);
+
+            res.json({
+                success: true,
+                message: {
+                    sent: 'Delivery sent',
+                    failed: 'Delivery retried and failed again'
+                }[delivery.status] || 'Delivery queued for retry',
+                delivery
+            });
+
+        } catch (error) {
+            console.error('Retry notification delivery error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to retry notification delivery',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/notifications/outbox
+ * @desc    Messages captured by stub transports since the server started
+ * @access  Private (Admin only)
+ */
+router.get('/outbox',
+    authenticateToken,
+    authorize('admin'),
+    query('channel').optional().isIn(notifications.channels).withMessage('Invalid channel'),
+    validateRequest,
+    (req, res) => {
+        res.json({
+            success: true,
+            messages: notifications.getOutbox(req.query.channel || null)
+        });
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const { validateRequest } = require('../middleware/validate');
+const alertFeed = require('../utils/alertFeed');
+
+const router = express.Router();
+
+/**
+ * Validation rules for feed filters
+ */
+const feedValidation = [
+    param('format')
+        .optional()
+        .isIn(alertFeed.formats)
+        .withMessage(`Format must be one of: ${alertFeed.formats.join(', ')}`),
+
+    query('format')
+        .optional()
+        .isIn(alertFeed.formats)
+        .withMessage(`Format must be one of: ${alertFeed.formats.join(', ')}`),
+
+    query('drug')
+        .optional()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Drug filter must be between 1 and 100 characters')
+        .trim(),
+
+    query('manufacturer')
+        .optional()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Manufacturer filter must be between 1 and 100 characters')
+        .trim(),
+
+    query('region')
+        .optional()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Region filter must be between 2 and 100 characters')
+        .trim(),
+
+    query('severity')
+        .optional()
+        .customSanitizer(value => String(value).split(',').map(level => level.trim()).filter(Boolean))
+        .custom(levels => levels.every(level => alertFeed.severities.includes(level)))
+        .withMessage(`Severity must be a comma-separated list of: ${alertFeed.severities.join(', ')}`),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('Limit must be between 1 and 200')
+        .toInt()
+];
+
+/**
+ * Feed format from the path extension, the format query or the Accept header
+ */
+const resolveFormat = (req) => {
+    if (req.params.format || req.query.format) {
+        return req.params.format || req.query.format;
+    }
+
+    const accepted = req.accepts(['application/json', 'application/rss+xml', 'application/atom+xml']);
+    return { 'application/rss+xml': 'rss', 'application/atom+xml': 'atom' }[accepted] || 'json';
+};
+
+/**
+ * @route   GET /api/public/alerts(.json|.rss|.atom)
+ * @desc    Public counterfeit and recall alert feed, filterable by drug, manufacturer, region and severity
+ * @access  Public
+ */
+router.get(['/alerts', '/alerts.:format'],
+    feedValidation,
+    validateRequest,
+    async (req, res) => {
+        try {
+            const alerts = await alertFeed.listAlerts({
+                drug: req.query.drug || null,
+                manufacturer: req.query.manufacturer || null,
+                region: req.query.region || null,
+                severity: req.query.severity || [],
+                limit: req.query.limit || 50
+            });
+
+            const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+            const links = {
+                selfUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+                alertUrl: id => `${baseUrl}/alerts/${id}`
+            };
+
+            // Feed readers poll; a few minutes of staleness is acceptable
+            res.set('Cache-Control', 'public, max-age=300');
+
+            const format = resolveFormat(req);
+            if (format === 'rss') {
+                return res.type('application/rss+xml').send(alertFeed.toRss(alerts, links));
+            }
+            if (format === 'atom') {
+                return res.type('application/atom+xml').send(alertFeed.toAtom(alerts, links));
+            }
+
+            res.json({
+                success: true,
+                title: alertFeed.title,
+                generated_at: new Date().toISOString(),
+                alerts
+            });
+
+        } catch (error) {
+            console.error('Public alert feed error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get public alerts',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/public/alerts/:alertId
+ * @desc    Single public alert
+ * @access  Public
+ */
+router.get('/alerts/:alertId',
+    param('alertId').isInt({ min: 1 }).withMessage('Valid alert ID is required').toInt(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const [alert] = await alertFeed.listAlerts({ alertId: req.params.alertId, limit: 1 });
+
+            if (!alert) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Alert not found'
+                });
+            }
+
+            res.set('Cache-Control', 'public, max-age=300');
+            res.json({
+                success: true,
+                alert
+            });
+
+        } catch (error) {
+            console.error('Public alert retrieval error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get alert',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,243 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken, authorize, auditLog } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const recalls = require('../utils/recalls');
+
+const router = express.Router();
+
+/**
+ * Validation rules for issuing a recall
+ */
+const createRecallValidation = [
+    body('recallClass')
+        .isIn(recalls.classes)
+        .withMessage(`Recall class must be one of: ${recalls.classes.join(', ')}`),
+
+    body('reason')
+        .isLength({ min: 10, max: 2000 })
+        .withMessage('Reason is required and must be between 10 and 2000 characters')
+        .trim(),
+
+    body('scope')
+        .isObject()
+        .withMessage('Scope must be an object'),
+
+    body('scope.batchIds')
+        .optional()
+        .isArray({ max: 500 })
+        .withMessage('Batch IDs must be an array'),
+
+    body('scope.batchIds.*')
+        .isInt({ min: 1 })
+        .withMessage('Batch IDs must be positive integers')
+        .toInt(),
+
+    body('scope.lotNumbers')
+        .optional()
+        .isArray({ max: 500 })
+        .withMessage('Lot numbers must be an array'),
+
+    body('scope.lotNumbers.*')
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Invalid lot number')
+        .trim(),
+
+    body('scope.drugId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Drug ID must be a positive integer')
+        .toInt(),
+
+    body('scope.manufacturedFrom')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('manufacturedFrom must be a date'),
+
+    body('scope.manufacturedTo')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('manufacturedTo must be a date')
+];
+
+/**
+ * @route   POST /api/recalls
+ * @desc    Issue a recall and notify every entity holding affected stock
+ * @access  Private (Admin, Manufacturer)
+ */
+router.post('/',
+    authenticateToken,
+    authorize('admin', 'manufacturer'),
+    createRecallValidation,
+    validateRequest,
+    auditLog('RECALL_CREATE'),
+    async (req, res) => {
+        try {
+            const recall = await recalls.createRecall(req.body, req.user.id);
+
+            res.status(201).json({
+                success: true,
+                message: `Recall ${recall.recall_number} issued; ${recall.progress.entities_notified} entities notified`,
+                recall
+            });
+
+        } catch (error) {
+            console.error('Recall creation error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to create recall',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/recalls
+ * @desc    List recalls; users acting for an entity see the recalls they were notified of
+ * @access  Private (Admin, Manufacturer, Distributor, Retailer, Pharmacist)
+ */
+router.get('/',
+    authenticateToken,
+    authorize('admin', 'manufacturer', 'distributor', 'retailer', 'pharmacist'),
+    query('status').optional().isIn(['open', 'closed']).withMessage('Status must be open or closed'),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const list = await recalls.listRecalls({
+                status: req.query.status,
+                entityId: ['admin', 'manufacturer'].includes(req.user.role) ? null : req.user.entity_id || -1
+            });
+
+            res.json({
+                success: true,
+                recalls: list
+            });
+
+        } catch (error) {
+            console.error('Recall list error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get recalls',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/recalls/:id
+ * @desc    Get a recall with its notices, acknowledgements and return progress
+ * @access  Private (Admin, Manufacturer, Distributor, Retailer, Pharmacist)
+ */
+router.get('/:id',
+    authenticateToken,
+    authorize('admin', 'manufacturer', 'distributor', 'retailer', 'pharmacist'),
+    param('id').isInt({ min: 1 }).withMessage('Valid recall ID is required').toInt(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const recall = await recalls.getRecall(req.params.id);
+
+            // Downstream entities only see their own notices
+            if (!['admin', 'manufacturer'].includes(req.user.role)) {
+                recall.notices = recall.notices.filter(notice => notice.entity_id === req.user.entity_id);
+                if (recall.notices.length === 0) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Recall not found'
+                    });
+                }
+            }
+
+            res.json({
+                success: true,
+                recall
+            });
+
+        } catch (error) {
+            console.error('Recall retrieval error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to get recall',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/recalls/:id/acknowledge
+ * @desc    Acknowledge a recall on behalf of a notified entity
+ * @access  Private (users acting for the entity, Admin)
+ */
+router.post('/:id/acknowledge',
+    authenticateToken,
+    param('id').isInt({ min: 1 }).withMessage('Valid recall ID is required').toInt(),
+    body('entityId').optional().isInt({ min: 1 }).withMessage('Entity ID must be a positive integer').toInt(),
+    body('notes').optional().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters').trim(),
+    validateRequest,
+    auditLog('RECALL_ACKNOWLEDGE'),
+    async (req, res) => {
+        try {
+            const entityId = req.body.entityId || req.user.entity_id;
+            if (!entityId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Entity ID is required for users not linked to an entity'
+                });
+            }
+
+            const recall = await recalls.acknowledge(req.params.id, entityId, req.user, req.body.notes || null);
+
+            res.json({
+                success: true,
+                message: 'Recall acknowledged',
+                recall
+            });
+
+        } catch (error) {
+            console.error('Recall acknowledgement error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to acknowledge recall',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/recalls/:id/close
+ * @desc    Close a recall and resolve its alerts
+ * @access  Private (Admin, Manufacturer)
+ */
+router.post('/:id/close',
+    authenticateToken,
+    authorize('admin', 'manufacturer'),
+    param('id').isInt({ min: 1 }).withMessage('Valid recall ID is required').toInt(),
+    body('notes').optional().isLength({ max: 2000 }).withMessage('Notes must be less than 2000 characters').trim(),
+    validateRequest,
+    auditLog('RECALL_CLOSE'),
+    async (req, res) => {
+        try {
+            const recall = await recalls.closeRecall(req.params.id, req.user.id, req.body.notes || null);
+
+            res.json({
+                success: true,
+                message: `Recall ${recall.recall_number} closed`,
+                recall
+            });
+
+        } catch (error) {
+            console.error('Recall close error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to close recall',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+module.exports = router;
@@ -2,7 +2,9 @@ const express = require('express');
 const multer = require('multer');
 const { body, param, query } = require('express-validator');
 const reportsController = require('../controllers/reportsController');
-const { authenticateToken, optionalAuth, authorize, auditLog, rateLimitByUser } = require('../middleware/auth');
+const investigations = require('../utils/investigations');
+const { authenticateToken, optionalAuth, allowApiKey, authorize, auditLog, rateLimitByUser } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
 
 const router = express.Router();
 
@@ -24,6 +26,22 @@ const upload = multer({
     }
 });
 
+// Case evidence also accepts PDF documents such as lab certificates
+const evidenceUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024,
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+            cb(null, true);
+        } else {
+            cb(new Error('Only image and PDF files are allowed'), false);
+        }
+    }
+});
+
 /**
  * Validation rules for creating counterfeit reports
  */
@@ -126,6 +144,12 @@ const updateReportValidation = [
         .optional()
         .isLength({ max: 500 })
         .withMessage('Alert message must be less than 500 characters')
+        .trim(),
+
+    body('alertRegion')
+        .optional({ nullable: true })
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Alert region must be between 2 and 100 characters')
         .trim()
 ];
 
@@ -222,10 +246,10 @@ router.post('/create',
 /**
  * @route   GET /api/reports
  * @desc    Get list of counterfeit reports with filtering and pagination
- * @access  Private
+ * @access  Private; API keys need the reports:read scope
  */
 router.get('/',
-    authenticateToken,
+    allowApiKey('reports:read'),
     reportQueryValidation,
     auditLog('REPORTS_LIST_VIEW'),
     reportsController.getReports
@@ -234,10 +258,10 @@ router.get('/',
 /**
  * @route   GET /api/reports/:reportId
  * @desc    Get detailed report by ID
- * @access  Private
+ * @access  Private; API keys need the reports:read scope
  */
 router.get('/:reportId',
-    authenticateToken,
+    allowApiKey('reports:read'),
     param('reportId').isInt({ min: 1 }).withMessage('Valid report ID is required'),
     auditLog('REPORT_DETAIL_VIEW'),
     reportsController.getReportById
@@ -282,6 +306,40 @@ router.get('/stats/overview',
     reportsController.getReportStats
 );
 
+/**
+ * @route   GET /api/reports/cases/queue
+ * @desc    Open investigation cases ordered by their next SLA deadline
+ * @access  Private (Admin, Pharmacist; pharmacists see their own cases)
+ */
+router.get('/cases/queue',
+    authenticateToken,
+    authorize('admin', 'pharmacist'),
+    query('overdue').optional().isBoolean().withMessage('overdue must be true or false').toBoolean(),
+    query('investigatorId').optional().isInt({ min: 1 }).withMessage('Investigator ID must be a positive integer').toInt(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const queue = await investigations.getQueue({
+                investigatorId: req.user.role === 'admin' ? req.query.investigatorId || null : req.user.id,
+                overdueOnly: req.query.overdue === true
+            });
+
+            res.json({
+                success: true,
+                cases: queue
+            });
+
+        } catch (error) {
+            console.error('Case queue error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get case queue',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
 /**
  * @route   POST /api/reports/:reportId/assign
  * @desc    Assign report to an investigator (admin only)
@@ -292,39 +350,14 @@ router.post('/:reportId/assign',
     authorize('admin'),
     param('reportId').isInt({ min: 1 }).withMessage('Valid report ID is required'),
     body('investigatorId').isInt({ min: 1 }).withMessage('Valid investigator ID is required'),
+    validateRequest,
     auditLog('REPORT_ASSIGN'),
     async (req, res) => {
         try {
             const { reportId } = req.params;
-            const { investigatorId } = req.body;
+            const investigator = await investigations.assign(reportId, req.body.investigatorId, req.user);
             const dbManager = require('../config/database');
 
-            // Check if investigator exists and has appropriate role
-            const investigator = await dbManager.queryOne(
-                'SELECT id, username, role FROM users WHERE id = ? AND role IN (?, ?)',
-                [investigatorId, 'admin', 'pharmacist']
-            );
-
-            if (!investigator) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Invalid investigator or insufficient permissions'
-                });
-            }
-
-            // Update report assignment
-            const result = await dbManager.run(
-                'UPDATE counterfeit_reports SET assigned_investigator_id = ?, status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [investigatorId, 'investigating', reportId]
-            );
-
-            if (result.changes === 0) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Report not found'
-                });
-            }
-
             // Log the assignment
             await dbManager.run(`
                 INSERT INTO audit_trail (user_id, action, table_name, record_id, new_values, ip_address, user_agent)
@@ -354,9 +387,9 @@ router.post('/:reportId/assign',
 
         } catch (error) {
             console.error('Report assignment error:', error);
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
-                message: 'Failed to assign report',
+                message: error.statusCode ? error.message : 'Failed to assign report',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
@@ -365,15 +398,23 @@ router.post('/:reportId/assign',
 
 /**
  * @route   POST /api/reports/:reportId/resolve
- * @desc    Mark report as resolved (investigator/admin only)
- * @access  Private (Admin, Pharmacist)
+ * @desc    Resolve a case with a structured outcome, optionally escalating to a batch alert or recall
+ * @access  Private (Admin, assigned Pharmacist; recalls Admin only)
  */
 router.post('/:reportId/resolve',
     authenticateToken,
     authorize('admin', 'pharmacist'),
     param('reportId').isInt({ min: 1 }).withMessage('Valid report ID is required'),
     body('resolutionNotes').isLength({ min: 10, max: 2000 }).withMessage('Resolution notes must be between 10 and 2000 characters'),
-    body('outcome').isIn(['confirmed_counterfeit', 'false_alarm', 'insufficient_evidence']).withMessage('Invalid outcome'),
+    body('outcome').isIn(investigations.outcomes).withMessage('Invalid outcome'),
+    body('escalation').optional({ nullable: true }).isObject().withMessage('Escalation must be an object'),
+    body('escalation.type').if(body('escalation').exists({ checkNull: true })).isIn(['alert', 'recall']).withMessage('Escalation type must be alert or recall'),
+    body('escalation.batchIds').optional().isArray({ min: 1, max: 50 }).withMessage('Escalation batch IDs must be a non-empty array'),
+    body('escalation.batchIds.*').isInt({ min: 1 }).withMessage('Batch IDs must be positive integers').toInt(),
+    body('escalation.recallClass').optional().isIn(['I', 'II', 'III']).withMessage('Recall class must be I, II or III'),
+    body('escalation.message').optional().isLength({ min: 10, max: 1000 }).withMessage('Alert message must be between 10 and 1000 characters').trim(),
+    body('escalation.region').optional().isLength({ min: 2, max: 100 }).withMessage('Alert region must be between 2 and 100 characters').trim(),
+    validateRequest,
     auditLog('REPORT_RESOLVE'),
     async (req, res) => {
         try {
@@ -381,35 +422,11 @@ router.post('/:reportId/resolve',
             const { resolutionNotes, outcome } = req.body;
             const dbManager = require('../config/database');
 
-            // Check if user is assigned investigator or admin
-            const report = await dbManager.queryOne(
-                'SELECT assigned_investigator_id FROM counterfeit_reports WHERE id = ?',
-                [reportId]
-            );
-
-            if (!report) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Report not found'
-                });
-            }
-
-            if (req.user.role !== 'admin' && report.assigned_investigator_id !== req.user.id) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'You can only resolve reports assigned to you'
-                });
-            }
-
-            // Update report
-            await dbManager.run(`
-                UPDATE counterfeit_reports
-                SET status = 'resolved',
-                    resolution_notes = ?,
-                    resolved_at = CURRENT_TIMESTAMP,
-                    updated_at = CURRENT_TIMESTAMP
-                WHERE id = ?
-            `, [resolutionNotes, reportId]);
+            const result = await investigations.resolve(reportId, {
+                outcome,
+                resolutionNotes,
+                escalation: req.body.escalation || null
+            }, req.user);
 
             // Log the resolution
             await dbManager.run(`
@@ -423,7 +440,8 @@ router.post('/:reportId/resolve',
                 JSON.stringify({
                     outcome: outcome,
                     resolved_by: req.user.username,
-                    resolution_notes: resolutionNotes
+                    resolution_notes: resolutionNotes,
+                    escalation: result.escalation
                 }),
                 req.ip,
                 req.get('User-Agent')
@@ -434,14 +452,241 @@ router.post('/:reportId/resolve',
                 message: 'Report resolved successfully',
                 outcome: outcome,
                 resolved_by: req.user.username,
-                resolved_at: new Date().toISOString()
+                resolved_at: result.resolved_at,
+                result
             });
 
         } catch (error) {
             console.error('Report resolution error:', error);
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to resolve report',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/reports/:reportId/case
+ * @desc    Get the investigation case: timeline, tasks, evidence, SLA timers and outcome
+ * @access  Private (Admin, Pharmacist)
+ */
+router.get('/:reportId/case',
+    authenticateToken,
+    authorize('admin', 'pharmacist'),
+    param('reportId').isInt({ min: 1 }).withMessage('Valid report ID is required'),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const investigationCase = await investigations.getCase(req.params.reportId);
+
+            res.json({
+                success: true,
+                case: investigationCase
+            });
+
+        } catch (error) {
+            console.error('Case retrieval error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to get investigation case',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/reports/:reportId/notes
+ * @desc    Add a note to the case timeline
+ * @access  Private (Admin, assigned Pharmacist)
+ */
+router.post('/:reportId/notes',
+    authenticateToken,
+    authorize('admin', 'pharmacist'),
+    param('reportId').isInt({ min: 1 }).withMessage('Valid report ID is required'),
+    body('message').isLength({ min: 1, max: 5000 }).withMessage('Note must be between 1 and 5000 characters').trim(),
+    validateRequest,
+    auditLog('CASE_NOTE_ADD'),
+    async (req, res) => {
+        try {
+            const investigationCase = await investigations.addNote(req.params.reportId, req.body.message, req.user);
+
+            res.status(201).json({
+                success: true,
+                message: 'Note added',
+                case: investigationCase
+            });
+
+        } catch (error) {
+            console.error('Case note error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to add note',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/reports/:reportId/status
+ * @desc    Move a case to another status (resolving goes through /resolve)
+ * @access  Private (Admin, assigned Pharmacist)
+ */
+router.post('/:reportId/status',
+    authenticateToken,
+    authorize('admin', 'pharmacist'),
+    param('reportId').isInt({ min: 1 }).withMessage('Valid report ID is required'),
+    body('status').isIn(investigations.statuses.filter(status => status !== 'resolved')).withMessage('Invalid status; use /resolve to close a case'),
+    body('note').optional().isLength({ max: 2000 }).withMessage('Note must be less than 2000 characters').trim(),
+    validateRequest,
+    auditLog('CASE_STATUS_CHANGE'),
+    async (req, res) => {
+        try {
+            const investigationCase = await investigations.changeStatus(req.params.reportId, req.body.status, req.user, req.body.note || null);
+
+            res.json({
+                success: true,
+                message: `Case moved to ${investigationCase.status}`,
+                case: investigationCase
+            });
+
+        } catch (error) {
+            console.error('Case status error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to change case status',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/reports/:reportId/tasks
+ * @desc    Add an investigation task with a due date
+ * @access  Private (Admin, assigned Pharmacist)
+ */
+router.post('/:reportId/tasks',
+    authenticateToken,
+    authorize('admin', 'pharmacist'),
+    param('reportId').isInt({ min: 1 }).withMessage('Valid report ID is required'),
+    body('title').isLength({ min: 3, max: 255 }).withMessage('Title must be between 3 and 255 characters').trim(),
+    body('description').optional().isLength({ max: 2000 }).withMessage('Description must be less than 2000 characters').trim(),
+    body('dueAt').isISO8601().withMessage('Due date must be a valid date'),
+    body('assignedTo').optional().isInt({ min: 1 }).withMessage('Assignee must be a valid user ID').toInt(),
+    validateRequest,
+    auditLog('CASE_TASK_CREATE'),
+    async (req, res) => {
+        try {
+            const task = await investigations.addTask(req.params.reportId, req.body, req.user);
+
+            res.status(201).json({
+                success: true,
+                message: 'Task created',
+                task
+            });
+
+        } catch (error) {
+            console.error('Case task creation error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to create task',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   PUT /api/reports/:reportId/tasks/:taskId
+ * @desc    Complete, cancel, reopen or reschedule an investigation task
+ * @access  Private (Admin, assigned Pharmacist)
+ */
+router.put('/:reportId/tasks/:taskId',
+    authenticateToken,
+    authorize('admin', 'pharmacist'),
+    param('reportId').isInt({ min: 1 }).withMessage('Valid report ID is required'),
+    param('taskId').isInt({ min: 1 }).withMessage('Valid task ID is required'),
+    body('status').optional().isIn(investigations.taskStatuses).withMessage(`Status must be one of: ${investigations.taskStatuses.join(', ')}`),
+    body('dueAt').optional().isISO8601().withMessage('Due date must be a valid date'),
+    validateRequest,
+    auditLog('CASE_TASK_UPDATE'),
+    async (req, res) => {
+        try {
+            const task = await investigations.updateTask(req.params.reportId, req.params.taskId, req.body, req.user);
+
+            res.json({
+                success: true,
+                message: 'Task updated',
+                task
+            });
+
+        } catch (error) {
+            console.error('Case task update error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to update task',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/reports/:reportId/evidence
+ * @desc    Add an evidence item or lab result, with an optional image or PDF attachment
+ * @access  Private (Admin, assigned Pharmacist)
+ */
+router.post('/:reportId/evidence',
+    authenticateToken,
+    authorize('admin', 'pharmacist'),
+    evidenceUpload.single('file'),
+    param('reportId').isInt({ min: 1 }).withMessage('Valid report ID is required'),
+    body('evidenceType').isIn(investigations.evidenceTypes).withMessage(`Evidence type must be one of: ${investigations.evidenceTypes.join(', ')}`),
+    body('description').isLength({ min: 3, max: 2000 }).withMessage('Description must be between 3 and 2000 characters').trim(),
+    body('labName').optional().isLength({ max: 255 }).withMessage('Lab name must be less than 255 characters').trim(),
+    body('testMethod').optional().isLength({ max: 255 }).withMessage('Test method must be less than 255 characters').trim(),
+    body('labResult').optional().isIn(investigations.labResults).withMessage(`Lab result must be one of: ${investigations.labResults.join(', ')}`),
+    body('resultDetails')
+        .optional()
+        .customSanitizer(value => {
+            // Multipart forms send the details as a JSON string
+            if (typeof value !== 'string') return value;
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                return value;
+            }
+        })
+        .isObject()
+        .withMessage('Result details must be an object'),
+    body('collectedAt').optional().isISO8601().withMessage('Collection date must be a valid date'),
+    validateRequest,
+    auditLog('CASE_EVIDENCE_ADD'),
+    async (req, res) => {
+        try {
+            const report = await investigations.requireReport(req.params.reportId);
+            investigations.assertCanWork(report, req.user);
+
+            const storedFilename = req.file
+                ? await reportsController.saveUploadedFile(req.file, 'case-evidence', req.user.id)
+                : null;
+            const evidence = await investigations.addEvidence(req.params.reportId, req.body, req.user, storedFilename);
+
+            res.status(201).json({
+                success: true,
+                message: 'Evidence added',
+                evidence
+            });
+
+        } catch (error) {
+            console.error('Case evidence error:', error);
+            res.status(error.statusCode || 500).json({
                 success: false,
-                message: 'Failed to resolve report',
+                message: error.statusCode ? error.message : 'Failed to add evidence',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
@@ -1,7 +1,15 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
-const { authenticateToken, authorize, auditLog } = require('../middleware/auth');
+const { authenticateToken, allowApiKey, authorize, authenticateDevice, auditLog } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
 const blockchain = require('../utils/blockchain');
+const serialization = require('../utils/serialization');
+const custody = require('../utils/custody');
+const shipments = require('../utils/shipments');
+const telemetry = require('../utils/telemetry');
+const epcis = require('../utils/epcis');
+const packaging = require('../utils/packaging');
+const gs1 = require('../utils/gs1');
 const dbManager = require('../config/database');
 
 const router = express.Router();
@@ -50,18 +58,143 @@ const createTransactionValidation = [
         .optional()
         .isLength({ max: 500 })
         .withMessage('Notes must be less than 500 characters')
-        .trim()
+        .trim(),
+
+    body('expectedDeliveryDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Expected delivery date must be a valid date'),
+
+    body('packagingCode')
+        .optional()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Packaging code must be less than 50 characters')
+        .custom((value, { req }) => req.body.transactionType !== 'manufacture')
+        .withMessage('Manufacture entries cannot ship a case or pallet')
+        .trim(),
+
+    body('senderSignature.signedAt')
+        .isISO8601()
+        .withMessage('Sender signature timestamp is required'),
+
+    body('senderSignature.signature')
+        .isBase64({ urlSafe: true })
+        .withMessage('Sender signature is required')
+];
+
+/**
+ * Validation rules for countersigning a receipt or rejection
+ */
+const receiveTransactionValidation = [
+    param('transactionId')
+        .isInt({ min: 1 })
+        .withMessage('Valid transaction ID is required')
+        .toInt(),
+
+    body('status')
+        .optional()
+        .isIn(['received', 'rejected'])
+        .withMessage('Status must be received or rejected'),
+
+    body('quantityReceived')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Received quantity must be a non-negative integer')
+        .toInt(),
+
+    body('discrepancies')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Discrepancies must be an array'),
+
+    body('discrepancies.*.type')
+        .isIn(shipments.discrepancyTypes)
+        .withMessage(`Discrepancy type must be one of: ${shipments.discrepancyTypes.join(', ')}`),
+
+    body('discrepancies.*.description')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Discrepancy description must be less than 500 characters')
+        .trim(),
+
+    body('discrepancies.*.quantity')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Discrepancy quantity must be a non-negative integer')
+        .toInt(),
+
+    body('receivedBy')
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Received by is required and must be less than 255 characters')
+        .trim(),
+
+    body('conditionOnReceipt')
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Condition on receipt is required and must be less than 100 characters')
+        .trim(),
+
+    body('signature.signedAt')
+        .isISO8601()
+        .withMessage('Receipt signature timestamp is required'),
+
+    body('signature.signature')
+        .isBase64({ urlSafe: true })
+        .withMessage('Receipt signature is required')
+];
+
+/**
+ * Validation rules for a batch of logger readings
+ */
+const telemetryValidation = [
+    body('transactionId')
+        .isInt({ min: 1 })
+        .withMessage('Valid transaction ID is required')
+        .toInt(),
+
+    body('readings')
+        .isArray({ min: 1, max: 500 })
+        .withMessage('Readings must be an array of 1 to 500 entries'),
+
+    body('readings.*.recordedAt')
+        .isISO8601()
+        .withMessage('Every reading needs a recordedAt timestamp'),
+
+    body('readings.*.temperature')
+        .optional({ nullable: true })
+        .isFloat({ min: -100, max: 100 })
+        .withMessage('Temperature must be between -100 and 100°C'),
+
+    body('readings.*.humidity')
+        .optional({ nullable: true })
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Humidity must be between 0 and 100%'),
+
+    body('readings.*.shock')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .withMessage('Shock must be a non-negative acceleration in g'),
+
+    body('readings.*.latitude')
+        .optional({ nullable: true })
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Latitude must be between -90 and 90'),
+
+    body('readings.*.longitude')
+        .optional({ nullable: true })
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Longitude must be between -180 and 180')
 ];
 
 /**
  * @route   POST /api/supply-chain/transaction
- * @desc    Create a new supply chain transaction
- * @access  Private (Manufacturer, Distributor, Admin)
+ * @desc    Create a new supply chain transaction signed by the sending entity
+ * @access  Private (Manufacturer, Distributor, Admin; API keys with supply_chain:write)
  */
 router.post('/transaction',
-    authenticateToken,
-    authorize('admin', 'manufacturer', 'distributor', 'retailer'),
+    allowApiKey('supply_chain:write'),
+    authorize('admin', 'manufacturer', 'distributor', 'retailer', 'api'),
     createTransactionValidation,
+    validateRequest,
     auditLog('SUPPLY_CHAIN_TRANSACTION_CREATE'),
     async (req, res) => {
         try {
@@ -74,86 +207,62 @@ router.post('/transaction',
                 unitPrice = 0,
                 shippingDetails = {},
                 temperatureLog = [],
-                notes = ''
+                notes = '',
+                expectedDeliveryDate,
+                senderSignature,
+                packagingCode
             } = req.body;
 
-            // Verify batch exists
-            const batch = await dbManager.queryOne(
-                'SELECT id, drug_id, batch_number, quantity_remaining FROM drug_batches WHERE id = ?',
-                [batchId]
-            );
-
-            if (!batch) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Batch not found'
+            // The stock check, the replay check, the ledger insert and the container update run in one
+            // transaction, so parallel dispatches of the same batch cannot all pass the check
+            const { container, signatureRecord, transaction } = await dbManager.withTransaction(async () => {
+                // Batch, entities and available stock, counting stock already on its way
+                await shipments.assertDispatchable({ batchId, fromEntityId, toEntityId, transactionType, quantity });
+
+                // A case or pallet shipped whole must hold exactly the batch and quantity being signed for
+                const container = packagingCode
+                    ? await packaging.assertShippable(packagingCode, { batchId, quantity })
+                    : null;
+
+                // The sender must have signed exactly this transfer
+                const signatureRecord = await custody.verifyTransferSignature({
+                    batch_id: parseInt(batchId),
+                    from_entity_id: fromEntityId ? parseInt(fromEntityId) : null,
+                    to_entity_id: parseInt(toEntityId),
+                    transaction_type: transactionType,
+                    quantity: parseInt(quantity)
+                }, senderSignature);
+
+                // Create blockchain transaction
+                const transaction = await blockchain.createTransaction({
+                    batchId,
+                    fromEntityId,
+                    toEntityId,
+                    transactionType,
+                    quantity,
+                    unitPrice,
+                    // The container goes into the hashed shipping details so it cannot be swapped later
+                    shippingDetails: container
+                        ? { ...shippingDetails, packaging: { code: container.code, level: container.level, unit_count: container.unit_count } }
+                        : shippingDetails,
+                    temperatureLog,
+                    digitalSignature: JSON.stringify(signatureRecord),
+                    notes,
+                    expectedDeliveryDate: transactionType === 'manufacture'
+                        ? null
+                        : new Date(expectedDeliveryDate || shipments.defaultExpectedDelivery()).toISOString(),
+                    packagingUnitId: container ? container.id : null
                 });
-            }
-
-            // Verify entities exist
-            if (fromEntityId) {
-                const fromEntity = await dbManager.queryOne(
-                    'SELECT id FROM supply_chain_entities WHERE id = ?',
-                    [fromEntityId]
-                );
 
-                if (!fromEntity) {
-                    return res.status(404).json({
-                        success: false,
-                        message: 'From entity not found'
-                    });
+                // Everything inside a shipped container ships with it
+                if (container) {
+                    await packaging.markShipped(container.id, req.user.id);
                 }
-            }
-
-            const toEntity = await dbManager.queryOne(
-                'SELECT id FROM supply_chain_entities WHERE id = ?',
-                [toEntityId]
-            );
 
-            if (!toEntity) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'To entity not found'
-                });
-            }
-
-            // Validate quantity for non-manufacture transactions
-            if (transactionType !== 'manufacture' && quantity > batch.quantity_remaining) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Insufficient quantity available'
-                });
-            }
-
-            // Create blockchain transaction
-            const transaction = await blockchain.createTransaction({
-                batchId,
-                fromEntityId,
-                toEntityId,
-                transactionType,
-                quantity,
-                unitPrice,
-                shippingDetails,
-                temperatureLog,
-                notes
+                return { container, signatureRecord, transaction };
             });
 
-            if (!transaction.success) {
-                return res.status(500).json({
-                    success: false,
-                    message: 'Failed to create blockchain transaction',
-                    error: transaction.error
-                });
-            }
-
-            // Update batch quantity for non-manufacture transactions
-            if (transactionType !== 'manufacture') {
-                await dbManager.run(
-                    'UPDATE drug_batches SET quantity_remaining = quantity_remaining - ? WHERE id = ?',
-                    [quantity, batchId]
-                );
-            }
-
+            // Batch quantity moves when the receiver acknowledges the shipment
             res.status(201).json({
                 success: true,
                 message: 'Supply chain transaction created successfully',
@@ -164,15 +273,18 @@ router.post('/transaction',
                     batch_id: batchId,
                     transaction_type: transactionType,
                     quantity: quantity,
+                    signed_by_key: signatureRecord.key_id,
+                    packaging: container ? { code: container.code, level: container.level, unit_count: container.unit_count } : null,
+                    shipment_status: transactionType === 'manufacture' ? 'received' : 'dispatched',
                     timestamp: transaction.timestamp
                 }
             });
 
         } catch (error) {
             console.error('Supply chain transaction error:', error);
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
-                message: 'Failed to create supply chain transaction',
+                message: error.statusCode ? error.message : 'Failed to create supply chain transaction',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
@@ -187,13 +299,15 @@ router.post('/transaction',
 router.get('/track/:batchId',
     authenticateToken,
     param('batchId').isInt({ min: 1 }).withMessage('Valid batch ID is required'),
+    query('serialNumber').optional().isLength({ min: 1, max: 20 }).withMessage('Invalid serial number').trim(),
+    validateRequest,
     auditLog('SUPPLY_CHAIN_TRACK'),
     async (req, res) => {
         try {
             const { batchId } = req.params;
 
-            // Get supply chain history
-            const history = await blockchain.getSupplyChainHistory(batchId);
+            // Get supply chain history, with the containers a pack travelled in when one is given
+            const history = await blockchain.getSupplyChainHistory(batchId, { serialNumber: req.query.serialNumber });
 
             if (!history || history.transactions.length === 0) {
                 return res.status(404).json({
@@ -226,7 +340,7 @@ router.get('/track/:batchId',
 
 /**
  * @route   GET /api/supply-chain/verify
- * @desc    Verify blockchain integrity
+ * @desc    Verify blockchain integrity by recomputing every block hash
  * @access  Private (Admin)
  */
 router.get('/verify',
@@ -254,6 +368,88 @@ router.get('/verify',
     }
 );
 
+/**
+ * @route   GET /api/supply-chain/proof/:transactionId
+ * @desc    Get the Merkle inclusion proof of a transaction against its block root
+ * @access  Private
+ */
+router.get('/proof/:transactionId',
+    authenticateToken,
+    param('transactionId').isInt({ min: 1 }).withMessage('Valid transaction ID is required').toInt(),
+    validateRequest,
+    auditLog('TRANSACTION_PROOF'),
+    async (req, res) => {
+        try {
+            const proof = await blockchain.getTransactionProof(req.params.transactionId);
+
+            if (!proof) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Transaction not found'
+                });
+            }
+
+            if (proof.pending) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Transaction has not been sealed into a block yet',
+                    retry_after_ms: blockchain.blockInterval
+                });
+            }
+
+            const { pending, ...inclusionProof } = proof;
+
+            res.json({
+                success: true,
+                ...inclusionProof
+            });
+
+        } catch (error) {
+            console.error('Transaction proof error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to build transaction proof',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/supply-chain/blocks/:blockNumber
+ * @desc    Get a published ledger block header and Merkle root
+ * @access  Public
+ */
+router.get('/blocks/:blockNumber',
+    param('blockNumber').isInt({ min: 1 }).withMessage('Valid block number is required').toInt(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const block = await blockchain.getLedgerBlock(req.params.blockNumber);
+
+            if (!block) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Block not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                block
+            });
+
+        } catch (error) {
+            console.error('Ledger block error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get ledger block',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
 /**
  * @route   GET /api/supply-chain/stats
  * @desc    Get blockchain and supply chain statistics
@@ -355,6 +551,7 @@ router.post('/entities',
     body('name').isLength({ min: 1, max: 255 }).withMessage('Entity name is required and must be less than 255 characters').trim(),
     body('type').isIn(['manufacturer', 'distributor', 'wholesaler', 'retailer', 'pharmacy', 'hospital']).withMessage('Invalid entity type'),
     body('licenseNumber').optional().isLength({ max: 100 }).withMessage('License number must be less than 100 characters').trim(),
+    body('gln').optional({ checkFalsy: true }).custom(value => gs1.isValidGLN(String(value))).withMessage('GLN must be 13 digits with a valid check digit'),
     body('address').isLength({ min: 1, max: 500 }).withMessage('Address is required and must be less than 500 characters').trim(),
     body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
     body('email').optional().isEmail().withMessage('Please provide a valid email address').normalizeEmail(),
@@ -366,6 +563,7 @@ router.post('/entities',
                 name,
                 type,
                 licenseNumber,
+                gln,
                 address,
                 phone,
                 email,
@@ -387,11 +585,22 @@ router.post('/entities',
                 }
             }
 
+            if (gln) {
+                const existingGln = await dbManager.queryOne('SELECT id FROM supply_chain_entities WHERE gln = ?', [gln]);
+
+                if (existingGln) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'Entity with this GLN already exists'
+                    });
+                }
+            }
+
             const result = await dbManager.run(`
                 INSERT INTO supply_chain_entities
-                (name, type, license_number, address, phone, email, contact_person, is_active)
-                VALUES (?, ?, ?, ?, ?, ?, ?, 1)
-            `, [name, type, licenseNumber, address, phone, email, contactPerson]);
+                (name, type, license_number, gln, address, phone, email, contact_person, is_active)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
+            `, [name, type, licenseNumber, gln || null, address, phone, email, contactPerson]);
 
             const newEntity = await dbManager.queryOne(
                 'SELECT * FROM supply_chain_entities WHERE id = ?',
@@ -426,6 +635,7 @@ router.put('/entities/:entityId',
     param('entityId').isInt({ min: 1 }).withMessage('Valid entity ID is required'),
     body('name').optional().isLength({ min: 1, max: 255 }).withMessage('Entity name must be between 1 and 255 characters').trim(),
     body('address').optional().isLength({ min: 1, max: 500 }).withMessage('Address must be between 1 and 500 characters').trim(),
+    body('gln').optional({ nullable: true, checkFalsy: true }).custom(value => gs1.isValidGLN(String(value))).withMessage('GLN must be 13 digits with a valid check digit'),
     body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
     body('email').optional().isEmail().withMessage('Please provide a valid email address').normalizeEmail(),
     body('contactPerson').optional().isLength({ max: 255 }).withMessage('Contact person name must be less than 255 characters').trim(),
@@ -434,7 +644,7 @@ router.put('/entities/:entityId',
     async (req, res) => {
         try {
             const { entityId } = req.params;
-            const { name, address, phone, email, contactPerson, isActive } = req.body;
+            const { name, gln, address, phone, email, contactPerson, isActive } = req.body;
 
             // Get current entity for audit log
             const currentEntity = await dbManager.queryOne(
@@ -457,6 +667,21 @@ router.put('/entities/:entityId',
                 updateFields.push('name = ?');
                 updateParams.push(name);
             }
+            if (gln !== undefined) {
+                const existingGln = gln
+                    ? await dbManager.queryOne('SELECT id FROM supply_chain_entities WHERE gln = ? AND id != ?', [gln, entityId])
+                    : null;
+
+                if (existingGln) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'Entity with this GLN already exists'
+                    });
+                }
+
+                updateFields.push('gln = ?');
+                updateParams.push(gln || null);
+            }
             if (address !== undefined) {
                 updateFields.push('address = ?');
                 updateParams.push(address);
@@ -517,87 +742,769 @@ router.put('/entities/:entityId',
 );
 
 /**
- * @route   GET /api/supply-chain/transactions
- * @desc    Get list of supply chain transactions
- * @access  Private
+ * @route   PUT /api/supply-chain/entities/:entityId/key
+ * @desc    Register the public key an entity signs custody statements with
+ * @access  Private (Admin)
  */
-router.get('/transactions',
+router.put('/entities/:entityId/key',
     authenticateToken,
-    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-    query('batchId').optional().isInt({ min: 1 }).withMessage('Batch ID must be a positive integer'),
-    query('transactionType').optional().isIn(['manufacture', 'transfer', 'sale', 'return', 'recall']).withMessage('Invalid transaction type'),
-    auditLog('SUPPLY_CHAIN_TRANSACTIONS_VIEW'),
+    authorize('admin'),
+    param('entityId').isInt({ min: 1 }).withMessage('Valid entity ID is required').toInt(),
+    body('publicKey').isString().contains('BEGIN PUBLIC KEY').withMessage('A PEM encoded public key is required'),
+    validateRequest,
+    auditLog('ENTITY_SIGNING_KEY_REGISTER'),
     async (req, res) => {
         try {
-            const { page = 1, limit = 20, batchId, transactionType } = req.query;
-            const offset = (page - 1) * limit;
+            const key = await custody.registerKey(req.params.entityId, req.body.publicKey, req.user.id);
 
-            let whereClause = '1=1';
-            const params = [];
+            res.json({
+                success: true,
+                message: 'Signing key registered successfully',
+                key
+            });
 
-            if (batchId) {
-                whereClause += ' AND sct.batch_id = ?';
-                params.push(batchId);
-            }
+        } catch (error) {
+            console.error('Entity key registration error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to register signing key',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
 
-            if (transactionType) {
-                whereClause += ' AND sct.transaction_type = ?';
-                params.push(transactionType);
+/**
+ * @route   GET /api/supply-chain/entities/:entityId/key
+ * @desc    Get the public key an entity currently signs with
+ * @access  Private
+ */
+router.get('/entities/:entityId/key',
+    authenticateToken,
+    param('entityId').isInt({ min: 1 }).withMessage('Valid entity ID is required').toInt(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const key = await custody.getActiveKey(req.params.entityId);
+
+            if (!key) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Entity has no registered signing key'
+                });
             }
 
-            const transactions = await dbManager.query(`
-                SELECT
-                    sct.*,
-                    db.batch_number,
-                    d.name as drug_name,
-                    from_entity.name as from_entity_name,
-                    from_entity.type as from_entity_type,
-                    to_entity.name as to_entity_name,
-                    to_entity.type as to_entity_type
-                FROM supply_chain_transactions sct
-                JOIN drug_batches db ON sct.batch_id = db.id
-                JOIN drugs d ON db.drug_id = d.id
-                LEFT JOIN supply_chain_entities from_entity ON sct.from_entity_id = from_entity.id
-                JOIN supply_chain_entities to_entity ON sct.to_entity_id = to_entity.id
-                WHERE ${whereClause}
-                ORDER BY sct.block_number DESC, sct.created_at DESC
-                LIMIT ? OFFSET ?
-            `, [...params, limit, offset]);
+            res.json({
+                success: true,
+                key
+            });
 
-            const totalCount = await dbManager.queryOne(`
-                SELECT COUNT(*) as count
-                FROM supply_chain_transactions sct
-                WHERE ${whereClause}
-            `, params);
+        } catch (error) {
+            console.error('Entity key lookup error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get signing key',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
 
-            // Parse JSON fields
-            transactions.forEach(transaction => {
-                try {
-                    transaction.shipping_details = transaction.shipping_details ? JSON.parse(transaction.shipping_details) : {};
-                    transaction.temperature_log = transaction.temperature_log ? JSON.parse(transaction.temperature_log) : [];
-                } catch (e) {
-                    transaction.shipping_details = {};
-                    transaction.temperature_log = [];
-                }
+/**
+ * @route   PUT /api/supply-chain/transactions/:transactionId/status
+ * @desc    Mark a dispatched shipment as in transit
+ * @access  Private (Admin, Manufacturer, Distributor; API keys with supply_chain:write)
+ */
+router.put('/transactions/:transactionId/status',
+    allowApiKey('supply_chain:write'),
+    authorize('admin', 'manufacturer', 'distributor', 'api'),
+    param('transactionId').isInt({ min: 1 }).withMessage('Valid transaction ID is required').toInt(),
+    body('status').isIn(['in_transit']).withMessage('Status must be in_transit; use the receive endpoint to receive or reject'),
+    validateRequest,
+    auditLog('SUPPLY_CHAIN_SHIPMENT_STATUS'),
+    async (req, res) => {
+        try {
+            const shipment = await shipments.markInTransit(req.params.transactionId);
+
+            res.json({
+                success: true,
+                message: 'Shipment marked as in transit',
+                shipment
+            });
+
+        } catch (error) {
+            console.error('Shipment status error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to update shipment status',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/supply-chain/transactions/:transactionId/receive
+ * @desc    Receive or reject a shipment with a receipt countersigned by the receiving entity
+ * @access  Private (Admin, Manufacturer, Distributor, Retailer, Pharmacist; API keys with supply_chain:write)
+ */
+router.post('/transactions/:transactionId/receive',
+    allowApiKey('supply_chain:write'),
+    authorize('admin', 'manufacturer', 'distributor', 'retailer', 'pharmacist', 'api'),
+    receiveTransactionValidation,
+    validateRequest,
+    auditLog('SUPPLY_CHAIN_TRANSACTION_RECEIVE'),
+    async (req, res) => {
+        try {
+            const shipment = await shipments.receive(req.params.transactionId, {
+                status: req.body.status,
+                receivedBy: req.body.receivedBy,
+                conditionOnReceipt: req.body.conditionOnReceipt,
+                quantityReceived: req.body.quantityReceived,
+                discrepancies: req.body.discrepancies,
+                signature: req.body.signature
             });
 
             res.json({
                 success: true,
-                transactions,
-                pagination: {
-                    current_page: parseInt(page),
-                    per_page: parseInt(limit),
-                    total_count: totalCount.count,
-                    total_pages: Math.ceil(totalCount.count / limit)
-                }
+                message: shipment.shipment_status === 'rejected' ? 'Shipment rejected' : 'Shipment received',
+                shipment
             });
 
         } catch (error) {
-            console.error('Transactions retrieval error:', error);
-            res.status(500).json({
+            console.error('Transaction receipt error:', error);
+            res.status(error.statusCode || 500).json({
                 success: false,
-                message: 'Failed to retrieve supply chain transactions',
+                message: error.statusCode ? error.message : 'Failed to record receipt',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/supply-chain/transactions/:transactionId/telemetry
+ * @desc    Get the logger readings of a shipment and their cold-chain evaluation
+ * @access  Private
+ */
+router.get('/transactions/:transactionId/telemetry',
+    authenticateToken,
+    param('transactionId').isInt({ min: 1 }).withMessage('Valid transaction ID is required').toInt(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const shipment = await dbManager.queryOne(
+                'SELECT id, batch_id FROM supply_chain_transactions WHERE id = ?',
+                [req.params.transactionId]
+            );
+
+            if (!shipment) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Transaction not found'
+                });
+            }
+
+            const [readings, evaluation] = await Promise.all([
+                telemetry.getReadings(shipment.id),
+                telemetry.evaluateShipment(shipment)
+            ]);
+
+            res.json({
+                success: true,
+                readings,
+                evaluation
+            });
+
+        } catch (error) {
+            console.error('Shipment telemetry error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get shipment telemetry',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/supply-chain/telemetry
+ * @desc    Ingest a batch of readings from an IoT logger for a shipment in transit
+ * @access  Device key (X-Device-Key header)
+ */
+router.post('/telemetry',
+    authenticateDevice,
+    telemetryValidation,
+    validateRequest,
+    async (req, res) => {
+        try {
+            const result = await telemetry.ingest(req.device, req.body.transactionId, req.body.readings);
+
+            res.status(201).json({
+                success: true,
+                message: `${result.accepted} readings stored`,
+                ...result
+            });
+
+        } catch (error) {
+            console.error('Telemetry ingestion error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to store telemetry',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/supply-chain/devices
+ * @desc    List registered IoT loggers
+ * @access  Private (Admin, Manufacturer, Distributor)
+ */
+router.get('/devices',
+    authenticateToken,
+    authorize('admin', 'manufacturer', 'distributor'),
+    async (req, res) => {
+        try {
+            const devices = await telemetry.listDevices();
+
+            res.json({
+                success: true,
+                devices
+            });
+
+        } catch (error) {
+            console.error('Device list error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get devices',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/supply-chain/devices
+ * @desc    Register an IoT logger and issue its device key
+ * @access  Private (Admin)
+ */
+router.post('/devices',
+    authenticateToken,
+    authorize('admin'),
+    body('deviceId').isLength({ min: 1, max: 100 }).withMessage('Device ID is required and must be less than 100 characters').trim(),
+    body('name').optional().isLength({ max: 255 }).withMessage('Name must be less than 255 characters').trim(),
+    body('ownerEntityId').isInt({ min: 1 }).withMessage('Valid owner entity ID is required').toInt(),
+    validateRequest,
+    auditLog('TELEMETRY_DEVICE_REGISTER'),
+    async (req, res) => {
+        try {
+            const { device, key } = await telemetry.registerDevice(req.body, req.user.id);
+
+            res.status(201).json({
+                success: true,
+                message: 'Device registered; store the key now, it is not shown again',
+                device,
+                key
+            });
+
+        } catch (error) {
+            console.error('Device registration error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to register device',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   DELETE /api/supply-chain/devices/:id
+ * @desc    Deactivate an IoT logger so its key is no longer accepted
+ * @access  Private (Admin)
+ */
+router.delete('/devices/:id',
+    authenticateToken,
+    authorize('admin'),
+    param('id').isInt({ min: 1 }).withMessage('Valid device ID is required').toInt(),
+    validateRequest,
+    auditLog('TELEMETRY_DEVICE_DEACTIVATE'),
+    async (req, res) => {
+        try {
+            const device = await telemetry.deactivateDevice(req.params.id);
+
+            res.json({
+                success: true,
+                message: 'Device deactivated',
+                device
+            });
+
+        } catch (error) {
+            console.error('Device deactivation error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to deactivate device',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/supply-chain/epcis/capture
+ * @desc    Capture a GS1 EPCIS 2.0 document (JSON-LD or XML) as signed ledger transactions and packing
+ * @access  Private (Admin, Manufacturer, Distributor)
+ */
+router.post('/epcis/capture',
+    authenticateToken,
+    authorize('admin', 'manufacturer', 'distributor'),
+    express.json({ type: 'application/ld+json', limit: '5mb' }),
+    express.text({ type: ['application/xml', 'text/xml'], limit: '5mb' }),
+    auditLog('EPCIS_CAPTURE'),
+    async (req, res) => {
+        try {
+            const result = await epcis.capture(req.body, req.user.id);
+
+            res.status(result.recorded > 0 ? 201 : 200).json({
+                success: true,
+                message: `${result.recorded} of ${result.events} events recorded`,
+                ...result
+            });
+
+        } catch (error) {
+            console.error('EPCIS capture error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to capture EPCIS document',
+                errors: error.details,
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/supply-chain/epcis/events
+ * @desc    Export ledger transactions and packing as EPCIS 2.0 events (JSON-LD, or XML with format=xml)
+ * @access  Private
+ */
+router.get('/epcis/events',
+    authenticateToken,
+    query('batchId').optional().isInt({ min: 1 }).withMessage('Valid batch ID is required').toInt(),
+    query('gtin').optional().custom(value => gs1.isValidGTIN(value)).withMessage('Invalid GTIN'),
+    query('GE_eventTime').optional().isISO8601().withMessage('GE_eventTime must be an ISO 8601 date'),
+    query('LT_eventTime').optional().isISO8601().withMessage('LT_eventTime must be an ISO 8601 date'),
+    query('format').optional().isIn(['json', 'xml']).withMessage('Format must be json or xml'),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000').toInt(),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a positive number').toInt(),
+    validateRequest,
+    auditLog('EPCIS_EXPORT'),
+    async (req, res) => {
+        try {
+            const document = await epcis.exportEvents({
+                batchId: req.query.batchId,
+                gtin: req.query.gtin,
+                from: req.query.GE_eventTime,
+                to: req.query.LT_eventTime,
+                limit: req.query.limit || 100,
+                offset: req.query.offset || 0
+            });
+
+            const format = req.query.format
+                || (req.accepts(['application/ld+json', 'application/json', 'application/xml']) === 'application/xml' ? 'xml' : 'json');
+
+            if (format === 'xml') {
+                return res.type('application/xml').send(epcis.toXml(document));
+            }
+
+            res.type('application/ld+json').send(JSON.stringify(document));
+
+        } catch (error) {
+            console.error('EPCIS export error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to export EPCIS events',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/supply-chain/transactions
+ * @desc    Get list of supply chain transactions
+ * @access  Private
+ */
+router.get('/transactions',
+    authenticateToken,
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('batchId').optional().isInt({ min: 1 }).withMessage('Batch ID must be a positive integer'),
+    query('transactionType').optional().isIn(['manufacture', 'transfer', 'sale', 'return', 'recall']).withMessage('Invalid transaction type'),
+    auditLog('SUPPLY_CHAIN_TRANSACTIONS_VIEW'),
+    async (req, res) => {
+        try {
+            const { page = 1, limit = 20, batchId, transactionType } = req.query;
+            const offset = (page - 1) * limit;
+
+            let whereClause = '1=1';
+            const params = [];
+
+            if (batchId) {
+                whereClause += ' AND sct.batch_id = ?';
+                params.push(batchId);
+            }
+
+            if (transactionType) {
+                whereClause += ' AND sct.transaction_type = ?';
+                params.push(transactionType);
+            }
+
+            const transactions = await dbManager.query(`
+                SELECT
+                    sct.*,
+                    db.batch_number,
+                    db.expiry_date,
+                    d.name as drug_name,
+                    d.drug_code,
+                    from_entity.name as from_entity_name,
+                    from_entity.type as from_entity_type,
+                    to_entity.name as to_entity_name,
+                    to_entity.type as to_entity_type
+                FROM supply_chain_transactions sct
+                JOIN drug_batches db ON sct.batch_id = db.id
+                JOIN drugs d ON db.drug_id = d.id
+                LEFT JOIN supply_chain_entities from_entity ON sct.from_entity_id = from_entity.id
+                JOIN supply_chain_entities to_entity ON sct.to_entity_id = to_entity.id
+                WHERE ${whereClause}
+                ORDER BY sct.block_number DESC, sct.created_at DESC
+                LIMIT ? OFFSET ?
+            `, [...params, limit, offset]);
+
+            const totalCount = await dbManager.queryOne(`
+                SELECT COUNT(*) as count
+                FROM supply_chain_transactions sct
+                WHERE ${whereClause}
+            `, params);
+
+            // Parse JSON fields
+            transactions.forEach(transaction => {
+                try {
+                    transaction.shipping_details = transaction.shipping_details ? JSON.parse(transaction.shipping_details) : {};
+                    transaction.temperature_log = transaction.temperature_log ? JSON.parse(transaction.temperature_log) : [];
+                } catch (e) {
+                    transaction.shipping_details = {};
+                    transaction.temperature_log = [];
+                }
+            });
+
+            res.json({
+                success: true,
+                transactions,
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total_count: totalCount.count,
+                    total_pages: Math.ceil(totalCount.count / limit)
+                }
+            });
+
+        } catch (error) {
+            console.error('Transactions retrieval error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve supply chain transactions',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/supply-chain/batches/:batchId/serials
+ * @desc    Commission unique serial numbers for the packs of a batch
+ * @access  Private (Manufacturer, Admin)
+ */
+router.post('/batches/:batchId/serials',
+    authenticateToken,
+    authorize('admin', 'manufacturer'),
+    param('batchId').isInt({ min: 1 }).withMessage('Valid batch ID is required'),
+    body('quantity')
+        .isInt({ min: 1, max: serialization.maxCommissionQuantity })
+        .withMessage(`Quantity must be between 1 and ${serialization.maxCommissionQuantity}`),
+    validateRequest,
+    auditLog('SERIAL_NUMBERS_COMMISSION'),
+    async (req, res) => {
+        try {
+            const result = await serialization.commissionUnits(
+                parseInt(req.params.batchId),
+                parseInt(req.body.quantity),
+                req.user.id
+            );
+
+            res.status(201).json({
+                success: true,
+                message: `${result.commissioned} serial numbers commissioned`,
+                ...result
+            });
+
+        } catch (error) {
+            console.error('Serial commissioning error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to commission serial numbers',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/supply-chain/batches/:batchId/serials
+ * @desc    List the serialized units of a batch
+ * @access  Private (Admin, Manufacturer, Distributor, Pharmacist)
+ */
+router.get('/batches/:batchId/serials',
+    authenticateToken,
+    authorize('admin', 'manufacturer', 'distributor', 'pharmacist'),
+    param('batchId').isInt({ min: 1 }).withMessage('Valid batch ID is required'),
+    query('status').optional().isIn(serialization.statuses).withMessage('Invalid unit status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const { status, page = 1, limit = 50 } = req.query;
+
+            const result = await serialization.listUnits(parseInt(req.params.batchId), {
+                status,
+                page: parseInt(page),
+                limit: parseInt(limit)
+            });
+
+            res.json({
+                success: true,
+                batch_id: parseInt(req.params.batchId),
+                ...result
+            });
+
+        } catch (error) {
+            console.error('Serial listing error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve serialized units',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/supply-chain/serials/:serialNumber
+ * @desc    Get the status of a single serialized unit
+ * @access  Private
+ */
+router.get('/serials/:serialNumber',
+    authenticateToken,
+    param('serialNumber').isLength({ min: 1, max: 20 }).withMessage('Valid serial number is required').toUpperCase(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const unit = await serialization.getUnit(req.params.serialNumber);
+
+            if (!unit) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Serial number not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                unit
+            });
+
+        } catch (error) {
+            console.error('Serial lookup error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve serialized unit',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   PUT /api/supply-chain/serials/:serialNumber/status
+ * @desc    Mark a unit as shipped, dispensed or decommissioned
+ * @access  Private (Admin, Manufacturer, Distributor, Retailer, Pharmacist)
+ */
+router.put('/serials/:serialNumber/status',
+    authenticateToken,
+    authorize('admin', 'manufacturer', 'distributor', 'retailer', 'pharmacist'),
+    param('serialNumber').isLength({ min: 1, max: 20 }).withMessage('Valid serial number is required').toUpperCase(),
+    body('status').isIn(['shipped', 'dispensed', 'decommissioned']).withMessage('Status must be shipped, dispensed or decommissioned'),
+    body('reason').optional().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters').trim(),
+    validateRequest,
+    auditLog('SERIAL_STATUS_UPDATE'),
+    async (req, res) => {
+        try {
+            const unit = await serialization.updateStatus(req.params.serialNumber, req.body.status, {
+                userId: req.user.id,
+                reason: req.body.reason || null
+            });
+
+            res.json({
+                success: true,
+                message: `Unit marked as ${unit.status}`,
+                unit
+            });
+
+        } catch (error) {
+            console.error('Serial status update error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to update unit status',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * Validation rules for packing or unpacking a case or pallet
+ */
+const packagingContentsValidation = [
+    param('code').isLength({ min: 1, max: 50 }).withMessage('Valid case or pallet code is required').trim(),
+    body('caseCodes').optional().isArray({ max: 500 }).withMessage('Case codes must be an array of up to 500 codes'),
+    body('caseCodes.*').isLength({ min: 1, max: 50 }).withMessage('Invalid case code').trim(),
+    body('serialNumbers').optional().isArray({ max: 1000 }).withMessage('Serial numbers must be an array of up to 1000 serials'),
+    body('serialNumbers.*').isLength({ min: 1, max: 20 }).withMessage('Invalid serial number').toUpperCase()
+];
+
+/**
+ * @route   POST /api/supply-chain/packaging
+ * @desc    Create an empty case or SSCC-labelled pallet
+ * @access  Private (Admin, Manufacturer, Distributor)
+ */
+router.post('/packaging',
+    authenticateToken,
+    authorize('admin', 'manufacturer', 'distributor'),
+    body('code').isLength({ min: 1, max: 50 }).withMessage('Code is required and must be less than 50 characters').trim(),
+    body('level').isIn(packaging.levels).withMessage(`Level must be one of: ${packaging.levels.join(', ')}`),
+    validateRequest,
+    auditLog('PACKAGING_UNIT_CREATE'),
+    async (req, res) => {
+        try {
+            const unit = await packaging.createUnit(req.body, req.user.id);
+
+            res.status(201).json({
+                success: true,
+                message: `${unit.level === 'pallet' ? 'Pallet' : 'Case'} created`,
+                unit
+            });
+
+        } catch (error) {
+            console.error('Packaging unit creation error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to create case or pallet',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/supply-chain/packaging/:code
+ * @desc    Get a case or pallet with its parent and contents
+ * @access  Private
+ */
+router.get('/packaging/:code',
+    authenticateToken,
+    param('code').isLength({ min: 1, max: 50 }).withMessage('Valid case or pallet code is required').trim(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const unit = await packaging.getContents(req.params.code);
+
+            res.json({
+                success: true,
+                unit
+            });
+
+        } catch (error) {
+            console.error('Packaging lookup error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to get case or pallet',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/supply-chain/packaging/:code/pack
+ * @desc    Pack serialized units into a case, or cases onto a pallet
+ * @access  Private (Admin, Manufacturer, Distributor)
+ */
+router.post('/packaging/:code/pack',
+    authenticateToken,
+    authorize('admin', 'manufacturer', 'distributor'),
+    packagingContentsValidation,
+    validateRequest,
+    auditLog('PACKAGING_PACK'),
+    async (req, res) => {
+        try {
+            const unit = await packaging.pack(req.params.code, req.body, req.user.id);
+
+            res.json({
+                success: true,
+                message: `${unit.code} now holds ${unit.unit_count} packs`,
+                unit
+            });
+
+        } catch (error) {
+            console.error('Packing error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to pack',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/supply-chain/packaging/:code/unpack
+ * @desc    Take cases or units out of a container; with none listed, empty it
+ * @access  Private (Admin, Manufacturer, Distributor, Retailer, Pharmacist)
+ */
+router.post('/packaging/:code/unpack',
+    authenticateToken,
+    authorize('admin', 'manufacturer', 'distributor', 'retailer', 'pharmacist'),
+    packagingContentsValidation,
+    validateRequest,
+    auditLog('PACKAGING_UNPACK'),
+    async (req, res) => {
+        try {
+            const unit = await packaging.unpack(req.params.code, req.body, req.user.id);
+
+            res.json({
+                success: true,
+                message: `${unit.unpacked} items unpacked from ${unit.code}`,
+                unit
+            });
+
+        } catch (error) {
+            console.error('Unpacking error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to unpack',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
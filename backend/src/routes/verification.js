@@ -2,7 +2,7 @@ const express = require('express');
 const multer = require('multer');
 const { body, param, query } = require('express-validator');
 const verificationController = require('../controllers/verificationController');
-const { authenticateToken, optionalAuth, authorize, auditLog, rateLimitByUser } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, allowApiKey, authorize, auditLog, rateLimitByUser } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -49,6 +49,13 @@ const verificationValidation = [
         .withMessage('Drug code must be between 1 and 100 characters')
         .trim(),
 
+    body('serialNumber')
+        .optional()
+        .isLength({ min: 1, max: 20 })
+        .withMessage('Serial number must be between 1 and 20 characters')
+        .trim()
+        .toUpperCase(),
+
     body('verificationMethod')
         .optional()
         .isIn(['qr_scan', 'barcode_scan', 'manual_entry'])
@@ -115,10 +122,10 @@ const historyValidation = [
 /**
  * @route   POST /api/verification/verify
  * @desc    Verify drug authenticity by QR code, barcode, or manual entry
- * @access  Public (enhanced features with authentication)
+ * @access  Public (enhanced features with authentication); API keys need the verify scope
  */
 router.post('/verify',
-    optionalAuth,
+    allowApiKey('verify', optionalAuth),
     rateLimitByUser(50, 15 * 60 * 1000), // 50 requests per 15 minutes
     verificationValidation,
     auditLog('DRUG_VERIFICATION'),
@@ -128,10 +135,10 @@ router.post('/verify',
 /**
  * @route   POST /api/verification/scan-image
  * @desc    Upload and scan image for QR code or barcode
- * @access  Public (enhanced features with authentication)
+ * @access  Public (enhanced features with authentication); API keys need the verify scope
  */
 router.post('/scan-image',
-    optionalAuth,
+    allowApiKey('verify', optionalAuth),
     rateLimitByUser(20, 15 * 60 * 1000), // 20 uploads per 15 minutes
     upload.single('image'),
     auditLog('IMAGE_SCAN'),
@@ -148,6 +155,16 @@ router.post('/scan-image',
     verificationController.scanImage
 );
 
+/**
+ * @route   GET /api/verification/keys/:manufacturerCode
+ * @desc    Get the public key used to verify a manufacturer's QR code signatures
+ * @access  Public
+ */
+router.get('/keys/:manufacturerCode',
+    param('manufacturerCode').isLength({ min: 1, max: 50 }).withMessage('Valid manufacturer code is required'),
+    verificationController.getManufacturerPublicKey
+);
+
 // Protected routes (authentication required)
 
 /**
@@ -293,10 +310,10 @@ router.get('/alerts',
             `;
             const params = [];
 
-            // Filter alerts based on user role
+            // Filter alerts based on user role and the entity the user acts for
             if (req.user.role !== 'admin') {
-                whereClause += ` AND (a.is_public = 1 OR a.target_audience LIKE ?)`;
-                params.push(`%"${req.user.role}"%`);
+                whereClause += ` AND (a.is_public = 1 OR a.target_audience LIKE ? OR a.target_entity_id = ?)`;
+                params.push(`%"${req.user.role}"%`, req.user.entity_id);
             }
 
             const alerts = await dbManager.query(`
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const dbManager = require('../config/database');
+const notifications = require('./notifications');
+const { HttpError } = require('./common');
+
+const PURPOSES = ['email_verification', 'password_reset'];
+
+class AccountTokenError extends HttpError {}
+
+/**
+ * Single-use, expiring tokens mailed to users for email verification and password reset
+ * Only a SHA-256 hash of each token is stored; issuing a new token voids the user's
+ * earlier unused ones for the same purpose
+ */
+class AccountTokenService {
+    constructor() {
+        this.purposes = PURPOSES;
+        this.ttlMs = {
+            email_verification: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000,
+            password_reset: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000
+        };
+        this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Create a token for the user's current email address and return it
+     */
+    async issue(user, purpose, { ipAddress = null } = {}) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = new Date();
+
+        await dbManager.run(
+            'DELETE FROM account_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+            [user.id, purpose]
+        );
+        await dbManager.run(`
+            INSERT INTO account_tokens (user_id, purpose, token_hash, email, requested_ip, expires_at, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            user.id,
+            purpose,
+            this.hashToken(token),
+            user.email,
+            ipAddress,
+            new Date(now.getTime() + this.ttlMs[purpose]).toISOString(),
+            now.toISOString()
+        ]);
+
+        return token;
+    }
+
+    /**
+     * Spend a token and return the user it was issued to
+     * Tokens sent to an address the account no longer uses are refused
+     */
+    async consume(token, purpose) {
+        const row = await dbManager.queryOne(`
+            SELECT at.id, at.user_id, at.email, u.email as current_email, u.is_active
+            FROM account_tokens at
+            JOIN users u ON at.user_id = u.id
+            WHERE at.token_hash = ? AND at.purpose = ? AND at.used_at IS NULL AND at.expires_at > ?
+        `, [this.hashToken(token), purpose, new Date().toISOString()]);
+
+        if (!row || !row.is_active || row.email !== row.current_email) {
+            throw new AccountTokenError('This link is invalid or has expired', 400);
+        }
+
+        // Guarded on used_at so a token cannot be spent twice by concurrent requests
+        const result = await dbManager.run(
+            'UPDATE account_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL',
+            [new Date().toISOString(), row.id]
+        );
+        if (result.changes === 0) {
+            throw new AccountTokenError('This link is invalid or has expired', 400);
+        }
+
+        return { userId: row.user_id, email: row.email };
+    }
+
+    async sendVerificationEmail(user, context = {}) {
+        const token = await this.issue(user, 'email_verification', context);
+        const link = `${this.frontendUrl}/verify-email?token=${token}`;
+        const hours = Math.round(this.ttlMs.email_verification / (60 * 60 * 1000));
+
+        return this.send(user, 'Confirm your email address', [
+            `Hello ${user.first_name || user.username},`,
+            '',
+            'Confirm the email address for your Drug Verification account by opening this link:',
+            link,
+            '',
+            `The link expires in ${hours} hour${hours === 1 ? '' : 's'}. If you did not create an account, ignore this email.`
+        ]);
+    }
+
+    async sendPasswordResetEmail(user, context = {}) {
+        const token = await this.issue(user, 'password_reset', context);
+        const link = `${this.frontendUrl}/reset-password?token=${token}`;
+        const minutes = Math.round(this.ttlMs.password_reset / (60 * 1000));
+
+        return this.send(user, 'Reset your password', [
+            `Hello ${user.first_name || user.username},`,
+            '',
+            'Someone asked to reset the password for your Drug Verification account. To choose a new one, open this link:',
+            link,
+            '',
+            `The link expires in ${minutes} minute${minutes === 1 ? '' : 's'} and can only be used once. If you did not ask for this, ignore this email - your password has not changed.`
+        ]);
+    }
+
+    /**
+     * Mail through the configured email transport (SMTP, file or stub)
+     */
+    async send(user, subject, lines) {
+        return notifications.getTransport('email').send({
+            to: user.email,
+            subject,
+            text: lines.join('\n')
+        });
+    }
+}
+
+module.exports = new AccountTokenService();
+module.exports.AccountTokenError = AccountTokenError;
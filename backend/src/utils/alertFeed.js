@@ -0,0 +1,213 @@
+const xml2js = require('xml2js');
+const dbManager = require('../config/database');
+const { toIsoTimestamp } = require('./common');
+
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+const FEED_FORMATS = ['json', 'rss', 'atom'];
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// International or separated phone numbers; bare digit runs are left alone so GTINs and lots survive
+const PHONE_PATTERN = /(?:\+\d[\d\s().-]{7,}\d|\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4})/g;
+const REDACTED = '[redacted]';
+
+/**
+ * Public counterfeit alert feed
+ * Serves the alerts flagged public to anonymous subscribers as JSON, RSS 2.0 and Atom,
+ * stripped of anything that could identify the person whose report or scan raised them
+ */
+class AlertFeed {
+    constructor() {
+        this.severities = SEVERITIES;
+        this.formats = FEED_FORMATS;
+        this.title = process.env.PUBLIC_FEED_TITLE || 'Drug Verification Counterfeit Alerts';
+        this.maxItems = parseInt(process.env.PUBLIC_FEED_MAX_ITEMS) || 200;
+    }
+
+    /**
+     * Active public alerts, newest first
+     * Alerts without a region apply everywhere and are kept when filtering by region
+     */
+    async listAlerts({ drug = null, manufacturer = null, region = null, severity = [], limit = 50, alertId = null } = {}) {
+        const conditions = [
+            'a.is_public = 1',
+            'a.is_active = 1',
+            '(a.expires_at IS NULL OR a.expires_at > CURRENT_TIMESTAMP)'
+        ];
+        const params = [];
+
+        if (alertId) {
+            conditions.push('a.id = ?');
+            params.push(alertId);
+        }
+
+        if (drug) {
+            conditions.push('(d.id = ? OR d.drug_code = ? OR d.name LIKE ? OR d.generic_name LIKE ? OR d.brand_name LIKE ?)');
+            params.push(drug, drug, `%${drug}%`, `%${drug}%`, `%${drug}%`);
+        }
+
+        if (manufacturer) {
+            conditions.push('(m.id = ? OR m.code = ? OR m.name LIKE ?)');
+            params.push(manufacturer, manufacturer, `%${manufacturer}%`);
+        }
+
+        if (region) {
+            conditions.push('(a.region IS NULL OR a.region LIKE ?)');
+            params.push(`%${region}%`);
+        }
+
+        if (severity.length > 0) {
+            conditions.push(`a.severity IN (${severity.map(() => '?').join(', ')})`);
+            params.push(...severity);
+        }
+
+        const rows = await dbManager.query(`
+            SELECT
+                a.id, a.alert_type, a.title, a.message, a.severity, a.region, a.created_at, a.expires_at,
+                db.batch_number, db.lot_number, db.expiry_date,
+                d.id as drug_id, d.name as drug_name, d.generic_name, d.drug_code, d.gtin,
+                m.id as manufacturer_id, m.name as manufacturer_name,
+                r.recall_number, r.recall_class,
+                cr.location_found, cr.purchase_location, cr.reporter_contact_info,
+                reporter.username as reporter_username, reporter.email as reporter_email,
+                reporter.first_name as reporter_first_name, reporter.last_name as reporter_last_name
+            FROM alerts a
+            LEFT JOIN drug_batches db ON a.related_batch_id = db.id
+            LEFT JOIN drugs d ON d.id = COALESCE(a.related_drug_id, db.drug_id)
+            LEFT JOIN manufacturers m ON d.manufacturer_id = m.id
+            LEFT JOIN recalls r ON a.related_recall_id = r.id
+            LEFT JOIN counterfeit_reports cr ON a.related_report_id = cr.id
+            LEFT JOIN users reporter ON cr.reporter_user_id = reporter.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY a.created_at DESC, a.id DESC
+            LIMIT ?
+        `, [...params, Math.min(limit, this.maxItems)]);
+
+        return rows.map(row => this.toPublicAlert(row));
+    }
+
+    /**
+     * Whitelist of fields safe to publish, with reporter details scrubbed from the text
+     */
+    toPublicAlert(row) {
+        const redact = text => this.redact(text, this.reporterTerms(row));
+
+        return {
+            id: row.id,
+            type: row.alert_type,
+            title: redact(row.title),
+            message: redact(row.message),
+            severity: row.severity,
+            region: row.region || null,
+            drug: row.drug_id ? {
+                id: row.drug_id,
+                name: row.drug_name,
+                generic_name: row.generic_name,
+                drug_code: row.drug_code,
+                gtin: row.gtin
+            } : null,
+            manufacturer: row.manufacturer_id ? { id: row.manufacturer_id, name: row.manufacturer_name } : null,
+            batch: row.batch_number ? {
+                batch_number: row.batch_number,
+                lot_number: row.lot_number,
+                expiry_date: row.expiry_date
+            } : null,
+            recall: row.recall_number ? { recall_number: row.recall_number, recall_class: row.recall_class } : null,
+            published_at: toIsoTimestamp(row.created_at),
+            expires_at: toIsoTimestamp(row.expires_at)
+        };
+    }
+
+    /**
+     * Strings tied to the reporter of the alert's counterfeit report
+     */
+    reporterTerms(row) {
+        let contact = {};
+        try {
+            contact = row.reporter_contact_info ? JSON.parse(row.reporter_contact_info) : {};
+        } catch (e) {
+            contact = {};
+        }
+
+        const terms = [
+            row.location_found,
+            row.purchase_location,
+            row.reporter_username,
+            row.reporter_email,
+            row.reporter_first_name && row.reporter_last_name ? `${row.reporter_first_name} ${row.reporter_last_name}` : null,
+            ...Object.values(contact || {}).filter(value => typeof value === 'string')
+        ];
+
+        // Very short values would blank out ordinary words
+        return terms.filter(term => term && term.trim().length >= 3).map(term => term.trim());
+    }
+
+    redact(text, terms = []) {
+        if (!text) {
+            return text;
+        }
+
+        let redacted = text;
+        for (const term of terms) {
+            redacted = redacted.replace(new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), REDACTED);
+        }
+
+        return redacted
+            .replace(EMAIL_PATTERN, REDACTED)
+            .replace(PHONE_PATTERN, REDACTED)
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    toRss(alerts, { selfUrl, alertUrl }) {
+        const builder = new xml2js.Builder({ xmldec: { version: '1.0', encoding: 'UTF-8' } });
+
+        return builder.buildObject({
+            rss: {
+                $: { version: '2.0', 'xmlns:atom': 'http://www.w3.org/2005/Atom' },
+                channel: {
+                    title: this.title,
+                    link: selfUrl,
+                    description: 'Public alerts about counterfeit, suspicious and recalled medicines',
+                    language: 'en',
+                    lastBuildDate: new Date(alerts.length > 0 ? alerts[0].published_at : Date.now()).toUTCString(),
+                    'atom:link': { $: { href: selfUrl, rel: 'self', type: 'application/rss+xml' } },
+                    item: alerts.map(alert => ({
+                        title: alert.title,
+                        link: alertUrl(alert.id),
+                        description: alert.message,
+                        category: [alert.severity, alert.type, ...(alert.region ? [alert.region] : [])],
+                        guid: { $: { isPermaLink: 'false' }, _: `alert-${alert.id}` },
+                        pubDate: new Date(alert.published_at).toUTCString()
+                    }))
+                }
+            }
+        });
+    }
+
+    toAtom(alerts, { selfUrl, alertUrl }) {
+        const builder = new xml2js.Builder({ xmldec: { version: '1.0', encoding: 'UTF-8' } });
+
+        return builder.buildObject({
+            feed: {
+                $: { xmlns: 'http://www.w3.org/2005/Atom' },
+                id: selfUrl,
+                title: this.title,
+                updated: alerts.length > 0 ? alerts[0].published_at : new Date().toISOString(),
+                link: { $: { href: selfUrl, rel: 'self', type: 'application/atom+xml' } },
+                author: { name: this.title },
+                entry: alerts.map(alert => ({
+                    id: alertUrl(alert.id),
+                    title: alert.title,
+                    link: { $: { href: alertUrl(alert.id), rel: 'alternate', type: 'application/json' } },
+                    updated: alert.published_at,
+                    published: alert.published_at,
+                    summary: alert.message,
+                    category: [alert.severity, alert.type, ...(alert.region ? [alert.region] : [])]
+                        .map(term => ({ $: { term } }))
+                }))
+            }
+        });
+    }
+}
+
+module.exports = new AlertFeed();
@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const dbManager = require('../config/database');
+const { HttpError } = require('./common');
+
+// verify: drug verification only; supply_chain:write: record and receive shipments; reports:read: read counterfeit reports
+const SCOPES = ['verify', 'supply_chain:write', 'reports:read'];
+const KEY_PREFIX = 'dvk_';
+
+class ApiKeyError extends HttpError {}
+
+/**
+ * API keys for external integrations
+ * Keys are stored as SHA-256 hashes and carry the scopes they may use; every request
+ * made with a key is metered in api_logs under the key's ID
+ */
+class ApiKeyService {
+    constructor() {
+        this.scopes = SCOPES;
+        // Keys are only marked as used this often, so busy integrations don't write on every request
+        this.lastUsedResolutionMs = 60 * 1000;
+    }
+
+    hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    generateKey() {
+        return `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    /**
+     * Issue a key and return it; only its hash is stored, so it cannot be shown again
+     */
+    async issueKey({ name, organization, entityId = null, scopes, expiresAt = null }, userId = null, rotatedFromKeyId = null) {
+        const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+        if (scopes.length === 0 || unknown.length > 0) {
+            throw new ApiKeyError(`Scopes must be among: ${SCOPES.join(', ')}`);
+        }
+
+        if (expiresAt && new Date(expiresAt) <= new Date()) {
+            throw new ApiKeyError('Expiry must be in the future');
+        }
+
+        if (entityId) {
+            const entity = await dbManager.queryOne('SELECT id FROM supply_chain_entities WHERE id = ?', [entityId]);
+            if (!entity) {
+                throw new ApiKeyError('Entity not found', 404);
+            }
+        }
+
+        const key = this.generateKey();
+        const result = await dbManager.run(`
+            INSERT INTO api_keys
+            (name, organization, entity_id, key_prefix, key_hash, scopes, expires_at, rotated_from_key_id, created_by_user_id, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            name,
+            organization,
+            entityId,
+            key.slice(0, KEY_PREFIX.length + 8),
+            this.hashKey(key),
+            JSON.stringify([...new Set(scopes)]),
+            expiresAt ? new Date(expiresAt).toISOString() : null,
+            rotatedFromKeyId,
+            userId,
+            new Date().toISOString()
+        ]);
+
+        return { apiKey: await this.getKey(result.id), key };
+    }
+
+    /**
+     * Replace a key with a new one carrying the same settings
+     * The old key keeps working for the grace period so the integration can switch over
+     */
+    async rotateKey(id, { gracePeriodHours = 0 } = {}, userId = null) {
+        const current = await this.requireKey(id);
+        if (!current.is_usable) {
+            throw new ApiKeyError('Only active keys can be rotated', 409);
+        }
+
+        const now = new Date();
+        const graceEndsAt = new Date(now.getTime() + gracePeriodHours * 60 * 60 * 1000);
+
+        let issued;
+        await dbManager.withTransaction(async () => {
+            issued = await this.issueKey({
+                name: current.name,
+                organization: current.organization,
+                entityId: current.entity_id,
+                scopes: current.scopes,
+                expiresAt: current.expires_at
+            }, userId, current.id);
+
+            if (gracePeriodHours > 0) {
+                // Never extend the old key past its own expiry
+                const expiresAt = current.expires_at && new Date(current.expires_at) < graceEndsAt
+                    ? current.expires_at
+                    : graceEndsAt.toISOString();
+                await dbManager.run('UPDATE api_keys SET expires_at = ? WHERE id = ?', [expiresAt, current.id]);
+            } else {
+                await dbManager.run(
+                    'UPDATE api_keys SET is_active = 0, revoked_at = ?, revoked_by_user_id = ? WHERE id = ?',
+                    [now.toISOString(), userId, current.id]
+                );
+            }
+        });
+
+        return { ...issued, previous: await this.getKey(current.id) };
+    }
+
+    async revokeKey(id, userId = null) {
+        const current = await this.requireKey(id);
+        if (!current.is_active) {
+            throw new ApiKeyError('Key is already revoked', 409);
+        }
+
+        await dbManager.run(
+            'UPDATE api_keys SET is_active = 0, revoked_at = ?, revoked_by_user_id = ? WHERE id = ?',
+            [new Date().toISOString(), userId, id]
+        );
+
+        return this.getKey(id);
+    }
+
+    async getKey(id) {
+        const row = await dbManager.queryOne(`
+            SELECT ak.id, ak.name, ak.organization, ak.entity_id, sce.name as entity_name, ak.key_prefix,
+                   ak.scopes, ak.expires_at, ak.is_active, ak.last_used_at, ak.rotated_from_key_id,
+                   ak.revoked_at, ak.revoked_by_user_id, ak.created_by_user_id, ak.created_at,
+                   (SELECT id FROM api_keys WHERE rotated_from_key_id = ak.id) as rotated_to_key_id
+            FROM api_keys ak
+            LEFT JOIN supply_chain_entities sce ON ak.entity_id = sce.id
+            WHERE ak.id = ?
+        `, [id]);
+
+        return row ? this.toApiKey(row) : null;
+    }
+
+    async requireKey(id) {
+        const apiKey = await this.getKey(id);
+        if (!apiKey) {
+            throw new ApiKeyError('API key not found', 404);
+        }
+        return apiKey;
+    }
+
+    /**
+     * Keys with their request counts over the last day and the last 30 days
+     */
+    async listKeys({ organization = null, includeRevoked = false } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (organization) {
+            conditions.push('ak.organization LIKE ?');
+            params.push(`%${organization}%`);
+        }
+        if (!includeRevoked) {
+            conditions.push('ak.is_active = 1');
+        }
+
+        const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+        const monthAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+
+        const rows = await dbManager.query(`
+            SELECT ak.id, ak.name, ak.organization, ak.entity_id, sce.name as entity_name, ak.key_prefix,
+                   ak.scopes, ak.expires_at, ak.is_active, ak.last_used_at, ak.rotated_from_key_id,
+                   ak.revoked_at, ak.created_by_user_id, ak.created_at,
+                   (SELECT COUNT(*) FROM api_logs WHERE api_key_id = ak.id AND created_at >= ?) as requests_24h,
+                   (SELECT COUNT(*) FROM api_logs WHERE api_key_id = ak.id AND created_at >= ?) as requests_30d
+            FROM api_keys ak
+            LEFT JOIN supply_chain_entities sce ON ak.entity_id = sce.id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY ak.organization ASC, ak.created_at DESC
+        `, [dayAgo, monthAgo, ...params]);
+
+        return rows.map(row => this.toApiKey(row));
+    }
+
+    /**
+     * Request counts for one key by day, endpoint and status
+     */
+    async getUsage(id, { days = 30 } = {}) {
+        await this.requireKey(id);
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+        const totals = await dbManager.queryOne(`
+            SELECT COUNT(*) as requests,
+                   SUM(CASE WHEN status_code >= 400 THEN 1 ELSE 0 END) as errors,
+                   ROUND(AVG(execution_time_ms)) as avg_execution_time_ms
+            FROM api_logs
+            WHERE api_key_id = ? AND created_at >= ?
+        `, [id, since]);
+
+        const byDay = await dbManager.query(`
+            SELECT substr(created_at, 1, 10) as date, COUNT(*) as requests,
+                   SUM(CASE WHEN status_code >= 400 THEN 1 ELSE 0 END) as errors
+            FROM api_logs
+            WHERE api_key_id = ? AND created_at >= ?
+            GROUP BY date
+            ORDER BY date ASC
+        `, [id, since]);
+
+        const byEndpoint = await dbManager.query(`
+            SELECT method, endpoint, COUNT(*) as requests
+            FROM api_logs
+            WHERE api_key_id = ? AND created_at >= ?
+            GROUP BY method, endpoint
+            ORDER BY requests DESC
+            LIMIT 20
+        `, [id, since]);
+
+        const byStatus = await dbManager.query(`
+            SELECT status_code, COUNT(*) as requests
+            FROM api_logs
+            WHERE api_key_id = ? AND created_at >= ?
+            GROUP BY status_code
+            ORDER BY status_code ASC
+        `, [id, since]);
+
+        return {
+            since,
+            requests: totals.requests,
+            errors: totals.errors || 0,
+            avg_execution_time_ms: totals.avg_execution_time_ms,
+            by_day: byDay,
+            by_endpoint: byEndpoint,
+            by_status: byStatus
+        };
+    }
+
+    /**
+     * Find the usable key a request presented
+     */
+    async findActiveKey(key) {
+        if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+            return null;
+        }
+
+        const row = await dbManager.queryOne(`
+            SELECT id, name, organization, entity_id, scopes, expires_at, last_used_at
+            FROM api_keys
+            WHERE key_hash = ? AND is_active = 1 AND (expires_at IS NULL OR expires_at > ?)
+        `, [this.hashKey(key), new Date().toISOString()]);
+
+        if (!row) {
+            return null;
+        }
+
+        const now = new Date();
+        if (!row.last_used_at || now - new Date(row.last_used_at) > this.lastUsedResolutionMs) {
+            await dbManager.run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [now.toISOString(), row.id]);
+        }
+
+        return { ...row, scopes: JSON.parse(row.scopes) };
+    }
+
+    /**
+     * Meter one request made with a key
+     */
+    async recordUsage(apiKeyId, { endpoint, method, statusCode, requestBody, ipAddress, userAgent, executionTimeMs }) {
+        await dbManager.run(`
+            INSERT INTO api_logs
+            (api_key_id, endpoint, method, status_code, request_body, ip_address, user_agent, execution_time_ms, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [apiKeyId, endpoint, method, statusCode, requestBody, ipAddress, userAgent, executionTimeMs, new Date().toISOString()]);
+    }
+
+    toApiKey(row) {
+        const expired = Boolean(row.expires_at) && new Date(row.expires_at) <= new Date();
+
+        return {
+            ...row,
+            scopes: JSON.parse(row.scopes),
+            is_active: Boolean(row.is_active),
+            is_expired: expired,
+            is_usable: Boolean(row.is_active) && !expired
+        };
+    }
+}
+
+module.exports = new ApiKeyService();
+module.exports.ApiKeyError = ApiKeyError;
@@ -0,0 +1,356 @@
+const dbManager = require('../config/database');
+const { HttpError } = require('./common');
+
+// Activation energy over the gas constant (83.144 kJ/mol / 8.3144 J/mol·K) used by the USP <1160> MKT formula
+const MKT_ACTIVATION_RATIO = 83144 / 8.3144;
+const KELVIN_OFFSET = 273.15;
+
+// Storage profiles for the common labelled storage statements
+const PROFILE_PRESETS = {
+    frozen: { name: 'frozen', min_temperature: -25, max_temperature: -15, min_humidity: null, max_humidity: null, max_excursion_minutes: 30, max_mkt: null },
+    refrigerated: { name: 'refrigerated', min_temperature: 2, max_temperature: 8, min_humidity: null, max_humidity: null, max_excursion_minutes: 60, max_mkt: 8 },
+    cool: { name: 'cool', min_temperature: 8, max_temperature: 15, min_humidity: null, max_humidity: null, max_excursion_minutes: 240, max_mkt: 15 },
+    controlled_room: { name: 'controlled_room', min_temperature: 15, max_temperature: 25, min_humidity: null, max_humidity: null, max_excursion_minutes: 1440, max_mkt: 25 }
+};
+
+const PROFILE_FIELDS = ['min_temperature', 'max_temperature', 'min_humidity', 'max_humidity', 'max_excursion_minutes', 'max_mkt'];
+
+const NUMBER = '(-?\\d+(?:\\.\\d+)?)';
+
+class ColdChainError extends HttpError {}
+
+/**
+ * Cold-chain evaluation of transfer temperature logs against a drug's storage profile
+ * A profile is stored on the drug, or derived from its free-text storage conditions
+ */
+class ColdChainMonitor {
+    constructor() {
+        this.presets = PROFILE_PRESETS;
+        // Allowance for profiles parsed from a bare temperature range
+        this.defaultExcursionMinutes = parseInt(process.env.COLD_CHAIN_DEFAULT_EXCURSION_MINUTES) || 60;
+    }
+
+    /**
+     * Resolve the storage profile of a drug row
+     * Returns null when neither an explicit profile nor parseable storage conditions exist
+     */
+    getProfile(drug) {
+        if (drug.storage_profile) {
+            try {
+                return { ...JSON.parse(drug.storage_profile), source: 'profile' };
+            } catch (error) {
+                console.error(`Invalid storage profile on drug ${drug.id}:`, error.message);
+            }
+        }
+
+        const parsed = this.parseStorageConditions(drug.storage_conditions);
+        return parsed ? { ...parsed, source: 'storage_conditions' } : null;
+    }
+
+    /**
+     * Storage profile of the drug a batch belongs to
+     */
+    async getBatchProfile(batchId) {
+        const drug = await dbManager.queryOne(`
+            SELECT d.id, d.storage_conditions, d.storage_profile
+            FROM drug_batches db
+            JOIN drugs d ON db.drug_id = d.id
+            WHERE db.id = ?
+        `, [batchId]);
+
+        return drug ? this.getProfile(drug) : null;
+    }
+
+    /**
+     * Read a storage profile out of label text such as "Store at 2-8°C", "Store below 25°C"
+     * or "Keep frozen"
+     */
+    parseStorageConditions(text) {
+        if (!text) {
+            return null;
+        }
+
+        const conditions = text.toLowerCase().replace(/do not store (above|below)/g, 'not $1');
+        let profile = null;
+
+        const range = conditions.match(new RegExp(`${NUMBER}\\s*°?\\s*c?\\s*(?:-|–|to|and)\\s*${NUMBER}\\s*°\\s*c`));
+        const below = conditions.match(new RegExp(`(?:(?<!not )below|under|not above|not exceeding|up to|max(?:imum)?)\\s*${NUMBER}\\s*°\\s*c`));
+        const above = conditions.match(new RegExp(`(?:(?<!not )above|at least|not below|min(?:imum)?)\\s*${NUMBER}\\s*°\\s*c`));
+
+        if (range) {
+            const [low, high] = [parseFloat(range[1]), parseFloat(range[2])].sort((a, b) => a - b);
+            profile = this.fromRange(low, high);
+        } else if (below || above) {
+            profile = this.fromRange(above ? parseFloat(above[1]) : null, below ? parseFloat(below[1]) : null);
+        } else if (/frozen|freezer/.test(conditions)) {
+            profile = { ...PROFILE_PRESETS.frozen };
+        } else if (/refrigerat|fridge/.test(conditions)) {
+            profile = { ...PROFILE_PRESETS.refrigerated };
+        } else if (/room temperature/.test(conditions)) {
+            profile = { ...PROFILE_PRESETS.controlled_room };
+        }
+
+        if (!profile) {
+            return null;
+        }
+
+        const humidity = conditions.match(/(?:below|under|not above|not exceeding|max(?:imum)?)\s*(\d+(?:\.\d+)?)\s*%/);
+        if (humidity) {
+            profile.max_humidity = parseFloat(humidity[1]);
+        }
+
+        return profile;
+    }
+
+    /**
+     * Profile for a parsed temperature range, keeping a preset's allowances when the range matches one
+     */
+    fromRange(min, max) {
+        const preset = Object.values(PROFILE_PRESETS).find(candidate =>
+            candidate.min_temperature === min && candidate.max_temperature === max
+        );
+
+        if (preset) {
+            return { ...preset };
+        }
+
+        return {
+            name: 'custom',
+            min_temperature: min,
+            max_temperature: max,
+            min_humidity: null,
+            max_humidity: null,
+            max_excursion_minutes: this.defaultExcursionMinutes,
+            max_mkt: max
+        };
+    }
+
+    /**
+     * Validate and normalize a profile submitted by an administrator
+     * A preset name may be given alone or with fields overriding the preset
+     */
+    normalizeProfile(input) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new ColdChainError('Storage profile must be an object');
+        }
+
+        if (input.name && input.name !== 'custom' && !PROFILE_PRESETS[input.name]) {
+            throw new ColdChainError(`Unknown storage profile preset ${input.name}`);
+        }
+
+        const profile = PROFILE_PRESETS[input.name] ? { ...PROFILE_PRESETS[input.name] } : {
+            name: 'custom',
+            min_temperature: null,
+            max_temperature: null,
+            min_humidity: null,
+            max_humidity: null,
+            max_excursion_minutes: this.defaultExcursionMinutes,
+            max_mkt: null
+        };
+
+        for (const field of PROFILE_FIELDS) {
+            if (input[field] === undefined) {
+                continue;
+            }
+            if (input[field] !== null && !Number.isFinite(input[field])) {
+                throw new ColdChainError(`${field} must be a number or null`);
+            }
+            profile[field] = input[field];
+        }
+
+        if (profile.min_temperature == null && profile.max_temperature == null) {
+            throw new ColdChainError('Storage profile needs a minimum or maximum temperature');
+        }
+        if (profile.min_temperature != null && profile.max_temperature != null
+            && profile.min_temperature >= profile.max_temperature) {
+            throw new ColdChainError('min_temperature must be below max_temperature');
+        }
+        if (profile.min_humidity != null && profile.max_humidity != null
+            && profile.min_humidity >= profile.max_humidity) {
+            throw new ColdChainError('min_humidity must be below max_humidity');
+        }
+        if (profile.max_excursion_minutes == null || profile.max_excursion_minutes < 0) {
+            throw new ColdChainError('max_excursion_minutes must be zero or more');
+        }
+
+        return profile;
+    }
+
+    /**
+     * Evaluate one transfer's temperature log against a profile
+     * Each reading is taken to hold until the next one, so excursion minutes and the
+     * MKT weights come from the time between readings
+     */
+    evaluate(temperatureLog, profile) {
+        const readings = (temperatureLog || [])
+            .filter(reading => reading && reading.temperature !== null && reading.temperature !== undefined
+                && Number.isFinite(Number(reading.temperature)))
+            .map(reading => ({
+                time: Date.parse(reading.timestamp),
+                temperature: Number(reading.temperature),
+                humidity: reading.humidity === undefined || reading.humidity === null ? null : Number(reading.humidity)
+            }))
+            .sort((a, b) => (a.time || 0) - (b.time || 0));
+
+        const durations = this.getReadingDurations(readings);
+        const excursions = [];
+        let current = null;
+
+        readings.forEach((reading, index) => {
+            const direction = this.getExcursionDirection(reading.temperature, profile);
+
+            if (direction && current && current.direction === direction) {
+                current.minutes += durations[index];
+                current.peak_temperature = direction === 'high'
+                    ? Math.max(current.peak_temperature, reading.temperature)
+                    : Math.min(current.peak_temperature, reading.temperature);
+            } else {
+                current = direction ? {
+                    direction,
+                    started_at: this.formatTime(reading.time),
+                    minutes: durations[index],
+                    peak_temperature: reading.temperature
+                } : null;
+
+                if (current) {
+                    excursions.push(current);
+                }
+            }
+        });
+
+        const humidityReadings = readings.filter(reading => Number.isFinite(reading.humidity));
+        const humidityViolations = humidityReadings.filter(reading =>
+            (profile.min_humidity != null && reading.humidity < profile.min_humidity)
+            || (profile.max_humidity != null && reading.humidity > profile.max_humidity)
+        ).length;
+
+        const excursionMinutes = excursions.reduce((sum, excursion) => sum + excursion.minutes, 0);
+
+        return {
+            readings: readings.length,
+            min_temperature: readings.length ? Math.min(...readings.map(reading => reading.temperature)) : null,
+            max_temperature: readings.length ? Math.max(...readings.map(reading => reading.temperature)) : null,
+            mkt: readings.length ? Number(this.calculateMKT(readings, durations).toFixed(2)) : null,
+            excursion_minutes: Math.round(excursionMinutes),
+            excursions: excursions.map(excursion => ({ ...excursion, minutes: Math.round(excursion.minutes) })),
+            humidity_violations: humidityViolations
+        };
+    }
+
+    getExcursionDirection(temperature, profile) {
+        if (profile.max_temperature != null && temperature > profile.max_temperature) {
+            return 'high';
+        }
+        if (profile.min_temperature != null && temperature < profile.min_temperature) {
+            return 'low';
+        }
+        return null;
+    }
+
+    /**
+     * Minutes each reading stands for; the last reading gets the mean interval
+     */
+    getReadingDurations(readings) {
+        const durations = readings.map((reading, index) => {
+            const next = readings[index + 1];
+            return next && Number.isFinite(reading.time) && Number.isFinite(next.time)
+                ? (next.time - reading.time) / 60000
+                : null;
+        });
+
+        const known = durations.filter(duration => duration !== null);
+        const mean = known.length ? known.reduce((sum, duration) => sum + duration, 0) / known.length : 0;
+
+        return durations.map(duration => (duration === null ? mean : duration));
+    }
+
+    /**
+     * Mean kinetic temperature in °C, time-weighted
+     * Equal weights are used when the log has no usable timestamps
+     */
+    calculateMKT(readings, durations) {
+        const totalWeight = durations.reduce((sum, duration) => sum + duration, 0);
+        const weights = totalWeight > 0 ? durations : readings.map(() => 1);
+        const weightSum = totalWeight > 0 ? totalWeight : readings.length;
+
+        const average = readings.reduce((sum, reading, index) =>
+            sum + weights[index] * Math.exp(-MKT_ACTIVATION_RATIO / (reading.temperature + KELVIN_OFFSET)), 0
+        ) / weightSum;
+
+        return MKT_ACTIVATION_RATIO / -Math.log(average) - KELVIN_OFFSET;
+    }
+
+    /**
+     * Anomalies for every transfer whose log breaks the drug's profile
+     * Expects temperature_log already parsed, as getSupplyChainHistory returns it
+     */
+    getColdChainAnomalies(transactions, profile) {
+        const anomalies = [];
+        const transfers = [];
+
+        if (!profile) {
+            return { anomalies, transfers };
+        }
+
+        const range = this.formatRange(profile);
+
+        for (const transaction of transactions) {
+            if (!transaction.temperature_log || transaction.temperature_log.length === 0) {
+                continue;
+            }
+
+            const evaluation = this.evaluate(transaction.temperature_log, profile);
+            transfers.push({ transactionId: transaction.id, ...evaluation });
+
+            if (evaluation.excursions.length > 0) {
+                const overAllowance = evaluation.excursion_minutes > profile.max_excursion_minutes;
+                anomalies.push({
+                    type: 'temperature_excursion',
+                    transactionId: transaction.id,
+                    message: `${evaluation.excursion_minutes} min outside ${range} across ${evaluation.excursions.length} excursion(s)`
+                        + (overAllowance ? `, over the ${profile.max_excursion_minutes} min allowance` : ''),
+                    excursion_minutes: evaluation.excursion_minutes,
+                    severity: overAllowance ? 'high' : 'low'
+                });
+            }
+
+            if (profile.max_mkt != null && evaluation.mkt > profile.max_mkt) {
+                anomalies.push({
+                    type: 'mkt_exceeded',
+                    transactionId: transaction.id,
+                    message: `Mean kinetic temperature ${evaluation.mkt}°C exceeds the ${profile.max_mkt}°C limit`,
+                    mkt: evaluation.mkt,
+                    severity: 'high'
+                });
+            }
+
+            if (evaluation.humidity_violations > 0) {
+                anomalies.push({
+                    type: 'humidity_violation',
+                    transactionId: transaction.id,
+                    message: `${evaluation.humidity_violations} humidity readings outside the storage profile`,
+                    severity: 'medium'
+                });
+            }
+        }
+
+        return { anomalies, transfers };
+    }
+
+    formatRange(profile) {
+        if (profile.min_temperature == null) {
+            return `≤${profile.max_temperature}°C`;
+        }
+        if (profile.max_temperature == null) {
+            return `≥${profile.min_temperature}°C`;
+        }
+        return `${profile.min_temperature} to ${profile.max_temperature}°C`;
+    }
+
+    formatTime(time) {
+        return Number.isFinite(time) ? new Date(time).toISOString() : null;
+    }
+}
+
+module.exports = new ColdChainMonitor();
+module.exports.ColdChainError = ColdChainError;
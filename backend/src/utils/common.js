@@ -0,0 +1,41 @@
+/**
+ * Helpers shared by the service modules
+ */
+
+/**
+ * Error carrying the HTTP status the route should answer with
+ * Each service subclasses it, so its errors keep their own name
+ */
+class HttpError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = new.target.name;
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Date from a stored timestamp, or null
+ * SQLite CURRENT_TIMESTAMP values are UTC without a zone marker; ISO strings written by the
+ * services carry one and are taken as they are
+ */
+const parseTimestamp = (value) => {
+    if (!value) {
+        return null;
+    }
+    return new Date(/[zZ]|[+-]\d{2}:\d{2}$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+};
+
+/**
+ * ISO 8601 form of a stored timestamp, or null
+ */
+const toIsoTimestamp = (value) => {
+    const date = parseTimestamp(value);
+    return date ? date.toISOString() : null;
+};
+
+module.exports = {
+    HttpError,
+    parseTimestamp,
+    toIsoTimestamp
+};
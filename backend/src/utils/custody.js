@@ -0,0 +1,184 @@
+const dbManager = require('../config/database');
+const signer = require('./signing');
+const { HttpError } = require('./common');
+
+// Signed statements older than this are rejected so a captured signature cannot be replayed later
+const MAX_SIGNATURE_AGE_MS = 15 * 60 * 1000;
+// Tolerated clock skew for statements dated slightly in the future
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+class CustodyError extends HttpError {}
+
+/**
+ * Custody signatures for supply chain transfers
+ * Entities register P-256 public keys and keep the private keys themselves; the
+ * sender signs every transfer and the receiver countersigns its receipt
+ */
+class CustodyService {
+    /**
+     * Register a new public key for an entity, revoking the previous one
+     */
+    async registerKey(entityId, publicKeyPem, userId = null) {
+        const entity = await dbManager.queryOne('SELECT id, name FROM supply_chain_entities WHERE id = ?', [entityId]);
+        if (!entity) {
+            throw new CustodyError('Entity not found', 404);
+        }
+
+        let keyId;
+        try {
+            keyId = signer.getKeyId(publicKeyPem);
+        } catch (error) {
+            throw new CustodyError(`Invalid public key: ${error.message}`);
+        }
+
+        const existing = await dbManager.queryOne('SELECT entity_id FROM entity_signing_keys WHERE key_id = ?', [keyId]);
+        if (existing) {
+            throw new CustodyError('This public key is already registered', 409);
+        }
+
+        await dbManager.withTransaction(async () => {
+            await dbManager.run(`
+                UPDATE entity_signing_keys
+                SET revoked_at = CURRENT_TIMESTAMP
+                WHERE entity_id = ? AND revoked_at IS NULL
+            `, [entityId]);
+
+            await dbManager.run(`
+                INSERT INTO entity_signing_keys (entity_id, key_id, public_key, registered_by_user_id)
+                VALUES (?, ?, ?, ?)
+            `, [entityId, keyId, publicKeyPem.trim(), userId]);
+        });
+
+        return this.getActiveKey(entityId);
+    }
+
+    /**
+     * Get the key an entity currently signs with
+     */
+    async getActiveKey(entityId) {
+        return dbManager.queryOne(`
+            SELECT entity_id, key_id, public_key, registered_at
+            FROM entity_signing_keys
+            WHERE entity_id = ? AND revoked_at IS NULL
+        `, [entityId]);
+    }
+
+    /**
+     * Get a key by id, including revoked keys, so historical signatures stay checkable
+     */
+    async getKey(keyId) {
+        return dbManager.queryOne(`
+            SELECT entity_id, key_id, public_key, registered_at, revoked_at
+            FROM entity_signing_keys
+            WHERE key_id = ?
+        `, [keyId]);
+    }
+
+    /**
+     * Check a fresh statement signature against the signer's active key
+     * Returns the signature record stored alongside the transaction
+     */
+    async verifyStatement(type, statement, entityId, { signedAt, signature }) {
+        const signedTime = Date.parse(signedAt);
+        if (Number.isNaN(signedTime)) {
+            throw new CustodyError('Signature timestamp is not a valid date');
+        }
+
+        const age = Date.now() - signedTime;
+        if (age > MAX_SIGNATURE_AGE_MS || age < -MAX_CLOCK_SKEW_MS) {
+            throw new CustodyError('Signature timestamp is outside the accepted window', 401);
+        }
+
+        const key = await this.getActiveKey(entityId);
+        if (!key) {
+            throw new CustodyError(`Entity ${entityId} has no registered signing key`, 409);
+        }
+
+        const message = signer.canonicalizeCustodyStatement(type, { ...statement, signed_at: signedAt });
+        if (!signer.verifySignature(message, signature, key.public_key)) {
+            throw new CustodyError(`Invalid ${type} signature for entity ${entityId}`, 401);
+        }
+
+        return { key_id: key.key_id, signed_at: signedAt, signature };
+    }
+
+    /**
+     * Verify the sender's signature on a new transfer
+     * Manufacture entries have no sender, so the producing entity signs them.
+     * Call it in the same transaction as the ledger insert, so a replay cannot slip in between.
+     */
+    async verifyTransferSignature(transfer, signature) {
+        const signerEntityId = transfer.from_entity_id || transfer.to_entity_id;
+        const record = await this.verifyStatement('transfer', transfer, signerEntityId, signature);
+
+        // Matched on the signed statement rather than the signature bytes: an ECDSA signature
+        // can be rewritten into a different one that still verifies
+        const reused = await dbManager.queryOne(`
+            SELECT id FROM supply_chain_transactions
+            WHERE json_extract(digital_signature, '$.key_id') = ?
+              AND json_extract(digital_signature, '$.signed_at') = ?
+              AND batch_id = ? AND from_entity_id IS ? AND to_entity_id = ?
+              AND transaction_type = ? AND quantity = ?
+        `, [
+            record.key_id,
+            record.signed_at,
+            transfer.batch_id,
+            transfer.from_entity_id,
+            transfer.to_entity_id,
+            transfer.transaction_type,
+            transfer.quantity
+        ]);
+
+        if (reused) {
+            throw new CustodyError('This transfer signature has already been used', 409);
+        }
+
+        return record;
+    }
+
+    /**
+     * Re-check the stored sender and receiver signatures of a ledger row
+     * Each side is 'valid', 'invalid' or 'unsigned'
+     */
+    async getSignatureStatus(transaction) {
+        const sender = await this.checkStoredSignature(
+            transaction.digital_signature,
+            'transfer',
+            transaction,
+            transaction.from_entity_id || transaction.to_entity_id
+        );
+
+        const receiver = await this.checkStoredSignature(
+            transaction.receipt_signature,
+            'receipt',
+            transaction,
+            transaction.to_entity_id
+        );
+
+        return { sender, receiver };
+    }
+
+    async checkStoredSignature(storedRecord, type, transaction, entityId) {
+        if (!storedRecord) {
+            return 'unsigned';
+        }
+
+        let record;
+        try {
+            record = JSON.parse(storedRecord);
+        } catch (error) {
+            return 'invalid';
+        }
+
+        const key = await this.getKey(record.key_id);
+        if (!key || key.entity_id !== entityId) {
+            return 'invalid';
+        }
+
+        const message = signer.canonicalizeCustodyStatement(type, { ...transaction, signed_at: record.signed_at });
+        return signer.verifySignature(message, record.signature, key.public_key) ? 'valid' : 'invalid';
+    }
+}
+
+module.exports = new CustodyService();
+module.exports.CustodyError = CustodyError;
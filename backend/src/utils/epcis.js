@@ -0,0 +1,921 @@
+const crypto = require('crypto');
+const xml2js = require('xml2js');
+const dbManager = require('../config/database');
+const blockchain = require('./blockchain');
+const custody = require('./custody');
+const shipments = require('./shipments');
+const packaging = require('./packaging');
+const gs1 = require('./gs1');
+const { HttpError } = require('./common');
+
+const EPCIS_CONTEXT = 'https://ref.gs1.org/standards/epcis/2.0.0/epcis-context.jsonld';
+const DIGITAL_LINK_BASE = 'https://id.gs1.org';
+// Namespace of the ledger's own extension fields (transaction hash, sender signature)
+const LEDGER_PREFIX = 'dvs';
+const LEDGER_NAMESPACE = process.env.EPCIS_EXTENSION_NAMESPACE || 'https://drugverification.example/epcis/';
+
+const EVENT_TYPES = ['ObjectEvent', 'AggregationEvent', 'TransactionEvent'];
+const MAX_CAPTURE_EVENTS = 500;
+
+// CBV vocabulary prefixes; EPCIS 2.0 JSON uses bare values, XML and 1.2 documents use URIs
+const CBV_PREFIXES = [
+    'urn:epcglobal:cbv:bizstep:',
+    'urn:epcglobal:cbv:disp:',
+    'urn:epcglobal:cbv:sdt:',
+    'urn:epcglobal:cbv:btt:',
+    'https://ref.gs1.org/cbv/BizStep-',
+    'https://ref.gs1.org/cbv/Disp-',
+    'https://ref.gs1.org/cbv/SDT-',
+    'https://ref.gs1.org/cbv/BTT-'
+];
+
+// How each ledger transaction type is exported
+const LEDGER_EVENTS = {
+    manufacture: { action: 'ADD', bizStep: 'commissioning', disposition: 'active' },
+    transfer: { action: 'OBSERVE', bizStep: 'shipping', disposition: 'in_transit' },
+    sale: { action: 'OBSERVE', bizStep: 'retail_selling', disposition: 'retail_sold' },
+    return: { action: 'OBSERVE', bizStep: 'shipping', disposition: 'returned' },
+    recall: { action: 'OBSERVE', bizStep: 'holding', disposition: 'recalled' }
+};
+
+// Packing and unpacking cases and pallets, as aggregation event actions
+const AGGREGATION_EVENTS = {
+    ADD: { bizStep: 'packing', disposition: 'in_progress' },
+    DELETE: { bizStep: 'unpacking', disposition: 'in_progress' }
+};
+
+// Source and destination types in the order they identify the trading party
+const PARTY_TYPES = ['owning_party', 'possessing_party', 'location'];
+
+/**
+ * `details` lists the events that could not be mapped
+ */
+class EpcisError extends HttpError {
+    constructor(message, statusCode = 400, details = undefined) {
+        super(message, statusCode);
+        this.details = details;
+    }
+}
+
+/**
+ * GS1 EPCIS 2.0 capture and query for the supply chain ledger
+ * Entities are identified by GLN and products by GTIN with lot or serial; captured
+ * shipping and commissioning events become signed ledger transactions, and packing and
+ * unpacking aggregation events pack and unpack cases and pallets
+ */
+class EpcisService {
+    /**
+     * Capture an EPCIS document (JSON-LD object or XML string)
+     * Every event is mapped before anything is recorded, so a malformed document records nothing
+     */
+    async capture(document, userId = null) {
+        const events = typeof document === 'string'
+            ? await this.parseXmlDocument(document)
+            : this.parseJsonDocument(document);
+
+        if (events.length === 0) {
+            throw new EpcisError('The document contains no events');
+        }
+        if (events.length > MAX_CAPTURE_EVENTS) {
+            throw new EpcisError(`A capture may contain at most ${MAX_CAPTURE_EVENTS} events`);
+        }
+
+        const plans = [];
+        const errors = [];
+        for (const [index, event] of events.entries()) {
+            try {
+                plans.push({ index, event, ...(await this.planEvent(event)) });
+            } catch (error) {
+                if (!(error instanceof EpcisError)) {
+                    throw error;
+                }
+                errors.push({ index, eventID: event.eventID, message: error.message });
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new EpcisError('Some events could not be mapped to the ledger', 400, errors);
+        }
+
+        // The ledger is append-only, so events are recorded in the order they happened
+        plans.sort((a, b) => Date.parse(a.event.eventTime) - Date.parse(b.event.eventTime));
+
+        const results = [];
+        for (const plan of plans) {
+            results.push(await this.recordPlan(plan, userId));
+        }
+
+        return {
+            events: events.length,
+            recorded: results.filter(result => result.status === 'recorded').length,
+            skipped: results.filter(result => result.status === 'skipped' || result.status === 'duplicate').length,
+            failed: results.filter(result => result.status === 'failed').length,
+            results: results.sort((a, b) => a.index - b.index)
+        };
+    }
+
+    async recordPlan({ index, event, skip, aggregation, transfer, senderSignature, shippingDetails }, userId = null) {
+        const result = { index, eventID: event.eventID || null };
+
+        if (skip) {
+            return { ...result, status: 'skipped', reason: skip };
+        }
+        if (aggregation) {
+            return this.recordAggregation(result, aggregation, userId);
+        }
+
+        try {
+            // Checked and recorded in one transaction, like a transfer posted to the API
+            return await dbManager.withTransaction(async () => {
+                if (event.eventID) {
+                    const existing = await dbManager.queryOne(
+                        'SELECT id FROM supply_chain_transactions WHERE epcis_event_id = ?',
+                        [event.eventID]
+                    );
+                    if (existing) {
+                        return { ...result, status: 'duplicate', transactionId: existing.id };
+                    }
+                }
+
+                await shipments.assertDispatchable(transfer);
+
+                const signatureRecord = await custody.verifyTransferSignature({
+                    batch_id: transfer.batchId,
+                    from_entity_id: transfer.fromEntityId,
+                    to_entity_id: transfer.toEntityId,
+                    transaction_type: transfer.transactionType,
+                    quantity: transfer.quantity
+                }, senderSignature);
+
+                const transaction = await blockchain.createTransaction({
+                    ...transfer,
+                    shippingDetails,
+                    digitalSignature: JSON.stringify(signatureRecord),
+                    notes: `Captured from EPCIS ${event.type}`,
+                    expectedDeliveryDate: transfer.transactionType === 'manufacture' ? null : shipments.defaultExpectedDelivery(),
+                    epcisEventId: event.eventID || null
+                });
+
+                return { ...result, status: 'recorded', transactionId: transaction.transactionId };
+            });
+        } catch (error) {
+            if (!error.statusCode) {
+                throw error;
+            }
+            return { ...result, status: 'failed', reason: error.message };
+        }
+    }
+
+    /**
+     * Pack or unpack a container; an unknown parent is registered, as a pallet when it
+     * takes cases and as a case when it takes packs
+     */
+    async recordAggregation(result, { action, parentCode, caseCodes, serialNumbers }, userId) {
+        try {
+            if (action === 'ADD') {
+                if (!(await packaging.getUnit(parentCode))) {
+                    await packaging.createUnit({ code: parentCode, level: caseCodes.length > 0 ? 'pallet' : 'case' }, userId);
+                }
+                await packaging.pack(parentCode, { caseCodes, serialNumbers }, userId);
+                return { ...result, status: 'recorded', packed: caseCodes.length + serialNumbers.length };
+            }
+
+            const unpacked = await packaging.unpack(parentCode, { caseCodes, serialNumbers }, userId);
+            if (unpacked.unpacked === 0) {
+                return { ...result, status: 'skipped', reason: `Nothing listed is packed in ${parentCode}` };
+            }
+            return { ...result, status: 'recorded', unpacked: unpacked.unpacked };
+        } catch (error) {
+            if (!error.statusCode) {
+                throw error;
+            }
+            return { ...result, status: 'failed', reason: error.message };
+        }
+    }
+
+    /**
+     * Work out the ledger transaction an event stands for
+     * Returns { skip } for events the ledger does not record
+     */
+    async planEvent(event) {
+        if (!EVENT_TYPES.includes(event.type)) {
+            return { skip: `${event.type || 'Unknown'} events are not recorded on the ledger` };
+        }
+        if (Number.isNaN(Date.parse(event.eventTime))) {
+            throw new EpcisError('eventTime is missing or invalid');
+        }
+        if (event.type === 'AggregationEvent' && ['packing', 'unpacking'].includes(event.bizStep)) {
+            return this.planAggregation(event);
+        }
+
+        let transactionType;
+        if (event.bizStep === 'commissioning' && event.action === 'ADD') {
+            transactionType = 'manufacture';
+        } else if (event.bizStep === 'shipping' && event.action !== 'DELETE') {
+            transactionType = event.disposition === 'returned' ? 'return' : 'transfer';
+        } else if (event.bizStep === 'receiving') {
+            return { skip: 'Receipts are recorded through the countersigned receive endpoint' };
+        } else {
+            return { skip: `Business step ${event.bizStep || '(none)'} is not recorded on the ledger` };
+        }
+
+        const { batchId, quantity } = await this.resolveProducts(event);
+
+        let fromEntityId = null;
+        let toEntityId;
+        if (transactionType === 'manufacture') {
+            toEntityId = await this.resolveEntity(event.bizLocation || event.readPoint, 'bizLocation');
+        } else {
+            fromEntityId = await this.resolveEntity(this.pickParty(event.sources) || event.readPoint, 'source');
+            toEntityId = await this.resolveEntity(this.pickParty(event.destinations), 'destination');
+        }
+
+        if (!event.senderSignature || !event.senderSignature.signedAt || !event.senderSignature.signature) {
+            throw new EpcisError(`Event has no ${LEDGER_PREFIX}:senderSignature extension with signedAt and signature`);
+        }
+
+        const serials = event.epcs.filter(epc => this.parseIdentifier(epc).scheme === 'sgtin');
+
+        return {
+            transfer: { batchId, fromEntityId, toEntityId, transactionType, quantity },
+            senderSignature: event.senderSignature,
+            shippingDetails: {
+                epcis: {
+                    eventID: event.eventID || null,
+                    eventType: event.type,
+                    eventTime: event.eventTime,
+                    bizStep: event.bizStep,
+                    disposition: event.disposition || null,
+                    bizTransactions: event.bizTransactions,
+                    ...(serials.length > 0 ? { epcList: serials } : {})
+                }
+            }
+        };
+    }
+
+    /**
+     * Work out the container and contents a packing or unpacking event covers
+     * An unpacking event without children empties the container
+     */
+    async planAggregation(event) {
+        if (!AGGREGATION_EVENTS[event.action]) {
+            return { skip: `${event.action || 'Unknown'} aggregation events are not recorded` };
+        }
+        if (event.quantities.length > 0) {
+            throw new EpcisError('Packed contents must be listed as childEPCs, not quantities');
+        }
+
+        const parentCode = this.unitCode(event.parentID, 'parentID');
+        const caseCodes = [];
+        const serialNumbers = [];
+
+        for (const epc of event.epcs) {
+            const id = this.parseIdentifier(epc);
+            if (id.scheme === 'sgtin' || id.scheme === 'serial') {
+                const unit = await this.findSerializedUnit(id);
+                if (!unit) {
+                    throw new EpcisError(`Unknown serialized unit ${epc}`);
+                }
+                serialNumbers.push(id.serial);
+            } else {
+                caseCodes.push(this.unitCode(epc, 'childEPC'));
+            }
+        }
+
+        if (event.action === 'ADD' && caseCodes.length + serialNumbers.length === 0) {
+            throw new EpcisError('A packing event must list the packed childEPCs');
+        }
+
+        return { aggregation: { action: event.action, parentCode, caseCodes, serialNumbers } };
+    }
+
+    /**
+     * Code of the case or pallet an SSCC or ledger unit identifier names
+     */
+    unitCode(uri, role) {
+        const id = this.parseIdentifier(uri);
+        if (id.scheme === 'sscc') {
+            return id.sscc;
+        }
+        if (id.scheme === 'unit') {
+            return id.code;
+        }
+        throw new EpcisError(`${role} ${uri || '(none)'} must be an SSCC or a ${LEDGER_PREFIX} unit identifier`);
+    }
+
+    /**
+     * Serialized unit for an SGTIN, or for a bare serial number from a product with no GTIN
+     */
+    async findSerializedUnit({ serial, gtin = null }) {
+        return dbManager.queryOne(`
+            SELECT su.id, su.batch_id, su.serial_number
+            FROM serialized_units su
+            JOIN drug_batches db ON su.batch_id = db.id
+            JOIN drugs d ON db.drug_id = d.id
+            WHERE su.serial_number = ? AND ${gtin ? 'd.gtin = ?' : 'd.gtin IS NULL'}
+        `, gtin ? [serial, gtin] : [serial]);
+    }
+
+    /**
+     * Resolve an event's products to a single batch and quantity
+     * Serialized EPCs count one unit each; class-level lots carry their own quantity
+     */
+    async resolveProducts(event) {
+        const batches = new Map();
+        const add = (batchId, quantity) => batches.set(batchId, (batches.get(batchId) || 0) + quantity);
+
+        for (const epc of event.epcs) {
+            const id = this.parseIdentifier(epc);
+            if (id.scheme !== 'sgtin') {
+                throw new EpcisError(`Unsupported EPC ${epc}; use SGTINs or a quantity list`);
+            }
+
+            const unit = await this.findSerializedUnit(id);
+            if (!unit) {
+                throw new EpcisError(`Unknown serialized unit ${epc}`);
+            }
+            add(unit.batch_id, 1);
+        }
+
+        for (const element of event.quantities) {
+            const id = this.parseIdentifier(element.epcClass);
+            if (id.scheme !== 'lgtin') {
+                throw new EpcisError(`Quantity element ${element.epcClass} must identify a GTIN and lot`);
+            }
+            if (!Number.isInteger(element.quantity) || element.quantity < 1) {
+                throw new EpcisError(`Quantity for ${element.epcClass} must be a positive whole number`);
+            }
+
+            const batch = await dbManager.queryOne(`
+                SELECT db.id
+                FROM drug_batches db
+                JOIN drugs d ON db.drug_id = d.id
+                WHERE d.gtin = ? AND (db.batch_number = ? OR db.lot_number = ?)
+            `, [id.gtin, id.lot, id.lot]);
+
+            if (!batch) {
+                throw new EpcisError(`Unknown lot ${element.epcClass}`);
+            }
+            add(batch.id, element.quantity);
+        }
+
+        if (batches.size === 0) {
+            throw new EpcisError('Event lists no products');
+        }
+        if (batches.size > 1) {
+            throw new EpcisError('Event covers more than one batch; capture one event per batch');
+        }
+
+        const [[batchId, quantity]] = [...batches.entries()];
+        return { batchId, quantity };
+    }
+
+    pickParty(parties) {
+        for (const type of PARTY_TYPES) {
+            const party = parties.find(candidate => candidate.type === type);
+            if (party) {
+                return party.id;
+            }
+        }
+        return null;
+    }
+
+    async resolveEntity(uri, role) {
+        if (!uri) {
+            throw new EpcisError(`Event has no ${role} to identify the entity`);
+        }
+
+        const id = this.parseIdentifier(uri);
+        if (!id.gln) {
+            throw new EpcisError(`${role} ${uri} is not a GLN-based identifier`);
+        }
+
+        const entity = await dbManager.queryOne('SELECT id FROM supply_chain_entities WHERE gln = ?', [id.gln]);
+        if (!entity) {
+            throw new EpcisError(`No supply chain entity has GLN ${id.gln}`);
+        }
+
+        return entity.id;
+    }
+
+    /**
+     * Parse an EPC URN or GS1 Digital Link URI into its GS1 keys
+     */
+    parseIdentifier(uri) {
+        const value = String(uri || '').trim();
+
+        // Cases without an SSCC and packs without a GTIN are exported under the ledger namespace
+        const ledger = value.startsWith(LEDGER_NAMESPACE) && value.slice(LEDGER_NAMESPACE.length).match(/^(unit|serial)\/(.+)$/);
+        if (ledger) {
+            const key = decodeURIComponent(ledger[2]);
+            return ledger[1] === 'unit' ? { scheme: 'unit', code: key } : { scheme: 'serial', serial: key };
+        }
+
+        const urn = value.match(/^urn:epc:(id|class):(sgtin|lgtin|sgln|pgln|sscc):(.+)$/);
+        if (urn) {
+            const [companyPrefix, reference = '', extra = ''] = urn[3].split('.');
+            const withCheck = digits => digits + gs1.calculateCheckDigit(digits);
+
+            switch (urn[2]) {
+            case 'sgtin':
+                return { scheme: 'sgtin', gtin: withCheck(reference[0] + companyPrefix + reference.slice(1)), serial: decodeURIComponent(extra) };
+            case 'lgtin':
+                return { scheme: 'lgtin', gtin: withCheck(reference[0] + companyPrefix + reference.slice(1)), lot: decodeURIComponent(extra) };
+            case 'sscc':
+                return { scheme: 'sscc', sscc: withCheck(reference[0] + companyPrefix + reference.slice(1)) };
+            default:
+                return { scheme: urn[2], gln: withCheck(companyPrefix + reference) };
+            }
+        }
+
+        const link = value.match(/^https?:\/\/[^/]+\/(.+?)\/?$/);
+        if (link) {
+            const segments = link[1].split('/').map(decodeURIComponent);
+            const keys = {};
+            for (let i = 0; i + 1 < segments.length; i += 2) {
+                keys[segments[i]] = segments[i + 1];
+            }
+
+            if (keys['01']) {
+                const gtin = gs1.toGTIN14(keys['01']);
+                if (keys['21']) {
+                    return { scheme: 'sgtin', gtin, serial: keys['21'] };
+                }
+                return keys['10'] ? { scheme: 'lgtin', gtin, lot: keys['10'] } : { scheme: 'gtin', gtin };
+            }
+            if (keys['414']) {
+                return { scheme: 'sgln', gln: keys['414'] };
+            }
+            if (keys['417']) {
+                return { scheme: 'pgln', gln: keys['417'] };
+            }
+            if (keys['00']) {
+                return { scheme: 'sscc', sscc: keys['00'] };
+            }
+        }
+
+        return { scheme: null };
+    }
+
+    /**
+     * Events of an EPCIS 2.0 JSON-LD document
+     */
+    parseJsonDocument(document) {
+        if (!document || document.type !== 'EPCISDocument' || !document.epcisBody) {
+            throw new EpcisError('Expected an EPCISDocument');
+        }
+
+        const eventList = document.epcisBody.eventList || [];
+        if (!Array.isArray(eventList)) {
+            throw new EpcisError('epcisBody.eventList must be an array');
+        }
+
+        return eventList.map(event => this.normalizeEvent({
+            type: event.type,
+            eventID: event.eventID,
+            eventTime: event.eventTime,
+            action: event.action,
+            bizStep: event.bizStep,
+            disposition: event.disposition,
+            readPoint: event.readPoint && event.readPoint.id,
+            bizLocation: event.bizLocation && event.bizLocation.id,
+            parentID: event.parentID,
+            epcs: [...(event.epcList || []), ...(event.childEPCs || [])],
+            quantities: [...(event.quantityList || []), ...(event.childQuantityList || [])],
+            sources: (event.sourceList || []).map(source => ({ type: source.type, id: source.source })),
+            destinations: (event.destinationList || []).map(destination => ({ type: destination.type, id: destination.destination })),
+            bizTransactions: (event.bizTransactionList || []).map(item => ({ type: item.type, id: item.bizTransaction })),
+            senderSignature: this.findExtension(event, 'senderSignature')
+        }));
+    }
+
+    /**
+     * Events of an EPCIS 1.2 or 2.0 XML document
+     */
+    async parseXmlDocument(xml) {
+        let parsed;
+        try {
+            parsed = await xml2js.parseStringPromise(xml, {
+                explicitArray: false,
+                tagNameProcessors: [xml2js.processors.stripPrefix],
+                attrNameProcessors: [xml2js.processors.stripPrefix]
+            });
+        } catch (error) {
+            throw new EpcisError(`Invalid XML: ${error.message}`);
+        }
+
+        const body = parsed.EPCISDocument && parsed.EPCISDocument.EPCISBody;
+        if (!body) {
+            throw new EpcisError('Expected an EPCISDocument');
+        }
+
+        const eventList = body.EventList || {};
+        const events = [];
+
+        for (const type of Object.keys(eventList)) {
+            for (const element of this.toArray(eventList[type])) {
+                // 1.2 documents carry the 2.0 fields inside <extension>
+                const event = { ...(element.extension || {}), ...element };
+                const quantityElements = list => this.toArray(list && list.quantityElement).map(quantity => ({
+                    epcClass: this.text(quantity.epcClass),
+                    quantity: Number(this.text(quantity.quantity))
+                }));
+                const parties = (list, name) => this.toArray(list && list[name]).map(party => ({
+                    type: party.$ && party.$.type,
+                    id: this.text(party)
+                }));
+
+                events.push(this.normalizeEvent({
+                    type,
+                    eventID: this.text(event.eventID || (event.baseExtension && event.baseExtension.eventID)),
+                    eventTime: this.text(event.eventTime),
+                    action: this.text(event.action),
+                    bizStep: this.text(event.bizStep),
+                    disposition: this.text(event.disposition),
+                    readPoint: event.readPoint && this.text(event.readPoint.id),
+                    bizLocation: event.bizLocation && this.text(event.bizLocation.id),
+                    parentID: this.text(event.parentID),
+                    epcs: [
+                        ...this.toArray(event.epcList && event.epcList.epc),
+                        ...this.toArray(event.childEPCs && event.childEPCs.epc)
+                    ].map(epc => this.text(epc)).filter(Boolean),
+                    quantities: [...quantityElements(event.quantityList), ...quantityElements(event.childQuantityList)],
+                    sources: parties(event.sourceList, 'source'),
+                    destinations: parties(event.destinationList, 'destination'),
+                    bizTransactions: parties(event.bizTransactionList, 'bizTransaction'),
+                    senderSignature: event.senderSignature
+                }));
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * Strip CBV URI prefixes and extension namespaces so both formats compare the same
+     */
+    normalizeEvent(event) {
+        const parties = list => list.map(party => ({ type: this.cbvValue(party.type), id: party.id }));
+        const signature = event.senderSignature && this.stripPrefixes(event.senderSignature);
+
+        return {
+            ...event,
+            bizStep: this.cbvValue(event.bizStep),
+            disposition: this.cbvValue(event.disposition),
+            quantities: event.quantities.map(element => ({ epcClass: element.epcClass, quantity: Number(element.quantity) })),
+            sources: parties(event.sources),
+            destinations: parties(event.destinations),
+            bizTransactions: parties(event.bizTransactions),
+            senderSignature: signature ? { signedAt: this.text(signature.signedAt), signature: this.text(signature.signature) } : null
+        };
+    }
+
+    cbvValue(value) {
+        if (!value) {
+            return value || null;
+        }
+        const prefix = CBV_PREFIXES.find(candidate => value.startsWith(candidate));
+        return prefix ? value.slice(prefix.length) : value;
+    }
+
+    findExtension(event, name) {
+        const key = Object.keys(event).find(candidate => candidate === name || candidate.endsWith(`:${name}`));
+        return key ? event[key] : undefined;
+    }
+
+    stripPrefixes(object) {
+        if (!object || typeof object !== 'object') {
+            return object;
+        }
+        return Object.fromEntries(Object.entries(object).map(([key, value]) => [key.replace(/^[^:]+:/, ''), value]));
+    }
+
+    toArray(value) {
+        // Empty elements such as <epcList/> parse to an empty string
+        if (value === undefined || value === null || value === '') {
+            return [];
+        }
+        return Array.isArray(value) ? value : [value];
+    }
+
+    text(node) {
+        if (node === undefined || node === null) {
+            return undefined;
+        }
+        return typeof node === 'object' ? node._ : String(node).trim();
+    }
+
+    /**
+     * Export ledger transactions and packing as an EPCIS 2.0 query document
+     * Transactions and aggregation events are paged together in time order
+     */
+    async exportEvents({ batchId, gtin, from, to, limit = 100, offset = 0 } = {}) {
+        const filters = (timeColumn, batchColumn) => {
+            const conditions = [`${timeColumn} IS NOT NULL`];
+            const params = [];
+
+            if (batchId) {
+                conditions.push(`${batchColumn} = ?`);
+                params.push(batchId);
+            }
+            if (gtin) {
+                conditions.push('d.gtin = ?');
+                params.push(gs1.toGTIN14(gtin));
+            }
+            if (from) {
+                conditions.push(`${timeColumn} >= ?`);
+                params.push(new Date(from).toISOString());
+            }
+            if (to) {
+                conditions.push(`${timeColumn} < ?`);
+                params.push(new Date(to).toISOString());
+            }
+
+            return { where: conditions.join(' AND '), params };
+        };
+
+        // A case emptied since keeps no batch, so its batch is taken from the packs it held
+        const aggregationFrom = `
+            FROM packaging_contents pc
+            JOIN packaging_units parent ON pc.parent_id = parent.id
+            LEFT JOIN packaging_units child ON pc.child_unit_id = child.id
+            LEFT JOIN serialized_units su ON pc.child_serial_id = su.id
+            LEFT JOIN drug_batches db ON db.id = COALESCE(su.batch_id, child.batch_id, parent.batch_id, (
+                SELECT held.batch_id
+                FROM packaging_contents case_contents
+                JOIN serialized_units held ON case_contents.child_serial_id = held.id
+                WHERE case_contents.parent_id = child.id
+                LIMIT 1
+            ))
+            LEFT JOIN drugs d ON db.drug_id = d.id
+        `;
+        const transactionFilter = filters('sct.transaction_date', 'sct.batch_id');
+        const packFilter = filters('pc.packed_at', 'db.id');
+        const unpackFilter = filters('pc.unpacked_at', 'db.id');
+
+        const keys = await dbManager.query(`
+            SELECT 'transaction' as kind, sct.id as id, NULL as action, sct.transaction_date as event_time
+            FROM supply_chain_transactions sct
+            JOIN drug_batches db ON sct.batch_id = db.id
+            JOIN drugs d ON db.drug_id = d.id
+            WHERE ${transactionFilter.where}
+            UNION ALL
+            SELECT 'aggregation', pc.parent_id, 'ADD', pc.packed_at
+            ${aggregationFrom}
+            WHERE ${packFilter.where}
+            GROUP BY pc.parent_id, pc.packed_at
+            UNION ALL
+            SELECT 'aggregation', pc.parent_id, 'DELETE', pc.unpacked_at
+            ${aggregationFrom}
+            WHERE ${unpackFilter.where}
+            GROUP BY pc.parent_id, pc.unpacked_at
+            ORDER BY event_time ASC, kind ASC, id ASC
+            LIMIT ? OFFSET ?
+        `, [...transactionFilter.params, ...packFilter.params, ...unpackFilter.params, limit, offset]);
+
+        const transactionIds = keys.filter(key => key.kind === 'transaction').map(key => key.id);
+        const transactions = transactionIds.length === 0 ? [] : await dbManager.query(`
+            SELECT sct.*, db.batch_number, d.gtin,
+                   from_entity.gln as from_gln, to_entity.gln as to_gln
+            FROM supply_chain_transactions sct
+            JOIN drug_batches db ON sct.batch_id = db.id
+            JOIN drugs d ON db.drug_id = d.id
+            LEFT JOIN supply_chain_entities from_entity ON sct.from_entity_id = from_entity.id
+            JOIN supply_chain_entities to_entity ON sct.to_entity_id = to_entity.id
+            WHERE sct.id IN (${transactionIds.map(() => '?').join(', ')})
+        `, transactionIds);
+        const transactionsById = new Map(transactions.map(transaction => [transaction.id, transaction]));
+
+        const eventList = [];
+        for (const key of keys) {
+            if (key.kind === 'transaction') {
+                eventList.push(...this.toEvents(transactionsById.get(key.id)));
+            } else {
+                eventList.push(await this.toAggregationEvent(key.id, key.action, key.event_time));
+            }
+        }
+
+        return {
+            '@context': [EPCIS_CONTEXT, { [LEDGER_PREFIX]: LEDGER_NAMESPACE }],
+            type: 'EPCISQueryDocument',
+            schemaVersion: '2.0',
+            creationDate: new Date().toISOString(),
+            epcisBody: {
+                queryResults: {
+                    queryName: 'SimpleEventQuery',
+                    resultsBody: { eventList }
+                }
+            }
+        };
+    }
+
+    /**
+     * EPCIS events for one ledger transaction
+     * A received or rejected transfer also yields the receiving event
+     */
+    toEvents(transaction) {
+        const mapping = LEDGER_EVENTS[transaction.transaction_type];
+        let details = {};
+        try {
+            details = transaction.shipping_details ? JSON.parse(transaction.shipping_details) : {};
+        } catch (error) {
+            details = {};
+        }
+        const captured = details.epcis || {};
+
+        const products = quantity => (captured.epcList && quantity === transaction.quantity
+            ? { epcList: captured.epcList }
+            : { quantityList: [{ epcClass: this.lotLink(transaction), quantity }] });
+
+        const event = {
+            type: 'ObjectEvent',
+            eventTime: transaction.transaction_date,
+            eventTimeZoneOffset: '+00:00',
+            eventID: transaction.epcis_event_id || this.hashEventId(transaction.transaction_hash),
+            ...products(transaction.quantity),
+            action: mapping.action,
+            bizStep: mapping.bizStep,
+            disposition: mapping.disposition
+        };
+
+        if (['transfer', 'return'].includes(transaction.transaction_type)) {
+            event.readPoint = { id: this.locationLink(transaction.from_gln, transaction.from_entity_id) };
+            event.sourceList = [{ type: 'owning_party', source: this.partyLink(transaction.from_gln, transaction.from_entity_id) }];
+            event.destinationList = [{ type: 'owning_party', destination: this.partyLink(transaction.to_gln, transaction.to_entity_id) }];
+        } else {
+            event.readPoint = { id: this.locationLink(transaction.to_gln, transaction.to_entity_id) };
+            event.bizLocation = { id: this.locationLink(transaction.to_gln, transaction.to_entity_id) };
+        }
+
+        if (captured.bizTransactions && captured.bizTransactions.length > 0) {
+            event.bizTransactionList = captured.bizTransactions.map(item => ({ type: item.type, bizTransaction: item.id }));
+        }
+        event[`${LEDGER_PREFIX}:transactionHash`] = transaction.transaction_hash;
+
+        const events = [event];
+
+        if (transaction.transaction_type === 'transfer' && ['received', 'rejected'].includes(transaction.shipment_status)) {
+            const received = transaction.shipment_status === 'received';
+            events.push({
+                type: 'ObjectEvent',
+                eventTime: new Date(transaction.received_date).toISOString(),
+                eventTimeZoneOffset: '+00:00',
+                eventID: this.hashEventId(`${transaction.transaction_hash}:receipt`),
+                ...products(received ? transaction.quantity_received : transaction.quantity),
+                action: 'OBSERVE',
+                bizStep: 'receiving',
+                disposition: received ? 'in_progress' : 'non_sellable_other',
+                readPoint: { id: this.locationLink(transaction.to_gln, transaction.to_entity_id) },
+                bizLocation: { id: this.locationLink(transaction.to_gln, transaction.to_entity_id) },
+                [`${LEDGER_PREFIX}:transactionHash`]: transaction.transaction_hash
+            });
+        }
+
+        return events;
+    }
+
+    /**
+     * Aggregation event for the children packed into, or unpacked from, a container at one time
+     */
+    async toAggregationEvent(parentId, action, eventTime) {
+        const children = await dbManager.query(`
+            SELECT parent.code as parent_code, child.code as case_code, su.serial_number, d.gtin
+            FROM packaging_contents pc
+            JOIN packaging_units parent ON pc.parent_id = parent.id
+            LEFT JOIN packaging_units child ON pc.child_unit_id = child.id
+            LEFT JOIN serialized_units su ON pc.child_serial_id = su.id
+            LEFT JOIN drug_batches db ON su.batch_id = db.id
+            LEFT JOIN drugs d ON db.drug_id = d.id
+            WHERE pc.parent_id = ? AND ${action === 'ADD' ? 'pc.packed_at' : 'pc.unpacked_at'} = ?
+            ORDER BY pc.id ASC
+        `, [parentId, eventTime]);
+
+        return {
+            type: 'AggregationEvent',
+            eventTime,
+            eventTimeZoneOffset: '+00:00',
+            eventID: this.hashEventId(`${children[0].parent_code}:${action}:${eventTime}`),
+            parentID: this.unitLink(children[0].parent_code),
+            childEPCs: children.map(child => (child.case_code
+                ? this.unitLink(child.case_code)
+                : this.serialLink(child.gtin, child.serial_number))),
+            action,
+            bizStep: AGGREGATION_EVENTS[action].bizStep,
+            disposition: AGGREGATION_EVENTS[action].disposition
+        };
+    }
+
+    /**
+     * EPCIS 2.0 hash-based event ID for ledger entries that were not captured with one
+     */
+    hashEventId(value) {
+        const hash = /^[0-9a-f]{64}$/.test(value) ? value : crypto.createHash('sha256').update(value).digest('hex');
+        return `ni:///sha-256;${hash}?ver=CBV2.0`;
+    }
+
+    lotLink(transaction) {
+        return transaction.gtin
+            ? `${DIGITAL_LINK_BASE}/01/${transaction.gtin}/10/${encodeURIComponent(transaction.batch_number)}`
+            : `${LEDGER_NAMESPACE}batch/${transaction.batch_id}`;
+    }
+
+    unitLink(code) {
+        return gs1.isValidSSCC(code)
+            ? `${DIGITAL_LINK_BASE}/00/${code}`
+            : `${LEDGER_NAMESPACE}unit/${encodeURIComponent(code)}`;
+    }
+
+    serialLink(gtin, serialNumber) {
+        return gtin
+            ? `${DIGITAL_LINK_BASE}/01/${gtin}/21/${encodeURIComponent(serialNumber)}`
+            : `${LEDGER_NAMESPACE}serial/${encodeURIComponent(serialNumber)}`;
+    }
+
+    locationLink(gln, entityId) {
+        return gln ? `${DIGITAL_LINK_BASE}/414/${gln}` : `${LEDGER_NAMESPACE}entity/${entityId}`;
+    }
+
+    partyLink(gln, entityId) {
+        return gln ? `${DIGITAL_LINK_BASE}/417/${gln}` : `${LEDGER_NAMESPACE}entity/${entityId}`;
+    }
+
+    /**
+     * Serialize a query document as EPCIS 2.0 XML
+     * XML lists events under one element per event type, so they are grouped by type
+     */
+    toXml(document) {
+        const eventList = {};
+        for (const event of document.epcisBody.queryResults.resultsBody.eventList) {
+            (eventList[event.type] = eventList[event.type] || []).push(this.toXmlEvent(event));
+        }
+
+        const builder = new xml2js.Builder({ xmldec: { version: '1.0', encoding: 'UTF-8' } });
+        return builder.buildObject({
+            'epcisq:EPCISQueryDocument': {
+                $: {
+                    'xmlns:epcisq': 'urn:epcglobal:epcis-query:xsd:2',
+                    [`xmlns:${LEDGER_PREFIX}`]: LEDGER_NAMESPACE,
+                    schemaVersion: document.schemaVersion,
+                    creationDate: document.creationDate
+                },
+                EPCISBody: {
+                    'epcisq:QueryResults': {
+                        queryName: document.epcisBody.queryResults.queryName,
+                        resultsBody: {
+                            EventList: eventList
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    toXmlEvent(event) {
+        const element = {
+            eventTime: event.eventTime,
+            eventTimeZoneOffset: event.eventTimeZoneOffset,
+            eventID: event.eventID
+        };
+
+        if (event.parentID) {
+            element.parentID = event.parentID;
+            element.childEPCs = { epc: event.childEPCs };
+        }
+        if (event.epcList) {
+            element.epcList = { epc: event.epcList };
+        }
+        element.action = event.action;
+        element.bizStep = `urn:epcglobal:cbv:bizstep:${event.bizStep}`;
+        element.disposition = `urn:epcglobal:cbv:disp:${event.disposition}`;
+        if (event.readPoint) {
+            element.readPoint = event.readPoint;
+        }
+        if (event.bizLocation) {
+            element.bizLocation = event.bizLocation;
+        }
+        if (event.bizTransactionList) {
+            element.bizTransactionList = {
+                bizTransaction: event.bizTransactionList.map(item => ({ _: item.bizTransaction, $: { type: `urn:epcglobal:cbv:btt:${item.type}` } }))
+            };
+        }
+        if (event.quantityList) {
+            element.quantityList = { quantityElement: event.quantityList };
+        }
+        if (event.sourceList) {
+            element.sourceList = {
+                source: event.sourceList.map(item => ({ _: item.source, $: { type: `urn:epcglobal:cbv:sdt:${item.type}` } }))
+            };
+            element.destinationList = {
+                destination: event.destinationList.map(item => ({ _: item.destination, $: { type: `urn:epcglobal:cbv:sdt:${item.type}` } }))
+            };
+        }
+        if (event[`${LEDGER_PREFIX}:transactionHash`]) {
+            element[`${LEDGER_PREFIX}:transactionHash`] = event[`${LEDGER_PREFIX}:transactionHash`];
+        }
+
+        return element;
+    }
+}
+
+module.exports = new EpcisService();
+module.exports.EpcisError = EpcisError;
@@ -0,0 +1,303 @@
+// GS1 group separator (FNC1 in the data stream)
+const GROUP_SEPARATOR = '\u001d';
+
+// Symbology identifiers scanners may prefix to GS1 data
+// ]d2 DataMatrix, ]C1 GS1-128, ]Q3 QR Code, ]e0 DataBar, ]J1 DotCode
+const SYMBOLOGY_IDENTIFIERS = [']d2', ']C1', ']Q3', ']e0', ']J1'];
+
+// Application Identifiers used on pharmaceutical packs
+// `length` is fixed data length; `maxLength` marks variable-length fields ended by FNC1
+const APPLICATION_IDENTIFIERS = {
+    '00': { name: 'sscc', length: 18 },
+    '01': { name: 'gtin', length: 14 },
+    '02': { name: 'content_gtin', length: 14 },
+    '10': { name: 'lot', maxLength: 20 },
+    '11': { name: 'production_date', length: 6 },
+    '12': { name: 'due_date', length: 6 },
+    '13': { name: 'packaging_date', length: 6 },
+    '15': { name: 'best_before_date', length: 6 },
+    '16': { name: 'sell_by_date', length: 6 },
+    '17': { name: 'expiry_date', length: 6 },
+    '20': { name: 'variant', length: 2 },
+    '21': { name: 'serial', maxLength: 20 },
+    '22': { name: 'consumer_product_variant', maxLength: 20 },
+    '235': { name: 'third_party_serial', maxLength: 28 },
+    '240': { name: 'additional_product_id', maxLength: 30 },
+    '241': { name: 'customer_part_number', maxLength: 30 },
+    '30': { name: 'variable_count', maxLength: 8 },
+    '37': { name: 'count', maxLength: 8 },
+    '7003': { name: 'expiry_datetime', length: 10 },
+    '710': { name: 'nhrn_de', maxLength: 20 },
+    '711': { name: 'nhrn_fr', maxLength: 20 },
+    '712': { name: 'nhrn_es', maxLength: 20 },
+    '713': { name: 'nhrn_br', maxLength: 20 },
+    '714': { name: 'nhrn_pt', maxLength: 20 },
+    '715': { name: 'nhrn_us', maxLength: 20 }
+};
+
+// Two-digit AI prefixes whose length is predefined, so no FNC1 follows them
+const PREDEFINED_LENGTH_PREFIXES = ['00', '01', '02', '03', '04', '11', '12', '13', '14', '15', '16', '17', '18', '19', '20', '31', '32', '33', '34', '35', '36', '41'];
+
+const DATE_AIS = ['11', '12', '13', '15', '16', '17'];
+
+/**
+ * Error raised for data that looks like GS1 but cannot be parsed
+ */
+class GS1ParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GS1ParseError';
+    }
+}
+
+/**
+ * GS1 element string parser
+ * Reads GS1 DataMatrix / GS1-128 / GS1 QR content in raw (FNC1-separated)
+ * or human readable (parenthesised) form
+ */
+class GS1Parser {
+    /**
+     * Check whether scanned data is a GS1 element string rather than a plain code
+     */
+    isElementString(data) {
+        if (typeof data !== 'string' || data.length < 4) {
+            return false;
+        }
+
+        const trimmed = data.trim();
+        return SYMBOLOGY_IDENTIFIERS.some(id => trimmed.startsWith(id))
+            || /^\(\d{2,4}\)/.test(trimmed)
+            || trimmed.includes(GROUP_SEPARATOR)
+            || /^01\d{14}(\d{2,4}|$)/.test(trimmed);
+    }
+
+    /**
+     * Parse an element string into its Application Identifiers
+     */
+    parse(data) {
+        const input = this.normalize(data);
+        const elements = input.startsWith('(')
+            ? this.parseParenthesised(input)
+            : this.parseRaw(input);
+
+        if (elements.length === 0) {
+            throw new GS1ParseError('No GS1 Application Identifiers found');
+        }
+
+        const result = { elements };
+        elements.forEach(element => {
+            result[element.name] = element.value;
+        });
+
+        if (result.gtin && !this.isValidGTIN(result.gtin)) {
+            throw new GS1ParseError(`Invalid GTIN check digit: ${result.gtin}`);
+        }
+
+        DATE_AIS.forEach(ai => {
+            const { name } = APPLICATION_IDENTIFIERS[ai];
+            if (result[name]) {
+                result[name] = this.parseDate(result[name]);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Strip symbology identifiers and textual separators
+     */
+    normalize(data) {
+        let input = String(data).trim().replace(/<GS>/gi, GROUP_SEPARATOR);
+
+        const identifier = SYMBOLOGY_IDENTIFIERS.find(id => input.startsWith(id));
+        if (identifier) {
+            input = input.slice(identifier.length);
+        }
+
+        // A leading FNC1 only flags the symbol as GS1
+        return input.replace(new RegExp(`^${GROUP_SEPARATOR}+`), '');
+    }
+
+    /**
+     * Parse the human readable form, e.g. (01)09501101530003(17)261231(10)AB12
+     */
+    parseParenthesised(input) {
+        const elements = [];
+        const pattern = /\((\d{2,4})\)([^(]*)/g;
+        let consumed = 0;
+        let match;
+
+        while ((match = pattern.exec(input)) !== null) {
+            if (match.index !== consumed) {
+                throw new GS1ParseError(`Unexpected data at position ${consumed}`);
+            }
+
+            const definition = APPLICATION_IDENTIFIERS[match[1]];
+            if (!definition) {
+                throw new GS1ParseError(`Unsupported Application Identifier (${match[1]})`);
+            }
+
+            const value = match[2].replace(new RegExp(GROUP_SEPARATOR, 'g'), '').trim();
+            elements.push(this.createElement(match[1], definition, value));
+            consumed = pattern.lastIndex;
+        }
+
+        if (consumed !== input.length) {
+            throw new GS1ParseError(`Unexpected data at position ${consumed}`);
+        }
+
+        return elements;
+    }
+
+    /**
+     * Parse the raw form where variable-length fields end at FNC1 / GS
+     */
+    parseRaw(input) {
+        const elements = [];
+        let position = 0;
+
+        while (position < input.length) {
+            if (input[position] === GROUP_SEPARATOR) {
+                position++;
+                continue;
+            }
+
+            const ai = this.matchApplicationIdentifier(input, position);
+            const definition = APPLICATION_IDENTIFIERS[ai];
+            position += ai.length;
+
+            let value;
+            if (definition.length) {
+                value = input.substr(position, definition.length);
+                position += definition.length;
+
+                // Fixed-length AIs outside the predefined table still carry a separator
+                if (!PREDEFINED_LENGTH_PREFIXES.includes(ai.substring(0, 2)) && input[position] === GROUP_SEPARATOR) {
+                    position++;
+                }
+            } else {
+                const end = input.indexOf(GROUP_SEPARATOR, position);
+                value = input.substring(position, end === -1 ? input.length : end);
+                position = end === -1 ? input.length : end + 1;
+            }
+
+            elements.push(this.createElement(ai, definition, value));
+        }
+
+        return elements;
+    }
+
+    /**
+     * Find the Application Identifier starting at a position
+     */
+    matchApplicationIdentifier(input, position) {
+        for (const length of [2, 3, 4]) {
+            const candidate = input.substr(position, length);
+            if (APPLICATION_IDENTIFIERS[candidate]) {
+                return candidate;
+            }
+        }
+
+        throw new GS1ParseError(`Unsupported Application Identifier at position ${position}`);
+    }
+
+    /**
+     * Validate a value against its AI definition
+     */
+    createElement(ai, definition, value) {
+        if (definition.length && value.length !== definition.length) {
+            throw new GS1ParseError(`AI (${ai}) requires ${definition.length} characters`);
+        }
+
+        if (definition.maxLength && (value.length === 0 || value.length > definition.maxLength)) {
+            throw new GS1ParseError(`AI (${ai}) must be 1 to ${definition.maxLength} characters`);
+        }
+
+        if (definition.length && !/^\d+$/.test(value)) {
+            throw new GS1ParseError(`AI (${ai}) must be numeric`);
+        }
+
+        return { ai, name: definition.name, value };
+    }
+
+    /**
+     * Validate a GTIN-8/12/13/14 check digit
+     */
+    isValidGTIN(gtin) {
+        if (!/^(\d{8}|\d{12,14})$/.test(gtin)) {
+            return false;
+        }
+
+        return this.calculateCheckDigit(gtin.slice(0, -1)) === Number(gtin.slice(-1));
+    }
+
+    /**
+     * GS1 mod-10 check digit for the digits of a GTIN, GLN or SSCC without their check digit
+     */
+    calculateCheckDigit(digits) {
+        const sum = digits.split('').map(Number).reverse()
+            .reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+
+        return (10 - (sum % 10)) % 10;
+    }
+
+    /**
+     * Validate a 13-digit Global Location Number, which uses the GTIN check digit
+     */
+    isValidGLN(gln) {
+        return /^\d{13}$/.test(gln) && this.isValidGTIN(gln);
+    }
+
+    /**
+     * Validate an 18-digit Serial Shipping Container Code
+     */
+    isValidSSCC(sscc) {
+        return /^\d{18}$/.test(sscc) && this.calculateCheckDigit(sscc.slice(0, -1)) === Number(sscc.slice(-1));
+    }
+
+    /**
+     * Pad a GTIN-8/12/13 to the 14-digit form stored on drugs
+     */
+    toGTIN14(gtin) {
+        return String(gtin).padStart(14, '0');
+    }
+
+    /**
+     * Convert YYMMDD into an ISO date
+     * Uses the GS1 sliding century window; day 00 means the last day of the month
+     */
+    parseDate(yymmdd) {
+        const yy = parseInt(yymmdd.substring(0, 2));
+        const month = parseInt(yymmdd.substring(2, 4));
+        let day = parseInt(yymmdd.substring(4, 6));
+
+        if (month < 1 || month > 12) {
+            throw new GS1ParseError(`Invalid month in date ${yymmdd}`);
+        }
+
+        const currentYear = new Date().getUTCFullYear();
+        const currentCentury = Math.floor(currentYear / 100) * 100;
+        const difference = yy - (currentYear % 100);
+        let year = currentCentury + yy;
+
+        if (difference >= 51) {
+            year -= 100;
+        } else if (difference <= -50) {
+            year += 100;
+        }
+
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        if (day === 0) {
+            day = daysInMonth;
+        }
+
+        if (day > daysInMonth) {
+            throw new GS1ParseError(`Invalid day in date ${yymmdd}`);
+        }
+
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+}
+
+module.exports = new GS1Parser();
+module.exports.GS1ParseError = GS1ParseError;
@@ -0,0 +1,525 @@
+const dbManager = require('../config/database');
+const recalls = require('./recalls');
+const notifications = require('./notifications');
+const { HttpError, parseTimestamp } = require('./common');
+
+const OUTCOMES = ['confirmed_counterfeit', 'false_alarm', 'insufficient_evidence'];
+const EVIDENCE_TYPES = ['photo', 'document', 'sample', 'lab_result', 'other'];
+const LAB_RESULTS = ['authentic', 'counterfeit', 'substandard', 'inconclusive'];
+const TASK_STATUSES = ['open', 'done', 'cancelled'];
+
+// Manual status moves; resolving goes through resolve() so an outcome is always recorded
+const STATUS_TRANSITIONS = {
+    pending: ['investigating', 'false_alarm'],
+    investigating: ['pending', 'verified', 'false_alarm'],
+    verified: ['investigating'],
+    false_alarm: ['investigating'],
+    resolved: ['investigating']
+};
+
+// Hours to first investigator action and to resolution, by report severity
+const SLA_TARGETS = {
+    critical: { responseHours: 4, resolutionHours: 72 },
+    high: { responseHours: 24, resolutionHours: 168 },
+    medium: { responseHours: 72, resolutionHours: 336 },
+    low: { responseHours: 168, resolutionHours: 720 }
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class InvestigationError extends HttpError {}
+
+/**
+ * Investigation case management for counterfeit reports
+ * Each report carries a case: a timeline of notes and actions, tasks with due dates,
+ * evidence items including lab results, SLA timers driven by severity, and a
+ * structured outcome that can escalate a confirmed counterfeit into an alert or recall
+ */
+class InvestigationService {
+    constructor() {
+        this.outcomes = OUTCOMES;
+        this.evidenceTypes = EVIDENCE_TYPES;
+        this.labResults = LAB_RESULTS;
+        this.taskStatuses = TASK_STATUSES;
+        this.statuses = Object.keys(STATUS_TRANSITIONS);
+    }
+
+    /**
+     * Full case file for a report
+     */
+    async getCase(reportId) {
+        const report = await this.requireReport(reportId);
+
+        const timeline = await dbManager.query(`
+            SELECT ce.id, ce.event_type, ce.message, ce.details, ce.user_id, ce.created_at,
+                   u.username, u.first_name, u.last_name
+            FROM case_events ce
+            LEFT JOIN users u ON ce.user_id = u.id
+            WHERE ce.report_id = ?
+            ORDER BY ce.created_at DESC, ce.id DESC
+        `, [reportId]);
+        timeline.forEach(event => {
+            event.details = event.details ? JSON.parse(event.details) : null;
+        });
+
+        const now = Date.now();
+        const tasks = await dbManager.query(`
+            SELECT ct.*, assignee.username as assigned_to_username
+            FROM case_tasks ct
+            LEFT JOIN users assignee ON ct.assigned_to_user_id = assignee.id
+            WHERE ct.report_id = ?
+            ORDER BY ct.status = 'open' DESC, ct.due_at ASC
+        `, [reportId]);
+        tasks.forEach(task => {
+            task.is_overdue = task.status === 'open' && !!task.due_at && new Date(task.due_at).getTime() < now;
+        });
+
+        const evidence = await dbManager.query(`
+            SELECT ce.*, u.username as added_by_username
+            FROM case_evidence ce
+            LEFT JOIN users u ON ce.added_by_user_id = u.id
+            WHERE ce.report_id = ?
+            ORDER BY ce.created_at DESC
+        `, [reportId]);
+        evidence.forEach(item => {
+            item.result_details = item.result_details ? JSON.parse(item.result_details) : null;
+        });
+
+        return {
+            report_id: report.id,
+            status: report.status,
+            severity_level: report.severity_level,
+            assigned_investigator_id: report.assigned_investigator_id,
+            allowed_transitions: STATUS_TRANSITIONS[report.status] || [],
+            sla: this.getSla(report),
+            outcome: report.outcome_details ? JSON.parse(report.outcome_details) : null,
+            timeline,
+            tasks,
+            evidence
+        };
+    }
+
+    /**
+     * Open cases with their SLA timers, most urgent first
+     */
+    async getQueue({ investigatorId = null, overdueOnly = false } = {}) {
+        const params = [];
+        let filter = '';
+        if (investigatorId) {
+            filter = 'AND cr.assigned_investigator_id = ?';
+            params.push(investigatorId);
+        }
+
+        const reports = await dbManager.query(`
+            SELECT cr.id, cr.drug_name, cr.suspected_batch_number, cr.severity_level, cr.status,
+                   cr.assigned_investigator_id, cr.created_at, cr.first_response_at, cr.resolved_at,
+                   investigator.username as investigator_username,
+                   (SELECT COUNT(*) FROM case_tasks ct WHERE ct.report_id = cr.id AND ct.status = 'open') as open_tasks
+            FROM counterfeit_reports cr
+            LEFT JOIN users investigator ON cr.assigned_investigator_id = investigator.id
+            WHERE cr.status != 'resolved' ${filter}
+        `, params);
+
+        const queue = reports.map(report => ({ ...report, sla: this.getSla(report) }));
+        const overdue = item => ['overdue', 'breached'].includes(item.sla.response.status)
+            || item.sla.resolution.status === 'overdue';
+
+        return queue
+            .filter(item => !overdueOnly || overdue(item))
+            .sort((a, b) => this.nextDeadline(a.sla) - this.nextDeadline(b.sla));
+    }
+
+    /**
+     * Response and resolution timers for a report's severity
+     */
+    getSla(report) {
+        const targets = SLA_TARGETS[report.severity_level] || SLA_TARGETS.medium;
+        const openedAt = parseTimestamp(report.created_at);
+
+        return {
+            response: this.evaluateTimer(openedAt, targets.responseHours, parseTimestamp(report.first_response_at)),
+            resolution: this.evaluateTimer(openedAt, targets.resolutionHours, parseTimestamp(report.resolved_at))
+        };
+    }
+
+    evaluateTimer(openedAt, targetHours, completedAt) {
+        const dueAt = new Date(openedAt.getTime() + targetHours * HOUR_MS);
+        const timer = {
+            target_hours: targetHours,
+            due_at: dueAt.toISOString(),
+            completed_at: completedAt ? completedAt.toISOString() : null
+        };
+
+        if (completedAt) {
+            timer.status = completedAt <= dueAt ? 'met' : 'breached';
+        } else {
+            const remaining = (dueAt.getTime() - Date.now()) / HOUR_MS;
+            timer.status = remaining < 0 ? 'overdue' : 'running';
+            timer.remaining_hours = Number(remaining.toFixed(1));
+        }
+
+        return timer;
+    }
+
+    nextDeadline(sla) {
+        const open = [sla.response, sla.resolution].filter(timer => !timer.completed_at);
+        return open.length > 0 ? Math.min(...open.map(timer => new Date(timer.due_at).getTime())) : Infinity;
+    }
+
+    async addNote(reportId, message, user) {
+        this.assertCanWork(await this.requireReport(reportId), user);
+        await this.recordEvent(reportId, 'note', message, null, user.id);
+        await this.markResponded(reportId);
+        return this.getCase(reportId);
+    }
+
+    /**
+     * Move a case to another status without resolving it
+     */
+    async changeStatus(reportId, status, user, note = null) {
+        const report = await this.requireReport(reportId);
+        this.assertCanWork(report, user);
+        const allowed = STATUS_TRANSITIONS[report.status] || [];
+
+        if (!allowed.includes(status)) {
+            throw new InvestigationError(
+                `Cannot move a ${report.status} case to ${status}${allowed.length ? `; allowed: ${allowed.join(', ')}` : ''}`,
+                409
+            );
+        }
+
+        // Reopening clears the verdict; the timeline keeps the earlier one
+        const reopening = report.status === 'resolved';
+        await dbManager.run(`
+            UPDATE counterfeit_reports
+            SET status = ?, updated_at = CURRENT_TIMESTAMP${reopening ? ', outcome = NULL, outcome_details = NULL, resolved_at = NULL' : ''}
+            WHERE id = ?
+        `, [status, reportId]);
+
+        await this.recordEvent(reportId, 'status_change', note || `Status changed from ${report.status} to ${status}`,
+            { from: report.status, to: status }, user.id);
+        await this.markResponded(reportId);
+
+        return this.getCase(reportId);
+    }
+
+    /**
+     * Hand a case to an admin or pharmacist and start the investigation
+     */
+    async assign(reportId, investigatorId, user) {
+        const report = await this.requireReport(reportId);
+
+        const investigator = await dbManager.queryOne(
+            'SELECT id, username, role FROM users WHERE id = ? AND role IN (?, ?)',
+            [investigatorId, 'admin', 'pharmacist']
+        );
+        if (!investigator) {
+            throw new InvestigationError('Invalid investigator or insufficient permissions');
+        }
+
+        const status = report.status === 'pending' ? 'investigating' : report.status;
+        await dbManager.run(
+            'UPDATE counterfeit_reports SET assigned_investigator_id = ?, status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [investigatorId, status, reportId]
+        );
+
+        await this.recordEvent(reportId, 'assignment', `Assigned to ${investigator.username}`,
+            { investigator_id: investigator.id, previous_investigator_id: report.assigned_investigator_id }, user.id);
+        await this.markResponded(reportId);
+
+        return investigator;
+    }
+
+    async addTask(reportId, { title, description = null, dueAt, assignedTo = null }, user) {
+        this.assertCanWork(await this.requireReport(reportId), user);
+        const assigneeId = assignedTo || user.id;
+
+        const assignee = await dbManager.queryOne('SELECT id, username FROM users WHERE id = ? AND is_active = 1', [assigneeId]);
+        if (!assignee) {
+            throw new InvestigationError('Task assignee not found');
+        }
+
+        const result = await dbManager.run(`
+            INSERT INTO case_tasks (report_id, title, description, assigned_to_user_id, due_at, created_by_user_id, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [reportId, title, description, assigneeId, new Date(dueAt).toISOString(), user.id, new Date().toISOString()]);
+
+        await this.recordEvent(reportId, 'task_created', `Task "${title}" assigned to ${assignee.username}`,
+            { task_id: result.id, due_at: new Date(dueAt).toISOString() }, user.id);
+        await this.markResponded(reportId);
+
+        return this.getTask(reportId, result.id);
+    }
+
+    async updateTask(reportId, taskId, { status, dueAt }, user) {
+        this.assertCanWork(await this.requireReport(reportId), user);
+        const task = await this.getTask(reportId, taskId);
+
+        const fields = [];
+        const params = [];
+        const changes = {};
+
+        if (dueAt !== undefined && task.status === 'open') {
+            fields.push('due_at = ?');
+            params.push(new Date(dueAt).toISOString());
+            changes.due_at = new Date(dueAt).toISOString();
+        }
+
+        if (status !== undefined && status !== task.status) {
+            fields.push('status = ?');
+            params.push(status);
+            changes.status = status;
+
+            if (status === 'open') {
+                fields.push('completed_at = NULL', 'completed_by_user_id = NULL');
+            } else {
+                fields.push('completed_at = ?', 'completed_by_user_id = ?');
+                params.push(new Date().toISOString(), user.id);
+            }
+        }
+
+        if (fields.length === 0) {
+            throw new InvestigationError('No task changes to apply');
+        }
+
+        await dbManager.run(`UPDATE case_tasks SET ${fields.join(', ')} WHERE id = ?`, [...params, taskId]);
+
+        const verb = { done: 'completed', cancelled: 'cancelled', open: 'reopened' }[changes.status] || 'rescheduled';
+        await this.recordEvent(reportId, 'task_updated', `Task "${task.title}" ${verb}`, { task_id: task.id, ...changes }, user.id);
+
+        return this.getTask(reportId, taskId);
+    }
+
+    async getTask(reportId, taskId) {
+        const task = await dbManager.queryOne(
+            'SELECT * FROM case_tasks WHERE id = ? AND report_id = ?',
+            [taskId, reportId]
+        );
+        if (!task) {
+            throw new InvestigationError('Task not found', 404);
+        }
+        return task;
+    }
+
+    /**
+     * Record an evidence item; lab results need the lab and its verdict
+     */
+    async addEvidence(reportId, evidence, user, storedFilename = null) {
+        this.assertCanWork(await this.requireReport(reportId), user);
+        const { evidenceType, description, labName = null, testMethod = null, labResult = null, resultDetails = null, collectedAt = null } = evidence;
+
+        if (evidenceType === 'lab_result' && (!labName || !labResult)) {
+            throw new InvestigationError('Lab results need labName and labResult');
+        }
+        if (evidenceType !== 'lab_result' && labResult) {
+            throw new InvestigationError('labResult is only recorded on lab_result evidence');
+        }
+
+        const result = await dbManager.run(`
+            INSERT INTO case_evidence
+            (report_id, evidence_type, description, stored_filename, lab_name, test_method, lab_result,
+             result_details, collected_at, added_by_user_id, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            reportId,
+            evidenceType,
+            description,
+            storedFilename,
+            labName,
+            testMethod,
+            labResult,
+            resultDetails ? JSON.stringify(resultDetails) : null,
+            collectedAt ? new Date(collectedAt).toISOString() : null,
+            user.id,
+            new Date().toISOString()
+        ]);
+
+        const summary = evidenceType === 'lab_result'
+            ? `Lab result from ${labName}: ${labResult}`
+            : `${evidenceType.replace('_', ' ')} evidence added`;
+        await this.recordEvent(reportId, 'evidence_added', summary, { evidence_id: result.id, evidence_type: evidenceType }, user.id);
+        await this.markResponded(reportId);
+
+        const item = await dbManager.queryOne('SELECT * FROM case_evidence WHERE id = ?', [result.id]);
+        item.result_details = item.result_details ? JSON.parse(item.result_details) : null;
+        return item;
+    }
+
+    /**
+     * Close a case with a structured outcome, escalating confirmed counterfeits on request
+     */
+    async resolve(reportId, { outcome, resolutionNotes, escalation = null }, user) {
+        const report = await this.requireReport(reportId);
+        this.assertCanWork(report, user);
+
+        if (report.status === 'resolved') {
+            throw new InvestigationError('Report is already resolved; reopen it first', 409);
+        }
+
+        const openTasks = await dbManager.queryOne(
+            "SELECT COUNT(*) as count FROM case_tasks WHERE report_id = ? AND status = 'open'",
+            [reportId]
+        );
+        if (openTasks.count > 0) {
+            throw new InvestigationError(`Complete or cancel the ${openTasks.count} open task(s) before resolving`, 409);
+        }
+
+        const labResults = await dbManager.query(
+            "SELECT id, lab_name, lab_result FROM case_evidence WHERE report_id = ? AND evidence_type = 'lab_result'",
+            [reportId]
+        );
+        const evidenceCount = await dbManager.queryOne('SELECT COUNT(*) as count FROM case_evidence WHERE report_id = ?', [reportId]);
+
+        let escalationRecord = null;
+        if (escalation) {
+            if (outcome !== 'confirmed_counterfeit') {
+                throw new InvestigationError('Only confirmed counterfeits can be escalated');
+            }
+            escalationRecord = await this.escalate(report, escalation, resolutionNotes, user);
+        }
+
+        const resolvedAt = new Date().toISOString();
+        const outcomeDetails = {
+            outcome,
+            summary: resolutionNotes,
+            lab_confirmed: labResults.some(lab => lab.lab_result === 'counterfeit'),
+            lab_results: labResults,
+            evidence_count: evidenceCount.count,
+            matched_batch_id: report.matched_batch_id || null,
+            escalation: escalationRecord,
+            resolved_by_user_id: user.id,
+            resolved_at: resolvedAt
+        };
+
+        await dbManager.run(`
+            UPDATE counterfeit_reports
+            SET status = 'resolved',
+                outcome = ?,
+                outcome_details = ?,
+                resolution_notes = ?,
+                resolved_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [outcome, JSON.stringify(outcomeDetails), resolutionNotes, reportId]);
+
+        await this.recordEvent(reportId, 'outcome', `Resolved as ${outcome.replace(/_/g, ' ')}`, { outcome }, user.id);
+        if (escalationRecord) {
+            const label = escalationRecord.type === 'recall'
+                ? `Escalated to recall ${escalationRecord.recall_number}`
+                : `Escalated to ${escalationRecord.alert_ids.length} batch alert(s)`;
+            await this.recordEvent(reportId, 'escalation', label, escalationRecord, user.id);
+        }
+        await this.markResponded(reportId);
+
+        return outcomeDetails;
+    }
+
+    /**
+     * Public batch alerts, or a recall of the affected batches (admins only)
+     */
+    async escalate(report, { type, batchIds, recallClass = 'I', message = null, region = null }, resolutionNotes, user) {
+        const targetIds = batchIds && batchIds.length > 0
+            ? batchIds
+            : (report.matched_batch_id ? [report.matched_batch_id] : []);
+
+        if (targetIds.length === 0) {
+            throw new InvestigationError('The report is not linked to a batch; list escalation.batchIds');
+        }
+
+        if (type === 'recall') {
+            if (user.role !== 'admin') {
+                throw new InvestigationError('Only admins can escalate a case into a recall', 403);
+            }
+
+            const recall = await recalls.createRecall({
+                recallClass,
+                reason: `Counterfeit confirmed by investigation of report #${report.id}: ${resolutionNotes}`,
+                scope: { batchIds: targetIds }
+            }, user.id);
+
+            return { type, batch_ids: targetIds, recall_id: recall.id, recall_number: recall.recall_number };
+        }
+
+        const batches = await dbManager.query(`
+            SELECT db.id, db.batch_number, db.drug_id, d.name as drug_name
+            FROM drug_batches db
+            JOIN drugs d ON db.drug_id = d.id
+            WHERE db.id IN (${targetIds.map(() => '?').join(', ')})
+        `, targetIds);
+
+        if (batches.length !== targetIds.length) {
+            throw new InvestigationError('One or more escalation batches do not exist', 404);
+        }
+
+        const alertIds = [];
+        const alertMessages = [];
+        for (const batch of batches) {
+            const alertMessage = message
+                || `Counterfeit packs claiming to be ${batch.drug_name} batch ${batch.batch_number} have been confirmed. `
+                + 'Verify every pack before use and report suspicious products.';
+            alertMessages.push(alertMessage);
+
+            const result = await dbManager.run(`
+                INSERT INTO alerts
+                (alert_type, title, message, severity, related_batch_id, related_drug_id, related_report_id,
+                 region, is_public, created_by_user_id)
+                VALUES ('counterfeit_detected', ?, ?, ?, ?, ?, ?, ?, 1, ?)
+            `, [
+                `Counterfeit Alert: ${batch.drug_name} batch ${batch.batch_number}`,
+                alertMessage,
+                report.severity_level === 'critical' ? 'critical' : 'error',
+                batch.id,
+                batch.drug_id,
+                report.id,
+                region,
+                user.id
+            ]);
+            alertIds.push(result.id);
+            await notifications.notifyAlert(result.id);
+        }
+
+        await dbManager.run(
+            'UPDATE counterfeit_reports SET public_alert_issued = 1, alert_message = ? WHERE id = ?',
+            [alertMessages.join('\n'), report.id]
+        );
+
+        return { type, batch_ids: targetIds, alert_ids: alertIds };
+    }
+
+    async recordEvent(reportId, eventType, message, details, userId) {
+        await dbManager.run(`
+            INSERT INTO case_events (report_id, event_type, message, details, user_id, created_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [reportId, eventType, message, details ? JSON.stringify(details) : null, userId, new Date().toISOString()]);
+    }
+
+    /**
+     * The response timer stops at the first investigator action
+     */
+    async markResponded(reportId) {
+        await dbManager.run(
+            'UPDATE counterfeit_reports SET first_response_at = ? WHERE id = ? AND first_response_at IS NULL',
+            [new Date().toISOString(), reportId]
+        );
+    }
+
+    /**
+     * Admins work any case; pharmacists only the ones assigned to them
+     */
+    assertCanWork(report, user) {
+        if (user.role !== 'admin' && report.assigned_investigator_id !== user.id) {
+            throw new InvestigationError('You can only work on reports assigned to you', 403);
+        }
+    }
+
+    async requireReport(reportId) {
+        const report = await dbManager.queryOne('SELECT * FROM counterfeit_reports WHERE id = ?', [reportId]);
+        if (!report) {
+            throw new InvestigationError('Report not found', 404);
+        }
+        return report;
+    }
+}
+
+module.exports = new InvestigationService();
+module.exports.InvestigationError = InvestigationError;
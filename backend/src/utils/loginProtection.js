@@ -0,0 +1,224 @@
+const bcrypt = require('bcryptjs');
+const dbManager = require('../config/database');
+const notifications = require('./notifications');
+const sessions = require('./sessions');
+const { HttpError } = require('./common');
+
+class LoginLockedError extends HttpError {
+    constructor(message, retryAfter) {
+        super(message, 429);
+        this.code = 'LOGIN_LOCKED';
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Brute-force protection for sign-in
+ * Failed attempts are kept per account and per IP address; past a threshold each further
+ * failure doubles the wait before the next attempt is allowed, up to a cap. A successful
+ * sign-in or an admin unlock clears the account's failures.
+ *
+ * Each attempt is recorded as a pending failure before its credentials are checked, in the
+ * same transaction as the lockout check, so guesses sent in parallel count against each other.
+ */
+class LoginProtectionService {
+    constructor() {
+        this.accountThreshold = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+        this.ipThreshold = parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 20;
+        this.baseLockoutMs = (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60) * 1000;
+        this.maxLockoutMs = (parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60) * 60 * 1000;
+        // Only failures this recent count towards a lockout
+        this.failureWindowMs = (parseInt(process.env.LOGIN_FAILURE_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+        // Sign-ins from an IP or device not seen for this long trigger a notice
+        this.knownLocationMs = 90 * 24 * 60 * 60 * 1000;
+        // Same cost as real password hashes, made up front so the first unknown username isn't slower
+        this.dummyHash = bcrypt.hashSync('login-timing-placeholder', parseInt(process.env.BCRYPT_ROUNDS) || 12);
+    }
+
+    normalizeIdentifier(identifier) {
+        return String(identifier || '').trim().toLowerCase();
+    }
+
+    /**
+     * When a run of failures locks out until, or null
+     */
+    lockedUntil(failures, lastFailedAt, threshold) {
+        if (failures < threshold || !lastFailedAt) {
+            return null;
+        }
+
+        const lockoutMs = Math.min(this.baseLockoutMs * 2 ** (failures - threshold), this.maxLockoutMs);
+        const until = new Date(new Date(lastFailedAt).getTime() + lockoutMs);
+        return until > new Date() ? until : null;
+    }
+
+    /**
+     * Open an attempt: throw a LoginLockedError while the account or the IP address is locked
+     * out, otherwise record the attempt as pending and return its ID for recordFailure or pass
+     * Unknown usernames are tracked by the name tried, so they lock out like real accounts
+     */
+    async startAttempt({ userId = null, identifier, ipAddress, userAgent = null }) {
+        return dbManager.withTransaction(async () => {
+            await this.check({ userId, identifier, ipAddress });
+
+            const result = await dbManager.run(`
+                INSERT INTO login_attempts (user_id, identifier, ip_address, user_agent, success, reason, created_at)
+                VALUES (?, ?, ?, ?, 0, 'pending', ?)
+            `, [userId, this.normalizeIdentifier(identifier), ipAddress, userAgent, new Date().toISOString()]);
+            return result.id;
+        });
+    }
+
+    async check({ userId = null, identifier, ipAddress }) {
+        const since = new Date(Date.now() - this.failureWindowMs).toISOString();
+        const accountFailures = await dbManager.queryOne(`
+            SELECT COUNT(*) as failures, MAX(created_at) as last_failed_at
+            FROM login_attempts
+            WHERE success = 0 AND cleared_at IS NULL AND created_at > ?
+              AND ${userId ? 'user_id = ?' : 'user_id IS NULL AND identifier = ?'}
+        `, [since, userId || this.normalizeIdentifier(identifier)]);
+        const ipFailures = await dbManager.queryOne(`
+            SELECT COUNT(*) as failures, MAX(created_at) as last_failed_at
+            FROM login_attempts
+            WHERE success = 0 AND cleared_at IS NULL AND created_at > ? AND ip_address = ?
+        `, [since, ipAddress]);
+
+        const until = [
+            this.lockedUntil(accountFailures.failures, accountFailures.last_failed_at, this.accountThreshold),
+            this.lockedUntil(ipFailures.failures, ipFailures.last_failed_at, this.ipThreshold)
+        ].filter(Boolean).sort((a, b) => b - a)[0];
+
+        if (until) {
+            const retryAfter = Math.ceil((until - new Date()) / 1000);
+            const wait = retryAfter < 60
+                ? `${retryAfter} second${retryAfter === 1 ? '' : 's'}`
+                : `${Math.ceil(retryAfter / 60)} minutes`;
+            throw new LoginLockedError(`Too many failed sign-in attempts. Try again in ${wait}`, retryAfter);
+        }
+    }
+
+    /**
+     * Compare a password; with no account a throwaway hash is checked instead so the
+     * response takes as long whether or not the username exists
+     */
+    async verifyPassword(password, passwordHash = null) {
+        if (!passwordHash) {
+            await bcrypt.compare(String(password), this.dummyHash);
+            return false;
+        }
+
+        return bcrypt.compare(String(password), passwordHash);
+    }
+
+    /**
+     * Settle a pending attempt as a failure
+     */
+    async recordFailure(attemptId, reason) {
+        await dbManager.run('UPDATE login_attempts SET reason = ? WHERE id = ?', [reason, attemptId]);
+    }
+
+    /**
+     * Drop a pending attempt whose credentials were right, so it does not count as a failure
+     */
+    async pass(attemptId) {
+        await dbManager.run("DELETE FROM login_attempts WHERE id = ? AND reason = 'pending'", [attemptId]);
+    }
+
+    /**
+     * Record a completed sign-in, clear the account's failures and report whether
+     * the IP address or device is new for the user
+     */
+    async recordSuccess(user, { ipAddress, userAgent = null }) {
+        const now = new Date();
+        const device = sessions.describeUserAgent(userAgent);
+        const known = await dbManager.query(`
+            SELECT DISTINCT ip_address, user_agent
+            FROM login_attempts
+            WHERE user_id = ? AND success = 1 AND created_at > ?
+        `, [user.id, new Date(now.getTime() - this.knownLocationMs).toISOString()]);
+
+        await dbManager.run(
+            'UPDATE login_attempts SET cleared_at = ? WHERE user_id = ? AND success = 0 AND cleared_at IS NULL',
+            [now.toISOString(), user.id]
+        );
+        await dbManager.run(`
+            INSERT INTO login_attempts (user_id, identifier, ip_address, user_agent, success, created_at)
+            VALUES (?, ?, ?, ?, 1, ?)
+        `, [user.id, this.normalizeIdentifier(user.username), ipAddress, userAgent, now.toISOString()]);
+
+        // The first recorded sign-in has nothing to compare against
+        if (known.length === 0) {
+            return { newIp: false, newDevice: false, device };
+        }
+
+        return {
+            newIp: !known.some(row => row.ip_address === ipAddress),
+            newDevice: !known.some(row => sessions.describeUserAgent(row.user_agent) === device),
+            device
+        };
+    }
+
+    /**
+     * Clear an account's failed attempts; returns how many were cleared
+     */
+    async unlock(userId) {
+        const result = await dbManager.run(
+            'UPDATE login_attempts SET cleared_at = ? WHERE user_id = ? AND success = 0 AND cleared_at IS NULL',
+            [new Date().toISOString(), userId]
+        );
+        return result.changes;
+    }
+
+    /**
+     * Recent failures and lockout for each of the given users, keyed by user ID
+     */
+    async getAccountStatuses(userIds) {
+        if (userIds.length === 0) {
+            return {};
+        }
+
+        const rows = await dbManager.query(`
+            SELECT user_id, COUNT(*) as failures, MAX(created_at) as last_failed_at
+            FROM login_attempts
+            WHERE success = 0 AND cleared_at IS NULL AND created_at > ?
+              AND user_id IN (${userIds.map(() => '?').join(', ')})
+            GROUP BY user_id
+        `, [new Date(Date.now() - this.failureWindowMs).toISOString(), ...userIds]);
+
+        return Object.fromEntries(rows.map(row => {
+            const until = this.lockedUntil(row.failures, row.last_failed_at, this.accountThreshold);
+            return [row.user_id, {
+                failed_login_attempts: row.failures,
+                last_failed_login_at: row.last_failed_at,
+                locked_until: until ? until.toISOString() : null
+            }];
+        }));
+    }
+
+    /**
+     * Email the user about a sign-in from an IP address or device they have not used recently
+     */
+    async notifyNewSignIn(user, { ipAddress, device, newIp, newDevice }) {
+        const what = [newDevice && 'a new device', newIp && 'a new IP address'].filter(Boolean).join(' and ');
+
+        return notifications.getTransport('email').send({
+            to: user.email,
+            subject: 'New sign-in to your account',
+            text: [
+                `Hello ${user.first_name || user.username},`,
+                '',
+                `Your Drug Verification account was just signed in to from ${what}:`,
+                '',
+                `Device: ${device}`,
+                `IP address: ${ipAddress}`,
+                `Time: ${new Date().toUTCString()}`,
+                '',
+                'If this was you, there is nothing to do. If not, reset your password now and sign out',
+                'the devices you do not recognise from your profile.'
+            ].join('\n')
+        });
+    }
+}
+
+module.exports = new LoginProtectionService();
+module.exports.LoginLockedError = LoginLockedError;
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+// Domain separation so a leaf can never be passed off as an inner node (RFC 6962)
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+/**
+ * Binary Merkle tree over SHA-256 hex hashes
+ * An odd node at the end of a level is promoted unchanged instead of being
+ * duplicated, so two different transaction lists can never share a root
+ */
+class MerkleTree {
+    /**
+     * Hash a leaf value (a hex transaction hash)
+     */
+    hashLeaf(value) {
+        return crypto.createHash('sha256')
+            .update(Buffer.concat([LEAF_PREFIX, Buffer.from(value, 'hex')]))
+            .digest('hex');
+    }
+
+    /**
+     * Hash two child nodes into their parent
+     */
+    hashNode(left, right) {
+        return crypto.createHash('sha256')
+            .update(Buffer.concat([NODE_PREFIX, Buffer.from(left, 'hex'), Buffer.from(right, 'hex')]))
+            .digest('hex');
+    }
+
+    /**
+     * Build the next level up from a list of nodes
+     */
+    nextLevel(nodes) {
+        const level = [];
+
+        for (let i = 0; i < nodes.length; i += 2) {
+            level.push(i + 1 < nodes.length ? this.hashNode(nodes[i], nodes[i + 1]) : nodes[i]);
+        }
+
+        return level;
+    }
+
+    /**
+     * Compute the Merkle root of a list of leaf values
+     */
+    computeRoot(values) {
+        if (values.length === 0) {
+            throw new Error('Cannot compute the Merkle root of an empty list');
+        }
+
+        let nodes = values.map(value => this.hashLeaf(value));
+        while (nodes.length > 1) {
+            nodes = this.nextLevel(nodes);
+        }
+
+        return nodes[0];
+    }
+
+    /**
+     * Build the inclusion proof for the leaf at an index
+     * Each step names the sibling hash and which side it sits on
+     */
+    buildProof(values, index) {
+        if (index < 0 || index >= values.length) {
+            throw new Error('Leaf index out of range');
+        }
+
+        const path = [];
+        let nodes = values.map(value => this.hashLeaf(value));
+        let position = index;
+
+        while (nodes.length > 1) {
+            const siblingIndex = position % 2 === 0 ? position + 1 : position - 1;
+
+            // A promoted odd node has no sibling on this level
+            if (siblingIndex < nodes.length) {
+                path.push({
+                    position: siblingIndex < position ? 'left' : 'right',
+                    hash: nodes[siblingIndex]
+                });
+            }
+
+            nodes = this.nextLevel(nodes);
+            position = Math.floor(position / 2);
+        }
+
+        return path;
+    }
+
+    /**
+     * Check that a leaf value and proof path lead to the given root
+     */
+    verifyProof(value, path, root) {
+        const computed = path.reduce(
+            (hash, step) => (step.position === 'left' ? this.hashNode(step.hash, hash) : this.hashNode(hash, step.hash)),
+            this.hashLeaf(value)
+        );
+
+        return computed === root;
+    }
+}
+
+module.exports = new MerkleTree();
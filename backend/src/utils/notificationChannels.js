@@ -0,0 +1,320 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const nodemailer = require('nodemailer');
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.NOTIFY_HTTP_TIMEOUT_MS) || 10000;
+const STUB_OUTBOX_SIZE = 100;
+// Lets webhooks reach hosts on the local network, for development against a local receiver
+const ALLOW_PRIVATE_WEBHOOKS = process.env.NOTIFY_WEBHOOK_ALLOW_PRIVATE === 'true';
+
+// Addresses a subscriber-supplied URL must not reach: this host, the internal network
+// and cloud metadata endpoints
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['224.0.0.0', 3, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+].forEach(([network, prefix, family]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, family));
+
+class DestinationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DestinationError';
+    }
+}
+
+const isBlockedAddress = (address) => {
+    // IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+        return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    }
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * dns.lookup drop-in that fails for hosts resolving to a blocked address
+ * Used as the request's own lookup, so the address checked is the one connected to
+ */
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        if (addresses.length === 0 || addresses.some(entry => isBlockedAddress(entry.address))) {
+            return callback(new DestinationError(`${hostname} resolves to a private or local address`));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * Reject a webhook URL whose host is, or resolves to, a loopback, private or link-local address
+ */
+const assertPublicUrl = async (url) => {
+    if (ALLOW_PRIVATE_WEBHOOKS) {
+        return;
+    }
+
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname)) {
+        if (isBlockedAddress(hostname)) {
+            throw new DestinationError(`${hostname} is a private or local address`);
+        }
+        return;
+    }
+
+    await new Promise((resolve, reject) => {
+        publicLookup(hostname, {}, error => (error ? reject(error) : resolve()));
+    });
+};
+
+/**
+ * Make the POST itself; lookup, when given, replaces the DNS lookup for the connection
+ */
+const sendJson = (url, body, headers, lookup) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const payload = JSON.stringify(body);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const request = client.request(target, {
+        method: 'POST',
+        lookup,
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload),
+            'User-Agent': 'DrugVerification-Notifier/1.0',
+            ...headers
+        },
+        timeout: REQUEST_TIMEOUT_MS
+    }, (response) => {
+        let data = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => {
+            // Only the start of the answer is kept for the delivery log
+            if (data.length < 2000) data += chunk;
+        });
+        response.on('end', () => {
+            // The body is not passed on in errors: it comes from a host the subscriber chose
+            if (response.statusCode >= 200 && response.statusCode < 300) {
+                resolve({ status: response.statusCode, body: data });
+            } else {
+                reject(new Error(`HTTP ${response.statusCode}`));
+            }
+        });
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS}ms`)));
+    request.on('error', reject);
+    request.end(payload);
+});
+
+/**
+ * POST a JSON body and resolve with the response; non-2xx answers reject
+ * Redirects are not followed, so a 3xx from a public host cannot send the request inward.
+ * With publicOnly the host must resolve to a public address at connection time as well.
+ */
+const postJson = async (url, body, headers = {}, { publicOnly = false } = {}) => {
+    const guarded = publicOnly && !ALLOW_PRIVATE_WEBHOOKS;
+    if (guarded) {
+        // IP literals never go through lookup, so they are checked here
+        await assertPublicUrl(url);
+    }
+
+    return sendJson(url, body, headers, guarded ? publicLookup : undefined);
+};
+
+/**
+ * Email over SMTP
+ */
+class SmtpChannel {
+    constructor() {
+        this.name = 'email';
+        this.transport = 'smtp';
+        this.from = process.env.EMAIL_FROM || 'noreply@drugverification.com';
+        this.transporter = null;
+    }
+
+    async send({ to, subject, text }) {
+        if (!this.transporter) {
+            const port = parseInt(process.env.SMTP_PORT) || 587;
+            this.transporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port,
+                secure: port === 465,
+                auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+            });
+        }
+
+        const info = await this.transporter.sendMail({ from: this.from, to, subject, text });
+        return { provider_id: info.messageId, response: info.response };
+    }
+}
+
+/**
+ * Email written to MAIL_OUTBOX_DIR as one .eml file per message, for local development
+ */
+class FileMailChannel {
+    constructor() {
+        this.name = 'email';
+        this.transport = 'file';
+        this.from = process.env.EMAIL_FROM || 'noreply@drugverification.com';
+        this.directory = path.resolve(process.env.MAIL_OUTBOX_DIR || './logs/mail');
+    }
+
+    async send({ to, subject, text }) {
+        const id = crypto.randomUUID();
+        const sentAt = new Date();
+        const message = [
+            `Message-ID: <${id}@drugverification.local>`,
+            `Date: ${sentAt.toUTCString()}`,
+            `From: ${this.from}`,
+            `To: ${to}`,
+            `Subject: ${subject}`,
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            text
+        ].join('\r\n');
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const file = path.join(this.directory, `${sentAt.toISOString().replace(/[:.]/g, '-')}-${id}.eml`);
+        await fs.promises.writeFile(file, message, 'utf8');
+
+        return { provider_id: id, response: file };
+    }
+}
+
+/**
+ * SMS through an HTTP gateway that accepts { to, from, message } as JSON
+ */
+class SmsGatewayChannel {
+    constructor() {
+        this.name = 'sms';
+        this.transport = 'gateway';
+        this.url = process.env.SMS_GATEWAY_URL;
+        this.apiKey = process.env.SMS_GATEWAY_API_KEY;
+        this.from = process.env.SMS_FROM || 'DrugVerify';
+    }
+
+    async send({ to, shortText }) {
+        if (!this.url) {
+            throw new Error('SMS_GATEWAY_URL is not configured');
+        }
+
+        const result = await postJson(this.url, { to, from: this.from, message: shortText },
+            this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {});
+        return { response: result.body };
+    }
+}
+
+/**
+ * JSON POST to a subscriber URL, signed with the subscriber's secret when one is set
+ */
+class WebhookChannel {
+    constructor() {
+        this.name = 'webhook';
+        this.transport = 'http';
+    }
+
+    async send({ to, payload, secret }) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = { 'X-Notification-Timestamp': timestamp };
+
+        if (secret) {
+            const signature = crypto.createHmac('sha256', secret)
+                .update(`${timestamp}.${JSON.stringify(payload)}`)
+                .digest('hex');
+            headers['X-Notification-Signature'] = `sha256=${signature}`;
+        }
+
+        const result = await postJson(to, payload, headers, { publicOnly: true });
+        return { response: `HTTP ${result.status}` };
+    }
+}
+
+/**
+ * Local stand-in for any channel: keeps the last messages in memory and logs them
+ * Set NOTIFY_STUB_FAIL=<channel> to make a stub fail and exercise the retry path
+ */
+class StubChannel {
+    constructor(name) {
+        this.name = name;
+        this.transport = 'stub';
+        this.outbox = [];
+    }
+
+    async send(message) {
+        if ((process.env.NOTIFY_STUB_FAIL || '').split(',').includes(this.name)) {
+            throw new Error(`Stub ${this.name} channel set to fail`);
+        }
+
+        const record = {
+            id: crypto.randomUUID(),
+            channel: this.name,
+            to: message.to,
+            subject: message.subject,
+            text: this.name === 'sms' ? message.shortText : message.text,
+            payload: this.name === 'webhook' ? message.payload : undefined,
+            sent_at: new Date().toISOString()
+        };
+
+        this.outbox.unshift(record);
+        this.outbox.length = Math.min(this.outbox.length, STUB_OUTBOX_SIZE);
+        console.log(`[notify:${this.name} stub] to=${message.to} subject=${message.subject}`);
+
+        return { provider_id: record.id, response: 'stub' };
+    }
+}
+
+const REAL_CHANNELS = {
+    email: { smtp: SmtpChannel, file: FileMailChannel },
+    sms: { gateway: SmsGatewayChannel },
+    webhook: { http: WebhookChannel }
+};
+
+/**
+ * Build a channel from NOTIFY_<CHANNEL>_TRANSPORT; outside production the stub is the default
+ */
+const createChannel = (name) => {
+    const transports = REAL_CHANNELS[name];
+    const realTransport = Object.keys(transports)[0];
+    const configured = process.env[`NOTIFY_${name.toUpperCase()}_TRANSPORT`]
+        || (process.env.NODE_ENV === 'production' ? realTransport : 'stub');
+
+    if (configured === 'stub') {
+        return new StubChannel(name);
+    }
+    if (!transports[configured]) {
+        throw new Error(`Unknown ${name} transport: ${configured}`);
+    }
+    return new transports[configured]();
+};
+
+module.exports = {
+    createChannel,
+    assertPublicUrl,
+    DestinationError,
+    SmtpChannel,
+    FileMailChannel,
+    SmsGatewayChannel,
+    WebhookChannel,
+    StubChannel
+};
@@ -0,0 +1,644 @@
+const crypto = require('crypto');
+const dbManager = require('../config/database');
+const { createChannel, assertPublicUrl, DestinationError } = require('./notificationChannels');
+const alertFeed = require('./alertFeed');
+const { HttpError, toIsoTimestamp } = require('./common');
+
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+const CHANNELS = ['email', 'sms', 'webhook'];
+const ALERT_TYPES = ['counterfeit_detected', 'batch_recalled', 'supply_chain_breach', 'expired_drug', 'suspicious_activity'];
+
+// Users who never set preferences still hear about serious alerts addressed to them
+const DEFAULT_PREFERENCE = {
+    channel: 'email',
+    is_enabled: 1,
+    min_severity: 'error',
+    destination: null,
+    alert_types: null,
+    include_public: 0,
+    webhook_secret: null
+};
+
+class NotificationError extends HttpError {}
+
+/**
+ * Alert notification dispatcher
+ * Fans each new alert out to the users it concerns over the channels they chose,
+ * queues one delivery per user and channel, and retries failed sends with backoff
+ */
+class NotificationService {
+    constructor() {
+        this.severities = SEVERITIES;
+        this.channels = CHANNELS;
+        this.alertTypes = ALERT_TYPES;
+        this.maxAttempts = parseInt(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+        this.retryBaseDelay = parseInt(process.env.NOTIFY_RETRY_BASE_MS) || 60000;
+        this.queueInterval = parseInt(process.env.NOTIFY_QUEUE_INTERVAL_MS) || 15000;
+        this.batchSize = parseInt(process.env.NOTIFY_BATCH_SIZE) || 25;
+        this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+        this.enabled = {
+            email: process.env.ENABLE_EMAIL_NOTIFICATIONS !== 'false',
+            sms: process.env.ENABLE_SMS_NOTIFICATIONS === 'true',
+            webhook: process.env.ENABLE_WEBHOOK_NOTIFICATIONS !== 'false'
+        };
+        this.transports = {};
+        this.queueTimer = null;
+        this.processing = null;
+    }
+
+    /**
+     * Transport for a channel, built from the environment on first use
+     */
+    getTransport(channel) {
+        if (!this.transports[channel]) {
+            this.transports[channel] = createChannel(channel);
+        }
+        return this.transports[channel];
+    }
+
+    /**
+     * Replace a channel's transport; anything with an async send(message) will do
+     */
+    registerTransport(channel, transport) {
+        if (!CHANNELS.includes(channel)) {
+            throw new NotificationError(`Unknown notification channel: ${channel}`);
+        }
+        this.transports[channel] = transport;
+    }
+
+    /**
+     * Queue deliveries for a new alert and start sending them
+     * Never throws: a notification problem must not fail the action that raised the alert
+     */
+    async notifyAlert(alertId) {
+        try {
+            const queued = await this.queueAlert(alertId);
+            if (queued > 0) {
+                setImmediate(() => this.processQueue().catch(error => {
+                    console.error('Error processing notification queue:', error);
+                }));
+            }
+            return queued;
+        } catch (error) {
+            console.error(`Error queueing notifications for alert ${alertId}:`, error);
+            return 0;
+        }
+    }
+
+    async queueAlert(alertId) {
+        const alert = await dbManager.queryOne('SELECT * FROM alerts WHERE id = ?', [alertId]);
+        if (!alert || !alert.is_active) {
+            return 0;
+        }
+
+        const recipients = await this.findRecipients(alert);
+        const now = new Date().toISOString();
+        let queued = 0;
+
+        for (const recipient of recipients) {
+            for (const preference of this.effectivePreferences(recipient.preferences)) {
+                if (!this.wants(preference, alert, recipient.addressed)) {
+                    continue;
+                }
+
+                const destination = this.resolveDestination(preference, recipient);
+                if (!destination) {
+                    continue;
+                }
+
+                const result = await dbManager.run(`
+                    INSERT OR IGNORE INTO notification_deliveries
+                    (alert_id, user_id, channel, destination, public_copy, status, attempts, max_attempts, next_attempt_at, created_at)
+                    VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?)
+                `, [
+                    alert.id, recipient.id, preference.channel, destination, recipient.addressed ? 0 : 1,
+                    this.maxAttempts, now, now
+                ]);
+                queued += result.changes;
+            }
+        }
+
+        return queued;
+    }
+
+    /**
+     * Users the alert is addressed to by role, user ID or entity, plus anyone
+     * who opted in to public alerts
+     */
+    async findRecipients(alert) {
+        let audience = [];
+        try {
+            audience = alert.target_audience ? JSON.parse(alert.target_audience) : [];
+        } catch (e) {
+            audience = [];
+        }
+
+        const roles = audience.filter(entry => typeof entry === 'string' && !/^\d+$/.test(entry));
+        const userIds = audience.filter(entry => Number.isInteger(Number(entry))).map(Number);
+
+        const conditions = [];
+        const params = [];
+        if (roles.length > 0) {
+            conditions.push(`u.role IN (${roles.map(() => '?').join(', ')})`);
+            params.push(...roles);
+        }
+        if (userIds.length > 0) {
+            conditions.push(`u.id IN (${userIds.map(() => '?').join(', ')})`);
+            params.push(...userIds);
+        }
+        if (alert.target_entity_id) {
+            conditions.push('u.entity_id = ?');
+            params.push(alert.target_entity_id);
+        }
+
+        const users = conditions.length > 0
+            ? await dbManager.query(`
+                SELECT u.id, u.email, u.phone, u.role
+                FROM users u
+                WHERE u.is_active = 1 AND (${conditions.join(' OR ')})
+            `, params)
+            : [];
+        const recipients = new Map(users.map(user => [user.id, { ...user, addressed: true }]));
+
+        if (alert.is_public) {
+            const subscribers = await dbManager.query(`
+                SELECT DISTINCT u.id, u.email, u.phone, u.role
+                FROM users u
+                JOIN notification_preferences np ON np.user_id = u.id
+                WHERE u.is_active = 1 AND np.is_enabled = 1 AND np.include_public = 1
+            `);
+            subscribers
+                .filter(user => !recipients.has(user.id))
+                .forEach(user => recipients.set(user.id, { ...user, addressed: false }));
+        }
+
+        if (recipients.size === 0) {
+            return [];
+        }
+
+        const ids = [...recipients.keys()];
+        const preferences = await dbManager.query(
+            `SELECT * FROM notification_preferences WHERE user_id IN (${ids.map(() => '?').join(', ')})`,
+            ids
+        );
+
+        return [...recipients.values()].map(recipient => ({
+            ...recipient,
+            preferences: preferences.filter(preference => preference.user_id === recipient.id)
+        }));
+    }
+
+    /**
+     * Stored preferences, with the default email preference when the user has no email row
+     */
+    effectivePreferences(rows) {
+        const preferences = rows.map(row => ({
+            ...row,
+            alert_types: row.alert_types ? JSON.parse(row.alert_types) : null
+        }));
+
+        if (!preferences.some(preference => preference.channel === 'email')) {
+            preferences.push({ ...DEFAULT_PREFERENCE });
+        }
+
+        return preferences;
+    }
+
+    wants(preference, alert, addressed) {
+        return Boolean(preference.is_enabled)
+            && this.enabled[preference.channel]
+            && SEVERITIES.indexOf(alert.severity) >= SEVERITIES.indexOf(preference.min_severity)
+            && (!preference.alert_types || preference.alert_types.includes(alert.alert_type))
+            && (addressed || Boolean(preference.include_public));
+    }
+
+    resolveDestination(preference, user) {
+        if (preference.destination) {
+            return preference.destination;
+        }
+        if (preference.channel === 'email') {
+            return user.email;
+        }
+        if (preference.channel === 'sms') {
+            return user.phone;
+        }
+        return null;
+    }
+
+    /**
+     * Send every due delivery; concurrent calls share the run in progress
+     */
+    processQueue() {
+        if (!this.processing) {
+            this.processing = this.drainQueue().finally(() => {
+                this.processing = null;
+            });
+        }
+        return this.processing;
+    }
+
+    async drainQueue() {
+        let sent = 0;
+        let failed = 0;
+
+        const due = await dbManager.query(`
+            SELECT * FROM notification_deliveries
+            WHERE status = 'pending' AND next_attempt_at <= ?
+            ORDER BY next_attempt_at ASC
+            LIMIT ?
+        `, [new Date().toISOString(), this.batchSize]);
+
+        for (const delivery of due) {
+            const claimed = await dbManager.run(
+                "UPDATE notification_deliveries SET status = 'sending' WHERE id = ? AND status = 'pending'",
+                [delivery.id]
+            );
+            if (claimed.changes === 0) {
+                continue;
+            }
+
+            if (await this.deliver(delivery)) {
+                sent++;
+            } else {
+                failed++;
+            }
+        }
+
+        return { sent, failed };
+    }
+
+    /**
+     * One send attempt; failures are rescheduled with exponential backoff until attempts run out
+     */
+    async deliver(delivery) {
+        const attemptNumber = delivery.attempts + 1;
+        const transport = this.getTransport(delivery.channel);
+        const startedAt = Date.now();
+        let result = null;
+        let error = null;
+
+        try {
+            const alert = await dbManager.queryOne('SELECT * FROM alerts WHERE id = ?', [delivery.alert_id]);
+            const preference = await dbManager.queryOne(
+                'SELECT webhook_secret FROM notification_preferences WHERE user_id = ? AND channel = ?',
+                [delivery.user_id, delivery.channel]
+            );
+
+            if (!this.enabled[delivery.channel]) {
+                throw new Error(`${delivery.channel} notifications are disabled`);
+            }
+
+            // Subscribers to public alerts get the published version, with reporter details removed
+            let publicAlert = null;
+            if (delivery.public_copy) {
+                [publicAlert] = await alertFeed.listAlerts({ alertId: delivery.alert_id, limit: 1 });
+                if (!publicAlert) {
+                    throw new Error('Alert is no longer published');
+                }
+            }
+
+            result = await transport.send({
+                ...(publicAlert ? this.buildPublicMessage(publicAlert, delivery) : this.buildMessage(alert, delivery)),
+                secret: preference ? preference.webhook_secret : null
+            });
+        } catch (sendError) {
+            error = sendError.message;
+        }
+
+        const now = new Date();
+        await dbManager.run(`
+            INSERT INTO notification_attempts
+            (delivery_id, attempt_number, transport, success, response, error, duration_ms, attempted_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            delivery.id,
+            attemptNumber,
+            transport.transport,
+            error ? 0 : 1,
+            result ? String(result.response || '').slice(0, 1000) : null,
+            error,
+            Date.now() - startedAt,
+            now.toISOString()
+        ]);
+
+        if (!error) {
+            await dbManager.run(`
+                UPDATE notification_deliveries
+                SET status = 'sent', attempts = ?, last_error = NULL, sent_at = ?
+                WHERE id = ?
+            `, [attemptNumber, now.toISOString(), delivery.id]);
+            return true;
+        }
+
+        const exhausted = attemptNumber >= delivery.max_attempts;
+        const retryAt = new Date(now.getTime() + this.retryBaseDelay * 2 ** (attemptNumber - 1));
+        await dbManager.run(`
+            UPDATE notification_deliveries
+            SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?
+            WHERE id = ?
+        `, [exhausted ? 'failed' : 'pending', attemptNumber, error, retryAt.toISOString(), delivery.id]);
+
+        return false;
+    }
+
+    buildMessage(alert, delivery) {
+        const message = String(alert.message).replace(/\s+/g, ' ').trim();
+        const link = alert.related_report_id ? `${this.frontendUrl}/reports/${alert.related_report_id}` : this.frontendUrl;
+        const subject = `[${alert.severity.toUpperCase()}] ${alert.title}`;
+
+        return {
+            to: delivery.destination,
+            subject,
+            text: `${message}\n\n${link}\n\nYou receive this because of your alert notification preferences.`,
+            shortText: `${subject}. ${link}`.slice(0, 160),
+            payload: {
+                event: 'alert.created',
+                delivery_id: delivery.id,
+                alert: {
+                    id: alert.id,
+                    type: alert.alert_type,
+                    title: alert.title,
+                    message,
+                    severity: alert.severity,
+                    region: alert.region,
+                    related_batch_id: alert.related_batch_id,
+                    related_drug_id: alert.related_drug_id,
+                    related_report_id: alert.related_report_id,
+                    related_recall_id: alert.related_recall_id,
+                    created_at: toIsoTimestamp(alert.created_at)
+                }
+            }
+        };
+    }
+
+    /**
+     * Message for a subscriber who is not in the alert's audience, built only from the
+     * fields the public alert feed publishes
+     */
+    buildPublicMessage(publicAlert, delivery) {
+        const message = String(publicAlert.message).replace(/\s+/g, ' ').trim();
+        const subject = `[${publicAlert.severity.toUpperCase()}] ${publicAlert.title}`;
+
+        return {
+            to: delivery.destination,
+            subject,
+            text: `${message}\n\n${this.frontendUrl}\n\nYou receive this because you subscribed to public alerts.`,
+            shortText: `${subject}. ${this.frontendUrl}`.slice(0, 160),
+            payload: {
+                event: 'alert.created',
+                delivery_id: delivery.id,
+                alert: { ...publicAlert, message }
+            }
+        };
+    }
+
+    /**
+     * Preferences for every channel, filling in defaults; webhook secrets are never returned
+     */
+    async getPreferences(userId) {
+        const rows = await dbManager.query('SELECT * FROM notification_preferences WHERE user_id = ?', [userId]);
+
+        return CHANNELS.map(channel => {
+            const row = rows.find(preference => preference.channel === channel);
+            const preference = row || (channel === 'email'
+                ? { ...DEFAULT_PREFERENCE }
+                : { ...DEFAULT_PREFERENCE, channel, is_enabled: 0 });
+
+            return {
+                channel,
+                is_enabled: Boolean(preference.is_enabled),
+                min_severity: preference.min_severity,
+                destination: preference.destination,
+                alert_types: preference.alert_types ? JSON.parse(preference.alert_types) : null,
+                include_public: Boolean(preference.include_public),
+                has_webhook_secret: Boolean(preference.webhook_secret),
+                channel_available: this.enabled[channel],
+                is_default: !row
+            };
+        });
+    }
+
+    async updatePreference(user, channel, changes) {
+        if (channel === 'webhook' && user.role === 'user') {
+            throw new NotificationError('Webhook notifications are available to organisation accounts only', 403);
+        }
+
+        const existing = await dbManager.queryOne(
+            'SELECT * FROM notification_preferences WHERE user_id = ? AND channel = ?',
+            [user.id, channel]
+        );
+        const base = existing || { ...DEFAULT_PREFERENCE, channel, is_enabled: channel === 'email' ? 1 : 0 };
+        const pick = (key, column) => (changes[key] !== undefined ? changes[key] : base[column]);
+
+        const preference = {
+            channel,
+            is_enabled: pick('isEnabled', 'is_enabled') ? 1 : 0,
+            min_severity: pick('minSeverity', 'min_severity'),
+            destination: pick('destination', 'destination') || null,
+            alert_types: changes.alertTypes !== undefined
+                ? (changes.alertTypes && changes.alertTypes.length > 0 ? JSON.stringify(changes.alertTypes) : null)
+                : base.alert_types,
+            include_public: pick('includePublic', 'include_public') ? 1 : 0,
+            webhook_secret: pick('webhookSecret', 'webhook_secret') || null
+        };
+
+        if (channel === 'webhook' && preference.destination) {
+            try {
+                await assertPublicUrl(preference.destination);
+            } catch (error) {
+                throw new NotificationError(error instanceof DestinationError
+                    ? `Webhook destination not allowed: ${error.message}`
+                    : 'Webhook destination host could not be resolved');
+            }
+        }
+
+        if (preference.is_enabled) {
+            const account = await dbManager.queryOne('SELECT email, phone FROM users WHERE id = ?', [user.id]);
+            if (!this.resolveDestination(preference, account)) {
+                throw new NotificationError(channel === 'sms'
+                    ? 'A phone number is required: set one on your profile or as the destination'
+                    : 'A webhook URL is required as the destination');
+            }
+        }
+
+        const now = new Date().toISOString();
+        if (existing) {
+            await dbManager.run(`
+                UPDATE notification_preferences
+                SET is_enabled = ?, min_severity = ?, destination = ?, alert_types = ?,
+                    include_public = ?, webhook_secret = ?, updated_at = ?
+                WHERE id = ?
+            `, [
+                preference.is_enabled, preference.min_severity, preference.destination, preference.alert_types,
+                preference.include_public, preference.webhook_secret, now, existing.id
+            ]);
+        } else {
+            await dbManager.run(`
+                INSERT INTO notification_preferences
+                (user_id, channel, is_enabled, min_severity, destination, alert_types, include_public, webhook_secret, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                user.id, channel, preference.is_enabled, preference.min_severity, preference.destination,
+                preference.alert_types, preference.include_public, preference.webhook_secret, now, now
+            ]);
+        }
+
+        return (await this.getPreferences(user.id)).find(entry => entry.channel === channel);
+    }
+
+    /**
+     * Send a test message straight through a channel, bypassing the queue
+     */
+    async sendTest(user, channel) {
+        const preference = await dbManager.queryOne(
+            'SELECT * FROM notification_preferences WHERE user_id = ? AND channel = ?',
+            [user.id, channel]
+        );
+        const account = await dbManager.queryOne('SELECT email, phone FROM users WHERE id = ?', [user.id]);
+        const destination = this.resolveDestination(preference || { ...DEFAULT_PREFERENCE, channel }, account);
+
+        if (!destination) {
+            throw new NotificationError(`No ${channel} destination is configured`);
+        }
+        if (!this.enabled[channel]) {
+            throw new NotificationError(`${channel} notifications are disabled on this server`, 409);
+        }
+
+        const transport = this.getTransport(channel);
+        try {
+            const result = await transport.send({
+                to: destination,
+                subject: 'Test notification',
+                text: 'This is a test of your Drug Verification alert notifications.',
+                shortText: 'Drug Verification test notification',
+                payload: { event: 'notification.test', id: crypto.randomUUID(), sent_at: new Date().toISOString() },
+                secret: preference ? preference.webhook_secret : null
+            });
+            return { channel, destination, transport: transport.transport, response: result.response || null };
+        } catch (error) {
+            throw new NotificationError(`Test ${channel} notification failed: ${error.message}`, 502);
+        }
+    }
+
+    async listDeliveries({ userId = null, alertId = null, status = null, channel = null, page = 1, limit = 20 }) {
+        const conditions = [];
+        const params = [];
+
+        if (userId) {
+            conditions.push('nd.user_id = ?');
+            params.push(userId);
+        }
+        if (alertId) {
+            conditions.push('nd.alert_id = ?');
+            params.push(alertId);
+        }
+        if (status) {
+            conditions.push('nd.status = ?');
+            params.push(status);
+        }
+        if (channel) {
+            conditions.push('nd.channel = ?');
+            params.push(channel);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const deliveries = await dbManager.query(`
+            SELECT nd.*, a.title as alert_title, a.severity as alert_severity, u.username
+            FROM notification_deliveries nd
+            JOIN alerts a ON nd.alert_id = a.id
+            JOIN users u ON nd.user_id = u.id
+            ${whereClause}
+            ORDER BY nd.created_at DESC, nd.id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, (page - 1) * limit]);
+
+        const total = await dbManager.queryOne(
+            `SELECT COUNT(*) as count FROM notification_deliveries nd ${whereClause}`,
+            params
+        );
+
+        return { deliveries, total: total.count };
+    }
+
+    async getDelivery(deliveryId, user) {
+        const delivery = await dbManager.queryOne(`
+            SELECT nd.*, a.title as alert_title, a.severity as alert_severity, u.username
+            FROM notification_deliveries nd
+            JOIN alerts a ON nd.alert_id = a.id
+            JOIN users u ON nd.user_id = u.id
+            WHERE nd.id = ?
+        `, [deliveryId]);
+
+        if (!delivery || (user.role !== 'admin' && delivery.user_id !== user.id)) {
+            throw new NotificationError('Delivery not found', 404);
+        }
+
+        delivery.attempt_log = await dbManager.query(
+            'SELECT * FROM notification_attempts WHERE delivery_id = ? ORDER BY attempt_number ASC',
+            [deliveryId]
+        );
+
+        return delivery;
+    }
+
+    /**
+     * Give a failed delivery one more attempt, sent right away
+     */
+    async retryDelivery(deliveryId) {
+        const delivery = await dbManager.queryOne('SELECT * FROM notification_deliveries WHERE id = ?', [deliveryId]);
+        if (!delivery) {
+            throw new NotificationError('Delivery not found', 404);
+        }
+        if (delivery.status !== 'failed') {
+            throw new NotificationError(`Only failed deliveries can be retried; this one is ${delivery.status}`, 409);
+        }
+
+        await dbManager.run(`
+            UPDATE notification_deliveries
+            SET status = 'pending', max_attempts = ?, next_attempt_at = ?
+            WHERE id = ?
+        `, [delivery.attempts + 1, new Date().toISOString(), deliveryId]);
+
+        await this.processQueue();
+        return this.getDelivery(deliveryId, { role: 'admin' });
+    }
+
+    /**
+     * Messages captured by stub transports, newest first
+     */
+    getOutbox(channel = null) {
+        return Object.values(this.transports)
+            .filter(transport => transport.outbox && (!channel || transport.name === channel))
+            .flatMap(transport => transport.outbox)
+            .sort((a, b) => b.sent_at.localeCompare(a.sent_at));
+    }
+
+    /**
+     * Work through the queue on a fixed interval
+     */
+    startDispatcher() {
+        if (this.queueTimer) {
+            return;
+        }
+
+        const run = () => this.processQueue().catch(error => {
+            console.error('Error processing notification queue:', error);
+        });
+
+        // Sends cut short by a restart go back in the queue
+        dbManager.run("UPDATE notification_deliveries SET status = 'pending' WHERE status = 'sending'")
+            .then(run, error => console.error('Error recovering notification queue:', error));
+        this.queueTimer = setInterval(run, this.queueInterval);
+        this.queueTimer.unref();
+    }
+
+    stopDispatcher() {
+        if (this.queueTimer) {
+            clearInterval(this.queueTimer);
+            this.queueTimer = null;
+        }
+    }
+}
+
+module.exports = new NotificationService();
+module.exports.NotificationError = NotificationError;
@@ -0,0 +1,396 @@
+const dbManager = require('../config/database');
+const gs1 = require('./gs1');
+const { HttpError } = require('./common');
+
+// Each level aggregates the one below it; packs go into cases, cases onto pallets
+const LEVELS = ['case', 'pallet'];
+
+// Shipments whose goods are still on the road
+const OPEN_SHIPMENT_STATUSES = ['dispatched', 'in_transit'];
+
+// Packs that have left the supply chain cannot be aggregated
+const PACKABLE_SERIAL_STATUSES = ['commissioned', 'shipped'];
+
+class PackagingError extends HttpError {}
+
+/**
+ * Packaging hierarchy: SSCC-labelled pallets aggregate cases, which aggregate serialized packs
+ * Shipping a container ships everything in it, and the containers a pack travelled in
+ * can be traced back from its serial number
+ */
+class PackagingService {
+    constructor() {
+        this.levels = LEVELS;
+    }
+
+    /**
+     * Create an empty case or pallet
+     */
+    async createUnit({ code, level }, userId = null) {
+        if (!LEVELS.includes(level)) {
+            throw new PackagingError(`Level must be one of: ${LEVELS.join(', ')}`);
+        }
+
+        if (level === 'pallet' && !gs1.isValidSSCC(code)) {
+            throw new PackagingError('Pallets must be labelled with a valid 18-digit SSCC');
+        }
+
+        const existing = await dbManager.queryOne('SELECT id FROM packaging_units WHERE code = ?', [code]);
+        if (existing) {
+            throw new PackagingError('A case or pallet with this code already exists', 409);
+        }
+
+        const result = await dbManager.run(`
+            INSERT INTO packaging_units (code, level, created_by_user_id)
+            VALUES (?, ?, ?)
+        `, [code, level, userId]);
+
+        return this.getUnitById(result.id);
+    }
+
+    async getUnit(code) {
+        return dbManager.queryOne(`
+            SELECT pu.id, pu.code, pu.level, pu.batch_id, db.batch_number, pu.created_at
+            FROM packaging_units pu
+            LEFT JOIN drug_batches db ON pu.batch_id = db.id
+            WHERE pu.code = ?
+        `, [code]);
+    }
+
+    async getUnitById(id) {
+        return dbManager.queryOne(`
+            SELECT pu.id, pu.code, pu.level, pu.batch_id, db.batch_number, pu.created_at
+            FROM packaging_units pu
+            LEFT JOIN drug_batches db ON pu.batch_id = db.id
+            WHERE pu.id = ?
+        `, [id]);
+    }
+
+    async requireUnit(code) {
+        const unit = await this.getUnit(code);
+        if (!unit) {
+            throw new PackagingError(`Case or pallet ${code} not found`, 404);
+        }
+        return unit;
+    }
+
+    /**
+     * A container with its parent and direct contents
+     */
+    async getContents(code) {
+        const unit = await this.requireUnit(code);
+
+        const cases = await dbManager.query(`
+            SELECT pu.id, pu.code, pu.level, pc.packed_at
+            FROM packaging_contents pc
+            JOIN packaging_units pu ON pc.child_unit_id = pu.id
+            WHERE pc.parent_id = ? AND pc.unpacked_at IS NULL
+            ORDER BY pc.id
+        `, [unit.id]);
+
+        for (const child of cases) {
+            child.unit_count = await this.countPacks(child.id);
+        }
+
+        const packs = await dbManager.query(`
+            SELECT su.serial_number, su.status, pc.packed_at
+            FROM packaging_contents pc
+            JOIN serialized_units su ON pc.child_serial_id = su.id
+            WHERE pc.parent_id = ? AND pc.unpacked_at IS NULL
+            ORDER BY pc.id
+        `, [unit.id]);
+
+        return {
+            ...unit,
+            parent: await this.getParent({ unitId: unit.id }),
+            in_transit: await this.isInTransit(unit.id),
+            unit_count: await this.countPacks(unit.id),
+            cases,
+            packs
+        };
+    }
+
+    /**
+     * Number of packs currently inside a container, at any depth
+     */
+    async countPacks(unitId) {
+        const row = await dbManager.queryOne(`
+            WITH RECURSIVE tree(id) AS (
+                SELECT ?
+                UNION ALL
+                SELECT pc.child_unit_id
+                FROM packaging_contents pc
+                JOIN tree ON pc.parent_id = tree.id
+                WHERE pc.child_unit_id IS NOT NULL AND pc.unpacked_at IS NULL
+            )
+            SELECT COUNT(*) as count
+            FROM packaging_contents pc
+            WHERE pc.parent_id IN (SELECT id FROM tree)
+            AND pc.child_serial_id IS NOT NULL AND pc.unpacked_at IS NULL
+        `, [unitId]);
+
+        return row.count;
+    }
+
+    /**
+     * Current container of a case, pallet or pack
+     */
+    async getParent({ unitId = null, serialId = null }) {
+        return dbManager.queryOne(`
+            SELECT pu.id, pu.code, pu.level
+            FROM packaging_contents pc
+            JOIN packaging_units pu ON pc.parent_id = pu.id
+            WHERE ${unitId ? 'pc.child_unit_id' : 'pc.child_serial_id'} = ? AND pc.unpacked_at IS NULL
+        `, [unitId || serialId]);
+    }
+
+    /**
+     * Containers enclosing a pack or container, innermost first
+     * With `at`, the containers it was in at that moment rather than now
+     */
+    async getAncestors({ unitId = null, serialId = null }, at = null) {
+        const ancestors = [];
+        let child = unitId ? { column: 'child_unit_id', id: unitId } : { column: 'child_serial_id', id: serialId };
+
+        // Levels are strictly nested, so the chain is never longer than the number of levels
+        for (let depth = 0; depth < LEVELS.length; depth++) {
+            const period = at
+                ? 'pc.packed_at <= ? AND (pc.unpacked_at IS NULL OR pc.unpacked_at > ?)'
+                : 'pc.unpacked_at IS NULL';
+
+            const parent = await dbManager.queryOne(`
+                SELECT pu.id, pu.code, pu.level
+                FROM packaging_contents pc
+                JOIN packaging_units pu ON pc.parent_id = pu.id
+                WHERE pc.${child.column} = ? AND ${period}
+            `, at ? [child.id, at, at] : [child.id]);
+
+            if (!parent) {
+                break;
+            }
+
+            ancestors.push(parent);
+            child = { column: 'child_unit_id', id: parent.id };
+        }
+
+        return ancestors;
+    }
+
+    /**
+     * Whether a container, or one it sits in, is part of a shipment still on the road
+     */
+    async isInTransit(unitId) {
+        const ids = [unitId, ...(await this.getAncestors({ unitId })).map(ancestor => ancestor.id)];
+
+        const shipment = await dbManager.queryOne(`
+            SELECT id FROM supply_chain_transactions
+            WHERE packaging_unit_id IN (${ids.map(() => '?').join(', ')})
+            AND shipment_status IN (${OPEN_SHIPMENT_STATUSES.map(() => '?').join(', ')})
+        `, [...ids, ...OPEN_SHIPMENT_STATUSES]);
+
+        return !!shipment;
+    }
+
+    /**
+     * Aggregate cases onto a pallet or packs into a case
+     * Every child must be free, and all contents must come from the same batch
+     */
+    async pack(code, { caseCodes = [], serialNumbers = [] }, userId = null) {
+        const parent = await this.requireUnit(code);
+
+        if (parent.level === 'pallet' && serialNumbers.length > 0) {
+            throw new PackagingError('Packs go into cases; only cases can be packed onto a pallet');
+        }
+        if (parent.level === 'case' && caseCodes.length > 0) {
+            throw new PackagingError('Cases can only be packed onto a pallet');
+        }
+        if (caseCodes.length + serialNumbers.length === 0) {
+            throw new PackagingError('Nothing to pack');
+        }
+        if (await this.isInTransit(parent.id)) {
+            throw new PackagingError(`${parent.code} is in transit and cannot be repacked`, 409);
+        }
+
+        const children = [];
+        for (const childCode of caseCodes) {
+            const child = await this.requireUnit(childCode);
+            if (child.level !== 'case') {
+                throw new PackagingError(`${childCode} is a ${child.level}, not a case`);
+            }
+            if (!child.batch_id) {
+                throw new PackagingError(`Case ${childCode} is empty`);
+            }
+            if (await this.isInTransit(child.id)) {
+                throw new PackagingError(`Case ${childCode} is in transit`, 409);
+            }
+            children.push({ column: 'child_unit_id', id: child.id, label: childCode, batchId: child.batch_id, parent: await this.getParent({ unitId: child.id }) });
+        }
+
+        for (const serialNumber of serialNumbers) {
+            const unit = await dbManager.queryOne(
+                'SELECT id, batch_id, status FROM serialized_units WHERE serial_number = ?',
+                [serialNumber]
+            );
+            if (!unit) {
+                throw new PackagingError(`Serial number ${serialNumber} not found`, 404);
+            }
+            if (!PACKABLE_SERIAL_STATUSES.includes(unit.status)) {
+                throw new PackagingError(`Pack ${serialNumber} is ${unit.status} and cannot be packed`, 409);
+            }
+            children.push({ column: 'child_serial_id', id: unit.id, label: serialNumber, batchId: unit.batch_id, parent: await this.getParent({ serialId: unit.id }) });
+        }
+
+        const batchIds = new Set([parent.batch_id, ...children.map(child => child.batchId)].filter(Boolean));
+        if (batchIds.size > 1) {
+            throw new PackagingError('A case or pallet can only hold packs of one batch');
+        }
+
+        const alreadyPacked = children.find(child => child.parent);
+        if (alreadyPacked) {
+            throw new PackagingError(`${alreadyPacked.label} is already packed in ${alreadyPacked.parent.code}; unpack it first`, 409);
+        }
+
+        const packedAt = new Date().toISOString();
+
+        try {
+            await dbManager.withTransaction(async () => {
+                for (const child of children) {
+                    await dbManager.run(`
+                        INSERT INTO packaging_contents (parent_id, ${child.column}, packed_at, packed_by_user_id)
+                        VALUES (?, ?, ?, ?)
+                    `, [parent.id, child.id, packedAt, userId]);
+                }
+
+                if (!parent.batch_id) {
+                    await dbManager.run('UPDATE packaging_units SET batch_id = ? WHERE id = ?', [[...batchIds][0], parent.id]);
+                }
+            });
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT') {
+                throw new PackagingError('A child was packed elsewhere at the same time', 409);
+            }
+            throw error;
+        }
+
+        return this.getContents(code);
+    }
+
+    /**
+     * Take cases or packs out of a container; with no children listed, empty it
+     */
+    async unpack(code, { caseCodes = [], serialNumbers = [] } = {}, userId = null) {
+        const parent = await this.requireUnit(code);
+
+        if (await this.isInTransit(parent.id)) {
+            throw new PackagingError(`${parent.code} is in transit and cannot be unpacked`, 409);
+        }
+
+        const unpackAll = caseCodes.length + serialNumbers.length === 0;
+        const unpackedAt = new Date().toISOString();
+        const filters = [];
+        const params = [];
+
+        if (!unpackAll) {
+            if (caseCodes.length > 0) {
+                filters.push(`child_unit_id IN (SELECT id FROM packaging_units WHERE code IN (${caseCodes.map(() => '?').join(', ')}))`);
+                params.push(...caseCodes);
+            }
+            if (serialNumbers.length > 0) {
+                filters.push(`child_serial_id IN (SELECT id FROM serialized_units WHERE serial_number IN (${serialNumbers.map(() => '?').join(', ')}))`);
+                params.push(...serialNumbers);
+            }
+        }
+
+        const result = await dbManager.run(`
+            UPDATE packaging_contents
+            SET unpacked_at = ?, unpacked_by_user_id = ?
+            WHERE parent_id = ? AND unpacked_at IS NULL
+            ${unpackAll ? '' : `AND (${filters.join(' OR ')})`}
+        `, [unpackedAt, userId, parent.id, ...params]);
+
+        // An empty container no longer belongs to a batch and can be reused
+        const remaining = await dbManager.queryOne(
+            'SELECT COUNT(*) as count FROM packaging_contents WHERE parent_id = ? AND unpacked_at IS NULL',
+            [parent.id]
+        );
+        if (remaining.count === 0) {
+            await dbManager.run('UPDATE packaging_units SET batch_id = NULL WHERE id = ?', [parent.id]);
+        }
+
+        return {
+            ...(await this.getContents(code)),
+            unpacked: result.changes,
+            // Children listed by the caller that were not in the container
+            not_found: unpackAll ? 0 : caseCodes.length + serialNumbers.length - result.changes
+        };
+    }
+
+    /**
+     * Check a container can be shipped whole as the given ledger transfer
+     * Returns the container with its pack count for the shipping details
+     */
+    async assertShippable(code, { batchId, quantity }) {
+        const unit = await this.requireUnit(code);
+
+        if (await this.getParent({ unitId: unit.id })) {
+            throw new PackagingError(`${code} is packed in another container; ship that or unpack it first`, 409);
+        }
+        if (await this.isInTransit(unit.id)) {
+            throw new PackagingError(`${code} is already in transit`, 409);
+        }
+        if (unit.batch_id !== parseInt(batchId)) {
+            throw new PackagingError(`${code} does not hold batch ${batchId}`);
+        }
+
+        const unitCount = await this.countPacks(unit.id);
+        if (unitCount !== parseInt(quantity)) {
+            throw new PackagingError(`${code} holds ${unitCount} packs, not ${quantity}`);
+        }
+
+        return { ...unit, unit_count: unitCount };
+    }
+
+    /**
+     * Mark the packs inside a dispatched container as shipped
+     */
+    async markShipped(unitId, userId = null) {
+        await dbManager.run(`
+            WITH RECURSIVE tree(id) AS (
+                SELECT ?
+                UNION ALL
+                SELECT pc.child_unit_id
+                FROM packaging_contents pc
+                JOIN tree ON pc.parent_id = tree.id
+                WHERE pc.child_unit_id IS NOT NULL AND pc.unpacked_at IS NULL
+            )
+            UPDATE serialized_units
+            SET status = 'shipped', shipped_at = CURRENT_TIMESTAMP, status_changed_by_user_id = ?
+            WHERE status = 'commissioned' AND id IN (
+                SELECT child_serial_id FROM packaging_contents
+                WHERE parent_id IN (SELECT id FROM tree) AND child_serial_id IS NOT NULL AND unpacked_at IS NULL
+            )
+        `, [unitId, userId]);
+    }
+
+    /**
+     * Annotate ledger transactions with the containers a pack travelled in
+     * Only transfers that shipped a container the pack was inside at the time get `travelled_in`
+     */
+    async annotateTravel(transactions, serialId) {
+        for (const transaction of transactions) {
+            transaction.travelled_in = null;
+            if (!transaction.packaging_unit_id) {
+                continue;
+            }
+
+            const ancestors = await this.getAncestors({ serialId }, transaction.transaction_date);
+            const shipped = ancestors.findIndex(ancestor => ancestor.id === transaction.packaging_unit_id);
+            if (shipped !== -1) {
+                transaction.travelled_in = ancestors.slice(0, shipped + 1).map(({ code, level }) => ({ code, level }));
+            }
+        }
+    }
+}
+
+module.exports = new PackagingService();
+module.exports.PackagingError = PackagingError;
@@ -0,0 +1,390 @@
+const dbManager = require('../config/database');
+const shipments = require('./shipments');
+const notifications = require('./notifications');
+const { HttpError } = require('./common');
+
+const RECALL_CLASSES = ['I', 'II', 'III'];
+
+// Class I is a serious health hazard, class III unlikely to cause harm
+const CLASS_SEVERITY = { I: 'critical', II: 'error', III: 'warning' };
+
+// Ledger movements that take recalled stock back up the chain
+const RETURN_TRANSACTION_TYPES = ['return', 'recall'];
+
+class RecallError extends HttpError {}
+
+/**
+ * Recall management
+ * A recall resolves its scope to batches, marks them recalled, and uses the supply chain
+ * ledger to notify every entity holding affected stock; progress is tracked through the
+ * entities' acknowledgements and the return movements they record until the recall is closed
+ */
+class RecallService {
+    constructor() {
+        this.classes = RECALL_CLASSES;
+    }
+
+    /**
+     * Batches covered by a scope: explicit batch IDs, lot or batch numbers, or a
+     * manufacturing date range; lots and date ranges can be narrowed to one drug
+     */
+    async resolveScope({ batchIds = [], lotNumbers = [], drugId = null, manufacturedFrom = null, manufacturedTo = null }) {
+        const conditions = [];
+        const params = [];
+
+        if (batchIds.length > 0) {
+            conditions.push(`db.id IN (${batchIds.map(() => '?').join(', ')})`);
+            params.push(...batchIds);
+        }
+
+        if (lotNumbers.length > 0) {
+            const placeholders = lotNumbers.map(() => '?').join(', ');
+            conditions.push(`((db.lot_number IN (${placeholders}) OR db.batch_number IN (${placeholders}))${drugId ? ' AND db.drug_id = ?' : ''})`);
+            params.push(...lotNumbers, ...lotNumbers, ...(drugId ? [drugId] : []));
+        }
+
+        if (manufacturedFrom || manufacturedTo) {
+            if (!drugId) {
+                throw new RecallError('A manufacturing date range needs a drugId');
+            }
+            conditions.push('(db.drug_id = ? AND db.manufacturing_date >= ? AND db.manufacturing_date <= ?)');
+            params.push(drugId, manufacturedFrom || '0000-01-01', manufacturedTo || '9999-12-31');
+        }
+
+        if (conditions.length === 0) {
+            throw new RecallError('Scope must list batches, lots or a manufacturing date range');
+        }
+
+        const batches = await dbManager.query(`
+            SELECT db.id, db.batch_number, db.lot_number, db.status, db.drug_id, d.name as drug_name
+            FROM drug_batches db
+            JOIN drugs d ON db.drug_id = d.id
+            WHERE ${conditions.join(' OR ')}
+            ORDER BY db.id
+        `, params);
+
+        if (batches.length === 0) {
+            throw new RecallError('Scope does not match any batch', 404);
+        }
+
+        return batches;
+    }
+
+    /**
+     * Issue a recall: mark its batches recalled and notify every entity holding them
+     */
+    async createRecall({ recallClass, reason, scope }, userId = null) {
+        if (!RECALL_CLASSES.includes(recallClass)) {
+            throw new RecallError(`Recall class must be one of: ${RECALL_CLASSES.join(', ')}`);
+        }
+
+        const batches = await this.resolveScope(scope);
+
+        const alreadyRecalled = await dbManager.query(`
+            SELECT DISTINCT db.batch_number, r.recall_number
+            FROM recall_batches rb
+            JOIN recalls r ON rb.recall_id = r.id
+            JOIN drug_batches db ON rb.batch_id = db.id
+            WHERE r.status = 'open' AND rb.batch_id IN (${batches.map(() => '?').join(', ')})
+        `, batches.map(batch => batch.id));
+
+        if (alreadyRecalled.length > 0) {
+            throw new RecallError(
+                `Already under an open recall: ${alreadyRecalled.map(row => `${row.batch_number} (${row.recall_number})`).join(', ')}`,
+                409
+            );
+        }
+
+        // Stock positions are taken before anything changes
+        const holdings = [];
+        for (const batch of batches) {
+            for (const holder of await shipments.getStockByEntity(batch.id)) {
+                holdings.push({ batch, ...holder });
+            }
+        }
+
+        const initiatedAt = new Date().toISOString();
+        const reasonSentence = /[.!?]$/.test(reason.trim()) ? reason.trim() : `${reason.trim()}.`;
+        let recallId;
+
+        await dbManager.withTransaction(async () => {
+            const result = await dbManager.run(`
+                INSERT INTO recalls (recall_class, reason, scope, initiated_at, initiated_by_user_id)
+                VALUES (?, ?, ?, ?, ?)
+            `, [recallClass, reason, JSON.stringify(scope), initiatedAt, userId]);
+            recallId = result.id;
+
+            const recallNumber = `RCL-${initiatedAt.slice(0, 4)}-${String(recallId).padStart(4, '0')}`;
+            await dbManager.run('UPDATE recalls SET recall_number = ? WHERE id = ?', [recallNumber, recallId]);
+
+            for (const batch of batches) {
+                await dbManager.run(
+                    'INSERT INTO recall_batches (recall_id, batch_id, previous_status) VALUES (?, ?, ?)',
+                    [recallId, batch.id, batch.status]
+                );
+                await dbManager.run(
+                    "UPDATE drug_batches SET status = 'recalled', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+                    [batch.id]
+                );
+
+                // Consumers are warned directly about recalls that are a serious health hazard
+                if (recallClass === 'I') {
+                    await this.insertAlert({
+                        recallId,
+                        batch,
+                        title: `Recall ${recallNumber}: ${batch.drug_name} batch ${batch.batch_number}`,
+                        message: `Class I recall: ${reasonSentence} Do not use packs from batch ${batch.batch_number}; return them to your pharmacy.`,
+                        severity: CLASS_SEVERITY[recallClass],
+                        isPublic: true,
+                        userId
+                    });
+                }
+            }
+
+            for (const holding of holdings) {
+                const quantity = holding.quantity_held + holding.quantity_in_transit;
+                const alertId = await this.insertAlert({
+                    recallId,
+                    batch: holding.batch,
+                    entityId: holding.entity_id,
+                    title: `Recall ${recallNumber}: ${holding.batch.drug_name} batch ${holding.batch.batch_number}`,
+                    message: `Class ${recallClass} recall: ${reasonSentence} ${holding.entity_name} holds ${holding.quantity_held} units`
+                        + `${holding.quantity_in_transit > 0 ? ` with ${holding.quantity_in_transit} more inbound` : ''}.`
+                        + ' Quarantine the stock, return it and acknowledge this recall.',
+                    severity: CLASS_SEVERITY[recallClass],
+                    isPublic: false,
+                    userId
+                });
+
+                await dbManager.run(`
+                    INSERT INTO recall_notices (recall_id, entity_id, batch_id, quantity_held, alert_id)
+                    VALUES (?, ?, ?, ?, ?)
+                `, [recallId, holding.entity_id, holding.batch.id, quantity, alertId]);
+            }
+        });
+
+        // Nobody is told about a recall until it is committed
+        const alerts = await dbManager.query('SELECT id FROM alerts WHERE related_recall_id = ?', [recallId]);
+        for (const alert of alerts) {
+            await notifications.notifyAlert(alert.id);
+        }
+
+        return this.getRecall(recallId);
+    }
+
+    async insertAlert({ recallId, batch, entityId = null, title, message, severity, isPublic, userId }) {
+        const result = await dbManager.run(`
+            INSERT INTO alerts
+            (alert_type, title, message, severity, related_batch_id, related_drug_id, related_recall_id,
+             target_audience, target_entity_id, is_public, created_by_user_id)
+            VALUES ('batch_recalled', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            title,
+            message,
+            severity,
+            batch.id,
+            batch.drug_id,
+            recallId,
+            JSON.stringify(['admin']),
+            entityId,
+            isPublic ? 1 : 0,
+            userId
+        ]);
+
+        return result.id;
+    }
+
+    /**
+     * Recalls with their progress, newest first
+     */
+    async listRecalls({ status = null, entityId = null } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (status) {
+            conditions.push('r.status = ?');
+            params.push(status);
+        }
+        if (entityId) {
+            conditions.push('r.id IN (SELECT recall_id FROM recall_notices WHERE entity_id = ?)');
+            params.push(entityId);
+        }
+
+        const recalls = await dbManager.query(`
+            SELECT r.*,
+                   (SELECT COUNT(*) FROM recall_batches rb WHERE rb.recall_id = r.id) as batch_count,
+                   (SELECT COUNT(DISTINCT entity_id) FROM recall_notices rn WHERE rn.recall_id = r.id) as entities_notified,
+                   (SELECT COALESCE(SUM(quantity_held), 0) FROM recall_notices rn WHERE rn.recall_id = r.id) as quantity_affected
+            FROM recalls r
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY r.initiated_at DESC
+        `, params);
+
+        return recalls.map(recall => this.formatRecall(recall));
+    }
+
+    /**
+     * A recall with its batches, notices and return progress
+     */
+    async getRecall(id) {
+        const recall = await dbManager.queryOne('SELECT * FROM recalls WHERE id = ?', [id]);
+        if (!recall) {
+            throw new RecallError('Recall not found', 404);
+        }
+
+        const batches = await dbManager.query(`
+            SELECT db.id, db.batch_number, db.lot_number, db.manufacturing_date, db.expiry_date,
+                   d.id as drug_id, d.name as drug_name, d.drug_code, rb.previous_status
+            FROM recall_batches rb
+            JOIN drug_batches db ON rb.batch_id = db.id
+            JOIN drugs d ON db.drug_id = d.id
+            WHERE rb.recall_id = ?
+            ORDER BY db.id
+        `, [id]);
+
+        const notices = await dbManager.query(`
+            SELECT rn.id, rn.entity_id, sce.name as entity_name, sce.type as entity_type,
+                   rn.batch_id, db.batch_number, rn.quantity_held, rn.alert_id,
+                   rn.acknowledged_at, rn.acknowledgement_notes,
+                   u.username as acknowledged_by
+            FROM recall_notices rn
+            JOIN supply_chain_entities sce ON rn.entity_id = sce.id
+            JOIN drug_batches db ON rn.batch_id = db.id
+            LEFT JOIN users u ON rn.acknowledged_by_user_id = u.id
+            WHERE rn.recall_id = ?
+            ORDER BY rn.entity_id, rn.batch_id
+        `, [id]);
+
+        const returns = await this.getReturnedQuantities(recall, batches.map(batch => batch.id));
+        for (const notice of notices) {
+            const returned = returns[`${notice.entity_id}:${notice.batch_id}`] || { sent: 0, received: 0 };
+            notice.quantity_returned = returned.sent;
+            notice.quantity_return_received = returned.received;
+            notice.quantity_outstanding = Math.max(notice.quantity_held - returned.sent, 0);
+        }
+
+        const quantityAffected = notices.reduce((total, notice) => total + notice.quantity_held, 0);
+        const quantityReturned = notices.reduce((total, notice) => total + Math.min(notice.quantity_returned, notice.quantity_held), 0);
+
+        return {
+            ...this.formatRecall(recall),
+            batches,
+            notices,
+            progress: {
+                entities_notified: new Set(notices.map(notice => notice.entity_id)).size,
+                notices_acknowledged: notices.filter(notice => notice.acknowledged_at).length,
+                notices_total: notices.length,
+                quantity_affected: quantityAffected,
+                quantity_returned: quantityReturned,
+                percent_returned: quantityAffected > 0 ? Math.round((quantityReturned / quantityAffected) * 100) : 100
+            }
+        };
+    }
+
+    /**
+     * Units each entity has sent back since the recall was issued, keyed by entity and batch
+     * Rejected returns do not count; `received` is what the receiving end has confirmed
+     */
+    async getReturnedQuantities(recall, batchIds) {
+        if (batchIds.length === 0) {
+            return {};
+        }
+
+        const rows = await dbManager.query(`
+            SELECT from_entity_id, batch_id,
+                   SUM(quantity) as sent,
+                   SUM(CASE WHEN shipment_status = 'received' THEN COALESCE(quantity_received, quantity) ELSE 0 END) as received
+            FROM supply_chain_transactions
+            WHERE batch_id IN (${batchIds.map(() => '?').join(', ')})
+            AND transaction_type IN (${RETURN_TRANSACTION_TYPES.map(() => '?').join(', ')})
+            AND transaction_date >= ?
+            AND shipment_status != 'rejected'
+            AND from_entity_id IS NOT NULL
+            GROUP BY from_entity_id, batch_id
+        `, [...batchIds, ...RETURN_TRANSACTION_TYPES, recall.initiated_at]);
+
+        return rows.reduce((returns, row) => {
+            returns[`${row.from_entity_id}:${row.batch_id}`] = { sent: row.sent, received: row.received };
+            return returns;
+        }, {});
+    }
+
+    /**
+     * Record an entity's acknowledgement of every notice it received for a recall
+     * Users may only acknowledge for the entity they act for; admins for any entity
+     */
+    async acknowledge(recallId, entityId, user, notes = null) {
+        const recall = await dbManager.queryOne('SELECT id, status FROM recalls WHERE id = ?', [recallId]);
+        if (!recall) {
+            throw new RecallError('Recall not found', 404);
+        }
+        if (recall.status !== 'open') {
+            throw new RecallError('Recall is closed', 409);
+        }
+        if (user.role !== 'admin' && user.entity_id !== entityId) {
+            throw new RecallError('You can only acknowledge recalls for your own entity', 403);
+        }
+
+        const notices = await dbManager.queryOne(
+            'SELECT COUNT(*) as count FROM recall_notices WHERE recall_id = ? AND entity_id = ?',
+            [recallId, entityId]
+        );
+        if (notices.count === 0) {
+            throw new RecallError('This entity was not notified of the recall', 404);
+        }
+
+        const result = await dbManager.run(`
+            UPDATE recall_notices
+            SET acknowledged_at = CURRENT_TIMESTAMP, acknowledged_by_user_id = ?, acknowledgement_notes = ?
+            WHERE recall_id = ? AND entity_id = ? AND acknowledged_at IS NULL
+        `, [user.id, notes, recallId, entityId]);
+
+        if (result.changes === 0) {
+            throw new RecallError('Recall already acknowledged for this entity', 409);
+        }
+
+        return this.getRecall(recallId);
+    }
+
+    /**
+     * Close a recall and resolve its alerts; the batches stay recalled
+     */
+    async closeRecall(recallId, userId = null, notes = null) {
+        const recall = await dbManager.queryOne('SELECT id, status FROM recalls WHERE id = ?', [recallId]);
+        if (!recall) {
+            throw new RecallError('Recall not found', 404);
+        }
+        if (recall.status !== 'open') {
+            throw new RecallError('Recall is already closed', 409);
+        }
+
+        await dbManager.withTransaction(async () => {
+            await dbManager.run(`
+                UPDATE recalls
+                SET status = 'closed', closed_at = CURRENT_TIMESTAMP, closed_by_user_id = ?, closure_notes = ?
+                WHERE id = ?
+            `, [userId, notes, recallId]);
+
+            await dbManager.run(`
+                UPDATE alerts SET is_active = 0, resolved_at = CURRENT_TIMESTAMP
+                WHERE related_recall_id = ? AND is_active = 1
+            `, [recallId]);
+        });
+
+        return this.getRecall(recallId);
+    }
+
+    formatRecall(recall) {
+        let scope = {};
+        try {
+            scope = JSON.parse(recall.scope);
+        } catch (error) {
+            scope = {};
+        }
+
+        return { ...recall, scope };
+    }
+}
+
+module.exports = new RecallService();
+module.exports.RecallError = RecallError;
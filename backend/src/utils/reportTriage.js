@@ -0,0 +1,313 @@
+const dbManager = require('../config/database');
+
+// Batch and lot numbers are compared without case, spaces or separators
+const NORMALIZED_BATCH_SQL = column => `UPPER(REPLACE(REPLACE(REPLACE(TRIM(${column}), '-', ''), ' ', ''), '/', ''))`;
+
+/**
+ * Counterfeit report triage
+ * Resolves the free-text product a reporter describes into catalogue batches,
+ * drugs and manufacturers, attaches the reporter's own scans of that product
+ * and groups reports that point at the same batch
+ */
+class ReportTriage {
+    constructor() {
+        this.scanWindowDays = parseInt(process.env.REPORT_TRIAGE_SCAN_WINDOW_DAYS) || 30;
+        this.maxLinkedScans = parseInt(process.env.REPORT_TRIAGE_MAX_LINKED_SCANS) || 50;
+        // Shorter names are too ambiguous to match as a substring
+        this.minPartialLength = 4;
+    }
+
+    /**
+     * Match the reported drug name, batch number and manufacturer against the catalogue
+     */
+    async resolve({ drugName, suspectedBatchNumber, manufacturerClaimed }) {
+        const details = [];
+        const drugs = await dbManager.query(`
+            SELECT d.id, d.name, d.generic_name, d.brand_name, d.drug_code, d.manufacturer_id,
+                   m.name as manufacturer_name, m.code as manufacturer_code
+            FROM drugs d
+            JOIN manufacturers m ON d.manufacturer_id = m.id
+        `);
+
+        const drugScores = new Map(drugs.map(drug => [drug.id, this.scoreDrug(drug, drugName)]));
+        const manufacturerScore = drug => this.scoreManufacturer(drug, manufacturerClaimed);
+
+        let batch = null;
+        if (this.normalizeBatchNumber(suspectedBatchNumber)) {
+            const candidates = await this.findBatches(suspectedBatchNumber);
+            // The same number can be reused across products; the drug name decides between them
+            const corroborated = candidates.filter(candidate => drugScores.get(candidate.drug_id) > 0);
+            const pool = corroborated.length > 0 ? corroborated : candidates;
+
+            if (pool.length === 1) {
+                batch = pool[0];
+            } else if (pool.length > 1) {
+                details.push(`Batch number ${suspectedBatchNumber} matches ${pool.length} batches of different products`);
+            } else {
+                details.push(`Batch number ${suspectedBatchNumber} is not in the catalogue`);
+            }
+        }
+
+        if (batch) {
+            const drug = drugs.find(candidate => candidate.id === batch.drug_id);
+            const drugAgrees = drugScores.get(drug.id) > 0;
+            const manufacturerAgrees = manufacturerScore(drug);
+
+            details.push(`Batch number matches ${batch.batch_number} (${drug.name})`);
+            details.push(drugAgrees
+                ? `Drug name matches ${drug.name}`
+                : `Drug name "${drugName}" does not match the batch's product ${drug.name}`);
+            if (manufacturerAgrees === 0) {
+                details.push(`Claimed manufacturer "${manufacturerClaimed}" does not match ${drug.manufacturer_name}`);
+            }
+
+            let confidence = 'low';
+            if (drugAgrees && manufacturerAgrees !== 0) {
+                confidence = 'high';
+            } else if (drugAgrees || manufacturerAgrees > 0) {
+                confidence = 'medium';
+            }
+
+            return this.buildMatch({ batch, drug, confidence, details });
+        }
+
+        // Without a batch, fall back to the best drug name match
+        const bestScore = Math.max(0, ...drugScores.values());
+        let drugCandidates = bestScore > 0 ? drugs.filter(drug => drugScores.get(drug.id) === bestScore) : [];
+        if (drugCandidates.length > 1 && this.normalize(manufacturerClaimed)) {
+            drugCandidates = drugCandidates.filter(drug => manufacturerScore(drug) > 0);
+        }
+
+        if (drugCandidates.length === 1) {
+            const drug = drugCandidates[0];
+            const manufacturerAgrees = manufacturerScore(drug);
+
+            details.push(`Drug name ${bestScore === 2 ? 'matches' : 'partially matches'} ${drug.name}`);
+            if (manufacturerAgrees === 0) {
+                details.push(`Claimed manufacturer "${manufacturerClaimed}" does not match ${drug.manufacturer_name}`);
+            }
+
+            const confidence = bestScore === 2 && manufacturerAgrees > 0 ? 'medium' : 'low';
+            return this.buildMatch({ drug, confidence, details });
+        }
+
+        if (drugCandidates.length > 1) {
+            details.push(`Drug name matches ${drugCandidates.length} products`);
+        }
+
+        // A manufacturer on its own narrows the search but identifies no product
+        const manufacturers = this.normalize(manufacturerClaimed)
+            ? [...new Map(drugs
+                .filter(drug => manufacturerScore(drug) > 0)
+                .map(drug => [drug.manufacturer_id, drug])).values()]
+            : [];
+
+        if (manufacturers.length === 1) {
+            details.push(`Claimed manufacturer matches ${manufacturers[0].manufacturer_name}`);
+            return {
+                matched_batch_id: null,
+                matched_drug_id: null,
+                matched_manufacturer_id: manufacturers[0].manufacturer_id,
+                match_confidence: 'low',
+                match_details: details
+            };
+        }
+
+        details.push('No catalogue product matches the report');
+        return {
+            matched_batch_id: null,
+            matched_drug_id: null,
+            matched_manufacturer_id: null,
+            match_confidence: 'none',
+            match_details: details
+        };
+    }
+
+    /**
+     * Assign the report to a cluster and link the reporter's recent scans of the product
+     */
+    async linkReport(report) {
+        const clusterId = await this.findClusterId(report);
+        await dbManager.run(
+            'UPDATE counterfeit_reports SET cluster_id = ? WHERE id = ?',
+            [clusterId, report.id]
+        );
+
+        let linkedScans = 0;
+        if (report.reporter_user_id && (report.matched_batch_id || report.matched_drug_id)) {
+            const productFilter = report.matched_batch_id
+                ? 'vl.batch_id = ?'
+                : 'vl.batch_id IN (SELECT id FROM drug_batches WHERE drug_id = ?)';
+
+            const scans = await dbManager.query(`
+                SELECT vl.id
+                FROM verification_logs vl
+                WHERE vl.user_id = ?
+                AND ${productFilter}
+                AND vl.verification_time > datetime('now', ?)
+                ORDER BY vl.verification_time DESC
+                LIMIT ?
+            `, [
+                report.reporter_user_id,
+                report.matched_batch_id || report.matched_drug_id,
+                `-${this.scanWindowDays} days`,
+                this.maxLinkedScans
+            ]);
+
+            for (const scan of scans) {
+                const result = await dbManager.run(`
+                    INSERT OR IGNORE INTO report_verification_links (report_id, verification_log_id)
+                    VALUES (?, ?)
+                `, [report.id, scan.id]);
+                linkedScans += result.changes;
+            }
+        }
+
+        return { cluster_id: clusterId, linked_scans: linkedScans };
+    }
+
+    /**
+     * Reports about the same batch share the cluster of the earliest one
+     * Unmatched batch numbers still cluster on the number as reported
+     */
+    async findClusterId(report) {
+        let earliest = null;
+
+        if (report.matched_batch_id) {
+            earliest = await dbManager.queryOne(`
+                SELECT cluster_id FROM counterfeit_reports
+                WHERE matched_batch_id = ? AND id != ? AND cluster_id IS NOT NULL
+                ORDER BY id ASC LIMIT 1
+            `, [report.matched_batch_id, report.id]);
+        } else if (this.normalizeBatchNumber(report.suspected_batch_number)) {
+            earliest = await dbManager.queryOne(`
+                SELECT cluster_id FROM counterfeit_reports
+                WHERE matched_batch_id IS NULL
+                AND ${NORMALIZED_BATCH_SQL('suspected_batch_number')} = ?
+                AND id != ? AND cluster_id IS NOT NULL
+                ORDER BY id ASC LIMIT 1
+            `, [this.normalizeBatchNumber(report.suspected_batch_number), report.id]);
+        }
+
+        return earliest ? earliest.cluster_id : report.id;
+    }
+
+    /**
+     * Other reports in the same cluster
+     */
+    async getRelatedReports(report) {
+        if (!report.cluster_id) {
+            return [];
+        }
+
+        return dbManager.query(`
+            SELECT cr.id, cr.drug_name, cr.suspected_batch_number, cr.report_type, cr.severity_level,
+                   cr.status, cr.location_found, cr.match_confidence, cr.reporter_user_id, cr.created_at
+            FROM counterfeit_reports cr
+            WHERE cr.cluster_id = ? AND cr.id != ?
+            ORDER BY cr.created_at DESC
+        `, [report.cluster_id, report.id]);
+    }
+
+    /**
+     * Scans linked to any of the given reports
+     */
+    async getLinkedScans(reportIds) {
+        if (reportIds.length === 0) {
+            return [];
+        }
+
+        const scans = await dbManager.query(`
+            SELECT rvl.report_id, vl.id, vl.user_id, vl.serial_number, vl.verification_method,
+                   vl.verification_result, vl.authenticity_score, vl.location_data, vl.verification_time,
+                   db.batch_number, d.name as drug_name
+            FROM report_verification_links rvl
+            JOIN verification_logs vl ON rvl.verification_log_id = vl.id
+            LEFT JOIN drug_batches db ON vl.batch_id = db.id
+            LEFT JOIN drugs d ON db.drug_id = d.id
+            WHERE rvl.report_id IN (${reportIds.map(() => '?').join(', ')})
+            ORDER BY vl.verification_time DESC
+        `, reportIds);
+
+        scans.forEach(scan => {
+            try {
+                scan.location_data = scan.location_data ? JSON.parse(scan.location_data) : null;
+            } catch (e) {
+                scan.location_data = null;
+            }
+        });
+
+        return scans;
+    }
+
+    async findBatches(batchNumber) {
+        const normalized = this.normalizeBatchNumber(batchNumber);
+
+        return dbManager.query(`
+            SELECT id, drug_id, batch_number, lot_number
+            FROM drug_batches
+            WHERE ${NORMALIZED_BATCH_SQL('batch_number')} = ? OR ${NORMALIZED_BATCH_SQL('lot_number')} = ?
+        `, [normalized, normalized]);
+    }
+
+    /**
+     * 2 for an exact name match, 1 when one name contains the other, 0 otherwise
+     */
+    scoreDrug(drug, drugName) {
+        return this.scoreNames([drug.name, drug.generic_name, drug.brand_name, drug.drug_code], drugName);
+    }
+
+    /**
+     * Like scoreDrug, or null when the reporter did not name a manufacturer
+     */
+    scoreManufacturer(drug, manufacturerClaimed) {
+        if (!this.normalize(manufacturerClaimed)) {
+            return null;
+        }
+
+        return this.scoreNames([drug.manufacturer_name, drug.manufacturer_code], manufacturerClaimed);
+    }
+
+    scoreNames(names, text) {
+        const reported = this.normalize(text);
+        if (!reported) {
+            return 0;
+        }
+
+        let score = 0;
+        for (const name of names.map(candidate => this.normalize(candidate)).filter(Boolean)) {
+            if (name === reported) {
+                return 2;
+            }
+
+            const shorter = name.length < reported.length ? name : reported;
+            const longer = shorter === name ? reported : name;
+            if (shorter.length >= this.minPartialLength && longer.includes(shorter)) {
+                score = 1;
+            }
+        }
+
+        return score;
+    }
+
+    buildMatch({ batch = null, drug, confidence, details }) {
+        return {
+            matched_batch_id: batch ? batch.id : null,
+            matched_drug_id: drug.id,
+            matched_manufacturer_id: drug.manufacturer_id,
+            match_confidence: confidence,
+            match_details: details
+        };
+    }
+
+    normalize(text) {
+        return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    // Must strip the same characters as NORMALIZED_BATCH_SQL
+    normalizeBatchNumber(text) {
+        return String(text || '').replace(/[-\s/]/g, '').toUpperCase();
+    }
+}
+
+module.exports = new ReportTriage();
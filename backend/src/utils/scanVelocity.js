@@ -0,0 +1,174 @@
+const dbManager = require('../config/database');
+const { parseTimestamp } = require('./common');
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Scan velocity analysis for clone and replay detection
+ * A copied label shows up as the same code being verified in places no single
+ * pack could travel between, or by more scanners than there are packs left
+ */
+class ScanVelocityAnalyzer {
+    constructor() {
+        // Faster than a commercial flight means two different physical packs
+        this.maxTravelSpeedKmh = parseFloat(process.env.SCAN_VELOCITY_MAX_SPEED_KMH) || 900;
+        // GPS and IP geolocation jitter below this distance is ignored
+        this.minDistanceKm = parseFloat(process.env.SCAN_VELOCITY_MIN_DISTANCE_KM) || 50;
+        this.windowHours = parseInt(process.env.SCAN_VELOCITY_WINDOW_HOURS) || 72;
+        // A single serialized pack is rarely checked by more than a few people
+        this.maxScannersPerSerial = parseInt(process.env.SCAN_VELOCITY_MAX_SCANNERS_PER_SERIAL) || 3;
+    }
+
+    /**
+     * Analyze the scan history of a batch or serial against the current scan
+     */
+    async analyze({ batch, serialNumber = null, locationData = null, userId = null, ipAddress = null }) {
+        const history = await this.getScanHistory(batch.id, serialNumber);
+        const findings = [];
+
+        const currentLocation = this.extractCoordinates(locationData);
+        if (currentLocation) {
+            const travel = this.findImpossibleTravel(history, currentLocation, new Date());
+            if (travel) {
+                findings.push({
+                    type: 'impossible_travel',
+                    severity: 'high',
+                    message: `Same code scanned ${Math.round(travel.distanceKm)} km away ${this.formatDuration(travel.hours)} earlier`,
+                    distance_km: Math.round(travel.distanceKm),
+                    hours_between: Number(travel.hours.toFixed(2)),
+                    previous_scan_id: travel.scan.id
+                });
+            }
+        }
+
+        const scanners = this.countDistinctScanners(history, { userId, ipAddress });
+        if (serialNumber) {
+            if (scanners > this.maxScannersPerSerial) {
+                findings.push({
+                    type: 'serial_overscanned',
+                    severity: 'medium',
+                    message: `Serial scanned by ${scanners} different scanners in ${this.windowHours}h`,
+                    distinct_scanners: scanners
+                });
+            }
+        } else if (scanners > batch.quantity_remaining) {
+            findings.push({
+                type: 'batch_overscanned',
+                severity: 'high',
+                message: `Code scanned by ${scanners} different scanners but only ${batch.quantity_remaining} units remain`,
+                distinct_scanners: scanners
+            });
+        }
+
+        return {
+            clone_suspected: findings.length > 0,
+            findings,
+            scans_in_window: history.length,
+            window_hours: this.windowHours
+        };
+    }
+
+    /**
+     * Previous scans of the same serial, or of the batch code when no serial was scanned
+     */
+    async getScanHistory(batchId, serialNumber) {
+        const filter = serialNumber ? 'serial_number = ?' : 'batch_id = ? AND serial_number IS NULL';
+
+        return dbManager.query(`
+            SELECT id, user_id, ip_address, user_agent, location_data, verification_time
+            FROM verification_logs
+            WHERE ${filter}
+            AND verification_time > datetime('now', ?)
+            ORDER BY verification_time DESC
+        `, [serialNumber || batchId, `-${this.windowHours} hours`]);
+    }
+
+    /**
+     * Find the earlier scan that implies the fastest travel to the current location
+     */
+    findImpossibleTravel(history, currentLocation, currentTime) {
+        let worst = null;
+
+        for (const scan of history) {
+            const previousLocation = this.extractCoordinates(scan.location_data);
+            if (!previousLocation) {
+                continue;
+            }
+
+            const distanceKm = this.haversineDistance(previousLocation, currentLocation);
+            if (distanceKm < this.minDistanceKm) {
+                continue;
+            }
+
+            const scannedAt = parseTimestamp(scan.verification_time);
+            const hours = Math.max((currentTime - scannedAt) / 3600000, 1 / 60);
+            const speed = distanceKm / hours;
+
+            if (speed > this.maxTravelSpeedKmh && (!worst || speed > worst.speed)) {
+                worst = { scan, distanceKm, hours, speed };
+            }
+        }
+
+        return worst;
+    }
+
+    /**
+     * Count distinct scanners in the history plus the current one
+     * Signed-in users count once; anonymous scans are told apart by IP address
+     */
+    countDistinctScanners(history, { userId, ipAddress }) {
+        const scanners = new Set(history.map(scan => (scan.user_id ? `user:${scan.user_id}` : `ip:${scan.ip_address}`)));
+        scanners.add(userId ? `user:${userId}` : `ip:${ipAddress}`);
+        return scanners.size;
+    }
+
+    /**
+     * Read coordinates from a location payload or its stored JSON
+     * Accepts { latitude, longitude } and { lat, lng }
+     */
+    extractCoordinates(locationData) {
+        let location = locationData;
+
+        if (typeof location === 'string') {
+            try {
+                location = JSON.parse(location);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        if (!location || typeof location !== 'object') {
+            return null;
+        }
+
+        const latitude = parseFloat(location.latitude !== undefined ? location.latitude : location.lat);
+        const longitude = parseFloat(location.longitude !== undefined ? location.longitude : location.lng);
+
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)
+            || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            return null;
+        }
+
+        return { latitude, longitude };
+    }
+
+    /**
+     * Great-circle distance in kilometres
+     */
+    haversineDistance(from, to) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(to.latitude - from.latitude);
+        const dLon = toRadians(to.longitude - from.longitude);
+
+        const a = Math.sin(dLat / 2) ** 2
+            + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+    }
+
+    formatDuration(hours) {
+        return hours < 1 ? `${Math.round(hours * 60)} min` : `${hours.toFixed(1)} h`;
+    }
+}
+
+module.exports = new ScanVelocityAnalyzer();
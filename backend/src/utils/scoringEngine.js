@@ -0,0 +1,364 @@
+const dbManager = require('../config/database');
+const { HttpError } = require('./common');
+
+// Results a rule may force; when several rules fire the most severe one wins
+const RESULT_PRECEDENCE = ['authentic', 'suspicious', 'expired', 'recalled', 'counterfeit'];
+
+const OPERATORS = {
+    eq: (actual, expected) => actual === expected,
+    neq: (actual, expected) => actual !== expected,
+    gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+    gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+    lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+    lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+    in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+    exists: (actual, expected) => (actual !== undefined && actual !== null) === (expected !== false)
+};
+
+const isScalar = value => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+// The value each operator compares against, checked when a rule set is saved
+const OPERATOR_VALUES = {
+    eq: [isScalar, 'a string, number, boolean or null'],
+    neq: [isScalar, 'a string, number, boolean or null'],
+    gt: [Number.isFinite, 'a number'],
+    gte: [Number.isFinite, 'a number'],
+    lt: [Number.isFinite, 'a number'],
+    lte: [Number.isFinite, 'a number'],
+    in: [value => Array.isArray(value) && value.length > 0 && value.every(isScalar), 'a non-empty array of strings, numbers or booleans'],
+    exists: [value => value === undefined || typeof value === 'boolean', 'true, false or nothing']
+};
+
+// Facts performVerification provides to rule conditions
+const FACTS = {
+    'batch.status': 'Batch status (active, recalled, expired, depleted)',
+    'batch.quality_check_status': 'Quality control status (pending, passed, failed)',
+    'batch.expired': 'Batch expiry date is in the past',
+    'batch.days_to_expiry': 'Days until the batch expires (negative once expired)',
+    'batch.expiry_date': 'Recorded batch expiry date',
+    'label.expiry_mismatch': 'Printed GS1 expiry differs from the batch record',
+    'label.printed_expiry': 'Expiry printed on the scanned GS1 code',
+    'chain.available': 'Supply chain history could be loaded',
+    'chain.integrity_valid': 'Per-batch chain hashes and links verify',
+    'chain.anomaly_count': 'Number of supply chain anomalies',
+    'chain.risk_level': 'Supply chain anomaly risk level (low, medium, high)',
+    'alerts.count': 'Active alerts for the batch or drug',
+    'alerts.critical_count': 'Active critical alerts for the batch or drug',
+    'serial.provided': 'A serial number was scanned or entered',
+    'serial.issued': 'The serial was issued for this batch',
+    'serial.status': 'Pack status (commissioned, shipped, dispensed, decommissioned)',
+    'serial.dispensed_at': 'When the pack was dispensed',
+    'serial.status_reason': 'Reason recorded with the pack status',
+    'scan.scans_in_window': 'Earlier scans of the same code in the velocity window',
+    'scan.impossible_travel.detected': 'Same code scanned too far away too quickly',
+    'scan.impossible_travel.message': 'Description of the impossible travel finding',
+    'scan.serial_overscanned.detected': 'Serial scanned by too many distinct scanners',
+    'scan.serial_overscanned.message': 'Description of the serial overscan finding',
+    'scan.batch_overscanned.detected': 'Batch code scanned by more scanners than units remain',
+    'scan.batch_overscanned.message': 'Description of the batch overscan finding'
+};
+
+// Version 1 reproduces the penalties performVerification used to hardcode
+const DEFAULT_RULE_SET = {
+    thresholds: { counterfeit_below: 30, suspicious_below: 70 },
+    rules: [
+        { id: 'printed_expiry_mismatch', enabled: true, when: { fact: 'label.expiry_mismatch', op: 'eq', value: true }, penalty: 40, result: 'suspicious', explanation: 'Printed expiry {label.printed_expiry} does not match the recorded expiry {batch.expiry_date}' },
+        { id: 'expired', enabled: true, when: { fact: 'batch.expired', op: 'eq', value: true }, penalty: 30, result: 'expired', explanation: 'Product expired' },
+        { id: 'recalled', enabled: true, when: { fact: 'batch.status', op: 'eq', value: 'recalled' }, penalty: 50, result: 'recalled', explanation: 'Batch has been recalled' },
+        { id: 'depleted', enabled: true, when: { fact: 'batch.status', op: 'eq', value: 'depleted' }, penalty: 20, explanation: 'Batch depleted - may be counterfeit' },
+        { id: 'quality_check_failed', enabled: true, when: { fact: 'batch.quality_check_status', op: 'eq', value: 'failed' }, penalty: 40, result: 'suspicious', explanation: 'Failed quality control check' },
+        { id: 'supply_chain_unavailable', enabled: true, when: { fact: 'chain.available', op: 'eq', value: false }, penalty: 15, explanation: 'Unable to verify supply chain' },
+        { id: 'supply_chain_anomalies', enabled: true, when: { fact: 'chain.anomaly_count', op: 'gt', value: 0 }, penalty: 10, penalty_per: 'chain.anomaly_count', explanation: 'Supply chain anomalies detected: {chain.anomaly_count}' },
+        { id: 'supply_chain_high_risk', enabled: true, when: { fact: 'chain.risk_level', op: 'eq', value: 'high' }, penalty: 0, result: 'suspicious', explanation: 'High-risk supply chain anomalies' },
+        { id: 'active_alerts', enabled: true, when: { fact: 'alerts.count', op: 'gt', value: 0 }, penalty: 10, penalty_per: 'alerts.count', explanation: 'Active alerts for this product: {alerts.count}' },
+        { id: 'critical_alert', enabled: true, when: { fact: 'alerts.critical_count', op: 'gt', value: 0 }, penalty: 0, max_score: 20, result: 'counterfeit', explanation: 'Critical alert active for this product' },
+        { id: 'serial_not_issued', enabled: true, when: { all: [{ fact: 'serial.provided', op: 'eq', value: true }, { fact: 'serial.issued', op: 'eq', value: false }] }, penalty: 100, result: 'counterfeit', explanation: 'Serial number was never issued for this batch' },
+        { id: 'serial_dispensed', enabled: true, when: { fact: 'serial.status', op: 'eq', value: 'dispensed' }, penalty: 50, result: 'suspicious', explanation: 'Pack was already dispensed on {serial.dispensed_at} - the label may have been copied' },
+        { id: 'serial_decommissioned', enabled: true, when: { fact: 'serial.status', op: 'eq', value: 'decommissioned' }, penalty: 60, result: 'suspicious', explanation: 'Pack was decommissioned: {serial.status_reason}' },
+        { id: 'impossible_travel', enabled: true, when: { fact: 'scan.impossible_travel.detected', op: 'eq', value: true }, penalty: 40, result: 'suspicious', explanation: '{scan.impossible_travel.message}' },
+        { id: 'serial_overscanned', enabled: true, when: { fact: 'scan.serial_overscanned.detected', op: 'eq', value: true }, penalty: 20, result: 'suspicious', explanation: '{scan.serial_overscanned.message}' },
+        { id: 'batch_overscanned', enabled: true, when: { fact: 'scan.batch_overscanned.detected', op: 'eq', value: true }, penalty: 40, result: 'suspicious', explanation: '{scan.batch_overscanned.message}' }
+    ]
+};
+
+const MAX_RULES = 100;
+
+/**
+ * Error raised for a rule set that cannot be saved
+ */
+class ScoringRuleError extends HttpError {}
+
+/**
+ * Declarative authenticity scoring
+ * Rules are stored as versioned rule sets; each verification is scored by the
+ * active version and records that version number alongside its score
+ */
+class ScoringEngine {
+    constructor() {
+        this.facts = FACTS;
+        this.operators = Object.keys(OPERATORS);
+        this.results = RESULT_PRECEDENCE;
+        this.activeRuleSet = null;
+    }
+
+    /**
+     * Get the active rule set, creating version 1 from the defaults on first use
+     */
+    async getActiveRuleSet() {
+        if (this.activeRuleSet) {
+            return this.activeRuleSet;
+        }
+
+        let row = await dbManager.queryOne(`
+            SELECT version, rules, thresholds, change_note, is_active, created_by_user_id, created_at
+            FROM scoring_rule_sets
+            WHERE is_active = 1
+        `);
+
+        if (!row) {
+            await dbManager.run(`
+                INSERT OR IGNORE INTO scoring_rule_sets (version, rules, thresholds, change_note, is_active)
+                VALUES (1, ?, ?, ?, 1)
+            `, [JSON.stringify(DEFAULT_RULE_SET.rules), JSON.stringify(DEFAULT_RULE_SET.thresholds), 'Default rule set']);
+
+            row = await dbManager.queryOne(`
+                SELECT version, rules, thresholds, change_note, is_active, created_by_user_id, created_at
+                FROM scoring_rule_sets
+                WHERE is_active = 1
+            `);
+        }
+
+        this.activeRuleSet = this.formatRuleSet(row);
+        return this.activeRuleSet;
+    }
+
+    formatRuleSet(row) {
+        return {
+            version: row.version,
+            rules: JSON.parse(row.rules),
+            thresholds: JSON.parse(row.thresholds),
+            change_note: row.change_note,
+            is_active: row.is_active === 1,
+            created_by_user_id: row.created_by_user_id,
+            created_at: row.created_at
+        };
+    }
+
+    /**
+     * List stored versions, newest first
+     */
+    async listVersions() {
+        await this.getActiveRuleSet();
+
+        return dbManager.query(`
+            SELECT srs.version, srs.change_note, srs.is_active, srs.created_at,
+                   u.username as created_by
+            FROM scoring_rule_sets srs
+            LEFT JOIN users u ON srs.created_by_user_id = u.id
+            ORDER BY srs.version DESC
+        `);
+    }
+
+    async getVersion(version) {
+        const row = await dbManager.queryOne(`
+            SELECT version, rules, thresholds, change_note, is_active, created_by_user_id, created_at
+            FROM scoring_rule_sets
+            WHERE version = ?
+        `, [version]);
+
+        return row ? this.formatRuleSet(row) : null;
+    }
+
+    /**
+     * Validate and store a rule set as a new version, and make it active
+     * Existing versions are never edited so old verification scores stay explainable
+     */
+    async saveRuleSet({ rules, thresholds }, { userId = null, changeNote = null } = {}) {
+        this.validateRuleSet({ rules, thresholds });
+
+        await dbManager.withTransaction(async () => {
+            const latest = await dbManager.queryOne('SELECT MAX(version) as version FROM scoring_rule_sets');
+            const version = (latest.version || 0) + 1;
+
+            await dbManager.run('UPDATE scoring_rule_sets SET is_active = 0 WHERE is_active = 1');
+            await dbManager.run(`
+                INSERT INTO scoring_rule_sets (version, rules, thresholds, change_note, created_by_user_id, is_active)
+                VALUES (?, ?, ?, ?, ?, 1)
+            `, [version, JSON.stringify(rules), JSON.stringify(thresholds), changeNote, userId]);
+        });
+
+        this.activeRuleSet = null;
+        return this.getActiveRuleSet();
+    }
+
+    /**
+     * Make an earlier version active again
+     */
+    async activateVersion(version) {
+        const ruleSet = await this.getVersion(version);
+        if (!ruleSet) {
+            return null;
+        }
+
+        await dbManager.withTransaction(async () => {
+            await dbManager.run('UPDATE scoring_rule_sets SET is_active = 0 WHERE is_active = 1');
+            await dbManager.run('UPDATE scoring_rule_sets SET is_active = 1 WHERE version = ?', [version]);
+        });
+
+        this.activeRuleSet = null;
+        return this.getActiveRuleSet();
+    }
+
+    validateRuleSet({ rules, thresholds }) {
+        if (!thresholds || typeof thresholds !== 'object') {
+            throw new ScoringRuleError('Thresholds are required');
+        }
+
+        const { counterfeit_below: counterfeitBelow, suspicious_below: suspiciousBelow } = thresholds;
+        if (![counterfeitBelow, suspiciousBelow].every(value => Number.isFinite(value) && value >= 0 && value <= 100)
+            || counterfeitBelow > suspiciousBelow) {
+            throw new ScoringRuleError('Thresholds must be between 0 and 100 with counterfeit_below <= suspicious_below');
+        }
+
+        if (!Array.isArray(rules) || rules.length === 0 || rules.length > MAX_RULES) {
+            throw new ScoringRuleError(`A rule set needs between 1 and ${MAX_RULES} rules`);
+        }
+
+        const ids = new Set();
+        rules.forEach((rule, index) => {
+            const label = rule && rule.id ? `Rule ${rule.id}` : `Rule ${index + 1}`;
+
+            if (!rule || typeof rule.id !== 'string' || !/^[a-z0-9_]{1,50}$/.test(rule.id)) {
+                throw new ScoringRuleError(`${label}: id must be 1-50 lowercase letters, digits or underscores`);
+            }
+            if (ids.has(rule.id)) {
+                throw new ScoringRuleError(`${label}: duplicate id`);
+            }
+            ids.add(rule.id);
+
+            if (typeof rule.explanation !== 'string' || rule.explanation.trim().length === 0 || rule.explanation.length > 500) {
+                throw new ScoringRuleError(`${label}: explanation is required and must be less than 500 characters`);
+            }
+            if (!Number.isFinite(rule.penalty) || rule.penalty < 0 || rule.penalty > 100) {
+                throw new ScoringRuleError(`${label}: penalty must be between 0 and 100`);
+            }
+            if (rule.penalty_per !== undefined && !Object.hasOwn(FACTS, rule.penalty_per)) {
+                throw new ScoringRuleError(`${label}: unknown penalty_per fact ${rule.penalty_per}`);
+            }
+            if (rule.max_score !== undefined && (!Number.isFinite(rule.max_score) || rule.max_score < 0 || rule.max_score > 100)) {
+                throw new ScoringRuleError(`${label}: max_score must be between 0 and 100`);
+            }
+            if (rule.result !== undefined && !RESULT_PRECEDENCE.includes(rule.result)) {
+                throw new ScoringRuleError(`${label}: result must be one of ${RESULT_PRECEDENCE.join(', ')}`);
+            }
+
+            this.validateCondition(rule.when, label);
+        });
+    }
+
+    validateCondition(condition, label) {
+        if (!condition || typeof condition !== 'object') {
+            throw new ScoringRuleError(`${label}: condition is required`);
+        }
+
+        const group = condition.all || condition.any;
+        if (group) {
+            if (!Array.isArray(group) || group.length === 0) {
+                throw new ScoringRuleError(`${label}: all/any must be a non-empty array`);
+            }
+            group.forEach(child => this.validateCondition(child, label));
+            return;
+        }
+
+        if (!Object.hasOwn(FACTS, condition.fact)) {
+            throw new ScoringRuleError(`${label}: unknown fact ${condition.fact}`);
+        }
+        if (!Object.hasOwn(OPERATORS, condition.op)) {
+            throw new ScoringRuleError(`${label}: unknown operator ${condition.op}`);
+        }
+
+        const [isValidValue, expected] = OPERATOR_VALUES[condition.op];
+        if (!isValidValue(condition.value)) {
+            throw new ScoringRuleError(`${label}: ${condition.fact} ${condition.op} needs ${expected} as its value`);
+        }
+    }
+
+    /**
+     * Score a verification from its facts
+     */
+    async evaluate(facts) {
+        const ruleSet = await this.getActiveRuleSet();
+        const matchedRules = [];
+        const riskFactors = [];
+        let penalty = 0;
+        let maxScore = 100;
+        let result = 'authentic';
+
+        for (const rule of ruleSet.rules) {
+            if (rule.enabled === false || !this.matches(rule.when, facts)) {
+                continue;
+            }
+
+            const multiplier = rule.penalty_per ? Number(this.getFact(facts, rule.penalty_per)) || 0 : 1;
+            const rulePenalty = rule.penalty * multiplier;
+
+            penalty += rulePenalty;
+            if (rule.max_score !== undefined) {
+                maxScore = Math.min(maxScore, rule.max_score);
+            }
+            if (rule.result && RESULT_PRECEDENCE.indexOf(rule.result) > RESULT_PRECEDENCE.indexOf(result)) {
+                result = rule.result;
+            }
+
+            riskFactors.push(this.interpolate(rule.explanation, facts));
+            matchedRules.push({ id: rule.id, penalty: rulePenalty });
+        }
+
+        const score = Math.max(0, Math.min(100 - penalty, maxScore));
+
+        // Thresholds only apply when no rule forced a more specific result
+        if (result === 'authentic') {
+            if (score < ruleSet.thresholds.counterfeit_below) {
+                result = 'counterfeit';
+            } else if (score < ruleSet.thresholds.suspicious_below) {
+                result = 'suspicious';
+            }
+        }
+
+        return {
+            result,
+            score,
+            risk_factors: riskFactors,
+            matched_rules: matchedRules,
+            rule_version: ruleSet.version
+        };
+    }
+
+    matches(condition, facts) {
+        if (condition.all) {
+            return condition.all.every(child => this.matches(child, facts));
+        }
+        if (condition.any) {
+            return condition.any.some(child => this.matches(child, facts));
+        }
+
+        return OPERATORS[condition.op](this.getFact(facts, condition.fact), condition.value);
+    }
+
+    getFact(facts, path) {
+        return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), facts);
+    }
+
+    /**
+     * Fill {fact.path} placeholders in an explanation
+     */
+    interpolate(template, facts) {
+        return template.replace(/\{([a-z0-9_.]+)\}/gi, (placeholder, path) => {
+            const value = this.getFact(facts, path);
+            return value === undefined || value === null ? '' : String(value);
+        }).trim();
+    }
+}
+
+module.exports = new ScoringEngine();
+module.exports.ScoringRuleError = ScoringRuleError;
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const dbManager = require('../config/database');
+const signer = require('./signing');
+const { HttpError } = require('./common');
+
+// Crockford base32 - no I, L, O or U so serials survive being read aloud or retyped
+const SERIAL_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const SERIAL_LENGTH = 12;
+
+// Upper bound for a single commissioning request
+const MAX_COMMISSION_QUANTITY = 10000;
+
+// Allowed moves through a pack's lifecycle
+const STATUS_TRANSITIONS = {
+    commissioned: ['shipped', 'dispensed', 'decommissioned'],
+    shipped: ['dispensed', 'decommissioned'],
+    dispensed: ['decommissioned'],
+    decommissioned: []
+};
+
+const STATUS_TIMESTAMP_COLUMNS = {
+    shipped: 'shipped_at',
+    dispensed: 'dispensed_at',
+    decommissioned: 'decommissioned_at'
+};
+
+class SerializationError extends HttpError {}
+
+/**
+ * Unit-level serialization
+ * Every saleable pack gets its own serial number and signed QR code, and its
+ * status is tracked so a copied label can be told apart from the original pack
+ */
+class SerializationService {
+    constructor() {
+        this.statuses = Object.keys(STATUS_TRANSITIONS);
+        this.maxCommissionQuantity = MAX_COMMISSION_QUANTITY;
+    }
+
+    /**
+     * Generate a random serial number
+     */
+    generateSerialNumber() {
+        const bytes = crypto.randomBytes(SERIAL_LENGTH);
+        let serial = '';
+
+        for (let i = 0; i < SERIAL_LENGTH; i++) {
+            serial += SERIAL_ALPHABET[bytes[i] % SERIAL_ALPHABET.length];
+        }
+
+        return serial;
+    }
+
+    /**
+     * Generate and store unique serial numbers for a batch
+     */
+    async commissionUnits(batchId, quantity, userId = null) {
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_COMMISSION_QUANTITY) {
+            throw new SerializationError(`Quantity must be between 1 and ${MAX_COMMISSION_QUANTITY}`);
+        }
+
+        const batch = await dbManager.queryOne(`
+            SELECT db.id, db.drug_id, db.batch_number, db.quantity_produced, db.status, d.manufacturer_id
+            FROM drug_batches db
+            JOIN drugs d ON db.drug_id = d.id
+            WHERE db.id = ?
+        `, [batchId]);
+
+        if (!batch) {
+            throw new SerializationError('Batch not found', 404);
+        }
+
+        if (batch.status !== 'active') {
+            throw new SerializationError(`Cannot commission units for a ${batch.status} batch`, 409);
+        }
+
+        const existing = await dbManager.queryOne(
+            'SELECT COUNT(*) as count FROM serialized_units WHERE batch_id = ?',
+            [batch.id]
+        );
+
+        if (existing.count + quantity > batch.quantity_produced) {
+            throw new SerializationError(
+                `Batch produced ${batch.quantity_produced} units and ${existing.count} are already serialized`,
+                409
+            );
+        }
+
+        // Load the signing key once instead of once per pack
+        const manufacturer = await dbManager.getManufacturerSigningKey(batch.manufacturer_id);
+        const units = [];
+
+        await dbManager.withTransaction(async () => {
+            for (let i = 0; i < quantity; i++) {
+                units.push(await this.insertUnit(batch, manufacturer, userId));
+            }
+        });
+
+        return {
+            batch_id: batch.id,
+            batch_number: batch.batch_number,
+            commissioned: units.length,
+            total_serialized: existing.count + units.length,
+            units
+        };
+    }
+
+    /**
+     * Insert one unit, drawing a fresh serial if a collision occurs
+     */
+    async insertUnit(batch, manufacturer, userId, attempt = 1) {
+        const serialNumber = this.generateSerialNumber();
+        const qrCode = JSON.stringify(signer.signQRPayload({
+            drugId: batch.drug_id,
+            batchId: batch.id,
+            batchNumber: batch.batch_number,
+            manufacturerCode: manufacturer.code,
+            serialNumber
+        }, manufacturer.signing_private_key));
+
+        try {
+            await dbManager.run(`
+                INSERT INTO serialized_units (batch_id, serial_number, qr_code, status, status_changed_by_user_id)
+                VALUES (?, ?, ?, 'commissioned', ?)
+            `, [batch.id, serialNumber, qrCode, userId]);
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT' && attempt < 3) {
+                return this.insertUnit(batch, manufacturer, userId, attempt + 1);
+            }
+            throw error;
+        }
+
+        return { serial_number: serialNumber, qr_code: qrCode };
+    }
+
+    /**
+     * Get a unit with its batch and drug details
+     */
+    async getUnit(serialNumber) {
+        return dbManager.queryOne(`
+            SELECT
+                su.id,
+                su.batch_id,
+                su.serial_number,
+                su.status,
+                su.status_reason,
+                su.commissioned_at,
+                su.shipped_at,
+                su.dispensed_at,
+                su.decommissioned_at,
+                su.updated_at,
+                db.batch_number,
+                db.expiry_date,
+                d.name as drug_name,
+                d.drug_code
+            FROM serialized_units su
+            JOIN drug_batches db ON su.batch_id = db.id
+            JOIN drugs d ON db.drug_id = d.id
+            WHERE su.serial_number = ?
+        `, [serialNumber]);
+    }
+
+    /**
+     * List the units of a batch with status counts
+     */
+    async listUnits(batchId, { status = null, page = 1, limit = 50 } = {}) {
+        const offset = (page - 1) * limit;
+        const params = [batchId];
+        let statusFilter = '';
+
+        if (status) {
+            statusFilter = 'AND status = ?';
+            params.push(status);
+        }
+
+        const units = await dbManager.query(`
+            SELECT serial_number, status, status_reason, commissioned_at, shipped_at, dispensed_at, decommissioned_at
+            FROM serialized_units
+            WHERE batch_id = ? ${statusFilter}
+            ORDER BY id
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+
+        const total = await dbManager.queryOne(`
+            SELECT COUNT(*) as count FROM serialized_units WHERE batch_id = ? ${statusFilter}
+        `, params);
+
+        const statusCounts = await dbManager.query(`
+            SELECT status, COUNT(*) as count
+            FROM serialized_units
+            WHERE batch_id = ?
+            GROUP BY status
+        `, [batchId]);
+
+        return {
+            units,
+            status_counts: statusCounts.reduce((counts, row) => {
+                counts[row.status] = row.count;
+                return counts;
+            }, {}),
+            pagination: {
+                current_page: page,
+                per_page: limit,
+                total_count: total.count,
+                total_pages: Math.ceil(total.count / limit)
+            }
+        };
+    }
+
+    /**
+     * Move a unit to a new lifecycle status
+     */
+    async updateStatus(serialNumber, status, { userId = null, reason = null } = {}) {
+        const unit = await this.getUnit(serialNumber);
+
+        if (!unit) {
+            throw new SerializationError('Serial number not found', 404);
+        }
+
+        if (!STATUS_TRANSITIONS[unit.status].includes(status)) {
+            throw new SerializationError(`Cannot change a ${unit.status} unit to ${status}`, 409);
+        }
+
+        await dbManager.run(`
+            UPDATE serialized_units
+            SET status = ?, status_reason = ?, status_changed_by_user_id = ?, ${STATUS_TIMESTAMP_COLUMNS[status]} = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [status, reason, userId, unit.id]);
+
+        return this.getUnit(serialNumber);
+    }
+}
+
+module.exports = new SerializationService();
+module.exports.SerializationError = SerializationError;
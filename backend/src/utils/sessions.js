@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const dbManager = require('../config/database');
+const { HttpError } = require('./common');
+
+class SessionError extends HttpError {
+    constructor(message, statusCode = 400, code = null) {
+        super(message, statusCode);
+        this.code = code;
+    }
+}
+
+/**
+ * Server-side sessions backing the JWTs
+ * Every sign-in opens a session; its refresh token is single-use and replaced on each
+ * refresh, and presenting a spent one revokes the session as a stolen token family
+ */
+class SessionService {
+    constructor() {
+        this.ttlMs = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+        // Sessions are only marked as used this often, so every API call doesn't write
+        this.lastUsedResolutionMs = 60 * 1000;
+    }
+
+    hashTokenId(tokenId) {
+        return crypto.createHash('sha256').update(tokenId).digest('hex');
+    }
+
+    generateTokenId() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    /**
+     * Open a session and return it with the ID of its first refresh token
+     */
+    async createSession(userId, { ipAddress = null, userAgent = null } = {}) {
+        const id = crypto.randomUUID();
+        const tokenId = this.generateTokenId();
+        const now = new Date();
+
+        await dbManager.run(`
+            INSERT INTO user_sessions
+            (id, user_id, refresh_token_hash, user_agent, ip_address, created_at, last_used_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            id,
+            userId,
+            this.hashTokenId(tokenId),
+            userAgent,
+            ipAddress,
+            now.toISOString(),
+            now.toISOString(),
+            new Date(now.getTime() + this.ttlMs).toISOString()
+        ]);
+
+        return { id, tokenId };
+    }
+
+    /**
+     * Spend a refresh token and return the ID of its replacement
+     * A token that was already spent means it leaked, so the whole session is revoked
+     */
+    async rotateSession(sessionId, userId, tokenId, { ipAddress = null, userAgent = null } = {}) {
+        const session = await dbManager.queryOne(
+            'SELECT id, user_id, refresh_token_hash, expires_at, revoked_at FROM user_sessions WHERE id = ? AND user_id = ?',
+            [sessionId, userId]
+        );
+
+        if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+            throw new SessionError('Session has expired or been revoked', 401, 'SESSION_REVOKED');
+        }
+
+        if (!tokenId || this.hashTokenId(tokenId) !== session.refresh_token_hash) {
+            await this.revokeSession(userId, sessionId, { reason: 'token_reuse' });
+            throw new SessionError('Refresh token has already been used; the session has been revoked', 401, 'TOKEN_REUSED');
+        }
+
+        const nextTokenId = this.generateTokenId();
+        const now = new Date();
+
+        // Guarded on the old hash so two concurrent refreshes cannot both succeed
+        const result = await dbManager.run(`
+            UPDATE user_sessions
+            SET refresh_token_hash = ?, rotated_at = ?, last_used_at = ?, expires_at = ?,
+                ip_address = COALESCE(?, ip_address), user_agent = COALESCE(?, user_agent)
+            WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+        `, [
+            this.hashTokenId(nextTokenId),
+            now.toISOString(),
+            now.toISOString(),
+            new Date(now.getTime() + this.ttlMs).toISOString(),
+            ipAddress,
+            userAgent,
+            sessionId,
+            session.refresh_token_hash
+        ]);
+
+        if (result.changes === 0) {
+            await this.revokeSession(userId, sessionId, { reason: 'token_reuse' });
+            throw new SessionError('Refresh token has already been used; the session has been revoked', 401, 'TOKEN_REUSED');
+        }
+
+        return { id: sessionId, tokenId: nextTokenId };
+    }
+
+    /**
+     * The session an access token belongs to, if it is still live
+     */
+    async findActiveSession(sessionId, userId) {
+        const session = await dbManager.queryOne(`
+            SELECT id, user_id, last_used_at
+            FROM user_sessions
+            WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > ?
+        `, [sessionId, userId, new Date().toISOString()]);
+
+        if (!session) {
+            return null;
+        }
+
+        const now = new Date();
+        if (now - new Date(session.last_used_at) > this.lastUsedResolutionMs) {
+            await dbManager.run('UPDATE user_sessions SET last_used_at = ? WHERE id = ?', [now.toISOString(), sessionId]);
+        }
+
+        return session;
+    }
+
+    /**
+     * A user's live sessions, most recently used first
+     */
+    async listSessions(userId, currentSessionId = null) {
+        const rows = await dbManager.query(`
+            SELECT id, user_agent, ip_address, created_at, last_used_at, rotated_at, expires_at
+            FROM user_sessions
+            WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+            ORDER BY last_used_at DESC
+        `, [userId, new Date().toISOString()]);
+
+        return rows.map(row => ({
+            ...row,
+            device: this.describeUserAgent(row.user_agent),
+            is_current: row.id === currentSessionId
+        }));
+    }
+
+    async revokeSession(userId, sessionId, { reason = 'user_revoked', revokedBy = null } = {}) {
+        const result = await dbManager.run(`
+            UPDATE user_sessions SET revoked_at = ?, revoked_reason = ?, revoked_by_user_id = ?
+            WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+        `, [new Date().toISOString(), reason, revokedBy, sessionId, userId]);
+
+        if (result.changes === 0) {
+            throw new SessionError('Session not found', 404);
+        }
+    }
+
+    /**
+     * Revoke every live session of a user, optionally keeping one; returns how many were revoked
+     */
+    async revokeAllSessions(userId, { exceptSessionId = null, reason = 'user_revoked', revokedBy = null } = {}) {
+        const result = await dbManager.run(`
+            UPDATE user_sessions SET revoked_at = ?, revoked_reason = ?, revoked_by_user_id = ?
+            WHERE user_id = ? AND revoked_at IS NULL AND id != ?
+        `, [new Date().toISOString(), reason, revokedBy, userId, exceptSessionId || '']);
+
+        return result.changes;
+    }
+
+    /**
+     * Short browser and OS label for the session list
+     */
+    describeUserAgent(userAgent) {
+        if (!userAgent) {
+            return 'Unknown device';
+        }
+
+        const browser = [
+            ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+            ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+        ].find(([, pattern]) => pattern.test(userAgent));
+        const os = [
+            ['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/],
+            ['macOS', /Mac OS X/], ['Linux', /Linux/]
+        ].find(([, pattern]) => pattern.test(userAgent));
+
+        if (!browser && !os) {
+            return userAgent.slice(0, 60);
+        }
+
+        return [browser && browser[0], os && os[0]].filter(Boolean).join(' on ');
+    }
+}
+
+module.exports = new SessionService();
+module.exports.SessionError = SessionError;
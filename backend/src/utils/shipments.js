@@ -0,0 +1,329 @@
+const dbManager = require('../config/database');
+const custody = require('./custody');
+const { HttpError } = require('./common');
+
+// Allowed moves through a shipment's lifecycle
+const STATUS_TRANSITIONS = {
+    dispatched: ['in_transit', 'received', 'rejected'],
+    in_transit: ['received', 'rejected'],
+    received: [],
+    rejected: []
+};
+
+const OPEN_STATUSES = ['dispatched', 'in_transit'];
+
+const RECALL_MOVEMENT_TYPES = ['return', 'recall'];
+
+const DISCREPANCY_TYPES = ['short_shipment', 'damaged', 'temperature_excursion', 'wrong_product', 'documentation', 'other'];
+
+class ShipmentError extends HttpError {}
+
+/**
+ * Shipment lifecycle for supply chain transfers
+ * A transfer is dispatched by the sender, optionally marked in transit, and then
+ * received or rejected by the receiver; batch stock only moves on receipt
+ */
+class ShipmentService {
+    constructor() {
+        this.discrepancyTypes = DISCREPANCY_TYPES;
+        // Shipments without an expected delivery date are due this long after dispatch
+        this.transitHours = parseInt(process.env.SHIPMENT_TRANSIT_HOURS) || 72;
+    }
+
+    /**
+     * Default expected delivery date for a shipment dispatched now
+     */
+    defaultExpectedDelivery(dispatchedAt = new Date()) {
+        return new Date(dispatchedAt.getTime() + this.transitHours * 3600000).toISOString();
+    }
+
+    /**
+     * Check that a new ledger entry refers to existing records and that stock is available
+     * Manufacture entries create stock, so only later movements are checked against it.
+     * Call it in the same transaction as the ledger insert, or parallel dispatches can oversell.
+     */
+    async assertDispatchable({ batchId, fromEntityId, toEntityId, transactionType, quantity }) {
+        const batch = await dbManager.queryOne(
+            'SELECT id, drug_id, batch_number, quantity_remaining, status FROM drug_batches WHERE id = ?',
+            [batchId]
+        );
+
+        if (!batch) {
+            throw new ShipmentError('Batch not found', 404);
+        }
+
+        // Recalled stock may only travel back up the chain
+        if (batch.status === 'recalled' && !RECALL_MOVEMENT_TYPES.includes(transactionType)) {
+            throw new ShipmentError('Batch is recalled; only return and recall movements are allowed', 409);
+        }
+
+        if (fromEntityId) {
+            const fromEntity = await dbManager.queryOne('SELECT id FROM supply_chain_entities WHERE id = ?', [fromEntityId]);
+            if (!fromEntity) {
+                throw new ShipmentError('From entity not found', 404);
+            }
+        }
+
+        const toEntity = await dbManager.queryOne('SELECT id FROM supply_chain_entities WHERE id = ?', [toEntityId]);
+        if (!toEntity) {
+            throw new ShipmentError('To entity not found', 404);
+        }
+
+        if (transactionType !== 'manufacture') {
+            const inTransit = await this.getQuantityInTransit(batch.id);
+
+            if (quantity > batch.quantity_remaining - inTransit) {
+                throw new ShipmentError('Insufficient quantity available');
+            }
+        }
+
+        return batch;
+    }
+
+    /**
+     * Units of a batch dispatched but not yet received or rejected
+     */
+    async getQuantityInTransit(batchId) {
+        const result = await dbManager.queryOne(`
+            SELECT COALESCE(SUM(quantity), 0) as quantity
+            FROM supply_chain_transactions
+            WHERE batch_id = ? AND shipment_status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+        `, [batchId, ...OPEN_STATUSES]);
+
+        return result.quantity;
+    }
+
+    /**
+     * Stock of a batch per entity according to the ledger
+     * Entities hold what they received minus what they sent on; shipments still on the
+     * road count towards the receiver as in transit. Only entities with stock are returned
+     */
+    async getStockByEntity(batchId) {
+        return dbManager.query(`
+            SELECT sce.id as entity_id, sce.name as entity_name, sce.type as entity_type,
+                   stock.quantity_held, stock.quantity_in_transit
+            FROM (
+                SELECT entity_id,
+                       SUM(held) as quantity_held,
+                       SUM(in_transit) as quantity_in_transit
+                FROM (
+                    SELECT to_entity_id as entity_id,
+                           CASE WHEN shipment_status = 'received' THEN COALESCE(quantity_received, quantity) ELSE 0 END as held,
+                           CASE WHEN shipment_status IN (${OPEN_STATUSES.map(() => '?').join(', ')}) THEN quantity ELSE 0 END as in_transit
+                    FROM supply_chain_transactions
+                    WHERE batch_id = ?
+                    UNION ALL
+                    SELECT from_entity_id, -quantity, 0
+                    FROM supply_chain_transactions
+                    WHERE batch_id = ? AND from_entity_id IS NOT NULL AND shipment_status != 'rejected'
+                )
+                GROUP BY entity_id
+            ) stock
+            JOIN supply_chain_entities sce ON stock.entity_id = sce.id
+            WHERE stock.quantity_held > 0 OR stock.quantity_in_transit > 0
+            ORDER BY sce.id
+        `, [...OPEN_STATUSES, batchId, batchId]);
+    }
+
+    async getShipment(transactionId) {
+        const shipment = await dbManager.queryOne(`
+            SELECT id, transaction_hash, batch_id, from_entity_id, to_entity_id, transaction_type, quantity,
+                   transaction_date, shipment_status, expected_delivery_date, in_transit_at,
+                   received_date, received_by, condition_on_receipt, quantity_received,
+                   receipt_discrepancies, receipt_signature
+            FROM supply_chain_transactions
+            WHERE id = ?
+        `, [transactionId]);
+
+        if (shipment) {
+            shipment.receipt_discrepancies = this.parseDiscrepancies(shipment.receipt_discrepancies);
+        }
+
+        return shipment;
+    }
+
+    parseDiscrepancies(value) {
+        try {
+            return value ? JSON.parse(value) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Record that the carrier has picked up a dispatched shipment
+     */
+    async markInTransit(transactionId) {
+        const shipment = await this.getShipment(transactionId);
+
+        if (!shipment) {
+            throw new ShipmentError('Transaction not found', 404);
+        }
+
+        this.assertTransition(shipment, 'in_transit');
+
+        const fromStatuses = this.statusesLeadingTo('in_transit');
+        const result = await dbManager.run(`
+            UPDATE supply_chain_transactions
+            SET shipment_status = 'in_transit', in_transit_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND shipment_status IN (${fromStatuses.map(() => '?').join(', ')})
+        `, [shipment.id, ...fromStatuses]);
+
+        if (result.changes === 0) {
+            throw new ShipmentError('Shipment status changed while it was being updated; reload and try again', 409);
+        }
+
+        return this.getShipment(shipment.id);
+    }
+
+    /**
+     * Record the receiver's countersigned receipt or rejection of a shipment
+     */
+    async receive(transactionId, {
+        status = 'received',
+        receivedBy,
+        conditionOnReceipt,
+        quantityReceived = null,
+        discrepancies = [],
+        signature
+    }) {
+        const shipment = await this.getShipment(transactionId);
+
+        if (!shipment) {
+            throw new ShipmentError('Transaction not found', 404);
+        }
+
+        this.assertTransition(shipment, status);
+
+        const accepted = status === 'received'
+            ? (quantityReceived === null ? shipment.quantity : quantityReceived)
+            : 0;
+
+        if (accepted > shipment.quantity) {
+            throw new ShipmentError(`Received quantity cannot exceed the ${shipment.quantity} units shipped`);
+        }
+
+        // The receiver signs exactly what is stored, so a short delivery has to be listed by them
+        if (status === 'received' && accepted < shipment.quantity
+            && !discrepancies.some(discrepancy => discrepancy.type === 'short_shipment')) {
+            throw new ShipmentError('A short delivery must be recorded as a short_shipment discrepancy');
+        }
+
+        // Signed form: JSON array of { type, description, quantity } with '' and null for omitted values
+        const discrepanciesJson = JSON.stringify(
+            discrepancies.map(({ type, description = '', quantity = null }) => ({ type, description, quantity }))
+        );
+
+        const signatureRecord = await custody.verifyStatement('receipt', {
+            transaction_hash: shipment.transaction_hash,
+            to_entity_id: shipment.to_entity_id,
+            received_by: receivedBy,
+            condition_on_receipt: conditionOnReceipt,
+            shipment_status: status,
+            quantity_received: accepted,
+            receipt_discrepancies: discrepanciesJson
+        }, shipment.to_entity_id, signature);
+
+        const fromStatuses = this.statusesLeadingTo(status);
+        await dbManager.withTransaction(async () => {
+            // The status is checked again here: two receipts for the same shipment can both pass
+            // assertTransition while the signature is verified, and only one may move the stock
+            const result = await dbManager.run(`
+                UPDATE supply_chain_transactions
+                SET shipment_status = ?, received_date = ?, received_by = ?, condition_on_receipt = ?,
+                    quantity_received = ?, receipt_discrepancies = ?, receipt_signature = ?
+                WHERE id = ? AND shipment_status IN (${fromStatuses.map(() => '?').join(', ')})
+            `, [
+                status,
+                signatureRecord.signed_at,
+                receivedBy,
+                conditionOnReceipt,
+                accepted,
+                discrepanciesJson,
+                JSON.stringify(signatureRecord),
+                shipment.id,
+                ...fromStatuses
+            ]);
+
+            if (result.changes === 0) {
+                throw new ShipmentError('Shipment has already been received or rejected', 409);
+            }
+
+            if (accepted > 0) {
+                await dbManager.run(
+                    'UPDATE drug_batches SET quantity_remaining = quantity_remaining - ? WHERE id = ?',
+                    [accepted, shipment.batch_id]
+                );
+            }
+        });
+
+        return this.getShipment(shipment.id);
+    }
+
+    /**
+     * Statuses a shipment may move to the given status from
+     */
+    statusesLeadingTo(status) {
+        return Object.keys(STATUS_TRANSITIONS).filter(from => STATUS_TRANSITIONS[from].includes(status));
+    }
+
+    assertTransition(shipment, status) {
+        if (!STATUS_TRANSITIONS[shipment.shipment_status].includes(status)) {
+            throw new ShipmentError(`Cannot change a ${shipment.shipment_status} shipment to ${status}`, 409);
+        }
+    }
+
+    /**
+     * Anomalies from shipments that are overdue, rejected or short
+     * Expects receipt_discrepancies already parsed, as getSupplyChainHistory returns them
+     */
+    getShipmentAnomalies(transactions, now = new Date()) {
+        const anomalies = [];
+
+        for (const transaction of transactions) {
+            if (OPEN_STATUSES.includes(transaction.shipment_status)) {
+                const dispatchedAt = new Date(transaction.transaction_date);
+                const dueAt = transaction.expected_delivery_date
+                    ? new Date(transaction.expected_delivery_date)
+                    : new Date(dispatchedAt.getTime() + this.transitHours * 3600000);
+
+                if (now > dueAt) {
+                    const hoursOverdue = Math.round((now - dueAt) / 3600000);
+                    anomalies.push({
+                        type: 'receipt_overdue',
+                        transactionId: transaction.id,
+                        message: `Shipment of ${transaction.quantity} units not received ${hoursOverdue}h after its expected delivery`,
+                        // Twice the transit window late is treated as lost in transit
+                        severity: hoursOverdue > this.transitHours ? 'high' : 'medium'
+                    });
+                }
+            } else if (transaction.shipment_status === 'rejected') {
+                anomalies.push({
+                    type: 'shipment_rejected',
+                    transactionId: transaction.id,
+                    message: `Shipment rejected on receipt: ${transaction.condition_on_receipt}`,
+                    severity: 'medium'
+                });
+            } else if (transaction.quantity_received !== null && transaction.quantity_received < transaction.quantity) {
+                anomalies.push({
+                    type: 'receipt_discrepancy',
+                    transactionId: transaction.id,
+                    message: `Received ${transaction.quantity_received} of ${transaction.quantity} units shipped`,
+                    severity: 'high'
+                });
+            } else if (transaction.receipt_discrepancies && transaction.receipt_discrepancies.length > 0) {
+                anomalies.push({
+                    type: 'receipt_discrepancy',
+                    transactionId: transaction.id,
+                    message: `Receipt recorded discrepancies: ${transaction.receipt_discrepancies.map(discrepancy => discrepancy.type).join(', ')}`,
+                    severity: 'medium'
+                });
+            }
+        }
+
+        return anomalies;
+    }
+}
+
+module.exports = new ShipmentService();
+module.exports.ShipmentError = ShipmentError;
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+
+// Field order is part of the signature - never reorder, only append
+const QR_PAYLOAD_FIELDS = ['v', 'drug_id', 'batch_id', 'batch_number', 'manufacturer_code', 'issued_at', 'nonce'];
+
+// Fields only covered when present, so batch-level codes keep their original signature input
+const OPTIONAL_QR_PAYLOAD_FIELDS = ['serial'];
+
+// Custody statements signed by supply chain entities with their own keys
+const CUSTODY_STATEMENT_FIELDS = {
+    transfer: ['batch_id', 'from_entity_id', 'to_entity_id', 'transaction_type', 'quantity', 'signed_at'],
+    receipt: [
+        'transaction_hash',
+        'to_entity_id',
+        'received_by',
+        'condition_on_receipt',
+        'shipment_status',
+        'quantity_received',
+        'receipt_discrepancies',
+        'signed_at'
+    ]
+};
+
+/**
+ * Product identifier signing
+ * Manufacturers hold ECDSA P-256 key pairs; QR payloads are signed with the private key
+ * and verified against the public key, so a code cannot be minted or edited without it.
+ * Supply chain entities sign custody statements with P-256 keys they keep themselves.
+ */
+class ProductSigner {
+    constructor() {
+        this.curve = 'prime256v1';
+        this.payloadVersion = 2;
+
+        // Private keys are stored encrypted at rest with a key derived from this secret
+        const secret = process.env.SIGNING_KEY_SECRET || process.env.JWT_SECRET || 'development_signing_secret';
+        this.encryptionKey = crypto.createHash('sha256').update(secret).digest();
+    }
+
+    /**
+     * Generate a new manufacturer key pair
+     * Returns the public key as PEM and the private key as an encrypted PEM envelope
+     */
+    generateKeyPair() {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', {
+            namedCurve: this.curve,
+            publicKeyEncoding: { type: 'spki', format: 'pem' },
+            privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+        });
+
+        return {
+            publicKey,
+            encryptedPrivateKey: this.encryptPrivateKey(privateKey)
+        };
+    }
+
+    /**
+     * Encrypt a private key PEM with AES-256-GCM
+     */
+    encryptPrivateKey(privateKeyPem) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+        const encrypted = Buffer.concat([cipher.update(privateKeyPem, 'utf8'), cipher.final()]);
+
+        return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+    }
+
+    /**
+     * Decrypt a private key envelope produced by encryptPrivateKey
+     */
+    decryptPrivateKey(envelope) {
+        const [iv, authTag, encrypted] = envelope.split('.').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+        decipher.setAuthTag(authTag);
+
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+
+    /**
+     * Build the exact byte string covered by a QR payload signature
+     */
+    canonicalizePayload(payload) {
+        const fields = QR_PAYLOAD_FIELDS.concat(
+            OPTIONAL_QR_PAYLOAD_FIELDS.filter(field => payload[field] !== undefined)
+        );
+
+        return fields.map(field => `${field}=${payload[field] === undefined ? '' : payload[field]}`).join('|');
+    }
+
+    /**
+     * Create a signed QR payload for a batch, or for a single pack when a serial number is given
+     */
+    signQRPayload({ drugId, batchId, batchNumber, manufacturerCode, serialNumber = null }, encryptedPrivateKey) {
+        const payload = {
+            v: this.payloadVersion,
+            drug_id: drugId,
+            batch_id: batchId,
+            batch_number: batchNumber,
+            manufacturer_code: manufacturerCode,
+            issued_at: Date.now(),
+            nonce: crypto.randomBytes(8).toString('hex')
+        };
+
+        if (serialNumber) {
+            payload.serial = serialNumber;
+        }
+
+        const privateKey = this.decryptPrivateKey(encryptedPrivateKey);
+        payload.sig = crypto.sign('sha256', Buffer.from(this.canonicalizePayload(payload)), {
+            key: privateKey,
+            dsaEncoding: 'ieee-p1363'
+        }).toString('base64url');
+
+        return payload;
+    }
+
+    /**
+     * Build the exact byte string an entity signs for a custody statement
+     */
+    canonicalizeCustodyStatement(type, statement) {
+        const fields = CUSTODY_STATEMENT_FIELDS[type];
+        if (!fields) {
+            throw new Error(`Unknown custody statement type: ${type}`);
+        }
+
+        return [`statement=${type}`]
+            .concat(fields.map(field => `${field}=${statement[field] === undefined || statement[field] === null ? '' : statement[field]}`))
+            .join('|');
+    }
+
+    /**
+     * Parse an entity public key, accepting only P-256 keys
+     */
+    parsePublicKey(publicKeyPem) {
+        const key = crypto.createPublicKey(publicKeyPem);
+
+        if (key.asymmetricKeyType !== 'ec' || key.asymmetricKeyDetails.namedCurve !== this.curve) {
+            throw new Error('Public key must be an ECDSA P-256 key');
+        }
+
+        return key;
+    }
+
+    /**
+     * Short stable identifier of a public key (SHA-256 of its SPKI encoding)
+     */
+    getKeyId(publicKeyPem) {
+        const der = this.parsePublicKey(publicKeyPem).export({ type: 'spki', format: 'der' });
+        return crypto.createHash('sha256').update(der).digest('hex').substring(0, 32);
+    }
+
+    /**
+     * Check a base64url P-256 signature over a message
+     */
+    verifySignature(message, signature, publicKey) {
+        if (typeof signature !== 'string' || !publicKey) {
+            return false;
+        }
+
+        try {
+            return crypto.verify('sha256', Buffer.from(message), {
+                key: publicKey,
+                dsaEncoding: 'ieee-p1363'
+            }, Buffer.from(signature, 'base64url'));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Check a QR payload signature against a manufacturer public key
+     */
+    verifyQRPayload(payload, publicKey) {
+        if (!payload || payload.v !== this.payloadVersion || typeof payload.sig !== 'string' || !publicKey) {
+            return false;
+        }
+
+        try {
+            return crypto.verify('sha256', Buffer.from(this.canonicalizePayload(payload)), {
+                key: publicKey,
+                dsaEncoding: 'ieee-p1363'
+            }, Buffer.from(payload.sig, 'base64url'));
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = new ProductSigner();
@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const dbManager = require('../config/database');
+const coldChain = require('./coldChain');
+const notifications = require('./notifications');
+const { HttpError } = require('./common');
+
+// Readings are only accepted while the goods are on the road
+const OPEN_STATUSES = ['dispatched', 'in_transit'];
+
+const MEASUREMENT_FIELDS = ['temperature', 'humidity', 'shock', 'latitude', 'longitude'];
+
+class TelemetryError extends HttpError {}
+
+/**
+ * IoT logger registry and shipment telemetry
+ * Loggers authenticate with a per-device key and stream readings for shipments of their
+ * owning entity; every batch is evaluated against the drug's storage profile on arrival
+ */
+class TelemetryService {
+    constructor() {
+        // Peak acceleration above this is treated as a drop or impact
+        this.maxShockG = parseFloat(process.env.TELEMETRY_MAX_SHOCK_G) || 10;
+    }
+
+    /**
+     * Hash a device key for storage and lookup
+     */
+    hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    /**
+     * Register a logger and return its key, which is not stored and cannot be shown again
+     */
+    async registerDevice({ deviceId, name = null, ownerEntityId }, userId = null) {
+        const entity = await dbManager.queryOne('SELECT id FROM supply_chain_entities WHERE id = ?', [ownerEntityId]);
+        if (!entity) {
+            throw new TelemetryError('Owner entity not found', 404);
+        }
+
+        const existing = await dbManager.queryOne('SELECT id FROM telemetry_devices WHERE device_id = ?', [deviceId]);
+        if (existing) {
+            throw new TelemetryError('A device with this ID is already registered', 409);
+        }
+
+        const key = crypto.randomBytes(32).toString('hex');
+        const result = await dbManager.run(`
+            INSERT INTO telemetry_devices (device_id, name, owner_entity_id, key_hash, registered_by_user_id)
+            VALUES (?, ?, ?, ?, ?)
+        `, [deviceId, name, ownerEntityId, this.hashKey(key), userId]);
+
+        return { device: await this.getDevice(result.id), key };
+    }
+
+    async getDevice(id) {
+        return dbManager.queryOne(`
+            SELECT td.id, td.device_id, td.name, td.owner_entity_id, sce.name as owner_entity_name,
+                   td.is_active, td.last_seen_at, td.created_at
+            FROM telemetry_devices td
+            JOIN supply_chain_entities sce ON td.owner_entity_id = sce.id
+            WHERE td.id = ?
+        `, [id]);
+    }
+
+    async listDevices() {
+        return dbManager.query(`
+            SELECT td.id, td.device_id, td.name, td.owner_entity_id, sce.name as owner_entity_name,
+                   td.is_active, td.last_seen_at, td.created_at
+            FROM telemetry_devices td
+            JOIN supply_chain_entities sce ON td.owner_entity_id = sce.id
+            ORDER BY td.created_at DESC
+        `);
+    }
+
+    /**
+     * Stop accepting readings from a lost or retired logger
+     */
+    async deactivateDevice(id) {
+        const result = await dbManager.run('UPDATE telemetry_devices SET is_active = 0 WHERE id = ?', [id]);
+        if (result.changes === 0) {
+            throw new TelemetryError('Device not found', 404);
+        }
+
+        return this.getDevice(id);
+    }
+
+    /**
+     * Find the active device a key belongs to
+     */
+    async findDeviceByKey(key) {
+        return dbManager.queryOne(`
+            SELECT id, device_id, owner_entity_id
+            FROM telemetry_devices
+            WHERE key_hash = ? AND is_active = 1
+        `, [this.hashKey(key)]);
+    }
+
+    /**
+     * Store a batch of readings for a shipment and evaluate the shipment's full series
+     * Readings already received are skipped, so a logger can safely resend a batch
+     */
+    async ingest(device, transactionId, readings) {
+        const shipment = await dbManager.queryOne(`
+            SELECT id, batch_id, from_entity_id, to_entity_id, shipment_status
+            FROM supply_chain_transactions
+            WHERE id = ?
+        `, [transactionId]);
+
+        if (!shipment) {
+            throw new TelemetryError('Transaction not found', 404);
+        }
+
+        if (![shipment.from_entity_id, shipment.to_entity_id].includes(device.owner_entity_id)) {
+            throw new TelemetryError('Device is not registered to a party of this shipment', 403);
+        }
+
+        if (!OPEN_STATUSES.includes(shipment.shipment_status)) {
+            throw new TelemetryError(`Shipment is ${shipment.shipment_status}; readings are only accepted in transit`, 409);
+        }
+
+        const rows = readings.map(reading => this.normalizeReading(reading));
+        let accepted = 0;
+
+        await dbManager.withTransaction(async () => {
+            for (const row of rows) {
+                const result = await dbManager.run(`
+                    INSERT OR IGNORE INTO shipment_telemetry
+                    (transaction_id, device_id, recorded_at, temperature, humidity, shock_g, latitude, longitude)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `, [shipment.id, device.id, row.recorded_at, row.temperature, row.humidity, row.shock_g, row.latitude, row.longitude]);
+                accepted += result.changes;
+            }
+
+            await dbManager.run('UPDATE telemetry_devices SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?', [device.id]);
+        });
+
+        const evaluation = await this.evaluateShipment(shipment);
+        for (const breach of evaluation.breaches) {
+            await this.raiseBreachAlert(shipment, breach);
+        }
+
+        return {
+            accepted,
+            duplicates: rows.length - accepted,
+            ...evaluation
+        };
+    }
+
+    normalizeReading(reading) {
+        const recordedAt = Date.parse(reading.recordedAt);
+        if (Number.isNaN(recordedAt)) {
+            throw new TelemetryError('Every reading needs a valid recordedAt timestamp');
+        }
+
+        if (!MEASUREMENT_FIELDS.some(field => reading[field] !== undefined && reading[field] !== null)) {
+            throw new TelemetryError('Every reading needs at least one measurement');
+        }
+
+        const value = field => (reading[field] === undefined || reading[field] === null ? null : Number(reading[field]));
+
+        return {
+            recorded_at: new Date(recordedAt).toISOString(),
+            temperature: value('temperature'),
+            humidity: value('humidity'),
+            shock_g: value('shock'),
+            latitude: value('latitude'),
+            longitude: value('longitude')
+        };
+    }
+
+    /**
+     * All readings for a shipment in time order
+     */
+    async getReadings(transactionId) {
+        return dbManager.query(`
+            SELECT st.recorded_at, st.temperature, st.humidity, st.shock_g, st.latitude, st.longitude,
+                   td.device_id
+            FROM shipment_telemetry st
+            JOIN telemetry_devices td ON st.device_id = td.id
+            WHERE st.transaction_id = ?
+            ORDER BY st.recorded_at ASC
+        `, [transactionId]);
+    }
+
+    /**
+     * Readings for several transactions, keyed by transaction ID in temperature log form
+     */
+    async getReadingsByTransaction(transactionIds) {
+        if (transactionIds.length === 0) {
+            return {};
+        }
+
+        const rows = await dbManager.query(`
+            SELECT transaction_id, recorded_at, temperature, humidity, shock_g
+            FROM shipment_telemetry
+            WHERE transaction_id IN (${transactionIds.map(() => '?').join(', ')})
+            ORDER BY recorded_at ASC
+        `, transactionIds);
+
+        return rows.reduce((grouped, row) => {
+            (grouped[row.transaction_id] = grouped[row.transaction_id] || []).push(this.toLogEntry(row));
+            return grouped;
+        }, {});
+    }
+
+    toLogEntry(row) {
+        return {
+            timestamp: row.recorded_at,
+            temperature: row.temperature,
+            humidity: row.humidity,
+            shock_g: row.shock_g
+        };
+    }
+
+    /**
+     * Evaluate a shipment's readings against its storage profile
+     * Breaches are the high-severity cold-chain findings plus shocks over the limit
+     */
+    async evaluateShipment(shipment) {
+        const readings = await this.getReadings(shipment.id);
+        const log = readings.map(row => this.toLogEntry(row));
+        const profile = await coldChain.getBatchProfile(shipment.batch_id);
+
+        const { anomalies, transfers } = coldChain.getColdChainAnomalies([{ id: shipment.id, temperature_log: log }], profile);
+        const breaches = anomalies.filter(anomaly => anomaly.severity === 'high');
+        breaches.push(...this.getShockAnomalies({ [shipment.id]: log }));
+
+        return {
+            readings: readings.length,
+            profile,
+            cold_chain: transfers[0] || null,
+            breaches
+        };
+    }
+
+    /**
+     * Anomalies for readings whose shock exceeds the limit, one per transaction
+     */
+    getShockAnomalies(readingsByTransaction) {
+        const anomalies = [];
+
+        for (const [transactionId, log] of Object.entries(readingsByTransaction)) {
+            const shocks = log.filter(reading => reading.shock_g !== null && reading.shock_g > this.maxShockG);
+            if (shocks.length > 0) {
+                anomalies.push({
+                    type: 'shock_event',
+                    transactionId: Number(transactionId),
+                    message: `${shocks.length} shock readings above ${this.maxShockG}g, peak ${Math.max(...shocks.map(reading => reading.shock_g))}g`,
+                    severity: 'high'
+                });
+            }
+        }
+
+        return anomalies;
+    }
+
+    /**
+     * Raise a supply_chain_breach alert, once per shipment and breach type while it stays active
+     */
+    async raiseBreachAlert(shipment, breach) {
+        try {
+            const title = `Shipment ${shipment.id} breach: ${breach.type}`;
+
+            const openAlert = await dbManager.queryOne(`
+                SELECT id FROM alerts
+                WHERE related_batch_id = ? AND title = ? AND is_active = 1
+            `, [shipment.batch_id, title]);
+
+            if (openAlert) {
+                return;
+            }
+
+            const batch = await dbManager.queryOne(`
+                SELECT db.batch_number, db.drug_id, d.name as drug_name
+                FROM drug_batches db
+                JOIN drugs d ON db.drug_id = d.id
+                WHERE db.id = ?
+            `, [shipment.batch_id]);
+
+            const alert = await dbManager.run(`
+                INSERT INTO alerts
+                (alert_type, title, message, severity, related_batch_id, related_drug_id, target_audience, is_public)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                'supply_chain_breach',
+                title,
+                `${batch.drug_name} (Batch: ${batch.batch_number}) in transit: ${breach.message}`,
+                'error',
+                shipment.batch_id,
+                batch.drug_id,
+                JSON.stringify(['admin', 'manufacturer', 'distributor']),
+                0
+            ]);
+
+            await notifications.notifyAlert(alert.id);
+        } catch (error) {
+            console.error('Error creating breach alert:', error);
+        }
+    }
+}
+
+module.exports = new TelemetryService();
+module.exports.TelemetryError = TelemetryError;
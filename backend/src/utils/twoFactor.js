@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const dbManager = require('../config/database');
+const { HttpError } = require('./common');
+
+const ROLES = ['user', 'pharmacist', 'admin', 'manufacturer', 'distributor', 'retailer'];
+const REQUIRED_ROLES_KEY = 'two_factor_required_roles';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TwoFactorError extends HttpError {}
+
+/**
+ * TOTP two-factor authentication (RFC 6238, HMAC-SHA1, 6 digits, 30 second steps)
+ * Secrets are encrypted at rest; recovery codes are single-use and stored as hashes.
+ * Roles listed in the two_factor_required_roles system config must enrol before they can sign in.
+ */
+class TwoFactorService {
+    constructor() {
+        this.roles = ROLES;
+        this.requiredRolesKey = REQUIRED_ROLES_KEY;
+        this.issuer = process.env.TOTP_ISSUER || 'DrugVerify';
+        this.stepSeconds = 30;
+        this.digits = 6;
+        // Steps either side of now that are still accepted, to allow for clock drift
+        this.window = parseInt(process.env.TOTP_WINDOW) || 1;
+        this.recoveryCodeCount = 10;
+
+        const secret = process.env.TWO_FACTOR_SECRET_KEY || process.env.JWT_SECRET || 'development_two_factor_secret';
+        this.encryptionKey = crypto.createHash('sha256').update(secret).digest();
+    }
+
+    base32Encode(buffer) {
+        let bits = '';
+        for (const byte of buffer) {
+            bits += byte.toString(2).padStart(8, '0');
+        }
+
+        let output = '';
+        for (let i = 0; i < bits.length; i += 5) {
+            output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+        }
+        return output;
+    }
+
+    base32Decode(encoded) {
+        let bits = '';
+        for (const char of encoded.replace(/=+$/, '').toUpperCase()) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new TwoFactorError('Invalid base32 secret');
+            }
+            bits += index.toString(2).padStart(5, '0');
+        }
+
+        const bytes = [];
+        for (let i = 0; i + 8 <= bits.length; i += 8) {
+            bytes.push(parseInt(bits.slice(i, i + 8), 2));
+        }
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * HOTP value for one counter (RFC 4226 dynamic truncation)
+     */
+    generateCode(secret, counter) {
+        const counterBuffer = Buffer.alloc(8);
+        counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+        const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counterBuffer).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24)
+            | (hmac[offset + 1] << 16)
+            | (hmac[offset + 2] << 8)
+            | hmac[offset + 3];
+
+        return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+    }
+
+    currentStep(now = Date.now()) {
+        return Math.floor(now / 1000 / this.stepSeconds);
+    }
+
+    /**
+     * Time step a code matches within the drift window, or null
+     * Steps at or before lastUsedStep are refused so a code cannot be replayed
+     */
+    matchCode(secret, code, lastUsedStep = null) {
+        const normalized = String(code || '').replace(/\s/g, '');
+        if (!new RegExp(`^\\d{${this.digits}}$`).test(normalized)) {
+            return null;
+        }
+
+        const current = this.currentStep();
+        for (let step = current - this.window; step <= current + this.window; step++) {
+            if (lastUsedStep !== null && step <= lastUsedStep) {
+                continue;
+            }
+            if (crypto.timingSafeEqual(Buffer.from(this.generateCode(secret, step)), Buffer.from(normalized))) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    encryptSecret(secret) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+        const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+        return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+    }
+
+    decryptSecret(envelope) {
+        const [iv, authTag, encrypted] = envelope.split('.').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+        decipher.setAuthTag(authTag);
+
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+
+    hashRecoveryCode(code) {
+        const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    /**
+     * Parse the comma-separated role list; null when it names an unknown role
+     */
+    parseRoles(value) {
+        const roles = String(value || '').split(',').map(role => role.trim()).filter(Boolean);
+        return roles.every(role => ROLES.includes(role)) ? [...new Set(roles)] : null;
+    }
+
+    async getRequiredRoles() {
+        const row = await dbManager.queryOne('SELECT config_value FROM system_config WHERE config_key = ?', [REQUIRED_ROLES_KEY]);
+        return (row && this.parseRoles(row.config_value)) || [];
+    }
+
+    async isRequiredFor(role) {
+        return (await this.getRequiredRoles()).includes(role);
+    }
+
+    async isEnabled(userId) {
+        const row = await dbManager.queryOne(
+            'SELECT enabled_at FROM user_two_factor WHERE user_id = ? AND enabled_at IS NOT NULL',
+            [userId]
+        );
+        return Boolean(row);
+    }
+
+    async getStatus(user) {
+        const row = await dbManager.queryOne('SELECT enabled_at FROM user_two_factor WHERE user_id = ?', [user.id]);
+        const remaining = await dbManager.queryOne(
+            'SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+            [user.id]
+        );
+
+        return {
+            enabled: Boolean(row && row.enabled_at),
+            enabled_at: row ? row.enabled_at : null,
+            required: await this.isRequiredFor(user.role),
+            recovery_codes_remaining: row && row.enabled_at ? remaining.count : 0
+        };
+    }
+
+    /**
+     * Start enrolment with a fresh secret; it only takes effect once a code from it is confirmed
+     */
+    async beginEnrolment(user) {
+        if (await this.isEnabled(user.id)) {
+            throw new TwoFactorError('Two-factor authentication is already enabled', 409);
+        }
+
+        const secret = this.base32Encode(crypto.randomBytes(20));
+        await dbManager.run(`
+            INSERT INTO user_two_factor (user_id, secret_encrypted, created_at)
+            VALUES (?, ?, ?)
+            ON CONFLICT(user_id) DO UPDATE SET
+                secret_encrypted = excluded.secret_encrypted, enabled_at = NULL, last_used_step = NULL, created_at = excluded.created_at
+        `, [user.id, this.encryptSecret(secret), new Date().toISOString()]);
+
+        const label = encodeURIComponent(`${this.issuer}:${user.email}`);
+        const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(this.issuer)}`
+            + `&algorithm=SHA1&digits=${this.digits}&period=${this.stepSeconds}`;
+
+        return {
+            secret,
+            otpauth_url: otpauthUrl,
+            qr_code: await QRCode.toDataURL(otpauthUrl)
+        };
+    }
+
+    /**
+     * Confirm enrolment with a code from the authenticator and return the recovery codes
+     */
+    async enable(userId, code) {
+        const row = await dbManager.queryOne('SELECT secret_encrypted, enabled_at FROM user_two_factor WHERE user_id = ?', [userId]);
+        if (!row) {
+            throw new TwoFactorError('Start two-factor setup first', 400);
+        }
+        if (row.enabled_at) {
+            throw new TwoFactorError('Two-factor authentication is already enabled', 409);
+        }
+
+        const step = this.matchCode(this.decryptSecret(row.secret_encrypted), code);
+        if (step === null) {
+            throw new TwoFactorError('Invalid authentication code', 401);
+        }
+
+        return dbManager.withTransaction(async () => {
+            await dbManager.run(
+                'UPDATE user_two_factor SET enabled_at = ?, last_used_step = ? WHERE user_id = ?',
+                [new Date().toISOString(), step, userId]
+            );
+            return this.replaceRecoveryCodes(userId);
+        });
+    }
+
+    /**
+     * Check a second factor: an authenticator code or an unused recovery code
+     */
+    async verify(userId, { code = null, recoveryCode = null }) {
+        const row = await dbManager.queryOne(
+            'SELECT secret_encrypted, last_used_step FROM user_two_factor WHERE user_id = ? AND enabled_at IS NOT NULL',
+            [userId]
+        );
+        if (!row) {
+            throw new TwoFactorError('Two-factor authentication is not enabled', 400);
+        }
+
+        if (recoveryCode) {
+            const result = await dbManager.run(
+                'UPDATE two_factor_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+                [new Date().toISOString(), userId, this.hashRecoveryCode(recoveryCode)]
+            );
+            if (result.changes === 0) {
+                throw new TwoFactorError('Invalid or already used recovery code', 401);
+            }
+            return { method: 'recovery_code' };
+        }
+
+        const step = this.matchCode(this.decryptSecret(row.secret_encrypted), code, row.last_used_step);
+        if (step === null) {
+            throw new TwoFactorError('Invalid authentication code', 401);
+        }
+
+        // Guarded so the same code cannot be accepted twice by concurrent requests
+        const result = await dbManager.run(
+            'UPDATE user_two_factor SET last_used_step = ? WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)',
+            [step, userId, step]
+        );
+        if (result.changes === 0) {
+            throw new TwoFactorError('Invalid authentication code', 401);
+        }
+
+        return { method: 'totp' };
+    }
+
+    async regenerateRecoveryCodes(userId, code) {
+        await this.verify(userId, { code });
+
+        return dbManager.withTransaction(() => this.replaceRecoveryCodes(userId));
+    }
+
+    async replaceRecoveryCodes(userId) {
+        const codes = Array.from({ length: this.recoveryCodeCount }, () => {
+            const hex = crypto.randomBytes(5).toString('hex');
+            return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+        });
+        const now = new Date().toISOString();
+
+        await dbManager.run('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+        for (const code of codes) {
+            await dbManager.run(
+                'INSERT INTO two_factor_recovery_codes (user_id, code_hash, created_at) VALUES (?, ?, ?)',
+                [userId, this.hashRecoveryCode(code), now]
+            );
+        }
+
+        return codes;
+    }
+
+    /**
+     * Remove the user's secret and recovery codes
+     */
+    async disable(userId) {
+        return dbManager.withTransaction(async () => {
+            await dbManager.run('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+            const result = await dbManager.run('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+            return result.changes > 0;
+        });
+    }
+}
+
+module.exports = new TwoFactorService();
+module.exports.TwoFactorError = TwoFactorError;
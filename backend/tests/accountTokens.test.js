@@ -0,0 +1,85 @@
+const { useTestDatabase, createUser } = require('./helpers/testDatabase');
+
+const dbManager = useTestDatabase();
+const accountTokens = require('../src/utils/accountTokens');
+const notifications = require('../src/utils/notifications');
+const { AccountTokenError } = accountTokens;
+
+describe('account tokens', () => {
+    let user;
+
+    beforeAll(async () => {
+        const id = await createUser(dbManager, 'token-user');
+        user = { id, username: 'token-user', email: 'token-user@example.com' };
+    });
+
+    test('a token is spent by its first use', async () => {
+        const token = await accountTokens.issue(user, 'password_reset');
+
+        const row = await dbManager.queryOne('SELECT token_hash FROM account_tokens WHERE user_id = ?', [user.id]);
+        expect(row.token_hash).toBe(accountTokens.hashToken(token));
+
+        await expect(accountTokens.consume(token, 'password_reset')).resolves.toEqual({ userId: user.id, email: user.email });
+        await expect(accountTokens.consume(token, 'password_reset')).rejects.toBeInstanceOf(AccountTokenError);
+    });
+
+    test('a token only works for the purpose it was issued for', async () => {
+        const token = await accountTokens.issue(user, 'email_verification');
+
+        await expect(accountTokens.consume(token, 'password_reset')).rejects.toMatchObject({ statusCode: 400 });
+        await expect(accountTokens.consume(token, 'email_verification')).resolves.toMatchObject({ userId: user.id });
+    });
+
+    test('issuing a new token voids the earlier unused one', async () => {
+        const first = await accountTokens.issue(user, 'password_reset');
+        const second = await accountTokens.issue(user, 'password_reset');
+
+        await expect(accountTokens.consume(first, 'password_reset')).rejects.toThrow('This link is invalid or has expired');
+        await expect(accountTokens.consume(second, 'password_reset')).resolves.toMatchObject({ userId: user.id });
+    });
+
+    test('expired tokens are refused', async () => {
+        const token = await accountTokens.issue(user, 'password_reset');
+        await dbManager.run('UPDATE account_tokens SET expires_at = ? WHERE token_hash = ?', [
+            new Date(Date.now() - 1000).toISOString(), accountTokens.hashToken(token)
+        ]);
+
+        await expect(accountTokens.consume(token, 'password_reset')).rejects.toBeInstanceOf(AccountTokenError);
+    });
+
+    test('a token mailed to an address the account no longer uses is refused', async () => {
+        const id = await createUser(dbManager, 'moving-user');
+        const token = await accountTokens.issue({ id, email: 'moving-user@example.com' }, 'email_verification');
+        await dbManager.run("UPDATE users SET email = 'moved@example.com' WHERE id = ?", [id]);
+
+        await expect(accountTokens.consume(token, 'email_verification')).rejects.toBeInstanceOf(AccountTokenError);
+    });
+
+    test('concurrent uses of one token succeed once', async () => {
+        const token = await accountTokens.issue(user, 'password_reset');
+        const results = await Promise.allSettled([
+            accountTokens.consume(token, 'password_reset'),
+            accountTokens.consume(token, 'password_reset')
+        ]);
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    });
+
+    test('the reset email carries a working link', async () => {
+        const sent = [];
+        notifications.registerTransport('email', {
+            transport: 'test',
+            send: async (message) => {
+                sent.push(message);
+                return { response: 'ok' };
+            }
+        });
+
+        await accountTokens.sendPasswordResetEmail(user);
+
+        expect(sent).toHaveLength(1);
+        expect(sent[0]).toMatchObject({ to: user.email, subject: 'Reset your password' });
+        const [, token] = sent[0].text.match(/reset-password\?token=([\w-]+)/);
+        await expect(accountTokens.consume(token, 'password_reset')).resolves.toMatchObject({ userId: user.id });
+    });
+});
@@ -0,0 +1,83 @@
+const { useTestDatabase, createUser } = require('./helpers/testDatabase');
+
+const dbManager = useTestDatabase({ seed: true });
+const alertFeed = require('../src/utils/alertFeed');
+
+const insertAlert = async ({ title, message, severity = 'error', batchId = 1, region = null, isPublic = 1, isActive = 1, reportId = null, expiresAt = null }) => {
+    const result = await dbManager.run(`
+        INSERT INTO alerts (alert_type, title, message, severity, related_batch_id, region, is_public, is_active, related_report_id, expires_at)
+        VALUES ('counterfeit_detected', ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [title, message, severity, batchId, region, isPublic, isActive, reportId, expiresAt]);
+    return result.id;
+};
+
+let reportedAlertId;
+
+beforeAll(async () => {
+    const reporterId = await createUser(dbManager, 'feed-reporter');
+    await dbManager.run("UPDATE users SET first_name = 'Alex', last_name = 'Rivera' WHERE id = ?", [reporterId]);
+    const report = await dbManager.run(`
+        INSERT INTO counterfeit_reports (reporter_user_id, drug_name, description, report_type, location_found, reporter_contact_info)
+        VALUES (?, 'Paracetamol', 'Fake', 'counterfeit', 'Corner Shop Elm Road', ?)
+    `, [reporterId, JSON.stringify({ phone: '555-201-3344', email: 'alex@example.org' })]);
+
+    reportedAlertId = await insertAlert({
+        title: 'Counterfeit Paracetamol found at Corner Shop Elm Road',
+        message: 'Alex Rivera (alex@example.org, +44 20 7946 0958) reported packs of batch BATCH001, GTIN 00300123450011. Call 555-201-3344.',
+        severity: 'critical',
+        region: 'North West',
+        reportId: report.id
+    });
+    await insertAlert({ title: 'Amoxicillin warning', message: 'Check packs', severity: 'warning', batchId: 2 });
+    await insertAlert({ title: 'Internal only', message: 'Not public', isPublic: 0 });
+    await insertAlert({ title: 'Resolved', message: 'Old', isActive: 0 });
+    await insertAlert({ title: 'Expired', message: 'Old', expiresAt: '2000-01-01 00:00:00' });
+});
+
+describe('public alerts', () => {
+    test('only active, public, unexpired alerts are listed', async () => {
+        const alerts = await alertFeed.listAlerts();
+
+        expect(alerts.map(alert => alert.title)).toEqual(['Amoxicillin warning', expect.stringContaining('Counterfeit Paracetamol')]);
+    });
+
+    test('reporter details are scrubbed and only whitelisted fields are published', async () => {
+        const [alert] = await alertFeed.listAlerts({ alertId: reportedAlertId });
+
+        expect(alert.title).toBe('Counterfeit Paracetamol found at [redacted]');
+        expect(alert.message).toBe('[redacted] ([redacted], [redacted]) reported packs of batch BATCH001, GTIN 00300123450011. Call [redacted].');
+        expect(Object.keys(alert).sort()).toEqual(['batch', 'drug', 'expires_at', 'id', 'manufacturer', 'message', 'published_at', 'recall', 'region', 'severity', 'title', 'type']);
+        expect(alert).toMatchObject({
+            drug: { name: 'Paracetamol', gtin: '00300123450011' },
+            manufacturer: { name: 'Pharma Corp' },
+            batch: { batch_number: 'BATCH001' },
+            published_at: expect.stringMatching(/Z$/)
+        });
+    });
+
+    test('filters by drug, manufacturer, severity and region', async () => {
+        const titles = async filters => (await alertFeed.listAlerts(filters)).map(alert => alert.title);
+
+        expect(await titles({ drug: 'amoxil' })).toEqual(['Amoxicillin warning']);
+        expect(await titles({ manufacturer: 'PCORP' })).toHaveLength(1);
+        expect(await titles({ severity: ['warning'] })).toEqual(['Amoxicillin warning']);
+        // Alerts without a region apply everywhere
+        expect(await titles({ region: 'South' })).toEqual(['Amoxicillin warning']);
+        expect(await titles({ region: 'north' })).toHaveLength(2);
+    });
+
+    test('RSS and Atom renderings carry every alert', async () => {
+        const alerts = await alertFeed.listAlerts();
+        const links = { selfUrl: 'https://example.org/api/public/alerts', alertUrl: id => `https://example.org/api/public/alerts/${id}` };
+
+        const rss = alertFeed.toRss(alerts, links);
+        const atom = alertFeed.toAtom(alerts, links);
+
+        expect(rss).toContain('<rss version="2.0"');
+        expect(rss).toContain(`<guid isPermaLink="false">alert-${reportedAlertId}</guid>`);
+        expect(atom).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+        expect(atom).toContain(`<id>https://example.org/api/public/alerts/${reportedAlertId}</id>`);
+        expect(rss).not.toContain('alex@example.org');
+        expect(atom).not.toContain('Rivera');
+    });
+});
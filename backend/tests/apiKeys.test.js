@@ -0,0 +1,99 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+
+const dbManager = useTestDatabase({ seed: true });
+const apiKeys = require('../src/utils/apiKeys');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('issuing keys', () => {
+    test('only the hash of a new key is stored', async () => {
+        const { apiKey, key } = await apiKeys.issueKey({ name: 'Pharmacy POS', organization: 'HealthMart', entityId: 5, scopes: ['verify', 'verify'] });
+
+        expect(key).toMatch(/^dvk_[0-9a-f]{48}$/);
+        expect(apiKey).toMatchObject({ key_prefix: key.slice(0, 12), entity_name: 'HealthMart Pharmacy', scopes: ['verify'], is_usable: true });
+
+        const row = await dbManager.queryOne('SELECT key_hash FROM api_keys WHERE id = ?', [apiKey.id]);
+        expect(row.key_hash).toBe(apiKeys.hashKey(key));
+        expect(JSON.stringify(row)).not.toContain(key);
+    });
+
+    test.each([
+        [{ scopes: [] }, 'Scopes must be among'],
+        [{ scopes: ['admin'] }, 'Scopes must be among'],
+        [{ scopes: ['verify'], expiresAt: '2000-01-01T00:00:00Z' }, 'Expiry must be in the future'],
+        [{ scopes: ['verify'], entityId: 999 }, 'Entity not found']
+    ])('%o is refused', async (settings, message) => {
+        await expect(apiKeys.issueKey({ name: 'Bad', organization: 'Test', ...settings })).rejects.toThrow(message);
+    });
+});
+
+describe('authenticating with a key', () => {
+    test('a key resolves to its scopes and is marked as used', async () => {
+        const { apiKey, key } = await apiKeys.issueKey({ name: 'Scanner', organization: 'Test', scopes: ['verify', 'reports:read'] });
+
+        expect(await apiKeys.findActiveKey(key)).toMatchObject({ id: apiKey.id, scopes: ['verify', 'reports:read'] });
+        expect((await apiKeys.getKey(apiKey.id)).last_used_at).not.toBeNull();
+    });
+
+    test('unknown, malformed, revoked and expired keys are not accepted', async () => {
+        const { apiKey, key } = await apiKeys.issueKey({ name: 'Revoked', organization: 'Test', scopes: ['verify'] });
+        const expiring = await apiKeys.issueKey({ name: 'Expiring', organization: 'Test', scopes: ['verify'] });
+        await dbManager.run('UPDATE api_keys SET expires_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), expiring.apiKey.id]);
+
+        await apiKeys.revokeKey(apiKey.id);
+
+        expect(await apiKeys.findActiveKey(apiKeys.generateKey())).toBeNull();
+        expect(await apiKeys.findActiveKey('not-a-key')).toBeNull();
+        expect(await apiKeys.findActiveKey(key)).toBeNull();
+        expect(await apiKeys.findActiveKey(expiring.key)).toBeNull();
+        await expect(apiKeys.revokeKey(apiKey.id)).rejects.toMatchObject({ statusCode: 409 });
+    });
+});
+
+describe('rotation', () => {
+    test('without a grace period the old key stops working at once', async () => {
+        const original = await apiKeys.issueKey({ name: 'Rotate now', organization: 'Test', scopes: ['supply_chain:write'], entityId: 4 });
+        const rotated = await apiKeys.rotateKey(original.apiKey.id);
+
+        expect(rotated.apiKey).toMatchObject({ rotated_from_key_id: original.apiKey.id, scopes: ['supply_chain:write'], entity_id: 4 });
+        expect(rotated.previous).toMatchObject({ is_active: false, rotated_to_key_id: rotated.apiKey.id });
+        expect(await apiKeys.findActiveKey(original.key)).toBeNull();
+        expect(await apiKeys.findActiveKey(rotated.key)).toMatchObject({ id: rotated.apiKey.id });
+        await expect(apiKeys.rotateKey(original.apiKey.id)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('a grace period keeps the old key working, but not past its own expiry', async () => {
+        const expiresAt = new Date(Date.now() + 2 * HOUR).toISOString();
+        const original = await apiKeys.issueKey({ name: 'Rotate later', organization: 'Test', scopes: ['verify'], expiresAt });
+        const rotated = await apiKeys.rotateKey(original.apiKey.id, { gracePeriodHours: 24 });
+
+        expect(rotated.previous).toMatchObject({ is_active: true, expires_at: expiresAt });
+        expect(await apiKeys.findActiveKey(original.key)).toMatchObject({ id: original.apiKey.id });
+
+        const shortGrace = await apiKeys.rotateKey(rotated.apiKey.id, { gracePeriodHours: 1 });
+        expect(new Date(shortGrace.previous.expires_at) - Date.now()).toBeLessThanOrEqual(HOUR);
+    });
+
+    test('an unknown key cannot be rotated', async () => {
+        await expect(apiKeys.rotateKey(999)).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('metering', () => {
+    test('usage is counted per key by endpoint and status', async () => {
+        const { apiKey } = await apiKeys.issueKey({ name: 'Metered', organization: 'Metering Org', scopes: ['verify'] });
+        const request = { endpoint: '/api/verification/verify', method: 'POST', ipAddress: '203.0.113.9', userAgent: 'jest', executionTimeMs: 10 };
+
+        await apiKeys.recordUsage(apiKey.id, { ...request, statusCode: 200 });
+        await apiKeys.recordUsage(apiKey.id, { ...request, statusCode: 200 });
+        await apiKeys.recordUsage(apiKey.id, { ...request, statusCode: 404 });
+
+        const usage = await apiKeys.getUsage(apiKey.id);
+        expect(usage).toMatchObject({ requests: 3, errors: 1, avg_execution_time_ms: 10 });
+        expect(usage.by_endpoint).toEqual([{ method: 'POST', endpoint: '/api/verification/verify', requests: 3 }]);
+        expect(usage.by_status).toEqual([{ status_code: 200, requests: 2 }, { status_code: 404, requests: 1 }]);
+
+        const [listed] = await apiKeys.listKeys({ organization: 'Metering' });
+        expect(listed).toMatchObject({ id: apiKey.id, requests_24h: 3, requests_30d: 3 });
+    });
+});
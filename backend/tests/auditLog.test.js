@@ -0,0 +1,58 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+
+const dbManager = useTestDatabase();
+const { auditLog } = require('../src/middleware/auth');
+
+/**
+ * Run a request through the audit middleware and return the api_logs row it writes
+ */
+const audit = async (method, body) => {
+    const run = jest.spyOn(dbManager, 'run');
+    const req = { method, body, originalUrl: '/api/auth/login', ip: '203.0.113.20', user: null, get: () => 'jest' };
+    const res = { statusCode: 200, json: jest.fn() };
+
+    await auditLog('login')(req, res, () => res.json({ success: true }));
+    const { id } = await run.mock.results[0].value;
+    run.mockRestore();
+
+    return dbManager.queryOne('SELECT endpoint, method, status_code, request_body FROM api_logs WHERE id = ?', [id]);
+};
+
+describe('audit log', () => {
+    test('credentials and one-time codes are masked', async () => {
+        const row = await audit('POST', {
+            username: 'auditor',
+            password: 'hunter2',
+            code: '123456',
+            recoveryCode: 'ab12c-3de45',
+            challengeToken: 'challenge',
+            refresh_token: 'refresh'
+        });
+
+        expect(row).toMatchObject({ endpoint: '/api/auth/login', method: 'POST', status_code: 200 });
+        expect(JSON.parse(row.request_body)).toEqual({
+            username: 'auditor',
+            password: '[REDACTED]',
+            code: '[REDACTED]',
+            recoveryCode: '[REDACTED]',
+            challengeToken: '[REDACTED]',
+            refresh_token: '[REDACTED]'
+        });
+    });
+
+    test('password changes and reset tokens are masked', async () => {
+        const row = await audit('POST', { token: 'reset-token', currentPassword: 'old', newPassword: 'new', confirmPassword: 'new' });
+
+        expect(JSON.parse(row.request_body)).toEqual({
+            token: '[REDACTED]',
+            currentPassword: '[REDACTED]',
+            newPassword: '[REDACTED]',
+            confirmPassword: '[REDACTED]'
+        });
+    });
+
+    test('empty fields are kept as sent and GET bodies are not stored', async () => {
+        expect(JSON.parse((await audit('POST', { username: 'x', password: null })).request_body)).toEqual({ username: 'x', password: null });
+        expect((await audit('GET', {})).request_body).toBeNull();
+    });
+});
@@ -0,0 +1,81 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+
+// Keep proof of work quick
+process.env.MINING_DIFFICULTY = '1';
+
+const dbManager = useTestDatabase({ seed: true });
+const blockchain = require('../src/utils/blockchain');
+
+const transfer = (quantity) => ({
+    batchId: 1,
+    fromEntityId: 1,
+    toEntityId: 4,
+    transactionType: 'transfer',
+    quantity
+});
+
+describe('ledger appends', () => {
+    test('each transaction links to the one before it', async () => {
+        const first = await blockchain.createTransaction(transfer(10));
+        const second = await blockchain.createTransaction(transfer(20));
+
+        expect(first.previousHash).toBe(blockchain.genesisHash);
+        expect(second.previousHash).toBe(first.transactionHash);
+        expect(second.blockNumber).toBe(first.blockNumber + 1);
+    });
+
+    test('transactions appended in parallel still form one valid chain', async () => {
+        const results = await Promise.all([1, 2, 3, 4, 5, 6].map(quantity => blockchain.createTransaction(transfer(quantity))));
+
+        expect(new Set(results.map(result => result.blockNumber)).size).toBe(results.length);
+        expect(new Set(results.map(result => result.previousHash)).size).toBe(results.length);
+
+        const chain = await blockchain.verifyChain();
+        expect(chain).toMatchObject({ isValid: true, totalBlocks: 8, verifiedBlocks: 8, brokenChains: [], invalidBlocks: [] });
+    });
+});
+
+describe('tamper report', () => {
+    test('an edited ledger row is reported with the field that changed', async () => {
+        const { transactionId } = await blockchain.createTransaction(transfer(30));
+        await dbManager.run('UPDATE supply_chain_transactions SET quantity = 3000 WHERE id = ?', [transactionId]);
+
+        const chain = await blockchain.verifyChain();
+
+        expect(chain.isValid).toBe(false);
+        expect(chain.invalidBlocks).toEqual([expect.objectContaining({
+            transactionId,
+            status: 'tampered',
+            alteredFields: [{ field: 'quantity', recorded: 30, current: 3000 }]
+        })]);
+        expect(chain.invalidBlocks[0].issues).toContain('Ledger row does not match its payload hash');
+
+        await dbManager.run('UPDATE supply_chain_transactions SET quantity = 30 WHERE id = ?', [transactionId]);
+        expect((await blockchain.verifyChain()).isValid).toBe(true);
+    });
+
+    test('a rewritten hash link breaks the chain', async () => {
+        const { transactionId } = await blockchain.createTransaction(transfer(40));
+        await dbManager.run("UPDATE supply_chain_transactions SET previous_hash = ? WHERE id = ?", ['f'.repeat(64), transactionId]);
+
+        const chain = await blockchain.verifyChain();
+
+        expect(chain.isValid).toBe(false);
+        expect(chain.brokenChains).toEqual([expect.objectContaining({ transactionId, actualPreviousHash: 'f'.repeat(64) })]);
+        expect(chain.invalidBlocks[0].issues).toContain('previous_hash does not link to the preceding block');
+    });
+
+    test('rows from before payloads were stored count as unverifiable, not tampered', () => {
+        const report = blockchain.verifyBlock({
+            id: 1,
+            block_number: 1,
+            batch_id: 1,
+            previous_hash: blockchain.genesisHash,
+            canonical_payload: null,
+            nonce: null,
+            mined_at: null
+        }, blockchain.genesisHash);
+
+        expect(report.status).toBe('unverifiable');
+    });
+});
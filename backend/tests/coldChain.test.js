@@ -0,0 +1,130 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+
+const dbManager = useTestDatabase({ seed: true });
+const coldChain = require('../src/utils/coldChain');
+const { ColdChainError } = coldChain;
+
+const refrigerated = coldChain.presets.refrigerated;
+
+// One reading every ten minutes from a fixed start
+const log = (...temperatures) => temperatures.map((temperature, index) => ({
+    timestamp: new Date(Date.UTC(2026, 0, 1, 8, index * 10)).toISOString(),
+    temperature
+}));
+
+describe('storage conditions', () => {
+    test.each([
+        ['Store at 2-8°C', 'refrigerated'],
+        ['Store between 2 and 8 °C. Do not freeze.', 'refrigerated'],
+        ['Store at 15°C to 25°C', 'controlled_room'],
+        ['Keep frozen', 'frozen'],
+        ['Store in a refrigerator', 'refrigerated'],
+        ['Store at room temperature', 'controlled_room']
+    ])('"%s" reads as the %s preset', (text, name) => {
+        expect(coldChain.parseStorageConditions(text)).toMatchObject({ name });
+    });
+
+    test('a bare limit gives a one-sided custom profile', () => {
+        expect(coldChain.parseStorageConditions('Store below 30°C')).toMatchObject({
+            name: 'custom',
+            min_temperature: null,
+            max_temperature: 30,
+            max_mkt: 30
+        });
+        expect(coldChain.parseStorageConditions('Do not store below 10°C')).toMatchObject({ min_temperature: 10, max_temperature: null });
+        expect(coldChain.parseStorageConditions('Store below 25°C, below 60% humidity')).toMatchObject({ max_humidity: 60 });
+    });
+
+    test('text without a temperature gives no profile', () => {
+        expect(coldChain.parseStorageConditions('Protect from light')).toBeNull();
+        expect(coldChain.parseStorageConditions(null)).toBeNull();
+    });
+
+    test('a stored profile takes precedence over the label text', async () => {
+        await dbManager.run('UPDATE drugs SET storage_profile = ? WHERE id = 1', [JSON.stringify(refrigerated)]);
+
+        expect(await coldChain.getBatchProfile(1)).toMatchObject({ name: 'refrigerated', source: 'profile' });
+        expect(await coldChain.getBatchProfile(3)).toMatchObject({ name: 'controlled_room', source: 'storage_conditions' });
+        expect(await coldChain.getBatchProfile(99)).toBeNull();
+    });
+});
+
+describe('profile validation', () => {
+    test('a preset can be named alone or with overrides', () => {
+        expect(coldChain.normalizeProfile({ name: 'frozen' })).toEqual(coldChain.presets.frozen);
+        expect(coldChain.normalizeProfile({ name: 'refrigerated', max_excursion_minutes: 15 }))
+            .toEqual({ ...refrigerated, max_excursion_minutes: 15 });
+    });
+
+    test.each([
+        [[], 'Storage profile must be an object'],
+        [{ name: 'tropical' }, 'Unknown storage profile preset tropical'],
+        [{ min_temperature: '2' }, 'min_temperature must be a number or null'],
+        [{ max_humidity: 60 }, 'Storage profile needs a minimum or maximum temperature'],
+        [{ min_temperature: 8, max_temperature: 2 }, 'min_temperature must be below max_temperature'],
+        [{ max_temperature: 25, min_humidity: 70, max_humidity: 60 }, 'min_humidity must be below max_humidity'],
+        [{ max_temperature: 25, max_excursion_minutes: -1 }, 'max_excursion_minutes must be zero or more']
+    ])('refuses %j', (input, message) => {
+        expect(() => coldChain.normalizeProfile(input)).toThrow(ColdChainError);
+        expect(() => coldChain.normalizeProfile(input)).toThrow(message);
+    });
+});
+
+describe('temperature log evaluation', () => {
+    test('a steady log has its own temperature as MKT and no excursions', () => {
+        expect(coldChain.evaluate(log(5, 5, 5), refrigerated)).toEqual({
+            readings: 3,
+            min_temperature: 5,
+            max_temperature: 5,
+            mkt: 5,
+            excursion_minutes: 0,
+            excursions: [],
+            humidity_violations: 0
+        });
+    });
+
+    test('MKT weighs warm readings more than the arithmetic mean does', () => {
+        const { mkt } = coldChain.evaluate(log(2, 8), refrigerated);
+
+        expect(mkt).toBeGreaterThan(5);
+        expect(mkt).toBeLessThan(8);
+    });
+
+    test('consecutive readings out of range form one excursion lasting until the next reading', () => {
+        const evaluation = coldChain.evaluate(log(5, 12, 14, 12, 5, 1, 5), refrigerated);
+
+        expect(evaluation.excursion_minutes).toBe(40);
+        expect(evaluation.excursions).toEqual([
+            { direction: 'high', started_at: '2026-01-01T08:10:00.000Z', minutes: 30, peak_temperature: 14 },
+            { direction: 'low', started_at: '2026-01-01T08:50:00.000Z', minutes: 10, peak_temperature: 1 }
+        ]);
+    });
+
+    test('readings without a usable temperature are skipped', () => {
+        const evaluation = coldChain.evaluate([...log(5, 6), { timestamp: '2026-01-01T09:00:00Z', temperature: 'n/a' }, null], refrigerated);
+
+        expect(evaluation.readings).toBe(2);
+    });
+
+    test('transfers over the allowance or MKT limit are reported as anomalies', () => {
+        const transactions = [
+            { id: 1, temperature_log: log(5, 5, 5) },
+            { id: 2, temperature_log: log(5, 9, 5, 5) },
+            { id: 3, temperature_log: log(...Array(10).fill(20)) },
+            { id: 4, temperature_log: [] }
+        ];
+
+        const { anomalies, transfers } = coldChain.getColdChainAnomalies(transactions, refrigerated);
+
+        expect(transfers.map(transfer => transfer.transactionId)).toEqual([1, 2, 3]);
+        expect(anomalies).toEqual([
+            expect.objectContaining({ type: 'temperature_excursion', transactionId: 2, severity: 'low', message: '10 min outside 2 to 8°C across 1 excursion(s)' }),
+            expect.objectContaining({ type: 'temperature_excursion', transactionId: 3, severity: 'high', excursion_minutes: 100 }),
+            expect.objectContaining({ type: 'mkt_exceeded', transactionId: 3, mkt: 20 })
+        ]);
+    });
+
+    test('no profile means nothing to check', () => {
+        expect(coldChain.getColdChainAnomalies([{ id: 1, temperature_log: log(40) }], null)).toEqual({ anomalies: [], transfers: [] });
+    });
+});
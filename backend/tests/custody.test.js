@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { useTestDatabase } = require('./helpers/testDatabase');
+
+process.env.MINING_DIFFICULTY = '1';
+
+const dbManager = useTestDatabase({ seed: true });
+const custody = require('../src/utils/custody');
+const blockchain = require('../src/utils/blockchain');
+const signer = require('../src/utils/signing');
+
+// Order of the P-256 group
+const CURVE_ORDER = BigInt('0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551');
+
+const generateEntityKey = () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    return { privateKey, publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }) };
+};
+
+const signTransfer = (transfer, privateKey, signedAt = new Date().toISOString()) => {
+    const message = signer.canonicalizeCustodyStatement('transfer', { ...transfer, signed_at: signedAt });
+    const signature = crypto.sign('sha256', Buffer.from(message), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+    return { signedAt, signature: signature.toString('base64url') };
+};
+
+// The other valid signature of the same message: (r, n - s)
+const malleate = (signature) => {
+    const bytes = Buffer.from(signature, 'base64url');
+    const s = BigInt(`0x${bytes.subarray(32).toString('hex')}`);
+    const flipped = Buffer.from((CURVE_ORDER - s).toString(16).padStart(64, '0'), 'hex');
+    return Buffer.concat([bytes.subarray(0, 32), flipped]).toString('base64url');
+};
+
+const transfer = { batch_id: 1, from_entity_id: 1, to_entity_id: 4, transaction_type: 'transfer', quantity: 25 };
+
+describe('entity keys', () => {
+    test('registering a key revokes the one before it', async () => {
+        const first = await custody.registerKey(1, generateEntityKey().publicKeyPem);
+        const second = await custody.registerKey(1, generateEntityKey().publicKeyPem);
+
+        expect(second.key_id).not.toBe(first.key_id);
+        expect(await custody.getActiveKey(1)).toMatchObject({ key_id: second.key_id });
+        expect((await custody.getKey(first.key_id)).revoked_at).not.toBeNull();
+    });
+
+    test('unknown entities, other curves and reused keys are refused', async () => {
+        const { publicKeyPem } = generateEntityKey();
+        const ed25519 = crypto.generateKeyPairSync('ed25519').publicKey.export({ type: 'spki', format: 'pem' });
+        await custody.registerKey(2, publicKeyPem);
+
+        await expect(custody.registerKey(999, generateEntityKey().publicKeyPem)).rejects.toMatchObject({ statusCode: 404 });
+        await expect(custody.registerKey(2, ed25519)).rejects.toMatchObject({ statusCode: 400 });
+        await expect(custody.registerKey(3, publicKeyPem)).rejects.toMatchObject({ statusCode: 409 });
+    });
+});
+
+describe('transfer signatures', () => {
+    let entityKey;
+
+    beforeAll(async () => {
+        entityKey = generateEntityKey();
+        await custody.registerKey(1, entityKey.publicKeyPem);
+    });
+
+    test('a fresh signature from the sender is accepted', async () => {
+        const signature = signTransfer(transfer, entityKey.privateKey);
+        const record = await custody.verifyTransferSignature(transfer, signature);
+
+        expect(record).toEqual({
+            key_id: (await custody.getActiveKey(1)).key_id,
+            signed_at: signature.signedAt,
+            signature: signature.signature
+        });
+    });
+
+    test('an edited statement, a stale timestamp or an unsigned entity is refused', async () => {
+        const signature = signTransfer(transfer, entityKey.privateKey);
+        const stale = signTransfer(transfer, entityKey.privateKey, new Date(Date.now() - 20 * 60 * 1000).toISOString());
+
+        await expect(custody.verifyTransferSignature({ ...transfer, quantity: 250 }, signature)).rejects.toMatchObject({ statusCode: 401 });
+        await expect(custody.verifyTransferSignature(transfer, stale)).rejects.toMatchObject({ statusCode: 401 });
+        await expect(custody.verifyTransferSignature(transfer, { ...signature, signedAt: 'yesterday' })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(custody.verifyTransferSignature({ ...transfer, from_entity_id: 5 }, signature)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('a recorded transfer cannot be replayed, even with the signature rewritten', async () => {
+        const signature = signTransfer(transfer, entityKey.privateKey);
+        const record = await custody.verifyTransferSignature(transfer, signature);
+        await blockchain.createTransaction({
+            batchId: transfer.batch_id,
+            fromEntityId: transfer.from_entity_id,
+            toEntityId: transfer.to_entity_id,
+            transactionType: transfer.transaction_type,
+            quantity: transfer.quantity,
+            digitalSignature: JSON.stringify(record)
+        });
+
+        const malleated = { ...signature, signature: malleate(signature.signature) };
+        expect(malleated.signature).not.toBe(signature.signature);
+
+        await expect(custody.verifyTransferSignature(transfer, signature)).rejects.toMatchObject({ statusCode: 409 });
+        await expect(custody.verifyTransferSignature(transfer, malleated)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('stored signatures are re-checked against the key that made them', async () => {
+        const [row] = await dbManager.query('SELECT * FROM supply_chain_transactions WHERE digital_signature IS NOT NULL');
+
+        expect(await custody.getSignatureStatus(row)).toEqual({ sender: 'valid', receiver: 'unsigned' });
+        expect(await custody.getSignatureStatus({ ...row, quantity: 26 })).toEqual({ sender: 'invalid', receiver: 'unsigned' });
+    });
+});
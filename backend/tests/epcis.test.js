@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const { useTestDatabase } = require('./helpers/testDatabase');
+
+process.env.MINING_DIFFICULTY = '1';
+
+const dbManager = useTestDatabase({ seed: true });
+const epcis = require('../src/utils/epcis');
+const custody = require('../src/utils/custody');
+const signer = require('../src/utils/signing');
+
+// Seeded GLNs of Pharma Corp (entity 1) and MediDistrib Corp (entity 4)
+const MANUFACTURER_GLN = '0300123000018';
+const DISTRIBUTOR_GLN = '0300123000049';
+const PARACETAMOL_LOT = 'https://id.gs1.org/01/00300123450011/10/BATCH001';
+
+let manufacturerKey;
+
+const senderSignature = (statement) => {
+    const signedAt = new Date().toISOString();
+    const message = signer.canonicalizeCustodyStatement('transfer', { ...statement, signed_at: signedAt });
+    const signature = crypto.sign('sha256', Buffer.from(message), { key: manufacturerKey, dsaEncoding: 'ieee-p1363' });
+    return { 'dvs:signedAt': signedAt, 'dvs:signature': signature.toString('base64url') };
+};
+
+const shippingEvent = (eventID, quantity, overrides = {}) => ({
+    type: 'ObjectEvent',
+    eventID,
+    eventTime: new Date().toISOString(),
+    eventTimeZoneOffset: '+00:00',
+    action: 'OBSERVE',
+    bizStep: 'shipping',
+    disposition: 'in_transit',
+    quantityList: [{ epcClass: PARACETAMOL_LOT, quantity }],
+    sourceList: [{ type: 'owning_party', source: `https://id.gs1.org/417/${MANUFACTURER_GLN}` }],
+    destinationList: [{ type: 'owning_party', destination: `https://id.gs1.org/417/${DISTRIBUTOR_GLN}` }],
+    'dvs:senderSignature': senderSignature({ batch_id: 1, from_entity_id: 1, to_entity_id: 4, transaction_type: 'transfer', quantity }),
+    ...overrides
+});
+
+const documentOf = (...eventList) => ({
+    '@context': ['https://ref.gs1.org/standards/epcis/2.0.0/epcis-context.jsonld'],
+    type: 'EPCISDocument',
+    schemaVersion: '2.0',
+    creationDate: new Date().toISOString(),
+    epcisBody: { eventList }
+});
+
+beforeAll(async () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    manufacturerKey = privateKey;
+    await custody.registerKey(1, publicKey.export({ type: 'spki', format: 'pem' }));
+});
+
+describe('identifiers', () => {
+    test.each([
+        ['urn:epc:id:sgtin:0300123.045001.SN42', { scheme: 'sgtin', gtin: '00300123450011', serial: 'SN42' }],
+        ['urn:epc:class:lgtin:0300123.045001.BATCH001', { scheme: 'lgtin', gtin: '00300123450011', lot: 'BATCH001' }],
+        ['urn:epc:id:pgln:0300123.00004', { scheme: 'pgln', gln: DISTRIBUTOR_GLN }],
+        [PARACETAMOL_LOT, { scheme: 'lgtin', gtin: '00300123450011', lot: 'BATCH001' }],
+        ['https://id.gs1.org/01/00300123450011/21/SN42', { scheme: 'sgtin', gtin: '00300123450011', serial: 'SN42' }],
+        [`https://id.gs1.org/414/${DISTRIBUTOR_GLN}`, { scheme: 'sgln', gln: DISTRIBUTOR_GLN }],
+        ['not an identifier', { scheme: null }]
+    ])('%s', (uri, expected) => {
+        expect(epcis.parseIdentifier(uri)).toEqual(expected);
+    });
+});
+
+describe('capture', () => {
+    test('a signed shipping event becomes a ledger transfer, once', async () => {
+        const event = shippingEvent('urn:uuid:6a3a3f4e-0001-4000-8000-000000000001', 120);
+
+        const captured = await epcis.capture(documentOf(event));
+        expect(captured).toMatchObject({ events: 1, recorded: 1, skipped: 0, failed: 0 });
+
+        const row = await dbManager.queryOne('SELECT * FROM supply_chain_transactions WHERE id = ?', [captured.results[0].transactionId]);
+        expect(row).toMatchObject({
+            batch_id: 1,
+            from_entity_id: 1,
+            to_entity_id: 4,
+            transaction_type: 'transfer',
+            quantity: 120,
+            shipment_status: 'dispatched',
+            epcis_event_id: event.eventID
+        });
+
+        expect(await epcis.capture(documentOf(event))).toMatchObject({ recorded: 0, skipped: 1, results: [{ status: 'duplicate' }] });
+    });
+
+    test('the same event captured twice at once is recorded once', async () => {
+        const event = shippingEvent('urn:uuid:6a3a3f4e-0002-4000-8000-000000000002', 30);
+
+        const results = await Promise.all([epcis.capture(documentOf(event)), epcis.capture(documentOf(event))]);
+
+        expect(results.map(result => result.results[0].status).sort()).toEqual(['duplicate', 'recorded']);
+        expect(await dbManager.query('SELECT id FROM supply_chain_transactions WHERE epcis_event_id = ?', [event.eventID])).toHaveLength(1);
+    });
+
+    test('a document with an unmappable event records nothing', async () => {
+        const good = shippingEvent('urn:uuid:6a3a3f4e-0003-4000-8000-000000000003', 10);
+        const unknownLot = shippingEvent('urn:uuid:6a3a3f4e-0004-4000-8000-000000000004', 10, {
+            quantityList: [{ epcClass: 'https://id.gs1.org/01/00300123450011/10/NO-SUCH-LOT', quantity: 10 }]
+        });
+
+        const error = await epcis.capture(documentOf(good, unknownLot)).catch(caught => caught);
+
+        expect(error).toMatchObject({ statusCode: 400, details: [{ index: 1, eventID: unknownLot.eventID, message: `Unknown lot ${unknownLot.quantityList[0].epcClass}` }] });
+        expect(await dbManager.queryOne('SELECT id FROM supply_chain_transactions WHERE epcis_event_id = ?', [good.eventID])).toBeFalsy();
+    });
+
+    test('receipts and other business steps are skipped, bad signatures fail', async () => {
+        const receiving = shippingEvent('urn:uuid:6a3a3f4e-0005-4000-8000-000000000005', 10, { bizStep: 'receiving' });
+        const forged = shippingEvent('urn:uuid:6a3a3f4e-0006-4000-8000-000000000006', 10, {
+            quantityList: [{ epcClass: PARACETAMOL_LOT, quantity: 500 }]
+        });
+
+        const captured = await epcis.capture(documentOf(receiving, forged, { type: 'AssociationEvent', eventTime: new Date().toISOString() }));
+
+        expect(captured.results.map(result => result.status)).toEqual(['skipped', 'failed', 'skipped']);
+        expect(captured.results[1].reason).toBe('Invalid transfer signature for entity 1');
+    });
+
+    test('an unsigned event cannot be mapped', async () => {
+        const unsigned = shippingEvent('urn:uuid:6a3a3f4e-0007-4000-8000-000000000007', 10, { 'dvs:senderSignature': undefined });
+
+        await expect(epcis.capture(documentOf(unsigned))).rejects.toMatchObject({
+            details: [expect.objectContaining({ message: 'Event has no dvs:senderSignature extension with signedAt and signature' })]
+        });
+    });
+
+    test('XML documents read the same as JSON-LD', async () => {
+        const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<epcis:EPCISDocument xmlns:epcis="urn:epcglobal:epcis:xsd:2" xmlns:dvs="https://drugverification.example/epcis/" schemaVersion="2.0" creationDate="2026-01-01T00:00:00Z">
+  <EPCISBody>
+    <EventList>
+      <ObjectEvent>
+        <eventTime>2026-01-01T08:00:00Z</eventTime>
+        <eventTimeZoneOffset>+00:00</eventTimeZoneOffset>
+        <eventID>urn:uuid:6a3a3f4e-0008-4000-8000-000000000008</eventID>
+        <quantityList>
+          <quantityElement><epcClass>urn:epc:class:lgtin:0300123.045001.BATCH001</epcClass><quantity>15</quantity></quantityElement>
+        </quantityList>
+        <action>OBSERVE</action>
+        <bizStep>urn:epcglobal:cbv:bizstep:shipping</bizStep>
+        <disposition>urn:epcglobal:cbv:disp:in_transit</disposition>
+        <sourceList><source type="urn:epcglobal:cbv:sdt:owning_party">urn:epc:id:pgln:0300123.00001</source></sourceList>
+        <destinationList><destination type="urn:epcglobal:cbv:sdt:owning_party">urn:epc:id:pgln:0300123.00004</destination></destinationList>
+        <dvs:senderSignature><dvs:signedAt>2026-01-01T08:00:00Z</dvs:signedAt><dvs:signature>c2lnbmF0dXJl</dvs:signature></dvs:senderSignature>
+      </ObjectEvent>
+    </EventList>
+  </EPCISBody>
+</epcis:EPCISDocument>`;
+
+        const [event] = await epcis.parseXmlDocument(xml);
+
+        expect(event).toMatchObject({
+            type: 'ObjectEvent',
+            eventID: 'urn:uuid:6a3a3f4e-0008-4000-8000-000000000008',
+            bizStep: 'shipping',
+            disposition: 'in_transit',
+            quantities: [{ epcClass: 'urn:epc:class:lgtin:0300123.045001.BATCH001', quantity: 15 }],
+            sources: [{ type: 'owning_party', id: 'urn:epc:id:pgln:0300123.00001' }],
+            senderSignature: { signedAt: '2026-01-01T08:00:00Z', signature: 'c2lnbmF0dXJl' }
+        });
+        expect(await epcis.planEvent(event)).toMatchObject({
+            transfer: { batchId: 1, fromEntityId: 1, toEntityId: 4, transactionType: 'transfer', quantity: 15 }
+        });
+        await expect(epcis.parseXmlDocument('<EPCISDocument><unclosed>')).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('export', () => {
+    test('captured transfers are exported with their event ID and ledger hash', async () => {
+        const document = await epcis.exportEvents({ batchId: 1 });
+        const events = document.epcisBody.queryResults.resultsBody.eventList;
+        const exported = events.find(event => event.eventID === 'urn:uuid:6a3a3f4e-0001-4000-8000-000000000001');
+
+        expect(document.type).toBe('EPCISQueryDocument');
+        expect(exported).toMatchObject({
+            type: 'ObjectEvent',
+            action: 'OBSERVE',
+            bizStep: 'shipping',
+            disposition: 'in_transit',
+            quantityList: [{ quantity: 120 }],
+            sourceList: [{ type: 'owning_party' }],
+            'dvs:transactionHash': expect.stringMatching(/^[0-9a-f]{64}$/)
+        });
+        expect(epcis.parseIdentifier(exported.sourceList[0].source)).toMatchObject({ gln: MANUFACTURER_GLN });
+        expect(epcis.parseIdentifier(exported.quantityList[0].epcClass)).toEqual({ scheme: 'lgtin', gtin: '00300123450011', lot: 'BATCH001' });
+    });
+
+    test('the XML rendering lists every event with CBV URIs', async () => {
+        const document = await epcis.exportEvents({ batchId: 1 });
+        const xml = epcis.toXml(document);
+
+        expect(xml).toContain('<epcisq:EPCISQueryDocument');
+        expect(xml).toContain('<bizStep>urn:epcglobal:cbv:bizstep:shipping</bizStep>');
+        document.epcisBody.queryResults.resultsBody.eventList.forEach(event => {
+            expect(xml).toContain(`<eventID>${event.eventID}</eventID>`);
+            expect(xml).toContain(`<dvs:transactionHash>${event['dvs:transactionHash']}</dvs:transactionHash>`);
+        });
+    });
+});
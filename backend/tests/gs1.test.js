@@ -0,0 +1,71 @@
+const gs1 = require('../src/utils/gs1');
+const { GS1ParseError } = gs1;
+
+describe('GS1 element string parsing', () => {
+    const expected = {
+        gtin: '09501101530003',
+        expiry_date: '2026-12-31',
+        lot: 'AB12',
+        serial: 'XYZ'
+    };
+
+    test('parses the human-readable form with parenthesised AIs', () => {
+        const result = gs1.parse('(01)09501101530003(17)261231(10)AB12(21)XYZ');
+
+        expect(result).toMatchObject(expected);
+        expect(result.elements.map(element => element.ai)).toEqual(['01', '17', '10', '21']);
+    });
+
+    test('parses the raw form with group separators and a symbology identifier', () => {
+        expect(gs1.parse(']d201095011015300031726123110AB12\u001d21XYZ')).toMatchObject(expected);
+        expect(gs1.parse('01095011015300031726123110AB12<GS>21XYZ')).toMatchObject(expected);
+    });
+
+    test('a variable-length field runs to the end of the data without a separator', () => {
+        expect(gs1.parse('010950110153000321SN-0001')).toMatchObject({ gtin: '09501101530003', serial: 'SN-0001' });
+    });
+
+    test('day 00 in a date means the last day of the month', () => {
+        expect(gs1.parse('(01)09501101530003(17)270200').expiry_date).toBe('2027-02-28');
+    });
+
+    test('a GTIN with the wrong check digit is refused', () => {
+        expect(() => gs1.parse('(01)09501101530004')).toThrow(GS1ParseError);
+        expect(() => gs1.parse('(01)09501101530004')).toThrow('Invalid GTIN check digit: 09501101530004');
+    });
+
+    test('data without Application Identifiers or with bad field lengths is refused', () => {
+        expect(() => gs1.parse('')).toThrow(GS1ParseError);
+        expect(() => gs1.parse('(01)0950110153')).toThrow('AI (01) requires 14 characters');
+        expect(() => gs1.parse('(17)261331')).toThrow('Invalid month in date 261331');
+    });
+
+    test('only element strings are recognised as GS1 data', () => {
+        expect(gs1.isElementString('(01)09501101530003')).toBe(true);
+        expect(gs1.isElementString(']d20109501101530003')).toBe(true);
+        expect(gs1.isElementString('{"v":2,"drug_id":1}')).toBe(false);
+        expect(gs1.isElementString('hello')).toBe(false);
+    });
+});
+
+describe('GS1 identifiers', () => {
+    test('computes the mod-10 check digit', () => {
+        expect(gs1.calculateCheckDigit('0950110153000')).toBe(3);
+        expect(gs1.calculateCheckDigit('0030012345001')).toBe(1);
+    });
+
+    test('validates GTINs, GLNs and SSCCs', () => {
+        expect(gs1.isValidGTIN('00300123450011')).toBe(true);
+        expect(gs1.isValidGTIN('00300123450012')).toBe(false);
+        expect(gs1.isValidGTIN('0030012345')).toBe(false);
+        expect(gs1.isValidGLN('0614141000012')).toBe(true);
+        expect(gs1.isValidGLN('0614141000013')).toBe(false);
+        expect(gs1.isValidSSCC('000614141000000014')).toBe(true);
+        expect(gs1.isValidSSCC('000614141000000015')).toBe(false);
+    });
+
+    test('pads shorter GTINs to 14 digits', () => {
+        expect(gs1.toGTIN14('300123450011')).toBe('00300123450011');
+        expect(gs1.toGTIN14('00300123450011')).toBe('00300123450011');
+    });
+});
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Point the database manager at a fresh SQLite file for one spec, optionally with the demo data
+ * Must be called before any service is required, since the manager reads DATABASE_PATH when loaded
+ */
+const useTestDatabase = ({ seed = false } = {}) => {
+    const file = path.join(os.tmpdir(), `drug-verification-test-${process.pid}-${Date.now()}.db`);
+    process.env.DATABASE_PATH = file;
+
+    const dbManager = require('../../src/config/database');
+
+    beforeAll(async () => {
+        await dbManager.connect();
+        await dbManager.initializeSchema();
+        if (seed) {
+            await dbManager.seedDatabase();
+        }
+    });
+
+    afterAll(async () => {
+        await dbManager.close();
+        ['', '-wal', '-shm', '-journal'].forEach(suffix => fs.rmSync(file + suffix, { force: true }));
+    });
+
+    return dbManager;
+};
+
+/**
+ * Insert a user with the required columns filled in and return its ID
+ */
+const createUser = async (dbManager, username, role = 'user') => {
+    const result = await dbManager.run(`
+        INSERT INTO users (username, email, password_hash, first_name, last_name, role)
+        VALUES (?, ?, 'not-a-real-hash', 'Test', 'User', ?)
+    `, [username, `${username}@example.com`, role]);
+    return result.id;
+};
+
+module.exports = {
+    useTestDatabase,
+    createUser
+};
@@ -0,0 +1,146 @@
+const { useTestDatabase, createUser } = require('./helpers/testDatabase');
+
+process.env.MINING_DIFFICULTY = '1';
+
+const dbManager = useTestDatabase({ seed: true });
+const investigations = require('../src/utils/investigations');
+const notifications = require('../src/utils/notifications');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const createReport = async ({ severity = 'medium', matchedBatchId = 1, createdAt = new Date().toISOString() } = {}) => {
+    const result = await dbManager.run(`
+        INSERT INTO counterfeit_reports (drug_name, description, report_type, severity_level, matched_batch_id, created_at)
+        VALUES ('Paracetamol', 'Blister foil is the wrong colour', 'counterfeit', ?, ?, ?)
+    `, [severity, matchedBatchId, createdAt]);
+    return result.id;
+};
+
+let admin;
+let pharmacist;
+let otherPharmacist;
+
+beforeAll(async () => {
+    jest.spyOn(notifications, 'notifyAlert').mockResolvedValue(0);
+
+    admin = { id: await createUser(dbManager, 'case-admin', 'admin'), role: 'admin' };
+    pharmacist = { id: await createUser(dbManager, 'case-pharmacist', 'pharmacist'), role: 'pharmacist' };
+    otherPharmacist = { id: await createUser(dbManager, 'other-pharmacist', 'pharmacist'), role: 'pharmacist' };
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('SLA timers', () => {
+    test('a critical report is overdue for a response after four hours', async () => {
+        const reportId = await createReport({ severity: 'critical', createdAt: new Date(Date.now() - 5 * HOUR_MS).toISOString() });
+
+        const { sla } = await investigations.getCase(reportId);
+        expect(sla.response).toMatchObject({ target_hours: 4, status: 'overdue', completed_at: null });
+        expect(sla.resolution).toMatchObject({ target_hours: 72, status: 'running' });
+
+        const overdue = await investigations.getQueue({ overdueOnly: true });
+        expect(overdue.map(item => item.id)).toContain(reportId);
+    });
+
+    test('the first investigator action stops the response timer', async () => {
+        const reportId = await createReport({ severity: 'high' });
+        await investigations.addNote(reportId, 'Requested photos from the reporter', admin);
+
+        const { sla, timeline } = await investigations.getCase(reportId);
+        expect(sla.response.status).toBe('met');
+        expect(timeline).toEqual([expect.objectContaining({ event_type: 'note', message: 'Requested photos from the reporter', username: 'case-admin' })]);
+    });
+});
+
+describe('case work', () => {
+    let reportId;
+
+    beforeAll(async () => {
+        reportId = await createReport();
+    });
+
+    test('only admins and pharmacists can be assigned, and assignment starts the investigation', async () => {
+        const userId = await createUser(dbManager, 'not-an-investigator');
+        await expect(investigations.assign(reportId, userId, admin)).rejects.toMatchObject({ statusCode: 400 });
+
+        expect(await investigations.assign(reportId, pharmacist.id, admin)).toMatchObject({ username: 'case-pharmacist' });
+        expect(await investigations.getCase(reportId)).toMatchObject({
+            status: 'investigating',
+            assigned_investigator_id: pharmacist.id,
+            allowed_transitions: ['pending', 'verified', 'false_alarm']
+        });
+    });
+
+    test('pharmacists only work the cases assigned to them', async () => {
+        await expect(investigations.addNote(reportId, 'Not mine', otherPharmacist)).rejects.toMatchObject({ statusCode: 403 });
+        await expect(investigations.changeStatus(reportId, 'resolved', pharmacist)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('lab results need the lab and its verdict', async () => {
+        await expect(investigations.addEvidence(reportId, { evidenceType: 'lab_result', description: 'HPLC assay' }, pharmacist))
+            .rejects.toThrow('Lab results need labName and labResult');
+        await expect(investigations.addEvidence(reportId, { evidenceType: 'photo', description: 'Front', labResult: 'counterfeit' }, pharmacist))
+            .rejects.toThrow('labResult is only recorded on lab_result evidence');
+
+        const item = await investigations.addEvidence(reportId, {
+            evidenceType: 'lab_result',
+            description: 'HPLC assay',
+            labName: 'Central Lab',
+            labResult: 'counterfeit',
+            resultDetails: { active_ingredient_mg: 0 }
+        }, pharmacist);
+        expect(item).toMatchObject({ lab_result: 'counterfeit', result_details: { active_ingredient_mg: 0 } });
+    });
+
+    test('open tasks block resolving the case', async () => {
+        const task = await investigations.addTask(reportId, { title: 'Contact the pharmacy', dueAt: new Date(Date.now() - HOUR_MS) }, pharmacist);
+        expect((await investigations.getCase(reportId)).tasks[0]).toMatchObject({ id: task.id, is_overdue: true, assigned_to_username: 'case-pharmacist' });
+
+        await expect(investigations.resolve(reportId, { outcome: 'false_alarm', resolutionNotes: 'x' }, pharmacist))
+            .rejects.toMatchObject({ statusCode: 409, message: 'Complete or cancel the 1 open task(s) before resolving' });
+
+        expect(await investigations.updateTask(reportId, task.id, { status: 'done' }, pharmacist)).toMatchObject({ status: 'done', completed_by_user_id: pharmacist.id });
+        await expect(investigations.updateTask(reportId, task.id, { status: 'done' }, pharmacist)).rejects.toThrow('No task changes to apply');
+    });
+
+    test('a confirmed counterfeit can escalate to public batch alerts', async () => {
+        await expect(investigations.resolve(reportId, { outcome: 'false_alarm', resolutionNotes: 'x', escalation: { type: 'alert' } }, pharmacist))
+            .rejects.toThrow('Only confirmed counterfeits can be escalated');
+        await expect(investigations.resolve(reportId, { outcome: 'confirmed_counterfeit', resolutionNotes: 'x', escalation: { type: 'recall' } }, pharmacist))
+            .rejects.toMatchObject({ statusCode: 403 });
+
+        const outcome = await investigations.resolve(reportId, {
+            outcome: 'confirmed_counterfeit',
+            resolutionNotes: 'No active ingredient',
+            escalation: { type: 'alert' }
+        }, pharmacist);
+
+        expect(outcome).toMatchObject({ outcome: 'confirmed_counterfeit', lab_confirmed: true, evidence_count: 1, escalation: { type: 'alert', batch_ids: [1] } });
+        const [alert] = await dbManager.query('SELECT * FROM alerts WHERE related_report_id = ?', [reportId]);
+        expect(alert).toMatchObject({ alert_type: 'counterfeit_detected', is_public: 1, related_batch_id: 1 });
+
+        await expect(investigations.resolve(reportId, { outcome: 'false_alarm', resolutionNotes: 'x' }, pharmacist)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('reopening clears the verdict and keeps it on the timeline', async () => {
+        const reopened = await investigations.changeStatus(reportId, 'investigating', pharmacist);
+
+        expect(reopened).toMatchObject({ status: 'investigating', outcome: null });
+        expect(reopened.timeline.map(event => event.event_type)).toEqual(expect.arrayContaining(['outcome', 'escalation', 'status_change']));
+    });
+
+    test('admins can escalate a case into a recall', async () => {
+        const recallReportId = await createReport({ matchedBatchId: 2 });
+
+        const outcome = await investigations.resolve(recallReportId, {
+            outcome: 'confirmed_counterfeit',
+            resolutionNotes: 'Fake packs in circulation',
+            escalation: { type: 'recall', recallClass: 'II' }
+        }, admin);
+
+        expect(outcome.escalation).toMatchObject({ type: 'recall', batch_ids: [2], recall_number: expect.stringMatching(/^RCL-/) });
+        expect(await dbManager.queryOne('SELECT status FROM drug_batches WHERE id = 2')).toEqual({ status: 'recalled' });
+    });
+});
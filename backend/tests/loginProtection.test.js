@@ -0,0 +1,122 @@
+const { useTestDatabase, createUser } = require('./helpers/testDatabase');
+
+// Keep the placeholder hash made on load cheap
+process.env.BCRYPT_ROUNDS = '4';
+
+const dbManager = useTestDatabase();
+const loginProtection = require('../src/utils/loginProtection');
+const { LoginLockedError } = loginProtection;
+
+const MINUTE = 60 * 1000;
+
+const failAttempts = async (count, attempt) => {
+    for (let i = 0; i < count; i++) {
+        const attemptId = await loginProtection.startAttempt(attempt);
+        await loginProtection.recordFailure(attemptId, 'invalid_password');
+    }
+};
+
+describe('lockout backoff', () => {
+    const threshold = 5;
+
+    test('no lockout below the threshold', () => {
+        expect(loginProtection.lockedUntil(threshold - 1, new Date().toISOString(), threshold)).toBeNull();
+        expect(loginProtection.lockedUntil(threshold, null, threshold)).toBeNull();
+    });
+
+    test('each failure past the threshold doubles the wait', () => {
+        const lastFailedAt = new Date();
+        const wait = failures => loginProtection.lockedUntil(failures, lastFailedAt.toISOString(), threshold) - lastFailedAt;
+
+        expect(wait(threshold)).toBe(MINUTE);
+        expect(wait(threshold + 1)).toBe(2 * MINUTE);
+        expect(wait(threshold + 3)).toBe(8 * MINUTE);
+    });
+
+    test('the wait is capped', () => {
+        const lastFailedAt = new Date();
+
+        expect(loginProtection.lockedUntil(threshold + 20, lastFailedAt.toISOString(), threshold) - lastFailedAt).toBe(60 * MINUTE);
+    });
+
+    test('a lockout that has run out no longer applies', () => {
+        const lastFailedAt = new Date(Date.now() - 2 * MINUTE).toISOString();
+
+        expect(loginProtection.lockedUntil(threshold, lastFailedAt, threshold)).toBeNull();
+        expect(loginProtection.lockedUntil(threshold + 2, lastFailedAt, threshold)).not.toBeNull();
+    });
+});
+
+describe('sign-in attempts', () => {
+    let userId;
+
+    beforeAll(async () => {
+        userId = await createUser(dbManager, 'lockout-user');
+    });
+
+    test('an account is locked once it reaches the failure threshold', async () => {
+        const attempt = { userId, identifier: 'lockout-user', ipAddress: '198.51.100.1' };
+        await failAttempts(loginProtection.accountThreshold, attempt);
+
+        const error = await loginProtection.startAttempt(attempt).catch(caught => caught);
+        expect(error).toBeInstanceOf(LoginLockedError);
+        expect(error.statusCode).toBe(429);
+        expect(error.retryAfter).toBeGreaterThan(55);
+        expect(error.retryAfter).toBeLessThanOrEqual(60);
+
+        const statuses = await loginProtection.getAccountStatuses([userId]);
+        expect(statuses[userId]).toMatchObject({ failed_login_attempts: loginProtection.accountThreshold });
+        expect(statuses[userId].locked_until).not.toBeNull();
+    });
+
+    test('an admin unlock clears the failures', async () => {
+        expect(await loginProtection.unlock(userId)).toBe(loginProtection.accountThreshold);
+        await expect(loginProtection.startAttempt({ userId, identifier: 'lockout-user', ipAddress: '198.51.100.1' }))
+            .resolves.toEqual(expect.any(Number));
+    });
+
+    test('guesses sent in parallel count against each other', async () => {
+        const attempt = { identifier: 'parallel-guess', ipAddress: '198.51.100.2' };
+        const results = await Promise.allSettled(Array.from({ length: 10 }, () => loginProtection.startAttempt(attempt)));
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(loginProtection.accountThreshold);
+        results.filter(result => result.status === 'rejected')
+            .forEach(result => expect(result.reason).toBeInstanceOf(LoginLockedError));
+    });
+
+    test('unknown usernames lock out by the name tried, whatever its case', async () => {
+        await failAttempts(loginProtection.accountThreshold, { identifier: 'Nobody', ipAddress: '198.51.100.3' });
+
+        await expect(loginProtection.startAttempt({ identifier: ' nobody ', ipAddress: '198.51.100.4' }))
+            .rejects.toBeInstanceOf(LoginLockedError);
+    });
+
+    test('a passed attempt does not count as a failure', async () => {
+        const passUserId = await createUser(dbManager, 'passing-user');
+        const attempt = { userId: passUserId, identifier: 'passing-user', ipAddress: '198.51.100.5' };
+
+        for (let i = 0; i < loginProtection.accountThreshold + 1; i++) {
+            await loginProtection.pass(await loginProtection.startAttempt(attempt));
+        }
+
+        const rows = await dbManager.query('SELECT id FROM login_attempts WHERE user_id = ?', [passUserId]);
+        expect(rows).toEqual([]);
+    });
+
+    test('a settled failure is kept when pass is called for it', async () => {
+        const attemptId = await loginProtection.startAttempt({ identifier: 'settled', ipAddress: '198.51.100.6' });
+        await loginProtection.recordFailure(attemptId, 'invalid_password');
+        await loginProtection.pass(attemptId);
+
+        const row = await dbManager.queryOne('SELECT success, reason FROM login_attempts WHERE id = ?', [attemptId]);
+        expect(row).toEqual({ success: 0, reason: 'invalid_password' });
+    });
+
+    test('a successful sign-in clears earlier failures', async () => {
+        const user = { id: userId, username: 'lockout-user' };
+        await failAttempts(2, { userId, identifier: 'lockout-user', ipAddress: '198.51.100.7' });
+        await loginProtection.recordSuccess(user, { ipAddress: '198.51.100.7' });
+
+        expect(await loginProtection.getAccountStatuses([userId])).toEqual({});
+    });
+});
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const merkle = require('../src/utils/merkle');
+
+const transactionHashes = (count) => Array.from({ length: count }, (_, index) =>
+    crypto.createHash('sha256').update(`transaction-${index}`).digest('hex'));
+
+describe('Merkle tree', () => {
+    test('the root of a single leaf is its leaf hash', () => {
+        const [value] = transactionHashes(1);
+
+        expect(merkle.computeRoot([value])).toBe(merkle.hashLeaf(value));
+        expect(merkle.buildProof([value], 0)).toEqual([]);
+    });
+
+    test.each([2, 3, 4, 5, 7, 8, 9])('every leaf of a %i-leaf tree has a proof to the root', (count) => {
+        const values = transactionHashes(count);
+        const root = merkle.computeRoot(values);
+
+        values.forEach((value, index) => {
+            expect(merkle.verifyProof(value, merkle.buildProof(values, index), root)).toBe(true);
+        });
+    });
+
+    test('a proof does not verify another leaf, an edited path or another root', () => {
+        const values = transactionHashes(5);
+        const root = merkle.computeRoot(values);
+        const path = merkle.buildProof(values, 2);
+
+        expect(merkle.verifyProof(values[3], path, root)).toBe(false);
+        expect(merkle.verifyProof(values[2], path.slice(1), root)).toBe(false);
+        expect(merkle.verifyProof(values[2], path.map(step => ({ ...step, position: step.position === 'left' ? 'right' : 'left' })), root)).toBe(false);
+        expect(merkle.verifyProof(values[2], path, merkle.computeRoot(values.slice(0, 4)))).toBe(false);
+    });
+
+    test('an odd last node is promoted rather than duplicated', () => {
+        const values = transactionHashes(3);
+
+        expect(merkle.computeRoot(values)).not.toBe(merkle.computeRoot([...values, values[2]]));
+        expect(merkle.computeRoot(values)).toBe(merkle.hashNode(
+            merkle.hashNode(merkle.hashLeaf(values[0]), merkle.hashLeaf(values[1])),
+            merkle.hashLeaf(values[2])
+        ));
+    });
+
+    test('a leaf hash cannot stand in for an interior node', () => {
+        const values = transactionHashes(2);
+        const interior = merkle.hashNode(merkle.hashLeaf(values[0]), merkle.hashLeaf(values[1]));
+
+        expect(merkle.hashLeaf(values[0] + values[1])).not.toBe(interior);
+    });
+
+    test('an empty list and an out-of-range index are refused', () => {
+        expect(() => merkle.computeRoot([])).toThrow('Cannot compute the Merkle root of an empty list');
+        expect(() => merkle.buildProof(transactionHashes(3), 3)).toThrow('Leaf index out of range');
+        expect(() => merkle.buildProof(transactionHashes(3), -1)).toThrow('Leaf index out of range');
+    });
+});
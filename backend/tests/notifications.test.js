@@ -0,0 +1,98 @@
+const { useTestDatabase, createUser } = require('./helpers/testDatabase');
+
+const dbManager = useTestDatabase({ seed: true });
+const notifications = require('../src/utils/notifications');
+const { assertPublicUrl, DestinationError } = require('../src/utils/notificationChannels');
+
+describe('webhook destinations', () => {
+    let pharmacistId;
+
+    beforeAll(async () => {
+        pharmacistId = await createUser(dbManager, 'webhook-pharmacist', 'pharmacist');
+    });
+
+    test.each([
+        'http://127.0.0.1:8080/hook',
+        'http://10.1.2.3/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/hook',
+        'http://[::ffff:192.168.1.10]/hook',
+        'http://localhost/hook'
+    ])('%s is refused', async (url) => {
+        await expect(assertPublicUrl(url)).rejects.toBeInstanceOf(DestinationError);
+    });
+
+    test('a public address literal is allowed', async () => {
+        await expect(assertPublicUrl('https://203.0.113.10/hook')).resolves.toBeUndefined();
+    });
+
+    test('saving a webhook preference checks the destination', async () => {
+        const user = { id: pharmacistId, role: 'pharmacist' };
+
+        await expect(notifications.updatePreference(user, 'webhook', { isEnabled: true, destination: 'http://192.168.0.5/hook' }))
+            .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Webhook destination not allowed') });
+        await expect(notifications.updatePreference(user, 'webhook', { isEnabled: true, destination: 'https://203.0.113.10/hook' }))
+            .resolves.toMatchObject({ channel: 'webhook', is_enabled: true, destination: 'https://203.0.113.10/hook' });
+    });
+
+    test('webhooks are for organisation accounts only', async () => {
+        const userId = await createUser(dbManager, 'webhook-public-user');
+
+        await expect(notifications.updatePreference({ id: userId, role: 'user' }, 'webhook', { destination: 'https://203.0.113.10/hook' }))
+            .rejects.toMatchObject({ statusCode: 403 });
+    });
+});
+
+describe('public alert subscribers', () => {
+    const sent = [];
+    let alertId;
+
+    beforeAll(async () => {
+        notifications.registerTransport('email', {
+            transport: 'test',
+            send: async (message) => {
+                sent.push(message);
+                return { response: 'ok' };
+            }
+        });
+
+        const subscriberId = await createUser(dbManager, 'public-subscriber');
+        await notifications.updatePreference({ id: subscriberId, role: 'user' }, 'email', { isEnabled: true, includePublic: true });
+        await createUser(dbManager, 'alert-distributor', 'distributor');
+
+        const result = await dbManager.run(`
+            INSERT INTO alerts (alert_type, title, message, severity, related_batch_id, target_audience, is_public, is_active)
+            VALUES ('counterfeit_detected', 'Counterfeit Paracetamol', ?, 'critical', 1, '["distributor"]', 1, 1)
+        `, ['Reported by Sam Lee (sam@example.org, 555-201-3344) for batch BATCH001.']);
+        alertId = result.id;
+    });
+
+    test('subscribers get the redacted feed copy, the audience gets the full alert', async () => {
+        expect(await notifications.queueAlert(alertId)).toBe(2);
+        await notifications.processQueue();
+
+        const byRecipient = Object.fromEntries(sent.map(message => [message.to, message]));
+
+        expect(byRecipient['alert-distributor@example.com'].text).toContain('sam@example.org');
+        expect(byRecipient['public-subscriber@example.com'].text).not.toMatch(/sam@example\.org|555-201-3344/);
+        expect(byRecipient['public-subscriber@example.com'].payload.alert).toMatchObject({
+            id: alertId,
+            batch: { batch_number: 'BATCH001' }
+        });
+        expect(byRecipient['public-subscriber@example.com'].payload.alert).not.toHaveProperty('target_audience');
+    });
+
+    test('a queued public copy is not sent once the alert is withdrawn', async () => {
+        const result = await dbManager.run(`
+            INSERT INTO alerts (alert_type, title, message, severity, is_public, is_active)
+            VALUES ('counterfeit_detected', 'Withdrawn alert', 'Check packs', 'critical', 1, 1)
+        `);
+        expect(await notifications.queueAlert(result.id)).toBe(1);
+        await dbManager.run('UPDATE alerts SET is_active = 0 WHERE id = ?', [result.id]);
+
+        await notifications.processQueue();
+
+        const delivery = await dbManager.queryOne('SELECT status, last_error FROM notification_deliveries WHERE alert_id = ?', [result.id]);
+        expect(delivery).toEqual({ status: 'pending', last_error: 'Alert is no longer published' });
+    });
+});
@@ -0,0 +1,137 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+
+process.env.MINING_DIFFICULTY = '1';
+
+const dbManager = useTestDatabase({ seed: true });
+const packaging = require('../src/utils/packaging');
+const serialization = require('../src/utils/serialization');
+const blockchain = require('../src/utils/blockchain');
+const epcis = require('../src/utils/epcis');
+const gs1 = require('../src/utils/gs1');
+const { PackagingError } = packaging;
+
+const sscc = (reference) => {
+    const digits = `0030012300${String(reference).padStart(7, '0')}`;
+    return digits + gs1.calculateCheckDigit(digits);
+};
+
+const commission = async (batchId, quantity) =>
+    (await serialization.commissionUnits(batchId, quantity)).units.map(unit => unit.serial_number);
+
+describe('containers', () => {
+    test('pallets need a valid SSCC, cases may use any code', async () => {
+        await expect(packaging.createUnit({ code: '123', level: 'pallet' })).rejects.toThrow('valid 18-digit SSCC');
+        await expect(packaging.createUnit({ code: 'CASE-A', level: 'crate' })).rejects.toBeInstanceOf(PackagingError);
+
+        expect(await packaging.createUnit({ code: sscc(1), level: 'pallet' })).toMatchObject({ code: sscc(1), level: 'pallet', batch_id: null });
+        expect(await packaging.createUnit({ code: 'CASE-A', level: 'case' })).toMatchObject({ level: 'case' });
+        await expect(packaging.createUnit({ code: 'CASE-A', level: 'case' })).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('packs go into cases and cases onto pallets, one batch per container', async () => {
+        const serials = await commission(1, 4);
+        const otherBatch = await commission(2, 1);
+        await packaging.createUnit({ code: 'CASE-B', level: 'case' });
+
+        const caseA = await packaging.pack('CASE-A', { serialNumbers: serials.slice(0, 3) });
+        expect(caseA).toMatchObject({ batch_id: 1, unit_count: 3, packs: [{ status: 'commissioned' }, {}, {}] });
+
+        await expect(packaging.pack('CASE-A', { serialNumbers: otherBatch })).rejects.toThrow('only hold packs of one batch');
+        await expect(packaging.pack('CASE-B', { serialNumbers: [serials[0]] })).rejects.toMatchObject({ statusCode: 409 });
+        await expect(packaging.pack('CASE-B', { caseCodes: ['CASE-A'] })).rejects.toThrow('Cases can only be packed onto a pallet');
+        await expect(packaging.pack(sscc(1), { serialNumbers: [serials[3]] })).rejects.toThrow('Packs go into cases');
+        await expect(packaging.pack(sscc(1), { caseCodes: ['CASE-B'] })).rejects.toThrow('Case CASE-B is empty');
+
+        await packaging.pack('CASE-B', { serialNumbers: [serials[3]] });
+        const pallet = await packaging.pack(sscc(1), { caseCodes: ['CASE-A', 'CASE-B'] });
+
+        expect(pallet).toMatchObject({ batch_id: 1, unit_count: 4, cases: [{ code: 'CASE-A', unit_count: 3 }, { code: 'CASE-B', unit_count: 1 }] });
+        const [unit] = await dbManager.query('SELECT id FROM serialized_units WHERE serial_number = ?', [serials[0]]);
+        expect((await packaging.getAncestors({ serialId: unit.id })).map(ancestor => ancestor.code)).toEqual(['CASE-A', sscc(1)]);
+    });
+
+    test('a container ships whole and its packs ship with it', async () => {
+        await expect(packaging.assertShippable('CASE-A', { batchId: 1, quantity: 3 })).rejects.toThrow('is packed in another container');
+        await expect(packaging.assertShippable(sscc(1), { batchId: 1, quantity: 5 })).rejects.toThrow('holds 4 packs, not 5');
+        await expect(packaging.assertShippable(sscc(1), { batchId: 2, quantity: 4 })).rejects.toThrow('does not hold batch 2');
+
+        const pallet = await packaging.assertShippable(sscc(1), { batchId: '1', quantity: '4' });
+        await blockchain.createTransaction({
+            batchId: 1,
+            fromEntityId: 1,
+            toEntityId: 4,
+            transactionType: 'transfer',
+            quantity: 4,
+            packagingUnitId: pallet.id
+        });
+        await packaging.markShipped(pallet.id);
+
+        const contents = await packaging.getContents('CASE-A');
+        expect(contents.in_transit).toBe(true);
+        expect(contents.packs.map(pack => pack.status)).toEqual(['shipped', 'shipped', 'shipped']);
+        await expect(packaging.unpack(sscc(1))).rejects.toMatchObject({ statusCode: 409 });
+        await expect(packaging.pack('CASE-A', { serialNumbers: await commission(1, 1) })).rejects.toMatchObject({ statusCode: 409 });
+
+        await dbManager.run("UPDATE supply_chain_transactions SET shipment_status = 'received' WHERE packaging_unit_id = ?", [pallet.id]);
+    });
+
+    test('unpacking some children keeps the rest, and an emptied container can be reused', async () => {
+        const partial = await packaging.unpack(sscc(1), { caseCodes: ['CASE-B', 'CASE-NONE'] });
+        expect(partial).toMatchObject({ unpacked: 1, not_found: 1, batch_id: 1, unit_count: 3 });
+
+        const emptied = await packaging.unpack(sscc(1));
+        expect(emptied).toMatchObject({ unpacked: 1, batch_id: null, unit_count: 0, cases: [] });
+        expect(await packaging.getParent({ unitId: (await packaging.getUnit('CASE-A')).id })).toBeFalsy();
+    });
+});
+
+describe('EPCIS aggregation', () => {
+    const aggregationEvent = (action, parentID, childEPCs) => ({
+        type: 'AggregationEvent',
+        eventTime: new Date().toISOString(),
+        eventTimeZoneOffset: '+00:00',
+        action,
+        bizStep: action === 'ADD' ? 'packing' : 'unpacking',
+        disposition: 'in_progress',
+        parentID,
+        childEPCs
+    });
+
+    const documentOf = (...eventList) => ({ type: 'EPCISDocument', schemaVersion: '2.0', epcisBody: { eventList } });
+
+    test('a packing event registers the case and packs it, unpacking empties it', async () => {
+        const serials = await commission(3, 2);
+        const childEPCs = serials.map(serial => `https://id.gs1.org/01/00300123450035/21/${serial}`);
+        const caseCode = sscc(2);
+
+        const packed = await epcis.capture(documentOf(aggregationEvent('ADD', `https://id.gs1.org/00/${caseCode}`, childEPCs)));
+        expect(packed.results).toEqual([expect.objectContaining({ status: 'recorded', packed: 2 })]);
+        expect(await packaging.getContents(caseCode)).toMatchObject({ level: 'case', batch_id: 3, unit_count: 2 });
+
+        const unpacked = await epcis.capture(documentOf(aggregationEvent('DELETE', `https://id.gs1.org/00/${caseCode}`, [])));
+        expect(unpacked.results).toEqual([expect.objectContaining({ status: 'recorded', unpacked: 2 })]);
+
+        const again = await epcis.capture(documentOf(aggregationEvent('DELETE', `https://id.gs1.org/00/${caseCode}`, [])));
+        expect(again.results[0]).toMatchObject({ status: 'skipped', reason: `Nothing listed is packed in ${caseCode}` });
+    });
+
+    test('packing and unpacking are exported as AggregationEvents', async () => {
+        const document = await epcis.exportEvents({ batchId: 3 });
+        const aggregations = document.epcisBody.queryResults.resultsBody.eventList.filter(event => event.type === 'AggregationEvent');
+
+        expect(aggregations.map(event => [event.action, event.bizStep])).toEqual([['ADD', 'packing'], ['DELETE', 'unpacking']]);
+        expect(aggregations[0]).toMatchObject({ parentID: `https://id.gs1.org/00/${sscc(2)}`, childEPCs: [expect.stringContaining('/21/'), expect.any(String)] });
+    });
+
+    test('contents must be listed by EPC, and the parent must be a container identifier', async () => {
+        const byQuantity = { ...aggregationEvent('ADD', `https://id.gs1.org/00/${sscc(3)}`, []), childQuantityList: [{ epcClass: 'https://id.gs1.org/01/00300123450035/10/BATCH003', quantity: 2 }] };
+        const noParent = aggregationEvent('ADD', 'https://id.gs1.org/01/00300123450035', ['https://id.gs1.org/00/' + sscc(2)]);
+
+        const error = await epcis.capture(documentOf(byQuantity, noParent)).catch(caught => caught);
+
+        expect(error.details.map(detail => detail.message)).toEqual([
+            'Packed contents must be listed as childEPCs, not quantities',
+            'parentID https://id.gs1.org/01/00300123450035 must be an SSCC or a dvs unit identifier'
+        ]);
+    });
+});
@@ -0,0 +1,107 @@
+const { useTestDatabase, createUser } = require('./helpers/testDatabase');
+
+process.env.MINING_DIFFICULTY = '1';
+
+const dbManager = useTestDatabase({ seed: true });
+const recalls = require('../src/utils/recalls');
+const blockchain = require('../src/utils/blockchain');
+const notifications = require('../src/utils/notifications');
+const { RecallError } = recalls;
+
+const move = async (fromEntityId, toEntityId, transactionType, quantity, shipmentStatus) => {
+    const { transactionId } = await blockchain.createTransaction({ batchId: 1, fromEntityId, toEntityId, transactionType, quantity });
+    if (shipmentStatus) {
+        await dbManager.run('UPDATE supply_chain_transactions SET shipment_status = ? WHERE id = ?', [shipmentStatus, transactionId]);
+    }
+    return transactionId;
+};
+
+let notify;
+let distributor;
+let recall;
+
+beforeAll(async () => {
+    notify = jest.spyOn(notifications, 'notifyAlert').mockResolvedValue(0);
+
+    // MediDistrib (4) holds 100 units of batch 1 and HealthMart (5) has 50 on the way
+    await move(1, 4, 'transfer', 100, 'received');
+    await move(1, 5, 'transfer', 50);
+
+    distributor = { id: await createUser(dbManager, 'recall-distributor', 'distributor'), role: 'distributor', entity_id: 4 };
+});
+
+afterAll(() => {
+    notify.mockRestore();
+});
+
+describe('scope', () => {
+    test('batches are found by ID, lot or manufacturing dates of one drug', async () => {
+        expect((await recalls.resolveScope({ batchIds: [1, 2] })).map(batch => batch.id)).toEqual([1, 2]);
+        expect((await recalls.resolveScope({ lotNumbers: ['BATCH003'] })).map(batch => batch.id)).toEqual([3]);
+        expect((await recalls.resolveScope({ lotNumbers: ['BATCH003'], drugId: 1 }).catch(error => error)).statusCode).toBe(404);
+        expect((await recalls.resolveScope({ drugId: 2, manufacturedFrom: '2000-01-01' })).map(batch => batch.id)).toEqual([2]);
+    });
+
+    test('an empty scope or a date range without a drug is refused', async () => {
+        await expect(recalls.resolveScope({})).rejects.toThrow('Scope must list batches, lots or a manufacturing date range');
+        await expect(recalls.resolveScope({ manufacturedFrom: '2000-01-01' })).rejects.toThrow('needs a drugId');
+    });
+});
+
+describe('recall lifecycle', () => {
+    test('a class I recall marks the batch recalled and notifies every holder', async () => {
+        recall = await recalls.createRecall({ recallClass: 'I', reason: 'Mislabelled strength', scope: { batchIds: [1] } });
+
+        expect(recall.recall_number).toMatch(/^RCL-\d{4}-0001$/);
+        expect(recall.batches).toEqual([expect.objectContaining({ id: 1, previous_status: 'active' })]);
+        expect(await dbManager.queryOne('SELECT status FROM drug_batches WHERE id = 1')).toEqual({ status: 'recalled' });
+        expect(recall.notices.map(notice => [notice.entity_id, notice.quantity_held])).toEqual([[4, 100], [5, 50]]);
+        expect(recall.progress).toMatchObject({ entities_notified: 2, quantity_affected: 150, percent_returned: 0 });
+
+        const alerts = await dbManager.query('SELECT target_entity_id, is_public, message FROM alerts WHERE related_recall_id = ? ORDER BY id', [recall.id]);
+        expect(alerts.map(alert => [alert.target_entity_id, alert.is_public])).toEqual([[null, 1], [4, 0], [5, 0]]);
+        expect(alerts[0].message).toBe('Class I recall: Mislabelled strength. Do not use packs from batch BATCH001; return them to your pharmacy.');
+        expect(alerts[2].message).toContain('holds 0 units with 50 more inbound');
+        expect(notify).toHaveBeenCalledTimes(3);
+    });
+
+    test('a batch cannot be under two open recalls', async () => {
+        await expect(recalls.createRecall({ recallClass: 'II', reason: 'Again', scope: { batchIds: [1, 2] } }))
+            .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('BATCH001') });
+        await expect(recalls.createRecall({ recallClass: 'IV', reason: 'Bad class', scope: { batchIds: [2] } }))
+            .rejects.toBeInstanceOf(RecallError);
+    });
+
+    test('entities acknowledge for themselves, once', async () => {
+        await expect(recalls.acknowledge(recall.id, 5, distributor)).rejects.toMatchObject({ statusCode: 403 });
+        await expect(recalls.acknowledge(recall.id, 6, { ...distributor, role: 'admin' })).rejects.toMatchObject({ statusCode: 404 });
+
+        const acknowledged = await recalls.acknowledge(recall.id, 4, distributor, 'Stock quarantined');
+        expect(acknowledged.notices[0]).toMatchObject({ acknowledged_by: 'recall-distributor', acknowledgement_notes: 'Stock quarantined' });
+        expect(acknowledged.progress.notices_acknowledged).toBe(1);
+
+        await expect(recalls.acknowledge(recall.id, 4, distributor)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('returns sent after the recall count towards its progress', async () => {
+        await move(4, 1, 'return', 60);
+        await move(4, 1, 'return', 40, 'rejected');
+
+        const progress = await recalls.getRecall(recall.id);
+
+        expect(progress.notices[0]).toMatchObject({ quantity_returned: 60, quantity_return_received: 0, quantity_outstanding: 40 });
+        expect(progress.progress).toMatchObject({ quantity_returned: 60, percent_returned: 40 });
+    });
+
+    test('closing resolves the alerts but leaves the batch recalled', async () => {
+        const closed = await recalls.closeRecall(recall.id, null, 'All stock accounted for');
+
+        expect(closed).toMatchObject({ status: 'closed', closure_notes: 'All stock accounted for' });
+        expect(await dbManager.query('SELECT id FROM alerts WHERE related_recall_id = ? AND is_active = 1', [recall.id])).toEqual([]);
+        expect(await dbManager.queryOne('SELECT status FROM drug_batches WHERE id = 1')).toEqual({ status: 'recalled' });
+        expect(await recalls.listRecalls({ entityId: 5 })).toEqual([expect.objectContaining({ id: recall.id, entities_notified: 2, quantity_affected: 150 })]);
+
+        await expect(recalls.closeRecall(recall.id)).rejects.toMatchObject({ statusCode: 409 });
+        await expect(recalls.acknowledge(recall.id, 5, { ...distributor, entity_id: 5 })).rejects.toMatchObject({ statusCode: 409 });
+    });
+});
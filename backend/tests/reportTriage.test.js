@@ -0,0 +1,107 @@
+const { useTestDatabase, createUser } = require('./helpers/testDatabase');
+
+const dbManager = useTestDatabase({ seed: true });
+const reportTriage = require('../src/utils/reportTriage');
+
+// Store a report with its triage result, as POST /api/reports does, and link it
+const fileReport = async ({ reporterUserId = null, drugName, suspectedBatchNumber = null, manufacturerClaimed = null }) => {
+    const match = await reportTriage.resolve({ drugName, suspectedBatchNumber, manufacturerClaimed });
+    const result = await dbManager.run(`
+        INSERT INTO counterfeit_reports
+        (reporter_user_id, drug_name, suspected_batch_number, manufacturer_claimed, report_type, description,
+         matched_batch_id, matched_drug_id, matched_manufacturer_id, match_confidence, match_details)
+        VALUES (?, ?, ?, ?, 'counterfeit', 'Packaging looks wrong', ?, ?, ?, ?, ?)
+    `, [
+        reporterUserId, drugName, suspectedBatchNumber, manufacturerClaimed,
+        match.matched_batch_id, match.matched_drug_id, match.matched_manufacturer_id, match.match_confidence,
+        JSON.stringify(match.match_details)
+    ]);
+
+    const report = await dbManager.queryOne('SELECT * FROM counterfeit_reports WHERE id = ?', [result.id]);
+    return { report, ...(await reportTriage.linkReport(report)) };
+};
+
+describe('catalogue matching', () => {
+    test('a batch number with agreeing drug and manufacturer is a high confidence match', async () => {
+        expect(await reportTriage.resolve({ drugName: 'Tylenol', suspectedBatchNumber: 'batch-001', manufacturerClaimed: 'Pharma Corp' })).toEqual({
+            matched_batch_id: 1,
+            matched_drug_id: 1,
+            matched_manufacturer_id: 1,
+            match_confidence: 'high',
+            match_details: ['Batch number matches BATCH001 (Paracetamol)', 'Drug name matches Paracetamol']
+        });
+    });
+
+    test('a batch number the drug name contradicts is only a low confidence match', async () => {
+        const match = await reportTriage.resolve({ drugName: 'Lisinopril', suspectedBatchNumber: 'BATCH 001', manufacturerClaimed: 'GlobalMed' });
+
+        expect(match).toMatchObject({ matched_batch_id: 1, match_confidence: 'low' });
+        expect(match.match_details).toContain('Drug name "Lisinopril" does not match the batch\'s product Paracetamol');
+        expect(match.match_details).toContain('Claimed manufacturer "GlobalMed" does not match Pharma Corp');
+    });
+
+    test('without a known batch the drug name decides', async () => {
+        expect(await reportTriage.resolve({ drugName: 'amoxicillin', suspectedBatchNumber: 'XYZ999', manufacturerClaimed: 'MCARE' })).toMatchObject({
+            matched_batch_id: null,
+            matched_drug_id: 2,
+            match_confidence: 'medium',
+            match_details: ['Batch number XYZ999 is not in the catalogue', 'Drug name matches Amoxicillin']
+        });
+        expect(await reportTriage.resolve({ drugName: 'Aspirin' })).toMatchObject({ matched_drug_id: null, match_confidence: 'none' });
+        expect(await reportTriage.resolve({ drugName: 'Amox' })).toMatchObject({ matched_drug_id: 2, match_confidence: 'low' });
+    });
+
+    test('a manufacturer alone narrows to the manufacturer, and nothing matches nothing', async () => {
+        expect(await reportTriage.resolve({ drugName: 'Unknown pills', manufacturerClaimed: 'GlobalMed Ltd' })).toMatchObject({
+            matched_drug_id: null,
+            matched_manufacturer_id: 3,
+            match_confidence: 'low'
+        });
+        expect(await reportTriage.resolve({ drugName: 'Unknown pills' })).toEqual(expect.objectContaining({
+            match_confidence: 'none',
+            match_details: ['No catalogue product matches the report']
+        }));
+    });
+});
+
+describe('clusters and linked scans', () => {
+    let reporterId;
+
+    beforeAll(async () => {
+        reporterId = await createUser(dbManager, 'triage-reporter');
+        const scan = `INSERT INTO verification_logs (user_id, batch_id, verification_method, verification_result, verification_time)
+            VALUES (?, ?, 'qr_scan', 'suspicious', datetime('now', ?))`;
+        await dbManager.run(scan, [reporterId, 1, '-1 days']);
+        await dbManager.run(scan, [reporterId, 1, '-60 days']);
+        await dbManager.run(scan, [reporterId, 2, '-1 days']);
+    });
+
+    test('reports about the same batch share the cluster of the earliest one', async () => {
+        const first = await fileReport({ reporterUserId: reporterId, drugName: 'Paracetamol', suspectedBatchNumber: 'BATCH001' });
+        const second = await fileReport({ drugName: 'Tylenol', suspectedBatchNumber: 'batch 001' });
+
+        expect(first.cluster_id).toBe(first.report.id);
+        expect(second.cluster_id).toBe(first.report.id);
+
+        const related = await reportTriage.getRelatedReports({ ...second.report, cluster_id: second.cluster_id });
+        expect(related.map(report => report.id)).toEqual([first.report.id]);
+    });
+
+    test('unknown batch numbers cluster on the number as reported', async () => {
+        const first = await fileReport({ drugName: 'Mystery', suspectedBatchNumber: 'ZZ-100' });
+        const second = await fileReport({ drugName: 'Mystery', suspectedBatchNumber: 'zz100' });
+        const other = await fileReport({ drugName: 'Mystery', suspectedBatchNumber: 'ZZ-101' });
+
+        expect(second.cluster_id).toBe(first.report.id);
+        expect(other.cluster_id).toBe(other.report.id);
+    });
+
+    test("the reporter's recent scans of the product are linked", async () => {
+        const { report, linked_scans: linkedScans } = await fileReport({ reporterUserId: reporterId, drugName: 'Paracetamol', suspectedBatchNumber: 'BATCH001' });
+
+        expect(linkedScans).toBe(1);
+        const scans = await reportTriage.getLinkedScans([report.id]);
+        expect(scans).toEqual([expect.objectContaining({ report_id: report.id, batch_number: 'BATCH001', drug_name: 'Paracetamol', location_data: null })]);
+        expect(await reportTriage.getLinkedScans([])).toEqual([]);
+    });
+});
@@ -0,0 +1,106 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+
+const dbManager = useTestDatabase({ seed: true });
+const scanVelocity = require('../src/utils/scanVelocity');
+
+const LONDON = { latitude: 51.5074, longitude: -0.1278 };
+const PARIS = { latitude: 48.8566, longitude: 2.3522 };
+const NEW_YORK = { latitude: 40.7128, longitude: -74.006 };
+
+// Record an earlier scan the given number of minutes ago
+const recordScan = ({ batchId = 1, serialNumber = null, location = null, userId = null, ipAddress = '192.0.2.1', minutesAgo = 0 }) =>
+    dbManager.run(`
+        INSERT INTO verification_logs (batch_id, serial_number, user_id, ip_address, location_data, verification_time)
+        VALUES (?, ?, ?, ?, ?, datetime('now', ?))
+    `, [batchId, serialNumber, userId, ipAddress, location ? JSON.stringify(location) : null, `-${minutesAgo} minutes`]);
+
+describe('distance and coordinates', () => {
+    test('measures great-circle distance in kilometres', () => {
+        expect(scanVelocity.haversineDistance(LONDON, PARIS)).toBeCloseTo(344, -1);
+        expect(scanVelocity.haversineDistance(LONDON, LONDON)).toBe(0);
+    });
+
+    test('reads both coordinate spellings and rejects anything else', () => {
+        expect(scanVelocity.extractCoordinates({ lat: '51.5', lng: '-0.1' })).toEqual({ latitude: 51.5, longitude: -0.1 });
+        expect(scanVelocity.extractCoordinates(JSON.stringify(PARIS))).toEqual(PARIS);
+        expect(scanVelocity.extractCoordinates({ latitude: 91, longitude: 0 })).toBeNull();
+        expect(scanVelocity.extractCoordinates('not json')).toBeNull();
+        expect(scanVelocity.extractCoordinates(null)).toBeNull();
+    });
+});
+
+describe('clone detection', () => {
+    const batch = { id: 1, quantity_remaining: 8500 };
+
+    test('the same serial scanned an ocean apart within the hour is impossible travel', async () => {
+        await recordScan({ serialNumber: 'TRAVEL000001', location: LONDON, minutesAgo: 30 });
+
+        const result = await scanVelocity.analyze({ batch, serialNumber: 'TRAVEL000001', locationData: NEW_YORK, ipAddress: '192.0.2.2' });
+
+        expect(result.clone_suspected).toBe(true);
+        expect(result.findings).toEqual([expect.objectContaining({ type: 'impossible_travel', severity: 'high' })]);
+        expect(result.findings[0].distance_km).toBeGreaterThan(5000);
+    });
+
+    test('a journey that could have been made is not flagged', async () => {
+        await recordScan({ serialNumber: 'TRAVEL000002', location: LONDON, minutesAgo: 24 * 60 });
+
+        const result = await scanVelocity.analyze({ batch, serialNumber: 'TRAVEL000002', locationData: PARIS, ipAddress: '192.0.2.1' });
+
+        expect(result).toMatchObject({ clone_suspected: false, findings: [], scans_in_window: 1 });
+    });
+
+    test('nearby scans are treated as location jitter', async () => {
+        await recordScan({ serialNumber: 'TRAVEL000003', location: LONDON, minutesAgo: 1 });
+
+        const result = await scanVelocity.analyze({
+            batch,
+            serialNumber: 'TRAVEL000003',
+            locationData: { latitude: 51.6, longitude: -0.2 },
+            ipAddress: '192.0.2.1'
+        });
+
+        expect(result.clone_suspected).toBe(false);
+    });
+
+    test('a serial checked by more scanners than the limit is flagged', async () => {
+        for (let i = 1; i <= scanVelocity.maxScannersPerSerial; i++) {
+            await recordScan({ serialNumber: 'OVERSCAN0001', ipAddress: `198.51.100.${i}`, minutesAgo: i });
+        }
+
+        const result = await scanVelocity.analyze({ batch, serialNumber: 'OVERSCAN0001', ipAddress: '198.51.100.200' });
+
+        expect(result.findings).toEqual([expect.objectContaining({
+            type: 'serial_overscanned',
+            distinct_scanners: scanVelocity.maxScannersPerSerial + 1
+        })]);
+    });
+
+    test('repeat scans by the same person count once', async () => {
+        for (let i = 1; i <= 5; i++) {
+            await recordScan({ serialNumber: 'REPEAT000001', userId: 1, ipAddress: `198.51.100.${i}`, minutesAgo: i });
+        }
+
+        const result = await scanVelocity.analyze({ batch, serialNumber: 'REPEAT000001', userId: 1, ipAddress: '198.51.100.9' });
+
+        expect(result.clone_suspected).toBe(false);
+        expect(result.scans_in_window).toBe(5);
+    });
+
+    test('a batch code scanned by more people than packs remain is flagged', async () => {
+        await recordScan({ batchId: 2, ipAddress: '203.0.113.1', minutesAgo: 5 });
+        await recordScan({ batchId: 2, ipAddress: '203.0.113.2', minutesAgo: 4 });
+
+        const result = await scanVelocity.analyze({ batch: { id: 2, quantity_remaining: 2 }, ipAddress: '203.0.113.3' });
+
+        expect(result.findings).toEqual([expect.objectContaining({ type: 'batch_overscanned', distinct_scanners: 3 })]);
+    });
+
+    test('scans older than the window are ignored', async () => {
+        await recordScan({ serialNumber: 'OLDSCAN00001', location: LONDON, minutesAgo: (scanVelocity.windowHours + 1) * 60 });
+
+        const result = await scanVelocity.analyze({ batch, serialNumber: 'OLDSCAN00001', locationData: NEW_YORK, ipAddress: '192.0.2.1' });
+
+        expect(result).toMatchObject({ clone_suspected: false, scans_in_window: 0 });
+    });
+});
@@ -0,0 +1,117 @@
+const { useTestDatabase, createUser } = require('./helpers/testDatabase');
+
+const dbManager = useTestDatabase();
+const scoringEngine = require('../src/utils/scoringEngine');
+const { ScoringRuleError } = scoringEngine;
+
+const cleanFacts = {
+    batch: { status: 'active', quality_check_status: 'passed', expired: false, expiry_date: '2030-01-01' },
+    label: { expiry_mismatch: false },
+    chain: { available: true, integrity_valid: true, anomaly_count: 0, risk_level: 'low' },
+    alerts: { count: 0, critical_count: 0 },
+    serial: { provided: false },
+    scan: { impossible_travel: { detected: false }, serial_overscanned: { detected: false }, batch_overscanned: { detected: false } }
+};
+
+const ruleSet = (when, extra = {}) => ({
+    thresholds: { counterfeit_below: 30, suspicious_below: 70 },
+    rules: [{ id: 'custom_rule', enabled: true, when, penalty: 25, explanation: 'Custom rule matched', ...extra }]
+});
+
+describe('default rule set', () => {
+    test('is created as the active version 1 on first use', async () => {
+        const active = await scoringEngine.getActiveRuleSet();
+
+        expect(active).toMatchObject({ version: 1, is_active: true, change_note: 'Default rule set' });
+        expect(await scoringEngine.getVersion(1)).toMatchObject({ version: 1, is_active: true });
+    });
+
+    test('a clean verification scores 100 and authentic', async () => {
+        expect(await scoringEngine.evaluate(cleanFacts)).toEqual({
+            result: 'authentic',
+            score: 100,
+            risk_factors: [],
+            matched_rules: [],
+            rule_version: 1
+        });
+    });
+
+    test('per-fact penalties multiply and the most severe forced result wins', async () => {
+        const scored = await scoringEngine.evaluate({
+            ...cleanFacts,
+            batch: { ...cleanFacts.batch, status: 'recalled' },
+            alerts: { count: 2, critical_count: 1 }
+        });
+
+        expect(scored.result).toBe('counterfeit');
+        expect(scored.score).toBe(20);
+        expect(scored.matched_rules).toEqual([
+            { id: 'recalled', penalty: 50 },
+            { id: 'active_alerts', penalty: 20 },
+            { id: 'critical_alert', penalty: 0 }
+        ]);
+        expect(scored.risk_factors).toContain('Active alerts for this product: 2');
+    });
+});
+
+describe('rule set versions', () => {
+    test('saving a rule set adds a new active version and keeps the old one', async () => {
+        const userId = await createUser(dbManager, 'rules-admin', 'admin');
+        const saved = await scoringEngine.saveRuleSet(ruleSet({ fact: 'alerts.count', op: 'gte', value: 1 }), { userId, changeNote: 'Alerts only' });
+
+        expect(saved).toMatchObject({ version: 2, is_active: true, change_note: 'Alerts only', created_by_user_id: userId });
+        expect(await scoringEngine.getVersion(1)).toMatchObject({ is_active: false });
+        expect((await scoringEngine.listVersions()).map(version => version.version)).toEqual([2, 1]);
+        expect(await scoringEngine.evaluate({ ...cleanFacts, alerts: { count: 1 } })).toMatchObject({
+            result: 'authentic',
+            score: 75,
+            rule_version: 2
+        });
+    });
+
+    test('an earlier version can be made active again', async () => {
+        expect(await scoringEngine.activateVersion(1)).toMatchObject({ version: 1, is_active: true });
+        expect(await scoringEngine.getVersion(2)).toMatchObject({ is_active: false });
+        expect(await scoringEngine.activateVersion(99)).toBeNull();
+    });
+});
+
+describe('rule validation', () => {
+    test.each([
+        ['an unknown fact', { fact: 'batch.colour', op: 'eq', value: 'red' }, 'unknown fact batch.colour'],
+        ['an unknown operator', { fact: 'batch.status', op: 'not_in', value: ['recalled'] }, 'unknown operator not_in'],
+        ['an inherited property as operator', { fact: 'batch.status', op: 'constructor', value: 'x' }, 'unknown operator constructor'],
+        ['a list for eq', { fact: 'batch.status', op: 'eq', value: ['recalled'] }, 'batch.status eq needs a string, number, boolean or null as its value'],
+        ['a string for a numeric comparison', { fact: 'alerts.count', op: 'gt', value: '0' }, 'alerts.count gt needs a number as its value'],
+        ['no value for a numeric comparison', { fact: 'alerts.count', op: 'lte' }, 'alerts.count lte needs a number as its value'],
+        ['a single value for in', { fact: 'batch.status', op: 'in', value: 'recalled' }, 'batch.status in needs a non-empty array'],
+        ['an empty list for in', { fact: 'batch.status', op: 'in', value: [] }, 'batch.status in needs a non-empty array'],
+        ['a string for exists', { fact: 'serial.status', op: 'exists', value: 'yes' }, 'serial.status exists needs true, false or nothing'],
+        ['a bad nested condition', { any: [{ fact: 'alerts.count', op: 'gt', value: 0 }, { fact: 'alerts.count', op: 'gt', value: null }] }, 'alerts.count gt needs a number'],
+        ['an empty group', { all: [] }, 'all/any must be a non-empty array']
+    ])('refuses %s', (description, when, message) => {
+        expect(() => scoringEngine.validateRuleSet(ruleSet(when))).toThrow(ScoringRuleError);
+        expect(() => scoringEngine.validateRuleSet(ruleSet(when))).toThrow(message);
+    });
+
+    test('accepts values that fit their operator', () => {
+        expect(() => scoringEngine.validateRuleSet(ruleSet({
+            all: [
+                { fact: 'batch.status', op: 'in', value: ['recalled', 'depleted'] },
+                { fact: 'batch.days_to_expiry', op: 'lt', value: 30 },
+                { fact: 'serial.status', op: 'exists' },
+                { fact: 'serial.dispensed_at', op: 'neq', value: null }
+            ]
+        }))).not.toThrow();
+    });
+
+    test('refuses bad thresholds, penalties and results', () => {
+        const when = { fact: 'alerts.count', op: 'gt', value: 0 };
+
+        expect(() => scoringEngine.validateRuleSet({ ...ruleSet(when), thresholds: { counterfeit_below: 80, suspicious_below: 70 } }))
+            .toThrow('Thresholds must be between 0 and 100');
+        expect(() => scoringEngine.validateRuleSet(ruleSet(when, { penalty: 150 }))).toThrow('penalty must be between 0 and 100');
+        expect(() => scoringEngine.validateRuleSet(ruleSet(when, { penalty_per: 'toString' }))).toThrow('unknown penalty_per fact toString');
+        expect(() => scoringEngine.validateRuleSet(ruleSet(when, { result: 'fake' }))).toThrow('result must be one of');
+    });
+});
@@ -0,0 +1,85 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+
+const dbManager = useTestDatabase({ seed: true });
+const serialization = require('../src/utils/serialization');
+const signer = require('../src/utils/signing');
+const { SerializationError } = serialization;
+
+describe('commissioning serial numbers', () => {
+    test('every pack gets its own serial and a QR code signed by the manufacturer', async () => {
+        const result = await serialization.commissionUnits(1, 5);
+
+        expect(result).toMatchObject({ batch_id: 1, commissioned: 5, total_serialized: 5 });
+        expect(new Set(result.units.map(unit => unit.serial_number)).size).toBe(5);
+
+        const manufacturer = await dbManager.getManufacturerSigningKey(1);
+        for (const unit of result.units) {
+            const payload = JSON.parse(unit.qr_code);
+
+            expect(unit.serial_number).toMatch(/^[0-9A-HJKMNP-TV-Z]{12}$/);
+            expect(payload).toMatchObject({ batch_id: 1, serial: unit.serial_number });
+            expect(signer.verifyQRPayload(payload, manufacturer.signing_public_key)).toBe(true);
+        }
+    });
+
+    test('serials keep counting towards the batch', async () => {
+        const result = await serialization.commissionUnits(1, 2);
+
+        expect(result.total_serialized).toBe(7);
+        expect((await serialization.listUnits(1)).status_counts).toEqual({ commissioned: 7 });
+    });
+
+    test('quantities outside the allowed range are refused', async () => {
+        await expect(serialization.commissionUnits(1, 0)).rejects.toBeInstanceOf(SerializationError);
+        await expect(serialization.commissionUnits(1, 1.5)).rejects.toMatchObject({ statusCode: 400 });
+        await expect(serialization.commissionUnits(1, serialization.maxCommissionQuantity + 1)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('a batch cannot be serialized beyond what it produced', async () => {
+        await dbManager.run('UPDATE drug_batches SET quantity_produced = 8 WHERE id = 2');
+        await serialization.commissionUnits(2, 8);
+
+        await expect(serialization.commissionUnits(2, 1)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('only active batches are serialized', async () => {
+        await dbManager.run("UPDATE drug_batches SET status = 'recalled' WHERE id = 3");
+
+        await expect(serialization.commissionUnits(3, 1)).rejects.toThrow('Cannot commission units for a recalled batch');
+        await expect(serialization.commissionUnits(999, 1)).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('pack lifecycle', () => {
+    let serialNumber;
+
+    beforeAll(async () => {
+        ({ units: [{ serial_number: serialNumber }] } = await serialization.commissionUnits(1, 1));
+    });
+
+    test('a pack moves forward through its statuses with timestamps', async () => {
+        const shipped = await serialization.updateStatus(serialNumber, 'shipped');
+        expect(shipped).toMatchObject({ status: 'shipped', batch_number: 'BATCH001' });
+        expect(shipped.shipped_at).not.toBeNull();
+
+        const dispensed = await serialization.updateStatus(serialNumber, 'dispensed', { reason: 'Sold at counter' });
+        expect(dispensed).toMatchObject({ status: 'dispensed', status_reason: 'Sold at counter' });
+        expect(dispensed.dispensed_at).not.toBeNull();
+    });
+
+    test('a pack cannot go back to an earlier status', async () => {
+        await expect(serialization.updateStatus(serialNumber, 'shipped'))
+            .rejects.toThrow('Cannot change a dispensed unit to shipped');
+    });
+
+    test('an unknown serial is reported as not found', async () => {
+        await expect(serialization.updateStatus('0000000000ZZ', 'dispensed')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('units can be listed by status', async () => {
+        const { units, status_counts: statusCounts } = await serialization.listUnits(1, { status: 'dispensed' });
+
+        expect(units.map(unit => unit.serial_number)).toEqual([serialNumber]);
+        expect(statusCounts).toEqual({ commissioned: 7, dispensed: 1 });
+    });
+});
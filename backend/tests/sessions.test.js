@@ -0,0 +1,69 @@
+const { useTestDatabase, createUser } = require('./helpers/testDatabase');
+
+const dbManager = useTestDatabase();
+const sessions = require('../src/utils/sessions');
+
+describe('refresh token rotation', () => {
+    let userId;
+
+    beforeAll(async () => {
+        userId = await createUser(dbManager, 'session-user');
+    });
+
+    test('each refresh spends the token and hands out a new one', async () => {
+        const session = await sessions.createSession(userId, { ipAddress: '203.0.113.5' });
+        const first = await sessions.rotateSession(session.id, userId, session.tokenId);
+        const second = await sessions.rotateSession(session.id, userId, first.tokenId);
+
+        expect(first.id).toBe(session.id);
+        expect(first.tokenId).not.toBe(session.tokenId);
+        expect(second.tokenId).not.toBe(first.tokenId);
+        expect(await sessions.findActiveSession(session.id, userId)).toMatchObject({ id: session.id });
+    });
+
+    test('presenting a spent token revokes the whole session', async () => {
+        const session = await sessions.createSession(userId);
+        const rotated = await sessions.rotateSession(session.id, userId, session.tokenId);
+
+        await expect(sessions.rotateSession(session.id, userId, session.tokenId))
+            .rejects.toMatchObject({ name: 'SessionError', statusCode: 401, code: 'TOKEN_REUSED' });
+
+        // The legitimate holder of the newer token is signed out too
+        await expect(sessions.rotateSession(session.id, userId, rotated.tokenId))
+            .rejects.toMatchObject({ statusCode: 401, code: 'SESSION_REVOKED' });
+        expect(await sessions.findActiveSession(session.id, userId)).toBeFalsy();
+
+        const row = await dbManager.queryOne('SELECT revoked_reason FROM user_sessions WHERE id = ?', [session.id]);
+        expect(row.revoked_reason).toBe('token_reuse');
+    });
+
+    test('only one of two concurrent refreshes with the same token succeeds', async () => {
+        const session = await sessions.createSession(userId);
+        const results = await Promise.allSettled([
+            sessions.rotateSession(session.id, userId, session.tokenId),
+            sessions.rotateSession(session.id, userId, session.tokenId)
+        ]);
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+        expect(results.find(result => result.status === 'rejected').reason.code).toBe('TOKEN_REUSED');
+    });
+
+    test('a session belongs to its user only', async () => {
+        const otherUserId = await createUser(dbManager, 'other-session-user');
+        const session = await sessions.createSession(userId);
+
+        await expect(sessions.rotateSession(session.id, otherUserId, session.tokenId))
+            .rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+        await expect(sessions.rotateSession(session.id, userId, session.tokenId)).resolves.toMatchObject({ id: session.id });
+    });
+
+    test('revoking all sessions can keep the current one', async () => {
+        const current = await sessions.createSession(userId);
+        const other = await sessions.createSession(userId);
+
+        await sessions.revokeAllSessions(userId, { exceptSessionId: current.id });
+
+        expect(await sessions.findActiveSession(current.id, userId)).toMatchObject({ id: current.id });
+        expect(await sessions.findActiveSession(other.id, userId)).toBeFalsy();
+    });
+});
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { useTestDatabase } = require('./helpers/testDatabase');
+
+process.env.MINING_DIFFICULTY = '1';
+
+const dbManager = useTestDatabase({ seed: true });
+const shipments = require('../src/utils/shipments');
+const blockchain = require('../src/utils/blockchain');
+const custody = require('../src/utils/custody');
+const signer = require('../src/utils/signing');
+
+const entityKeys = {};
+
+const sign = (type, statement, entityId, signedAt = new Date().toISOString()) => {
+    const message = signer.canonicalizeCustodyStatement(type, { ...statement, signed_at: signedAt });
+    const signature = crypto.sign('sha256', Buffer.from(message), { key: entityKeys[entityId], dsaEncoding: 'ieee-p1363' });
+    return { signedAt, signature: signature.toString('base64url') };
+};
+
+// The checks and the insert POST /api/supply-chain/transaction runs in one transaction
+const dispatch = (batchId, quantity) => dbManager.withTransaction(async () => {
+    const statement = { batch_id: batchId, from_entity_id: 1, to_entity_id: 4, transaction_type: 'transfer', quantity };
+    await shipments.assertDispatchable({ batchId, fromEntityId: 1, toEntityId: 4, transactionType: 'transfer', quantity });
+    const record = await custody.verifyTransferSignature(statement, sign('transfer', statement, 1));
+
+    return blockchain.createTransaction({
+        batchId,
+        fromEntityId: 1,
+        toEntityId: 4,
+        transactionType: 'transfer',
+        quantity,
+        digitalSignature: JSON.stringify(record),
+        expectedDeliveryDate: shipments.defaultExpectedDelivery()
+    });
+});
+
+const receipt = async (transactionId, { status = 'received', quantityReceived = null, discrepancies = [] } = {}) => {
+    const shipment = await shipments.getShipment(transactionId);
+    const accepted = status === 'received' ? (quantityReceived === null ? shipment.quantity : quantityReceived) : 0;
+    const details = { status, receivedBy: 'Dock 2', conditionOnReceipt: 'good', quantityReceived, discrepancies };
+
+    return {
+        ...details,
+        signature: sign('receipt', {
+            transaction_hash: shipment.transaction_hash,
+            to_entity_id: shipment.to_entity_id,
+            received_by: details.receivedBy,
+            condition_on_receipt: details.conditionOnReceipt,
+            shipment_status: status,
+            quantity_received: accepted,
+            receipt_discrepancies: JSON.stringify(discrepancies.map(({ type, description = '', quantity = null }) => ({ type, description, quantity })))
+        }, shipment.to_entity_id)
+    };
+};
+
+beforeAll(async () => {
+    for (const entityId of [1, 4]) {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        entityKeys[entityId] = privateKey;
+        await custody.registerKey(entityId, publicKey.export({ type: 'spki', format: 'pem' }));
+    }
+});
+
+describe('dispatch', () => {
+    test('stock already on its way is not available again', async () => {
+        // Batch 2 has 4200 units left
+        await dispatch(2, 4000);
+
+        expect(await shipments.getQuantityInTransit(2)).toBe(4000);
+        await expect(dispatch(2, 300)).rejects.toMatchObject({ statusCode: 400, message: 'Insufficient quantity available' });
+    });
+
+    test('parallel dispatches of the same stock cannot oversell it', async () => {
+        // Batch 3 has 12000 units left
+        const results = await Promise.allSettled([5000, 5000, 5000].map(quantity => dispatch(3, quantity)));
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+        expect(results.find(result => result.status === 'rejected').reason.message).toBe('Insufficient quantity available');
+        expect(await shipments.getQuantityInTransit(3)).toBe(10000);
+    });
+
+    test('a recalled batch may only move back up the chain', async () => {
+        await dbManager.run("UPDATE drug_batches SET status = 'recalled' WHERE id = 1");
+
+        await expect(shipments.assertDispatchable({ batchId: 1, fromEntityId: 1, toEntityId: 4, transactionType: 'transfer', quantity: 1 }))
+            .rejects.toMatchObject({ statusCode: 409 });
+        await expect(shipments.assertDispatchable({ batchId: 1, fromEntityId: 4, toEntityId: 1, transactionType: 'return', quantity: 1 }))
+            .resolves.toMatchObject({ id: 1 });
+
+        await dbManager.run("UPDATE drug_batches SET status = 'active' WHERE id = 1");
+    });
+
+    test('unknown batches and entities are refused', async () => {
+        await expect(shipments.assertDispatchable({ batchId: 99, toEntityId: 4, transactionType: 'transfer', quantity: 1 }))
+            .rejects.toMatchObject({ statusCode: 404, message: 'Batch not found' });
+        await expect(shipments.assertDispatchable({ batchId: 1, fromEntityId: 99, toEntityId: 4, transactionType: 'transfer', quantity: 1 }))
+            .rejects.toMatchObject({ statusCode: 404, message: 'From entity not found' });
+    });
+});
+
+describe('receipt', () => {
+    test('a shipment moves through transit to a countersigned receipt', async () => {
+        const { transactionId } = await dispatch(1, 100);
+        const before = await dbManager.queryOne('SELECT quantity_remaining FROM drug_batches WHERE id = 1');
+
+        expect(await shipments.markInTransit(transactionId)).toMatchObject({ shipment_status: 'in_transit' });
+        const received = await shipments.receive(transactionId, await receipt(transactionId));
+
+        expect(received).toMatchObject({ shipment_status: 'received', quantity_received: 100, received_by: 'Dock 2' });
+        expect(await custody.getSignatureStatus(await dbManager.queryOne('SELECT * FROM supply_chain_transactions WHERE id = ?', [transactionId])))
+            .toEqual({ sender: 'valid', receiver: 'valid' });
+        expect(await dbManager.queryOne('SELECT quantity_remaining FROM drug_batches WHERE id = 1'))
+            .toEqual({ quantity_remaining: before.quantity_remaining - 100 });
+        await expect(shipments.markInTransit(transactionId)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('a short delivery has to be listed as a discrepancy', async () => {
+        const { transactionId } = await dispatch(1, 50);
+
+        await expect(shipments.receive(transactionId, await receipt(transactionId, { quantityReceived: 40 })))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(shipments.receive(transactionId, await receipt(transactionId, { quantityReceived: 60 })))
+            .rejects.toMatchObject({ statusCode: 400 });
+
+        const received = await shipments.receive(transactionId, await receipt(transactionId, {
+            quantityReceived: 40,
+            discrepancies: [{ type: 'short_shipment', quantity: 10 }]
+        }));
+        expect(received.receipt_discrepancies).toEqual([{ type: 'short_shipment', description: '', quantity: 10 }]);
+    });
+
+    test('only one of two parallel receipts for a shipment counts', async () => {
+        const { transactionId } = await dispatch(1, 30);
+        const before = await dbManager.queryOne('SELECT quantity_remaining FROM drug_batches WHERE id = 1');
+        const signed = await receipt(transactionId);
+
+        const results = await Promise.allSettled([shipments.receive(transactionId, signed), shipments.receive(transactionId, signed)]);
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+        expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(409);
+        expect(await dbManager.queryOne('SELECT quantity_remaining FROM drug_batches WHERE id = 1'))
+            .toEqual({ quantity_remaining: before.quantity_remaining - 30 });
+    });
+
+    test('a rejected shipment moves no stock to the receiver', async () => {
+        const { transactionId } = await dispatch(1, 20);
+        const before = await dbManager.queryOne('SELECT quantity_remaining FROM drug_batches WHERE id = 1');
+
+        await shipments.receive(transactionId, await receipt(transactionId, { status: 'rejected' }));
+
+        expect(await dbManager.queryOne('SELECT quantity_remaining FROM drug_batches WHERE id = 1')).toEqual(before);
+        expect((await shipments.getStockByEntity(1)).find(stock => stock.entity_id === 4))
+            .toMatchObject({ quantity_held: 170, quantity_in_transit: 0 });
+    });
+});
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const signer = require('../src/utils/signing');
+
+describe('QR payload signing', () => {
+    const keys = signer.generateKeyPair();
+    const batch = { drugId: 7, batchId: 42, batchNumber: 'LOT-2026-01', manufacturerCode: 'MFR001' };
+
+    test('a signed payload verifies against its public key', () => {
+        const payload = signer.signQRPayload(batch, keys.encryptedPrivateKey);
+
+        expect(payload).toMatchObject({ v: 2, drug_id: 7, batch_id: 42, batch_number: 'LOT-2026-01', manufacturer_code: 'MFR001' });
+        expect(signer.verifyQRPayload(payload, keys.publicKey)).toBe(true);
+    });
+
+    test('editing any signed field breaks the signature', () => {
+        const payload = signer.signQRPayload({ ...batch, serialNumber: 'SN0001' }, keys.encryptedPrivateKey);
+
+        for (const [field, value] of Object.entries({ drug_id: 8, batch_id: 43, batch_number: 'LOT-X', serial: 'SN0002', nonce: '00' })) {
+            expect(signer.verifyQRPayload({ ...payload, [field]: value }, keys.publicKey)).toBe(false);
+        }
+    });
+
+    test('dropping the serial from a pack-level code breaks the signature', () => {
+        const { serial, ...payload } = signer.signQRPayload({ ...batch, serialNumber: 'SN0001' }, keys.encryptedPrivateKey);
+
+        expect(serial).toBe('SN0001');
+        expect(signer.verifyQRPayload(payload, keys.publicKey)).toBe(false);
+    });
+
+    test('a payload signed with another manufacturer key is refused', () => {
+        const other = signer.generateKeyPair();
+        const payload = signer.signQRPayload(batch, other.encryptedPrivateKey);
+
+        expect(signer.verifyQRPayload(payload, keys.publicKey)).toBe(false);
+    });
+
+    test('unsigned, malformed or older payloads are refused', () => {
+        const payload = signer.signQRPayload(batch, keys.encryptedPrivateKey);
+
+        expect(signer.verifyQRPayload({ ...payload, sig: undefined }, keys.publicKey)).toBe(false);
+        expect(signer.verifyQRPayload({ ...payload, sig: 'not-a-signature' }, keys.publicKey)).toBe(false);
+        expect(signer.verifyQRPayload({ ...payload, v: 1 }, keys.publicKey)).toBe(false);
+        expect(signer.verifyQRPayload(null, keys.publicKey)).toBe(false);
+    });
+});
+
+describe('canonicalization', () => {
+    test('QR payload fields are covered in a fixed order whatever the key order', () => {
+        const payload = { nonce: 'ab', issued_at: 1, manufacturer_code: 'M', batch_number: 'B', batch_id: 2, drug_id: 3, v: 2, sig: 'ignored' };
+
+        expect(signer.canonicalizePayload(payload))
+            .toBe('v=2|drug_id=3|batch_id=2|batch_number=B|manufacturer_code=M|issued_at=1|nonce=ab');
+    });
+
+    test('the serial is only covered when present', () => {
+        const payload = { v: 2, drug_id: 3, batch_id: 2, batch_number: 'B', manufacturer_code: 'M', issued_at: 1, nonce: 'ab' };
+
+        expect(signer.canonicalizePayload(payload)).not.toContain('serial=');
+        expect(signer.canonicalizePayload({ ...payload, serial: 'SN1' })).toMatch(/\|nonce=ab\|serial=SN1$/);
+    });
+
+    test('custody statements list every field, with missing values left empty', () => {
+        const statement = { batch_id: 1, from_entity_id: 2, to_entity_id: null, transaction_type: 'transfer', quantity: 10, signed_at: 'now', extra: 'x' };
+
+        expect(signer.canonicalizeCustodyStatement('transfer', statement))
+            .toBe('statement=transfer|batch_id=1|from_entity_id=2|to_entity_id=|transaction_type=transfer|quantity=10|signed_at=now');
+    });
+
+    test('an unknown custody statement type is refused', () => {
+        expect(() => signer.canonicalizeCustodyStatement('gift', {})).toThrow('Unknown custody statement type: gift');
+    });
+});
+
+describe('entity keys', () => {
+    test('a custody statement signature verifies against the entity key', () => {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+        const message = signer.canonicalizeCustodyStatement('receipt', { transaction_hash: 'abc', quantity_received: 5 });
+        const signature = crypto.sign('sha256', Buffer.from(message), { key: privateKey, dsaEncoding: 'ieee-p1363' }).toString('base64url');
+
+        expect(signer.verifySignature(message, signature, publicKey)).toBe(true);
+        expect(signer.verifySignature(`${message}|`, signature, publicKey)).toBe(false);
+        expect(signer.verifySignature(message, undefined, publicKey)).toBe(false);
+    });
+
+    test('only P-256 public keys are accepted', () => {
+        const { publicKey } = crypto.generateKeyPairSync('ec', {
+            namedCurve: 'secp384r1',
+            publicKeyEncoding: { type: 'spki', format: 'pem' }
+        });
+
+        expect(() => signer.parsePublicKey(publicKey)).toThrow('Public key must be an ECDSA P-256 key');
+    });
+
+    test('the key ID is stable for a key and differs between keys', () => {
+        const first = signer.generateKeyPair().publicKey;
+        const second = signer.generateKeyPair().publicKey;
+
+        expect(signer.getKeyId(first)).toMatch(/^[0-9a-f]{32}$/);
+        expect(signer.getKeyId(first)).toBe(signer.getKeyId(first));
+        expect(signer.getKeyId(first)).not.toBe(signer.getKeyId(second));
+    });
+});
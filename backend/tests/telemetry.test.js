@@ -0,0 +1,112 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+
+process.env.MINING_DIFFICULTY = '1';
+
+const dbManager = useTestDatabase({ seed: true });
+const telemetry = require('../src/utils/telemetry');
+const blockchain = require('../src/utils/blockchain');
+const notifications = require('../src/utils/notifications');
+
+const reading = (minute, fields) => ({ recordedAt: new Date(Date.UTC(2026, 0, 1, 8, minute)).toISOString(), ...fields });
+
+const shipTo = async (toEntityId) => {
+    const { transactionId } = await blockchain.createTransaction({
+        batchId: 1,
+        fromEntityId: 1,
+        toEntityId,
+        transactionType: 'transfer',
+        quantity: 10,
+        expectedDeliveryDate: new Date(Date.now() + 86400000).toISOString()
+    });
+    return transactionId;
+};
+
+beforeAll(async () => {
+    // Batch 1 travels refrigerated for these tests
+    await dbManager.run('UPDATE drugs SET storage_profile = ? WHERE id = 1', [JSON.stringify({ name: 'refrigerated', min_temperature: 2, max_temperature: 8, min_humidity: null, max_humidity: null, max_excursion_minutes: 60, max_mkt: 8 })]);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('device registry', () => {
+    test('a device key is handed out once and only its hash is kept', async () => {
+        const { device, key } = await telemetry.registerDevice({ deviceId: 'LOGGER-1', name: 'Truck 1', ownerEntityId: 4 });
+
+        expect(device).toMatchObject({ device_id: 'LOGGER-1', owner_entity_id: 4, is_active: 1 });
+        expect(await dbManager.queryOne('SELECT key_hash FROM telemetry_devices WHERE id = ?', [device.id]))
+            .toEqual({ key_hash: telemetry.hashKey(key) });
+        expect(await telemetry.findDeviceByKey(key)).toMatchObject({ id: device.id, owner_entity_id: 4 });
+        expect(await telemetry.findDeviceByKey('not-the-key')).toBeFalsy();
+    });
+
+    test('duplicate device IDs and unknown owners are refused', async () => {
+        await expect(telemetry.registerDevice({ deviceId: 'LOGGER-1', ownerEntityId: 4 })).rejects.toMatchObject({ statusCode: 409 });
+        await expect(telemetry.registerDevice({ deviceId: 'LOGGER-2', ownerEntityId: 99 })).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('a deactivated device key stops working', async () => {
+        const { device, key } = await telemetry.registerDevice({ deviceId: 'LOGGER-OLD', ownerEntityId: 4 });
+
+        expect(await telemetry.deactivateDevice(device.id)).toMatchObject({ is_active: 0 });
+        expect(await telemetry.findDeviceByKey(key)).toBeFalsy();
+        await expect(telemetry.deactivateDevice(9999)).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('ingest', () => {
+    let device;
+
+    beforeAll(async () => {
+        ({ device } = await telemetry.registerDevice({ deviceId: 'LOGGER-INGEST', ownerEntityId: 4 }));
+    });
+
+    test('readings in range are stored and resent readings are skipped', async () => {
+        const transactionId = await shipTo(4);
+        const readings = [reading(0, { temperature: 5 }), reading(10, { temperature: 6, humidity: 40 })];
+
+        expect(await telemetry.ingest(device, transactionId, readings)).toMatchObject({ accepted: 2, duplicates: 0, readings: 2, breaches: [] });
+        expect(await telemetry.ingest(device, transactionId, readings)).toMatchObject({ accepted: 0, duplicates: 2, readings: 2 });
+        expect(await telemetry.getReadingsByTransaction([transactionId])).toEqual({
+            [transactionId]: [
+                { timestamp: readings[0].recordedAt, temperature: 5, humidity: null, shock_g: null },
+                { timestamp: readings[1].recordedAt, temperature: 6, humidity: 40, shock_g: null }
+            ]
+        });
+    });
+
+    test('a breach raises one alert per shipment and type', async () => {
+        const notify = jest.spyOn(notifications, 'notifyAlert').mockResolvedValue(0);
+        const transactionId = await shipTo(4);
+        const warm = Array.from({ length: 9 }, (_, index) => reading(index * 10, { temperature: 15 }));
+
+        const result = await telemetry.ingest(device, transactionId, [...warm, reading(95, { shock: 25 })]);
+        await telemetry.ingest(device, transactionId, [reading(100, { temperature: 16 })]);
+
+        expect(result.breaches.map(breach => breach.type)).toEqual(['temperature_excursion', 'mkt_exceeded', 'shock_event']);
+        const alerts = await dbManager.query("SELECT title FROM alerts WHERE alert_type = 'supply_chain_breach' ORDER BY id");
+        expect(alerts.map(alert => alert.title)).toEqual([
+            `Shipment ${transactionId} breach: temperature_excursion`,
+            `Shipment ${transactionId} breach: mkt_exceeded`,
+            `Shipment ${transactionId} breach: shock_event`
+        ]);
+        expect(notify).toHaveBeenCalledTimes(3);
+    });
+
+    test('devices of other entities, closed shipments and bad readings are refused', async () => {
+        const otherShipment = await shipTo(5);
+        const closedShipment = await shipTo(4);
+        await dbManager.run("UPDATE supply_chain_transactions SET shipment_status = 'received' WHERE id = ?", [closedShipment]);
+
+        await expect(telemetry.ingest(device, otherShipment, [reading(0, { temperature: 5 })])).rejects.toMatchObject({ statusCode: 403 });
+        await expect(telemetry.ingest(device, closedShipment, [reading(0, { temperature: 5 })])).rejects.toMatchObject({ statusCode: 409 });
+        await expect(telemetry.ingest(device, 9999, [])).rejects.toMatchObject({ statusCode: 404 });
+
+        const openShipment = await shipTo(4);
+        await expect(telemetry.ingest(device, openShipment, [{ recordedAt: 'soon', temperature: 5 }]))
+            .rejects.toThrow('Every reading needs a valid recordedAt timestamp');
+        await expect(telemetry.ingest(device, openShipment, [reading(0, {})]))
+            .rejects.toThrow('Every reading needs at least one measurement');
+    });
+});
@@ -0,0 +1,104 @@
+const { useTestDatabase, createUser } = require('./helpers/testDatabase');
+
+const dbManager = useTestDatabase();
+const twoFactor = require('../src/utils/twoFactor');
+const { TwoFactorError } = twoFactor;
+
+// RFC 4226 / RFC 6238 test secret "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP codes', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('base32 round-trips the RFC secret', () => {
+        expect(twoFactor.base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+        expect(twoFactor.base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+        expect(() => twoFactor.base32Decode('NOT-BASE32!')).toThrow(TwoFactorError);
+    });
+
+    test('matches the RFC 4226 HOTP values', () => {
+        const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+        expected.forEach((code, counter) => {
+            expect(twoFactor.generateCode(RFC_SECRET, counter)).toBe(code);
+        });
+    });
+
+    test('accepts a code one step either side of now and refuses older ones', () => {
+        // T = 59s is step 1 in the RFC 6238 test vectors
+        jest.spyOn(Date, 'now').mockReturnValue(59 * 1000);
+
+        expect(twoFactor.currentStep()).toBe(1);
+        expect(twoFactor.matchCode(RFC_SECRET, '287082')).toBe(1);
+        expect(twoFactor.matchCode(RFC_SECRET, '755224')).toBe(0);
+        expect(twoFactor.matchCode(RFC_SECRET, '359152')).toBe(2);
+        expect(twoFactor.matchCode(RFC_SECRET, '969429')).toBeNull();
+    });
+
+    test('refuses codes at or before the last used step, and malformed codes', () => {
+        jest.spyOn(Date, 'now').mockReturnValue(59 * 1000);
+
+        expect(twoFactor.matchCode(RFC_SECRET, '287082', 1)).toBeNull();
+        expect(twoFactor.matchCode(RFC_SECRET, '755224', 1)).toBeNull();
+        expect(twoFactor.matchCode(RFC_SECRET, '359152', 1)).toBe(2);
+        expect(twoFactor.matchCode(RFC_SECRET, '287 082')).toBe(1);
+        expect(twoFactor.matchCode(RFC_SECRET, '28708')).toBeNull();
+        expect(twoFactor.matchCode(RFC_SECRET, null)).toBeNull();
+    });
+
+    test('recovery codes hash the same whatever the case or separators', () => {
+        expect(twoFactor.hashRecoveryCode('ab12c-3de45')).toBe(twoFactor.hashRecoveryCode('AB12C3DE45'));
+        expect(twoFactor.hashRecoveryCode('ab12c-3de45')).not.toBe(twoFactor.hashRecoveryCode('ab12c-3de46'));
+    });
+});
+
+describe('enrolment and verification', () => {
+    let userId;
+    let secret;
+    let recoveryCodes;
+
+    beforeAll(async () => {
+        userId = await createUser(dbManager, 'two-factor-user');
+    });
+
+    test('enrolment only takes effect once a code from the new secret is confirmed', async () => {
+        ({ secret } = await twoFactor.beginEnrolment({ id: userId, email: 'two-factor-user@example.com' }));
+
+        expect(await twoFactor.isEnabled(userId)).toBe(false);
+        await expect(twoFactor.enable(userId, '000000')).rejects.toMatchObject({ statusCode: 401 });
+
+        recoveryCodes = await twoFactor.enable(userId, twoFactor.generateCode(secret, twoFactor.currentStep()));
+
+        expect(await twoFactor.isEnabled(userId)).toBe(true);
+        expect(recoveryCodes).toHaveLength(10);
+        expect(new Set(recoveryCodes).size).toBe(10);
+    });
+
+    test('the code used to enrol cannot be replayed, but the next one is accepted', async () => {
+        const step = twoFactor.currentStep();
+
+        await expect(twoFactor.verify(userId, { code: twoFactor.generateCode(secret, step - 1) }))
+            .rejects.toMatchObject({ statusCode: 401 });
+        await expect(twoFactor.verify(userId, { code: twoFactor.generateCode(secret, step + 1) }))
+            .resolves.toEqual({ method: 'totp' });
+        await expect(twoFactor.verify(userId, { code: twoFactor.generateCode(secret, step + 1) }))
+            .rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    test('each recovery code works exactly once', async () => {
+        const [code] = recoveryCodes;
+
+        await expect(twoFactor.verify(userId, { recoveryCode: code.toUpperCase() })).resolves.toEqual({ method: 'recovery_code' });
+        await expect(twoFactor.verify(userId, { recoveryCode: code })).rejects.toThrow('Invalid or already used recovery code');
+        await expect(twoFactor.verify(userId, { recoveryCode: 'fffff-fffff' })).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    test('disabling removes the secret and the recovery codes', async () => {
+        expect(await twoFactor.disable(userId)).toBe(true);
+        expect(await twoFactor.isEnabled(userId)).toBe(false);
+        await expect(twoFactor.verify(userId, { recoveryCode: recoveryCodes[1] })).rejects.toMatchObject({ statusCode: 400 });
+        expect(await dbManager.query('SELECT id FROM two_factor_recovery_codes WHERE user_id = ?', [userId])).toEqual([]);
+    });
+});
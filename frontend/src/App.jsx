@@ -25,6 +25,9 @@ import VerificationPage from "./pages/VerificationPage";
 import ScanPage from "./pages/ScanPage";
 import {
   RegisterPage,
+  VerifyEmailPage,
+  ForgotPasswordPage,
+  ResetPasswordPage,
   ProfilePage,
   ReportsPage,
   CreateReportPage,
@@ -180,6 +183,23 @@ function App() {
                       </PublicRoute>
                     }
                   />
+                  <Route
+                    path="/forgot-password"
+                    element={
+                      <PublicRoute>
+                        <ForgotPasswordPage />
+                      </PublicRoute>
+                    }
+                  />
+                  <Route
+                    path="/reset-password"
+                    element={
+                      <PublicRoute>
+                        <ResetPasswordPage />
+                      </PublicRoute>
+                    }
+                  />
+                  <Route path="/verify-email" element={<VerifyEmailPage />} />
 
                   {/* Protected User Routes */}
                   <Route
@@ -0,0 +1,48 @@
+import React from 'react';
+import toast from 'react-hot-toast';
+import { Copy, KeyRound } from 'lucide-react';
+
+// One-time display of freshly issued two-factor recovery codes
+const RecoveryCodes = ({ codes, onDone, doneLabel = 'I have saved these codes' }) => {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      toast.error('Copy failed - write the codes down instead');
+    }
+  };
+
+  return (
+    <div className="p-4 bg-warning-50 border border-warning-200 rounded-lg">
+      <div className="flex items-center mb-2">
+        <KeyRound className="h-5 w-5 text-warning-600 mr-2" />
+        <h4 className="font-semibold text-neutral-900">Recovery codes</h4>
+      </div>
+      <p className="text-sm text-neutral-700 mb-4">
+        Each code signs you in once if you lose your authenticator. Store them somewhere safe -
+        they will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 mb-4 font-mono text-sm">
+        {codes.map(code => (
+          <div key={code} className="px-3 py-2 bg-white border border-neutral-200 rounded text-center">
+            {code}
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button type="button" onClick={handleCopy} className="btn btn-outline btn-sm">
+          <Copy className="w-4 h-4 mr-2" />
+          Copy
+        </button>
+        {onDone && (
+          <button type="button" onClick={onDone} className="btn btn-primary btn-sm">
+            {doneLabel}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
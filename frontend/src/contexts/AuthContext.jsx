@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useReducer, useEffect } from "react";
 import toast from "react-hot-toast";
 import dataService from "../services/dataService";
+import apiClient, { SESSION_EXPIRED_EVENT } from "../services/apiClient";
 
 // Initial state
 const initialState = {
@@ -90,23 +91,47 @@ const AuthContext = createContext();
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
 
-  // No axios interceptors needed for localStorage
+  // Drop the session when the API client can no longer refresh the token
+  useEffect(() => {
+    const handleSessionExpired = () => {
+      dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      toast.error("Your session has expired. Please log in again.");
+    };
+
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+  }, []);
 
   // Check for existing authentication on mount
   useEffect(() => {
-    const checkAuth = () => {
+    const checkAuth = async () => {
       const user = dataService.getCurrentUser();
-      const token = localStorage.getItem("accessToken");
+      const token = apiClient.getAccessToken();
 
       if (!token || !user) {
         dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
         return;
       }
 
-      dispatch({
-        type: AUTH_ACTIONS.LOGIN_SUCCESS,
-        payload: { user },
-      });
+      try {
+        // Revalidate the stored session against the backend
+        const profile = await dataService.getProfile();
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_SUCCESS,
+          payload: { user: profile },
+        });
+      } catch (error) {
+        if (error.response) {
+          apiClient.clearSession();
+          dispatch({ type: AUTH_ACTIONS.LOGOUT });
+        } else {
+          // Backend unreachable - keep the cached user until requests start failing
+          dispatch({
+            type: AUTH_ACTIONS.LOGIN_SUCCESS,
+            payload: { user },
+          });
+        }
+      }
     };
 
     checkAuth();
@@ -130,6 +155,10 @@ export const AuthProvider = ({ children }) => {
 
         toast.success("Login successful!");
         return { success: true, user: result.user };
+      } else if (result.twoFactor) {
+        // Password accepted; the login page asks for the second factor
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        return { success: false, twoFactor: result.twoFactor, message: result.message };
       } else {
         dispatch({
           type: AUTH_ACTIONS.LOGIN_FAILURE,
@@ -152,6 +181,28 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step with an authenticator or recovery code
+  const verifyTwoFactor = async (challengeToken, factor) => {
+    const result = await dataService.verifyTwoFactorLogin(challengeToken, factor);
+
+    if (!result.success) {
+      return { success: false, error: result.message };
+    }
+
+    completeLogin(result.user);
+    return { success: true, user: result.user };
+  };
+
+  // Sign in a user whose tokens are already stored, e.g. after enrolling in two-factor during login
+  const completeLogin = (user) => {
+    dispatch({
+      type: AUTH_ACTIONS.LOGIN_SUCCESS,
+      payload: { user },
+    });
+
+    toast.success("Login successful!");
+  };
+
   // Register function
   const register = async (userData) => {
     dispatch({ type: AUTH_ACTIONS.REGISTER_START });
@@ -166,7 +217,11 @@ export const AuthProvider = ({ children }) => {
         });
 
         toast.success("Registration successful!");
-        return { success: true, user: result.user };
+        return {
+          success: true,
+          user: result.user,
+          verificationEmailSent: result.verificationEmailSent,
+        };
       } else {
         dispatch({
           type: AUTH_ACTIONS.REGISTER_FAILURE,
@@ -192,7 +247,7 @@ export const AuthProvider = ({ children }) => {
   // Logout function
   const logout = async () => {
     try {
-      dataService.logout();
+      await dataService.logout();
       dispatch({ type: AUTH_ACTIONS.LOGOUT });
       toast.success("Logged out successfully");
     } catch (error) {
@@ -203,19 +258,20 @@ export const AuthProvider = ({ children }) => {
   // Update profile function
   const updateProfile = async (profileData) => {
     try {
-      // For localStorage version, just update current user
-      const currentUser = dataService.getCurrentUser();
-      const updatedUser = { ...currentUser, ...profileData };
+      const result = await dataService.updateProfile(profileData);
 
-      localStorage.setItem("currentUser", JSON.stringify(updatedUser));
+      if (!result.success) {
+        toast.error(result.message);
+        return { success: false, error: result.message };
+      }
 
       dispatch({
         type: AUTH_ACTIONS.UPDATE_PROFILE,
-        payload: updatedUser,
+        payload: result.user,
       });
 
       toast.success("Profile updated successfully!");
-      return { success: true, user: updatedUser };
+      return { success: true, user: result.user };
     } catch (error) {
       const errorMessage = "Profile update failed";
       toast.error(errorMessage);
@@ -223,10 +279,29 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Reload the signed-in user, e.g. after the email address is verified
+  const refreshProfile = async () => {
+    try {
+      const user = await dataService.getProfile();
+      dispatch({
+        type: AUTH_ACTIONS.UPDATE_PROFILE,
+        payload: user,
+      });
+    } catch (error) {
+      // The cached user stays until the next sign-in
+    }
+  };
+
   // Change password function
   const changePassword = async (passwordData) => {
     try {
-      // For localStorage version, this is a placeholder
+      const result = await dataService.changePassword(passwordData);
+
+      if (!result.success) {
+        toast.error(result.message);
+        return { success: false, error: result.message };
+      }
+
       toast.success("Password changed successfully!");
       return { success: true };
     } catch (error) {
@@ -253,7 +328,7 @@ export const AuthProvider = ({ children }) => {
 
   // Check if user is authenticated
   const isAuthenticated = () => {
-    return !!state.user && !!localStorage.getItem("accessToken");
+    return !!state.user && !!apiClient.getAccessToken();
   };
 
   const value = {
@@ -264,9 +339,12 @@ export const AuthProvider = ({ children }) => {
 
     // Actions
     login,
+    verifyTwoFactor,
+    completeLogin,
     register,
     logout,
     updateProfile,
+    refreshProfile,
     changePassword,
     clearError,
 
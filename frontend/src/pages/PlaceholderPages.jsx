@@ -2,6 +2,7 @@ import React from "react";
 import { Link, useNavigate, useParams, useLocation } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
 import dataService from "../services/dataService";
+import RecoveryCodes from "../components/auth/RecoveryCodes";
 import toast from "react-hot-toast";
 import {
   Construction,
@@ -23,6 +24,12 @@ import {
   X,
   Plus,
   Edit,
+  Monitor,
+  LogOut,
+  ShieldCheck,
+  Mail,
+  MailCheck,
+  KeyRound,
 } from "lucide-react";
 
 // Generic placeholder component
@@ -119,8 +126,10 @@ export const RegisterPage = () => {
 
     if (!formData.password) {
       newErrors.password = 'Password is required';
-    } else if (formData.password.length < 6) {
-      newErrors.password = 'Password must be at least 6 characters';
+    } else if (formData.password.length < 8) {
+      newErrors.password = 'Password must be at least 8 characters';
+    } else if (!/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])/.test(formData.password)) {
+      newErrors.password = 'Password must include upper and lower case letters, a number and a special character';
     }
 
     if (formData.password !== formData.confirmPassword) {
@@ -155,6 +164,9 @@ export const RegisterPage = () => {
 
       if (result.success) {
         toast.success(`Welcome ${formData.firstName}! Account created successfully!`);
+        if (result.verificationEmailSent) {
+          toast(`We sent a link to ${formData.email} to confirm your email address`, { icon: '✉️' });
+        }
         // Navigate after a short delay to show the success message
         setTimeout(() => {
           navigate('/');
@@ -364,6 +376,465 @@ export const RegisterPage = () => {
   );
 };
 
+// Card shared by the pages reached from mailed account links
+const AccountLinkCard = ({ icon: Icon, title, subtitle, children }) => (
+  <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 via-white to-green-50 py-12">
+    <div className="max-w-md w-full mx-auto p-6">
+      <div className="bg-white rounded-xl shadow-lg p-8">
+        <div className="text-center mb-8">
+          <div className="mx-auto h-12 w-12 bg-primary-100 rounded-full flex items-center justify-center mb-4">
+            <Icon className="h-6 w-6 text-primary-600" />
+          </div>
+          <h1 className="text-2xl font-bold text-neutral-900 mb-2">
+            {title}
+          </h1>
+          {subtitle && <p className="text-neutral-600">{subtitle}</p>}
+        </div>
+        {children}
+      </div>
+    </div>
+  </div>
+);
+
+export const VerifyEmailPage = () => {
+  const { user, refreshProfile } = useAuth();
+  const location = useLocation();
+  const token = new URLSearchParams(location.search).get('token');
+  const [status, setStatus] = React.useState(token ? 'verifying' : 'failed');
+  const [message, setMessage] = React.useState(token ? '' : 'This verification link is incomplete.');
+  // Tokens are single-use, so the request must not be repeated on re-render
+  const requested = React.useRef(false);
+
+  React.useEffect(() => {
+    if (!token || requested.current) {
+      return;
+    }
+    requested.current = true;
+
+    dataService.verifyEmail(token).then(result => {
+      setStatus(result.success ? 'verified' : 'failed');
+      setMessage(result.message);
+      if (result.success && user) {
+        refreshProfile();
+      }
+    });
+  }, [token, user, refreshProfile]);
+
+  return (
+    <AccountLinkCard icon={MailCheck} title="Email Verification">
+      {status === 'verifying' && (
+        <div className="flex items-center justify-center text-neutral-600">
+          <div className="animate-spin w-5 h-5 border-2 border-primary-600 border-t-transparent rounded-full mr-2"></div>
+          Confirming your email address...
+        </div>
+      )}
+
+      {status === 'verified' && (
+        <div className="p-4 bg-success-50 border border-success-200 rounded-lg flex items-start">
+          <CheckCircle className="h-5 w-5 text-success-600 mr-2 flex-shrink-0 mt-0.5" />
+          <p className="text-success-700 text-sm">{message}</p>
+        </div>
+      )}
+
+      {status === 'failed' && (
+        <div className="p-4 bg-error-50 border border-error-200 rounded-lg flex items-start">
+          <AlertTriangle className="h-5 w-5 text-error-600 mr-2 flex-shrink-0 mt-0.5" />
+          <p className="text-error-700 text-sm">
+            {message} {user
+              ? 'You can send a new link from your profile.'
+              : 'Sign in and send a new link from your profile.'}
+          </p>
+        </div>
+      )}
+
+      {status !== 'verifying' && (
+        <Link to={user ? '/profile' : '/login'} className="btn btn-primary w-full mt-6">
+          {user ? 'Go to Profile' : 'Sign In'}
+        </Link>
+      )}
+    </AccountLinkCard>
+  );
+};
+
+export const ForgotPasswordPage = () => {
+  const [email, setEmail] = React.useState('');
+  const [error, setError] = React.useState('');
+  const [sentMessage, setSentMessage] = React.useState('');
+  const [loading, setLoading] = React.useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('Email is invalid');
+      return;
+    }
+
+    setLoading(true);
+    const result = await dataService.requestPasswordReset(email);
+    setLoading(false);
+
+    if (result.success) {
+      setSentMessage(result.message);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <AccountLinkCard
+      icon={Mail}
+      title="Forgot Password"
+      subtitle="We'll email you a link to choose a new password"
+    >
+      {sentMessage ? (
+        <div className="p-4 bg-success-50 border border-success-200 rounded-lg flex items-start">
+          <CheckCircle className="h-5 w-5 text-success-600 mr-2 flex-shrink-0 mt-0.5" />
+          <p className="text-success-700 text-sm">{sentMessage}</p>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="form-label">Email</label>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => {
+                setEmail(e.target.value);
+                setError('');
+              }}
+              className={`input ${error ? 'border-error-500' : ''}`}
+              placeholder="The email address on your account"
+              disabled={loading}
+              required
+            />
+            {error && <p className="form-error">{error}</p>}
+          </div>
+
+          <button type="submit" className="btn btn-primary w-full" disabled={loading}>
+            {loading ? (
+              <>
+                <div className="animate-spin w-4 h-4 border-2 border-white border-t-transparent rounded-full mr-2"></div>
+                Sending...
+              </>
+            ) : (
+              'Send Reset Link'
+            )}
+          </button>
+        </form>
+      )}
+
+      <p className="text-center text-neutral-600 mt-4">
+        Remembered it?{' '}
+        <Link to="/login" className="text-primary-600 hover:text-primary-700 font-medium">
+          Sign in
+        </Link>
+      </p>
+    </AccountLinkCard>
+  );
+};
+
+export const ResetPasswordPage = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const token = new URLSearchParams(location.search).get('token');
+  const [formData, setFormData] = React.useState({ newPassword: '', confirmPassword: '' });
+  const [errors, setErrors] = React.useState({});
+  const [loading, setLoading] = React.useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    setErrors({});
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (formData.newPassword.length < 8) {
+      newErrors.newPassword = 'Password must be at least 8 characters';
+    } else if (!/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])/.test(formData.newPassword)) {
+      newErrors.newPassword = 'Password must include upper and lower case letters, a number and a special character';
+    }
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    setLoading(true);
+    const result = await dataService.resetPassword(token, formData);
+    setLoading(false);
+
+    if (result.success) {
+      toast.success(result.message);
+      navigate('/login');
+    } else {
+      setErrors({ general: result.message });
+    }
+  };
+
+  if (!token) {
+    return (
+      <AccountLinkCard icon={KeyRound} title="Reset Password">
+        <div className="p-4 bg-error-50 border border-error-200 rounded-lg flex items-start">
+          <AlertTriangle className="h-5 w-5 text-error-600 mr-2 flex-shrink-0 mt-0.5" />
+          <p className="text-error-700 text-sm">This reset link is incomplete.</p>
+        </div>
+        <Link to="/forgot-password" className="btn btn-primary w-full mt-6">
+          Request a New Link
+        </Link>
+      </AccountLinkCard>
+    );
+  }
+
+  return (
+    <AccountLinkCard
+      icon={KeyRound}
+      title="Reset Password"
+      subtitle="Choose a new password; every device will be signed out"
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="form-label">New Password</label>
+          <input
+            type="password"
+            name="newPassword"
+            value={formData.newPassword}
+            onChange={handleChange}
+            className={`input ${errors.newPassword ? 'border-error-500' : ''}`}
+            placeholder="At least 8 characters"
+            disabled={loading}
+          />
+          {errors.newPassword && <p className="form-error">{errors.newPassword}</p>}
+        </div>
+
+        <div>
+          <label className="form-label">Confirm New Password</label>
+          <input
+            type="password"
+            name="confirmPassword"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            className={`input ${errors.confirmPassword ? 'border-error-500' : ''}`}
+            placeholder="Repeat the new password"
+            disabled={loading}
+          />
+          {errors.confirmPassword && <p className="form-error">{errors.confirmPassword}</p>}
+        </div>
+
+        {errors.general && (
+          <div className="p-4 bg-error-50 border border-error-200 rounded-lg flex items-start">
+            <AlertTriangle className="h-5 w-5 text-error-600 mr-2 flex-shrink-0 mt-0.5" />
+            <p className="text-error-700 text-sm">
+              {errors.general}{' '}
+              <Link to="/forgot-password" className="font-medium underline">
+                Request a new link
+              </Link>
+            </p>
+          </div>
+        )}
+
+        <button type="submit" className="btn btn-primary w-full" disabled={loading}>
+          {loading ? (
+            <>
+              <div className="animate-spin w-4 h-4 border-2 border-white border-t-transparent rounded-full mr-2"></div>
+              Saving...
+            </>
+          ) : (
+            'Set New Password'
+          )}
+        </button>
+      </form>
+    </AccountLinkCard>
+  );
+};
+
+// Authenticator enrolment, recovery codes and switching two-factor off
+const TwoFactorSettings = () => {
+  const [status, setStatus] = React.useState(null);
+  // null, 'setup', 'regenerate' or 'disable'
+  const [action, setAction] = React.useState(null);
+  const [setup, setSetup] = React.useState(null);
+  const [code, setCode] = React.useState('');
+  const [password, setPassword] = React.useState('');
+  const [recoveryCodes, setRecoveryCodes] = React.useState(null);
+  const [working, setWorking] = React.useState(false);
+
+  const loadStatus = React.useCallback(async () => {
+    try {
+      setStatus(await dataService.getTwoFactorStatus());
+    } catch (error) {
+      toast.error('Failed to load two-factor status');
+    }
+  }, []);
+
+  React.useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const resetAction = () => {
+    setAction(null);
+    setSetup(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const handleStartSetup = async () => {
+    setWorking(true);
+    const result = await dataService.setupTwoFactor();
+    if (result.success) {
+      setSetup(result.setup);
+      setAction('setup');
+    } else {
+      toast.error(result.message);
+    }
+    setWorking(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+
+    let result;
+    if (action === 'setup') {
+      result = await dataService.enableTwoFactor(code);
+    } else if (action === 'regenerate') {
+      result = await dataService.regenerateRecoveryCodes(code);
+    } else {
+      result = await dataService.disableTwoFactor({ password, code });
+    }
+
+    if (result.success) {
+      toast.success(action === 'disable' ? 'Two-factor authentication disabled' : 'Two-factor authentication updated');
+      setRecoveryCodes(result.recoveryCodes || null);
+      resetAction();
+      await loadStatus();
+    } else {
+      toast.error(result.message);
+    }
+    setWorking(false);
+  };
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <div className="mt-8 pt-8 border-t border-neutral-200">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-neutral-900">
+          Two-Factor Authentication
+        </h3>
+        <div className="flex items-center space-x-2">
+          {status.required && (
+            <span className="badge badge-warning">Required for your role</span>
+          )}
+          <span className={`badge ${status.enabled ? 'badge-success' : 'badge-error'}`}>
+            {status.enabled ? 'On' : 'Off'}
+          </span>
+        </div>
+      </div>
+
+      {recoveryCodes && (
+        <div className="mb-4">
+          <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+        </div>
+      )}
+
+      {!action && (
+        <div className="flex flex-wrap items-center gap-4">
+          <p className="text-sm text-neutral-600 flex-1">
+            {status.enabled
+              ? `Sign-ins need a code from your authenticator app. ${status.recoveryCodesRemaining} recovery code${status.recoveryCodesRemaining === 1 ? '' : 's'} left.`
+              : 'Protect your account with a code from an authenticator app in addition to your password.'}
+          </p>
+          {status.enabled ? (
+            <>
+              <button type="button" onClick={() => setAction('regenerate')} className="btn btn-outline btn-sm">
+                New recovery codes
+              </button>
+              {!status.required && (
+                <button type="button" onClick={() => setAction('disable')} className="btn btn-outline btn-sm">
+                  Turn off
+                </button>
+              )}
+            </>
+          ) : (
+            <button type="button" onClick={handleStartSetup} className="btn btn-primary btn-sm" disabled={working}>
+              <ShieldCheck className="w-4 h-4 mr-2" />
+              Set up authenticator
+            </button>
+          )}
+        </div>
+      )}
+
+      {action && (
+        <form onSubmit={handleSubmit} className="space-y-4 max-w-md">
+          {action === 'setup' && setup && (
+            <div>
+              <p className="text-sm text-neutral-600 mb-2">
+                Scan this code with your authenticator app, then enter the 6-digit code it shows.
+              </p>
+              <img src={setup.qrCode} alt="Authenticator QR code" className="h-48 w-48" />
+              <p className="text-xs text-neutral-500 mt-2">
+                Can't scan? Enter this key: <span className="font-mono break-all">{setup.secret}</span>
+              </p>
+            </div>
+          )}
+          {action === 'disable' && (
+            <div>
+              <label className="form-label">Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="input"
+                required
+                disabled={working}
+              />
+            </div>
+          )}
+          <div>
+            <label className="form-label">Authentication Code</label>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value.trim())}
+              className="input font-mono tracking-widest"
+              placeholder="123456"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              required
+              disabled={working}
+            />
+          </div>
+          <div className="flex gap-2">
+            <button type="submit" className="btn btn-primary btn-sm" disabled={working}>
+              {action === 'setup' ? 'Turn on' : action === 'disable' ? 'Turn off' : 'Generate codes'}
+            </button>
+            <button type="button" onClick={resetAction} className="btn btn-outline btn-sm" disabled={working}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
 export const ProfilePage = () => {
   const { user, updateProfile } = useAuth();
   const [formData, setFormData] = React.useState({
@@ -376,6 +847,59 @@ export const ProfilePage = () => {
   });
   const [loading, setLoading] = React.useState(false);
   const [success, setSuccess] = React.useState(false);
+  const [sessions, setSessions] = React.useState([]);
+  const [sessionsLoading, setSessionsLoading] = React.useState(true);
+  const [revokingSession, setRevokingSession] = React.useState(null);
+  const [sendingVerification, setSendingVerification] = React.useState(false);
+
+  const loadSessions = React.useCallback(async () => {
+    try {
+      setSessions(await dataService.getSessions());
+    } catch (error) {
+      toast.error('Failed to load signed-in devices');
+    } finally {
+      setSessionsLoading(false);
+    }
+  }, []);
+
+  React.useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleResendVerification = async () => {
+    setSendingVerification(true);
+    const result = await dataService.resendVerificationEmail();
+    if (result.success) {
+      toast.success(result.message);
+    } else {
+      toast.error(result.message);
+    }
+    setSendingVerification(false);
+  };
+
+  const handleRevokeSession = async (sessionId) => {
+    setRevokingSession(sessionId);
+    const result = await dataService.revokeSession(sessionId);
+    if (result.success) {
+      toast.success('Device signed out');
+      await loadSessions();
+    } else {
+      toast.error(result.message);
+    }
+    setRevokingSession(null);
+  };
+
+  const handleRevokeOtherSessions = async () => {
+    setRevokingSession('others');
+    const result = await dataService.revokeOtherSessions();
+    if (result.success) {
+      toast.success(`Signed out of ${result.revoked} other device${result.revoked === 1 ? '' : 's'}`);
+      await loadSessions();
+    } else {
+      toast.error(result.message);
+    }
+    setRevokingSession(null);
+  };
 
   React.useEffect(() => {
     if (user) {
@@ -511,10 +1035,23 @@ export const ProfilePage = () => {
                         <span className={`badge ${user?.isActive ? 'badge-success' : 'badge-error'}`}>
                           {user?.isActive ? 'Active' : 'Inactive'}
                         </span>
-                        {user?.isVerified && (
+                        {user?.isVerified ? (
                           <span className="badge badge-primary">Verified</span>
+                        ) : (
+                          <span className="badge badge-warning">Email not verified</span>
                         )}
                       </div>
+                      {!user?.isVerified && (
+                        <button
+                          type="button"
+                          onClick={handleResendVerification}
+                          className="btn btn-ghost btn-sm mt-2"
+                          disabled={sendingVerification}
+                        >
+                          <Mail className="w-4 h-4 mr-2" />
+                          {sendingVerification ? 'Sending...' : 'Resend verification email'}
+                        </button>
+                      )}
                     </div>
                     <div>
                       <label className="form-label">Organization</label>
@@ -564,6 +1101,66 @@ export const ProfilePage = () => {
               </div>
             </form>
 
+            <TwoFactorSettings />
+
+            {/* Signed-in Devices */}
+            <div className="mt-8 pt-8 border-t border-neutral-200">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-neutral-900">
+                  Signed-in Devices
+                </h3>
+                {sessions.some(session => !session.isCurrent) && (
+                  <button
+                    type="button"
+                    onClick={handleRevokeOtherSessions}
+                    className="btn btn-outline btn-sm"
+                    disabled={revokingSession !== null}
+                  >
+                    <LogOut className="w-4 h-4 mr-2" />
+                    Sign out other devices
+                  </button>
+                )}
+              </div>
+              {sessionsLoading ? (
+                <div className="flex justify-center py-6">
+                  <div className="animate-spin w-6 h-6 border-2 border-primary-600 border-t-transparent rounded-full"></div>
+                </div>
+              ) : (
+                <div className="divide-y divide-neutral-200 border border-neutral-200 rounded-lg">
+                  {sessions.map(session => (
+                    <div key={session.id} className="flex items-center justify-between p-4">
+                      <div className="flex items-center">
+                        <Monitor className="h-5 w-5 text-neutral-500 mr-3" />
+                        <div>
+                          <div className="font-medium text-neutral-900">
+                            {session.device}
+                            {session.isCurrent && (
+                              <span className="badge badge-success ml-2">This device</span>
+                            )}
+                          </div>
+                          <div className="text-sm text-neutral-600">
+                            {session.ipAddress || 'Unknown IP'}
+                            {' · '}Signed in {new Date(session.createdAt).toLocaleDateString()}
+                            {' · '}Last active {new Date(session.lastUsedAt).toLocaleString()}
+                          </div>
+                        </div>
+                      </div>
+                      {!session.isCurrent && (
+                        <button
+                          type="button"
+                          onClick={() => handleRevokeSession(session.id)}
+                          className="btn btn-outline btn-sm"
+                          disabled={revokingSession !== null}
+                        >
+                          {revokingSession === session.id ? 'Signing out...' : 'Sign out'}
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
             {/* Account Stats */}
             <div className="mt-8 pt-8 border-t border-neutral-200">
               <h3 className="text-lg font-semibold text-neutral-900 mb-4">
@@ -672,6 +1269,8 @@ export const ReportsPage = () => {
       pending: { class: 'badge-warning', label: 'Pending' },
       investigating: { class: 'badge-primary', label: 'Investigating' },
       resolved: { class: 'badge-success', label: 'Resolved' },
+      verified: { class: 'badge-error', label: 'Confirmed Counterfeit' },
+      false_alarm: { class: 'badge-secondary', label: 'False Alarm' },
       rejected: { class: 'badge-error', label: 'Rejected' }
     };
     const config = statusConfig[status] || statusConfig.pending;
@@ -845,8 +1444,7 @@ export const ReportsPage = () => {
 export const CreateReportPage = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { user } = useAuth();
-  
+
   // Pre-fill data from navigation state (e.g., from scan page)
   const prefilledData = location.state || {};
   
@@ -923,25 +1521,9 @@ export const CreateReportPage = () => {
     setLoading(true);
 
     try {
-      // Convert files to base64 for demo storage
-      const fileData = await Promise.all(
-        files.map(file => {
-          return new Promise((resolve) => {
-            const reader = new FileReader();
-            reader.onloadend = () => resolve({
-              name: file.name,
-              type: file.type,
-              data: reader.result
-            });
-            reader.readAsDataURL(file);
-          });
-        })
-      );
-
       const result = await dataService.createReport({
         ...formData,
-        evidence: fileData,
-        reporterId: user?.id
+        evidence: files
       });
 
       if (result.success) {
@@ -1020,7 +1602,6 @@ export const CreateReportPage = () => {
                   <option value="tampered">Tampered</option>
                   <option value="expired_sold">Expired drug sold as new</option>
                   <option value="mislabeled">Mislabeled</option>
-                  <option value="substandard">Substandard Quality</option>
                   <option value="other">Other</option>
                 </select>
                 {errors.reportType && (
@@ -1167,6 +1748,13 @@ export const CreateReportPage = () => {
   );
 };
 
+const MATCH_CONFIDENCE_BADGES = {
+  high: 'badge-success',
+  medium: 'badge-primary',
+  low: 'badge-warning',
+  none: 'badge-secondary'
+};
+
 export const ReportDetailsPage = () => {
   const { reportId } = useParams();
   const navigate = useNavigate();
@@ -1180,12 +1768,13 @@ export const ReportDetailsPage = () => {
   const loadReport = async () => {
     setLoading(true);
     try {
-      const reports = await dataService.getReports();
-      const foundReport = reports.find(r => r.id.toString() === reportId);
+      const foundReport = await dataService.getReport(reportId);
       setReport(foundReport);
     } catch (error) {
       console.error('Error loading report:', error);
-      toast.error('Failed to load report details');
+      if (error.response?.status !== 404) {
+        toast.error('Failed to load report details');
+      }
     } finally {
       setLoading(false);
     }
@@ -1196,6 +1785,8 @@ export const ReportDetailsPage = () => {
       pending: { class: 'badge-warning', label: 'Pending Review' },
       investigating: { class: 'badge-primary', label: 'Under Investigation' },
       resolved: { class: 'badge-success', label: 'Resolved' },
+      verified: { class: 'badge-error', label: 'Confirmed Counterfeit' },
+      false_alarm: { class: 'badge-secondary', label: 'False Alarm' },
       rejected: { class: 'badge-error', label: 'Rejected' }
     };
     const config = statusConfig[status] || statusConfig.pending;
@@ -1345,6 +1936,103 @@ export const ReportDetailsPage = () => {
                 </div>
               )}
 
+              <div>
+                <h3 className="font-semibold text-neutral-900 mb-3 flex items-center">
+                  <Package className="h-5 w-5 mr-2 text-primary-600" />
+                  Catalogue Match
+                  <span className={`badge ${MATCH_CONFIDENCE_BADGES[report.match.confidence]} ml-3`}>
+                    {report.match.confidence === 'none' ? 'No match' : `${report.match.confidence} confidence`}
+                  </span>
+                </h3>
+                {(report.match.batchNumber || report.match.drugName || report.match.manufacturerName) && (
+                  <dl className="grid md:grid-cols-3 gap-4 mb-3">
+                    <div>
+                      <dt className="text-sm font-medium text-neutral-500">Batch</dt>
+                      <dd className="text-neutral-900 font-medium">{report.match.batchNumber || 'Not identified'}</dd>
+                    </div>
+                    <div>
+                      <dt className="text-sm font-medium text-neutral-500">Drug</dt>
+                      <dd className="text-neutral-900 font-medium">{report.match.drugName || 'Not identified'}</dd>
+                    </div>
+                    <div>
+                      <dt className="text-sm font-medium text-neutral-500">Manufacturer</dt>
+                      <dd className="text-neutral-900 font-medium">{report.match.manufacturerName || 'Not identified'}</dd>
+                    </div>
+                  </dl>
+                )}
+                <ul className="text-sm text-neutral-600 list-disc list-inside space-y-1">
+                  {report.match.details.map((detail, index) => (
+                    <li key={index}>{detail}</li>
+                  ))}
+                </ul>
+              </div>
+
+              {report.relatedReports.length > 0 && (
+                <div>
+                  <h3 className="font-semibold text-neutral-900 mb-3">
+                    Related Reports ({report.relatedReports.length})
+                  </h3>
+                  <div className="divide-y divide-neutral-200 border border-neutral-200 rounded-lg">
+                    {report.relatedReports.map(related => (
+                      <Link
+                        key={related.id}
+                        to={`/reports/${related.id}`}
+                        className="flex justify-between items-center p-3 hover:bg-neutral-50"
+                      >
+                        <div>
+                          <p className="font-medium text-neutral-900">
+                            Report #{related.id}: {related.drugName}
+                          </p>
+                          <p className="text-sm text-neutral-500">
+                            {related.batchNumber || 'No batch number'}
+                            {related.locationFound && ` · ${related.locationFound}`}
+                            {' · '}{new Date(related.createdAt).toLocaleDateString()}
+                          </p>
+                        </div>
+                        {getStatusBadge(related.status)}
+                      </Link>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {report.relatedScans.length > 0 && (
+                <div>
+                  <h3 className="font-semibold text-neutral-900 mb-3 flex items-center">
+                    <Search className="h-5 w-5 mr-2 text-primary-600" />
+                    Reporter Scans ({report.relatedScans.length})
+                  </h3>
+                  <div className="overflow-x-auto">
+                    <table className="w-full">
+                      <thead className="bg-neutral-50">
+                        <tr>
+                          <th className="px-4 py-2 text-left text-sm font-semibold text-neutral-900">Scanned</th>
+                          <th className="px-4 py-2 text-left text-sm font-semibold text-neutral-900">Report</th>
+                          <th className="px-4 py-2 text-left text-sm font-semibold text-neutral-900">Batch / Serial</th>
+                          <th className="px-4 py-2 text-left text-sm font-semibold text-neutral-900">Result</th>
+                          <th className="px-4 py-2 text-left text-sm font-semibold text-neutral-900">Score</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-neutral-200">
+                        {report.relatedScans.map(scan => (
+                          <tr key={`${scan.reportId}-${scan.id}`}>
+                            <td className="px-4 py-2 text-sm text-neutral-700">{new Date(scan.scannedAt).toLocaleString()}</td>
+                            <td className="px-4 py-2 text-sm text-neutral-700">#{scan.reportId}</td>
+                            <td className="px-4 py-2 text-sm text-neutral-700">
+                              {scan.batchNumber || 'Unknown'}{scan.serialNumber && ` / ${scan.serialNumber}`}
+                            </td>
+                            <td className="px-4 py-2 text-sm capitalize">{scan.result}</td>
+                            <td className="px-4 py-2 text-sm text-neutral-700">
+                              {scan.authenticityScore !== null ? scan.authenticityScore : '-'}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
               {report.evidence && report.evidence.length > 0 && (
                 <div>
                   <h3 className="font-semibold text-neutral-900 mb-3">Evidence Photos</h3>
@@ -1384,40 +2072,76 @@ export const ReportDetailsPage = () => {
   );
 };
 
+const SHIPMENT_STATUS_LABELS = {
+  dispatched: 'Awaiting receipt',
+  in_transit: 'In transit',
+  rejected: 'Rejected on receipt'
+};
+
 // Supply Chain Page
 export const SupplyChainPage = () => {
   const [searchQuery, setSearchQuery] = React.useState('');
   const [selectedDrug, setSelectedDrug] = React.useState(null);
   const [loading, setLoading] = React.useState(false);
   const [drugs, setDrugs] = React.useState([]);
+  const [networkStats, setNetworkStats] = React.useState(null);
 
   React.useEffect(() => {
     loadDrugs();
+    loadNetworkStats();
   }, []);
 
   const loadDrugs = async () => {
     try {
-      const drugsList = await dataService.getAllDrugs();
+      const drugsList = await dataService.getTrackedBatches();
       setDrugs(drugsList);
     } catch (error) {
       console.error('Error loading drugs:', error);
     }
   };
 
+  const loadNetworkStats = async () => {
+    try {
+      setNetworkStats(await dataService.getSupplyChainStats());
+    } catch (error) {
+      // Network statistics are limited to admins and pharmacists
+      setNetworkStats(null);
+    }
+  };
+
+  const selectBatch = async (batch) => {
+    setSearchQuery(batch.batchNumber);
+    setLoading(true);
+    try {
+      setSelectedDrug(await dataService.trackBatch(batch.id));
+    } catch (error) {
+      console.error('Error tracking drug:', error);
+      toast.error('Failed to track drug');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleSearch = async (e) => {
     e.preventDefault();
-    if (!searchQuery.trim()) {
+    const query = searchQuery.trim();
+    if (!query) {
       toast.error('Please enter a batch number or QR code');
       return;
     }
 
+    const trackedBatch = drugs.find(drug => drug.batchNumber?.toLowerCase() === query.toLowerCase());
+    if (trackedBatch) {
+      await selectBatch(trackedBatch);
+      return;
+    }
+
     setLoading(true);
     try {
-      const result = await dataService.verifyDrug({
-        batchNumber: searchQuery,
-        qrCode: searchQuery,
-        barcode: searchQuery
-      });
+      // QR payloads are JSON; anything else is treated as a barcode
+      const result = await dataService.verifyDrug(
+        query.startsWith('{') ? { qrCode: query } : { barcode: query }
+      );
 
       if (result.drug) {
         setSelectedDrug(result.drug);
@@ -1433,6 +2157,10 @@ export const SupplyChainPage = () => {
     }
   };
 
+  const totalTransactions = drugs.reduce((sum, drug) => sum + drug.supplyChain.length, 0);
+  const knownEntities = new Set(drugs.flatMap(drug => drug.supplyChain.map(entry => entry.entity)));
+  const latestHash = selectedDrug?.supplyChain?.[selectedDrug.supplyChain.length - 1]?.transactionHash;
+
   const getEntityIcon = (type) => {
     switch (type) {
       case 'manufacturer':
@@ -1483,24 +2211,28 @@ export const SupplyChainPage = () => {
             </h3>
             <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
               <div className="text-center bg-white rounded-lg p-4">
-                <div className="text-3xl font-bold text-blue-600">{drugs.length * 150}</div>
+                <div className="text-3xl font-bold text-blue-600">
+                  {networkStats?.total_blocks ?? totalTransactions}
+                </div>
                 <div className="text-sm text-neutral-600">Total Blocks</div>
               </div>
               <div className="text-center bg-white rounded-lg p-4">
-                <div className="text-3xl font-bold text-green-600">{drugs.length}</div>
+                <div className="text-3xl font-bold text-green-600">
+                  {networkStats?.unique_batches ?? drugs.length}
+                </div>
                 <div className="text-sm text-neutral-600">Unique Batches</div>
               </div>
               <div className="text-center bg-white rounded-lg p-4">
                 <div className="text-3xl font-bold text-purple-600">
-                  {Math.floor(drugs.length * 1.5)}
+                  {networkStats?.active_entities ?? knownEntities.size}
                 </div>
                 <div className="text-sm text-neutral-600">Active Entities</div>
               </div>
               <div className="text-center bg-white rounded-lg p-4">
                 <div className="text-3xl font-bold text-orange-600">
-                  {Math.floor(drugs.length * 3.2)}
+                  {networkStats?.total_quantity_transferred ?? 0}
                 </div>
-                <div className="text-sm text-neutral-600">Transactions</div>
+                <div className="text-sm text-neutral-600">Units Transferred</div>
               </div>
             </div>
           </div>
@@ -1543,10 +2275,7 @@ export const SupplyChainPage = () => {
               {drugs.slice(0, 3).map(drug => (
                 <button
                   key={drug.id}
-                  onClick={() => {
-                    setSearchQuery(drug.batchNumber);
-                    setSelectedDrug(drug);
-                  }}
+                  onClick={() => selectBatch(drug)}
                   className="text-sm text-primary-600 hover:text-primary-700 underline"
                 >
                   {drug.batchNumber}
@@ -1607,31 +2336,49 @@ export const SupplyChainPage = () => {
                         </span>
                       </div>
                       <div className="flex items-center gap-2 text-sm">
-                        <CheckCircle className="h-4 w-4 text-success-600" />
-                        <span className="text-success-700">Verified on Blockchain</span>
+                        {entry.verified ? (
+                          <>
+                            <CheckCircle className="h-4 w-4 text-success-600" />
+                            <span className="text-success-700">Verified on Blockchain</span>
+                          </>
+                        ) : (
+                          <>
+                            <AlertTriangle className="h-4 w-4 text-warning-600" />
+                            <span className="text-warning-700">Pending verification</span>
+                          </>
+                        )}
+                        {entry.shipmentStatus && entry.shipmentStatus !== 'received' && (
+                          <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${
+                            entry.shipmentStatus === 'rejected' ? 'bg-error-100 text-error-700' : 'bg-warning-100 text-warning-700'
+                          }`}>
+                            {SHIPMENT_STATUS_LABELS[entry.shipmentStatus] || entry.shipmentStatus}
+                          </span>
+                        )}
                       </div>
                     </div>
                   </div>
                 ))}
               </div>
 
-              {/* Blockchain Hash (simulated) */}
-              <div className="mt-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
-                <div className="flex items-start">
-                  <Shield className="h-5 w-5 text-blue-600 mr-2 flex-shrink-0 mt-0.5" />
-                  <div>
-                    <p className="text-sm font-medium text-blue-900 mb-1">
-                      Blockchain Verification
-                    </p>
-                    <p className="text-xs text-blue-700 font-mono break-all">
-                      Hash: 0x{selectedDrug.id}a3b2c1d4e5f6g7h8i9j0k1l2m3n4o5p6q7r8s9t0
-                    </p>
-                    <p className="text-xs text-blue-600 mt-1">
-                      Last verified: {new Date().toLocaleString()}
-                    </p>
+              {/* Latest block hash */}
+              {latestHash && (
+                <div className="mt-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+                  <div className="flex items-start">
+                    <Shield className="h-5 w-5 text-blue-600 mr-2 flex-shrink-0 mt-0.5" />
+                    <div>
+                      <p className="text-sm font-medium text-blue-900 mb-1">
+                        Blockchain Verification
+                      </p>
+                      <p className="text-xs text-blue-700 font-mono break-all">
+                        Hash: 0x{latestHash}
+                      </p>
+                      <p className="text-xs text-blue-600 mt-1">
+                        Last verified: {new Date().toLocaleString()}
+                      </p>
+                    </div>
                   </div>
                 </div>
-              </div>
+              )}
             </div>
           )}
 
@@ -1646,10 +2393,7 @@ export const SupplyChainPage = () => {
                   <div
                     key={drug.id}
                     className="border border-neutral-200 rounded-lg p-4 hover:shadow-md transition cursor-pointer"
-                    onClick={() => {
-                      setSearchQuery(drug.batchNumber);
-                      setSelectedDrug(drug);
-                    }}
+                    onClick={() => selectBatch(drug)}
                   >
                     <h4 className="font-semibold text-neutral-900 mb-2">{drug.name}</h4>
                     <div className="space-y-1 text-sm text-neutral-600">
@@ -1689,16 +2433,16 @@ export const AdminDashboard = () => {
   const loadDashboardData = async () => {
     setLoading(true);
     try {
-      const statsData = dataService.getStats();
-      setStats(statsData);
+      const [statsData, usersData, drugsData, reportsData] = await Promise.all([
+        dataService.getStats(),
+        dataService.getAllUsers(),
+        dataService.getAllDrugs(),
+        dataService.getReports()
+      ]);
 
-      const usersData = await dataService.getAllUsers();
+      setStats(statsData);
       setUsers(usersData);
-
-      const drugsData = await dataService.getAllDrugs();
       setDrugs(drugsData);
-
-      const reportsData = await dataService.getReports();
       setReports(reportsData);
     } catch (error) {
       console.error('Error loading dashboard data:', error);
@@ -1821,14 +2565,22 @@ export const AdminDashboard = () => {
                     <CheckCircle className="h-5 w-5 text-success-500 mr-2" />
                     <span className="text-neutral-900">Database</span>
                   </div>
-                  <span className="badge badge-success">Online</span>
+                  {stats?.systemHealth?.database?.status === 'healthy' ? (
+                    <span className="badge badge-success">Online</span>
+                  ) : (
+                    <span className="badge badge-error">Degraded</span>
+                  )}
                 </div>
                 <div className="flex items-center justify-between">
                   <div className="flex items-center">
                     <CheckCircle className="h-5 w-5 text-success-500 mr-2" />
                     <span className="text-neutral-900">Blockchain</span>
                   </div>
-                  <span className="badge badge-success">Synced</span>
+                  {stats?.blockchain?.chain_integrity?.isValid ? (
+                    <span className="badge badge-success">Synced</span>
+                  ) : (
+                    <span className="badge badge-error">Integrity Issue</span>
+                  )}
                 </div>
                 <div className="flex items-center justify-between">
                   <div className="flex items-center">
@@ -1905,6 +2657,7 @@ export const AdminDashboard = () => {
 export const UserManagement = () => {
   const [users, setUsers] = React.useState([]);
   const [loading, setLoading] = React.useState(true);
+  const [unlocking, setUnlocking] = React.useState(null);
 
   React.useEffect(() => {
     loadUsers();
@@ -1922,6 +2675,18 @@ export const UserManagement = () => {
     }
   };
 
+  const handleUnlock = async (user) => {
+    setUnlocking(user.id);
+    const result = await dataService.unlockUser(user.id);
+    if (result.success) {
+      toast.success(result.message);
+      await loadUsers();
+    } else {
+      toast.error(result.message);
+    }
+    setUnlocking(null);
+  };
+
   const getRoleBadge = (role) => {
     const roleConfig = {
       admin: 'badge-error',
@@ -1981,11 +2746,32 @@ export const UserManagement = () => {
                           <span className={`badge ${user.isActive ? 'badge-success' : 'badge-error'}`}>
                             {user.isActive ? 'Active' : 'Inactive'}
                           </span>
+                          {user.lockedUntil ? (
+                            <span
+                              className="badge badge-error ml-2"
+                              title={`Locked until ${new Date(user.lockedUntil).toLocaleString()}`}
+                            >
+                              Locked
+                            </span>
+                          ) : user.failedLoginAttempts > 0 && (
+                            <div className="text-xs text-warning-600 mt-1">
+                              {user.failedLoginAttempts} failed sign-in{user.failedLoginAttempts === 1 ? '' : 's'}
+                            </div>
+                          )}
                         </td>
                         <td className="px-4 py-3">
                           <button className="text-primary-600 hover:text-primary-700 text-sm">
                             Edit
                           </button>
+                          {user.failedLoginAttempts > 0 && (
+                            <button
+                              onClick={() => handleUnlock(user)}
+                              className="text-primary-600 hover:text-primary-700 text-sm ml-3"
+                              disabled={unlocking === user.id}
+                            >
+                              {unlocking === user.id ? 'Unlocking...' : 'Unlock'}
+                            </button>
+                          )}
                         </td>
                       </tr>
                     ))}
@@ -2049,22 +2835,26 @@ export const DrugManagement = () => {
                         <h3 className="font-semibold text-neutral-900">{drug.name}</h3>
                         <p className="text-sm text-neutral-600">{drug.manufacturer}</p>
                       </div>
-                      <span className={`badge ${new Date(drug.expiryDate) > new Date() ? 'badge-success' : 'badge-error'}`}>
-                        {new Date(drug.expiryDate) > new Date() ? 'Active' : 'Expired'}
+                      <span className={`badge ${drug.isActive ? 'badge-success' : 'badge-error'}`}>
+                        {drug.isActive ? 'Active' : 'Inactive'}
                       </span>
                     </div>
                     <div className="space-y-2 text-sm text-neutral-600">
-                      <div className="flex justify-between">
-                        <span>Batch:</span>
-                        <span className="font-medium">{drug.batchNumber}</span>
-                      </div>
                       <div className="flex justify-between">
                         <span>Code:</span>
                         <span className="font-medium">{drug.drugCode}</span>
                       </div>
                       <div className="flex justify-between">
-                        <span>Expiry:</span>
-                        <span className="font-medium">{new Date(drug.expiryDate).toLocaleDateString()}</span>
+                        <span>GTIN:</span>
+                        <span className="font-medium font-mono">{drug.gtin || 'N/A'}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span>Strength:</span>
+                        <span className="font-medium">{drug.strength || 'N/A'}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span>Batches:</span>
+                        <span className="font-medium">{drug.batchCount}</span>
                       </div>
                     </div>
                     <div className="mt-4 flex gap-2">
@@ -2088,19 +2878,19 @@ export const DrugManagement = () => {
 };
 
 export const BatchManagement = () => {
-  const [drugs, setDrugs] = React.useState([]);
+  const [batches, setBatches] = React.useState([]);
   const [loading, setLoading] = React.useState(true);
 
   React.useEffect(() => {
-    loadDrugs();
+    loadBatches();
   }, []);
 
-  const loadDrugs = async () => {
+  const loadBatches = async () => {
     try {
-      const drugsData = await dataService.getAllDrugs();
-      setDrugs(drugsData);
+      const batchesData = await dataService.getAllBatches();
+      setBatches(batchesData);
     } catch (error) {
-      console.error('Error loading drugs:', error);
+      console.error('Error loading batches:', error);
     } finally {
       setLoading(false);
     }
@@ -2123,7 +2913,7 @@ export const BatchManagement = () => {
                 View and manage drug batches with QR code generation
               </p>
               <p className="text-sm text-neutral-500">
-                Total Batches: {drugs.length}
+                Total Batches: {loading ? '...' : batches.length}
               </p>
             </div>
           </div>
@@ -2133,6 +2923,264 @@ export const BatchManagement = () => {
   );
 };
 
+// Human readable form of a scoring rule condition
+const formatRuleCondition = (condition) => {
+  if (condition.all) {
+    return condition.all.map(formatRuleCondition).join(' AND ');
+  }
+  if (condition.any) {
+    return `(${condition.any.map(formatRuleCondition).join(' OR ')})`;
+  }
+  return `${condition.fact} ${condition.op} ${JSON.stringify(condition.value)}`;
+};
+
+const ScoringRulesSettings = () => {
+  const [ruleSet, setRuleSet] = React.useState(null);
+  const [rules, setRules] = React.useState([]);
+  const [thresholds, setThresholds] = React.useState({ counterfeit_below: 30, suspicious_below: 70 });
+  const [versions, setVersions] = React.useState([]);
+  const [results, setResults] = React.useState([]);
+  const [changeNote, setChangeNote] = React.useState('');
+  const [jsonText, setJsonText] = React.useState('');
+  const [showJson, setShowJson] = React.useState(false);
+  const [loading, setLoading] = React.useState(true);
+  const [saving, setSaving] = React.useState(false);
+
+  const applyRuleSet = (loaded) => {
+    setRuleSet(loaded);
+    setRules(loaded.rules);
+    setThresholds(loaded.thresholds);
+    setJsonText(JSON.stringify({ thresholds: loaded.thresholds, rules: loaded.rules }, null, 2));
+  };
+
+  const loadRules = async () => {
+    try {
+      const data = await dataService.getScoringRules();
+      applyRuleSet(data.ruleSet);
+      setVersions(data.versions);
+      setResults(data.results);
+    } catch (error) {
+      console.error('Error loading scoring rules:', error);
+      toast.error('Failed to load scoring rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  React.useEffect(() => {
+    loadRules();
+  }, []);
+
+  const updateRule = (index, changes) => {
+    setRules(current => current.map((rule, i) => {
+      if (i !== index) {
+        return rule;
+      }
+      const updated = { ...rule, ...changes };
+      if (!updated.result) {
+        delete updated.result;
+      }
+      return updated;
+    }));
+  };
+
+  const handleApplyJson = () => {
+    try {
+      const parsed = JSON.parse(jsonText);
+      setRules(parsed.rules);
+      setThresholds(parsed.thresholds);
+      toast.success('JSON applied - save to create a new version');
+    } catch (error) {
+      toast.error('Rule set JSON is not valid');
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const result = await dataService.saveScoringRules({ rules, thresholds, changeNote: changeNote || undefined });
+    setSaving(false);
+
+    if (result.success) {
+      toast.success(`Scoring rules saved as version ${result.ruleSet.version}`);
+      setChangeNote('');
+      loadRules();
+    } else {
+      toast.error(result.message);
+    }
+  };
+
+  const handleActivate = async (version) => {
+    const result = await dataService.activateScoringRuleVersion(version);
+
+    if (result.success) {
+      toast.success(`Version ${version} is now active`);
+      loadRules();
+    } else {
+      toast.error(result.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-soft p-6 text-center">
+        <div className="animate-spin w-8 h-8 border-2 border-primary-600 border-t-transparent rounded-full mx-auto"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-soft p-6">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-neutral-900">Authenticity Scoring Rules</h3>
+          <p className="text-sm text-neutral-600">
+            Every verification starts at 100 and loses each matching rule's penalty. Saving creates a new version.
+          </p>
+        </div>
+        {ruleSet && <span className="badge badge-primary">Version {ruleSet.version}</span>}
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4 mb-6">
+        <div>
+          <label className="form-label">Counterfeit below score</label>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            className="input"
+            value={thresholds.counterfeit_below}
+            onChange={(e) => setThresholds({ ...thresholds, counterfeit_below: Number(e.target.value) })}
+          />
+        </div>
+        <div>
+          <label className="form-label">Suspicious below score</label>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            className="input"
+            value={thresholds.suspicious_below}
+            onChange={(e) => setThresholds({ ...thresholds, suspicious_below: Number(e.target.value) })}
+          />
+        </div>
+      </div>
+
+      <div className="space-y-3 mb-6">
+        {rules.map((rule, index) => (
+          <div key={rule.id} className={`border border-neutral-200 rounded-lg p-4 ${rule.enabled === false ? 'opacity-60' : ''}`}>
+            <div className="flex justify-between items-start mb-3">
+              <div>
+                <div className="font-medium text-neutral-900 font-mono text-sm">{rule.id}</div>
+                <div className="text-xs text-neutral-500 font-mono">When {formatRuleCondition(rule.when)}</div>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-neutral-700">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled !== false}
+                  onChange={(e) => updateRule(index, { enabled: e.target.checked })}
+                />
+                Enabled
+              </label>
+            </div>
+            <div className="grid md:grid-cols-4 gap-3">
+              <div>
+                <label className="form-label">Penalty{rule.penalty_per ? ` × ${rule.penalty_per}` : ''}</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  className="input"
+                  value={rule.penalty}
+                  onChange={(e) => updateRule(index, { penalty: Number(e.target.value) })}
+                />
+              </div>
+              <div>
+                <label className="form-label">Forces result</label>
+                <select
+                  className="input"
+                  value={rule.result || ''}
+                  onChange={(e) => updateRule(index, { result: e.target.value })}
+                >
+                  <option value="">None</option>
+                  {results.map(result => (
+                    <option key={result} value={result}>{result}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="md:col-span-2">
+                <label className="form-label">Explanation</label>
+                <input
+                  type="text"
+                  className="input"
+                  value={rule.explanation}
+                  onChange={(e) => updateRule(index, { explanation: e.target.value })}
+                />
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="mb-6">
+        <button type="button" className="btn btn-sm btn-outline" onClick={() => setShowJson(!showJson)}>
+          {showJson ? 'Hide' : 'Edit'} rule set JSON
+        </button>
+        {showJson && (
+          <div className="mt-3">
+            <textarea
+              className="input font-mono text-xs"
+              rows={16}
+              value={jsonText}
+              onChange={(e) => setJsonText(e.target.value)}
+            />
+            <button type="button" className="btn btn-sm btn-outline mt-2" onClick={handleApplyJson}>
+              Apply JSON
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="flex gap-4 items-end mb-6">
+        <div className="flex-1">
+          <label className="form-label">Change note</label>
+          <input
+            type="text"
+            className="input"
+            placeholder="Why are these rules changing?"
+            value={changeNote}
+            onChange={(e) => setChangeNote(e.target.value)}
+          />
+        </div>
+        <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save as New Version'}
+        </button>
+      </div>
+
+      <h4 className="font-medium text-neutral-900 mb-2">Version History</h4>
+      <div className="divide-y divide-neutral-200 border border-neutral-200 rounded-lg">
+        {versions.map(version => (
+          <div key={version.version} className="flex justify-between items-center p-3 text-sm">
+            <div>
+              <span className="font-medium">Version {version.version}</span>
+              <span className="text-neutral-500 ml-2">
+                {new Date(version.created_at).toLocaleString()}{version.created_by ? ` by ${version.created_by}` : ''}
+              </span>
+              {version.change_note && <div className="text-neutral-600">{version.change_note}</div>}
+            </div>
+            {version.is_active ? (
+              <span className="badge badge-success">Active</span>
+            ) : (
+              <button className="btn btn-sm btn-outline" onClick={() => handleActivate(version.version)}>
+                Activate
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
 export const SystemSettings = () => {
   return (
     <div className="min-h-screen bg-neutral-50 pt-4">
@@ -2186,6 +3234,8 @@ export const SystemSettings = () => {
               </div>
             </div>
 
+            <ScoringRulesSettings />
+
             <div className="flex gap-4">
               <button className="btn btn-primary">Save Changes</button>
               <button className="btn btn-outline">Reset to Defaults</button>
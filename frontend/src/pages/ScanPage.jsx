@@ -6,7 +6,8 @@ import toast from 'react-hot-toast';
 import jsQR from 'jsqr';
 import { BrowserMultiFormatReader, NotFoundException } from '@zxing/library';
 import CameraScanner from '../components/scanning/CameraScanner';
-import drugApiService from '../services/drugApiService';
+import dataService from '../services/dataService';
+import { isGS1ElementString, parseGS1, formatGS1 } from '../utils/gs1';
 
 const ScanPage = () => {
   const navigate = useNavigate();
@@ -20,7 +21,17 @@ const ScanPage = () => {
 
   // Handle successful scan - uses YOUR actual QR code data
   const handleScanSuccess = useCallback(async (result) => {
-    setScanResult(result);
+    // GS1 DataMatrix / GS1-128 / GS1 QR codes carry GTIN, expiry, lot and serial
+    let gs1 = null;
+    if (isGS1ElementString(result.data)) {
+      try {
+        gs1 = parseGS1(result.data);
+      } catch (error) {
+        toast.error(`Unreadable GS1 code: ${error.message}`);
+      }
+    }
+
+    setScanResult({ ...result, gs1 });
     setIsVerifying(true);
 
     try {
@@ -28,14 +39,17 @@ const ScanPage = () => {
       
       // Verify against real database using YOUR QR code data
       const searchData = {};
-      if (result.type === 'qr') {
+      if (gs1) {
+        // Send the parenthesised form so separators survive the trip to the API
+        searchData.barcode = formatGS1(gs1);
+      } else if (result.type === 'qr') {
         searchData.qrCode = result.data; // YOUR actual QR code content
       } else if (result.type === 'barcode') {
         searchData.barcode = result.data;
       }
 
-      // Check database for YOUR scanned code (now using real API)
-      const dbResult = await drugApiService.verifyDrug(searchData);
+      // Check the backend verification API for YOUR scanned code
+      const dbResult = await dataService.verifyDrug(searchData);
       
       console.log('📦 Database result:', dbResult);
       console.log('🔍 Result status:', dbResult.result);
@@ -55,7 +69,9 @@ const ScanPage = () => {
         supplyChain: dbResult.supplyChain || [],
         authenticity_score: dbResult.authenticity_score || 0,
         risk_factors: dbResult.risk_factors || [],
-        error: dbResult.result === 'not_found' ? `Drug with code "${result.data}" not found in database. This may be counterfeit.` : null
+        error: dbResult.result === 'not_found'
+          ? `Drug with code "${result.data}" not found in database. This may be counterfeit.`
+          : dbResult.result === 'error' ? dbResult.message : null
       };
 
       console.log('🎯 Verification result:', verification);
@@ -223,7 +239,7 @@ const ScanPage = () => {
               console.log('  - Check lighting and focus');
               console.log('  - For manual entry, use the Verify page');
               
-              toast.error('Could not read any code from image. Please try:\n• A clearer, better-lit image\n• Manual entry on Verify page\n• Test codes: QR001PARA500BATCH001 or barcode: 123456789012');
+              toast.error('Could not read any code from image. Please try:\n• A clearer, better-lit image\n• Manual entry on Verify page\n• Test GS1 code: (01)00300123450011(17)260115(10)LOT001');
               setUploadedImage(null);
               setIsVerifying(false);
             }
@@ -258,7 +274,7 @@ const ScanPage = () => {
     navigate('/reports/create', {
       state: {
         drugName: verificationResult?.drug?.name || 'Unknown Drug',
-        batchNumber: verificationResult?.drug?.batchNumber || scanResult?.data || 'Unknown',
+        batchNumber: verificationResult?.drug?.batchNumber || scanResult?.gs1?.lot || scanResult?.data || 'Unknown',
         drugCode: scanResult?.data || '',
         reportType: 'counterfeit',
         description: `Suspicious drug detected via scanning. Drug: ${verificationResult?.drug?.name || 'Unknown'}, Batch: ${verificationResult?.drug?.batchNumber || 'Unknown'}`
@@ -469,6 +485,18 @@ const ScanPage = () => {
                       <p className="text-blue-800 font-mono text-sm break-all">
                         {scanResult.data}
                       </p>
+                      {scanResult.gs1 && (
+                        <dl className="mt-3 grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+                          {scanResult.gs1.elements.map(element => (
+                            <React.Fragment key={element.ai}>
+                              <dt className="text-blue-700">({element.ai}) {element.label}</dt>
+                              <dd className="font-mono text-blue-900">
+                                {scanResult.gs1[element.name] || element.value}
+                              </dd>
+                            </React.Fragment>
+                          ))}
+                        </dl>
+                      )}
                       <p className="text-xs text-blue-600 mt-1">
                         ↑ This is YOUR actual uploaded code data
                       </p>
@@ -9,6 +9,7 @@ const VerificationPage = () => {
     drugName: '',
     batchNumber: '',
     drugCode: '',
+    serialNumber: '',
     qrCode: '',
     barcode: ''
   });
@@ -36,6 +37,9 @@ const VerificationPage = () => {
           searchData.batchNumber = formData.batchNumber;
           searchData.drugCode = formData.drugCode;
         }
+        if (formData.serialNumber) {
+          searchData.serialNumber = formData.serialNumber;
+        }
       } else if (activeTab === 'qr') {
         searchData.qrCode = formData.qrCode;
       } else if (activeTab === 'barcode') {
@@ -60,6 +64,7 @@ const VerificationPage = () => {
       drugName: '',
       batchNumber: '',
       drugCode: '',
+      serialNumber: '',
       qrCode: '',
       barcode: ''
     });
@@ -197,6 +202,17 @@ const VerificationPage = () => {
                         required
                       />
                     </div>
+                    <div>
+                      <label className="form-label">Serial Number (Optional)</label>
+                      <input
+                        type="text"
+                        name="serialNumber"
+                        value={formData.serialNumber}
+                        onChange={handleChange}
+                        className="input"
+                        placeholder="Pack serial number printed under the code"
+                      />
+                    </div>
                     <div>
                       <label className="form-label">Drug Name (Optional)</label>
                       <input
@@ -238,11 +254,11 @@ const VerificationPage = () => {
                       value={formData.barcode}
                       onChange={handleChange}
                       className="input"
-                      placeholder="Enter barcode (e.g., 123456789012)"
+                      placeholder="Enter barcode or GS1 code, e.g. (01)00300123450011(10)LOT001"
                       required
                     />
                     <p className="text-sm text-neutral-500 mt-1">
-                      Try: 123456789012 or 234567890123
+                      Try: (01)00300123450011(17)260115(10)LOT001
                     </p>
                   </div>
                 )}
@@ -283,8 +299,8 @@ const VerificationPage = () => {
                 <div className="text-xs text-blue-800 space-y-1">
                   <p><strong>Batch:</strong> BATCH001, Code: PARA500</p>
                   <p><strong>Batch:</strong> BATCH002, Code: AMOX250</p>
-                  <p><strong>QR:</strong> QR001PARA500BATCH001</p>
-                  <p><strong>Barcode:</strong> 123456789012</p>
+                  <p><strong>Batch:</strong> BATCH003, Code: LISI10</p>
+                  <p><strong>GS1:</strong> (01)00300123450011(17)260115(10)LOT001</p>
                 </div>
               </div>
             </div>
@@ -334,6 +350,15 @@ const VerificationPage = () => {
                           <span className="text-neutral-600">Batch Number:</span>
                           <span className="font-medium">{verificationResult.drug.batchNumber}</span>
                         </div>
+                        {verificationResult.serial && (
+                          <div className="flex justify-between">
+                            <span className="text-neutral-600">Serial Number:</span>
+                            <span className="font-medium">
+                              {verificationResult.serial.serialNumber}{' '}
+                              <span className="text-sm text-neutral-500">({verificationResult.serial.status})</span>
+                            </span>
+                          </div>
+                        )}
                         <div className="flex justify-between">
                           <span className="text-neutral-600">Manufacturer:</span>
                           <span className="font-medium">{verificationResult.drug.manufacturer}</span>
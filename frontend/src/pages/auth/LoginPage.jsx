@@ -1,8 +1,174 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { Link, useNavigate } from "react-router-dom";
-import { Shield, Eye, EyeOff, AlertCircle } from "lucide-react";
+import { Shield, Eye, EyeOff, AlertCircle, Smartphone } from "lucide-react";
 import { useAuth } from "../../contexts/AuthContext";
+import dataService from "../../services/dataService";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
+import RecoveryCodes from "../../components/auth/RecoveryCodes";
+
+// Second login step: an authenticator code, a recovery code, or enrolment when the role requires it
+const TwoFactorStep = ({ challenge, onCancel }) => {
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [setup, setSetup] = useState(null);
+  const [enrolled, setEnrolled] = useState(null);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const { verifyTwoFactor, completeLogin } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    if (!challenge.setupRequired) {
+      return;
+    }
+
+    dataService.startTwoFactorLoginSetup(challenge.challengeToken).then((result) => {
+      if (result.success) {
+        setSetup(result.setup);
+      } else {
+        setError(result.message);
+      }
+    });
+  }, [challenge]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError("");
+
+    if (challenge.setupRequired) {
+      const result = await dataService.enableTwoFactorLogin(challenge.challengeToken, code);
+      if (result.success) {
+        // Recovery codes are shown before the user is let in
+        setEnrolled(result);
+      } else {
+        setError(result.message);
+      }
+      setLoading(false);
+      return;
+    }
+
+    const result = await verifyTwoFactor(
+      challenge.challengeToken,
+      useRecoveryCode ? { recoveryCode: code } : { code }
+    );
+    if (result.success) {
+      navigate("/");
+    } else {
+      setError(result.error);
+      setLoading(false);
+    }
+  };
+
+  if (enrolled) {
+    return (
+      <RecoveryCodes
+        codes={enrolled.recoveryCodes}
+        doneLabel="Continue"
+        onDone={() => {
+          completeLogin(enrolled.user);
+          navigate("/");
+        }}
+      />
+    );
+  }
+
+  return (
+    <div>
+      <div className="text-center mb-6">
+        <div className="mx-auto h-12 w-12 bg-primary-100 rounded-full flex items-center justify-center mb-4">
+          <Smartphone className="h-6 w-6 text-primary-600" />
+        </div>
+        <h1 className="text-2xl font-bold text-neutral-900 mb-2">
+          {challenge.setupRequired ? "Set Up Two-Factor Authentication" : "Two-Factor Authentication"}
+        </h1>
+        <p className="text-neutral-600">
+          {challenge.setupRequired
+            ? "Your role requires an authenticator app. Scan the code, then enter the 6-digit code it shows."
+            : useRecoveryCode
+              ? "Enter one of your recovery codes"
+              : "Enter the 6-digit code from your authenticator app"}
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center">
+          <AlertCircle className="h-4 w-4 text-red-500 mr-2" />
+          <span className="text-sm text-red-700">{error}</span>
+        </div>
+      )}
+
+      {challenge.setupRequired && setup && (
+        <div className="mb-4 text-center">
+          <img src={setup.qrCode} alt="Authenticator QR code" className="mx-auto h-48 w-48" />
+          <p className="text-xs text-neutral-500 mt-2">
+            Can't scan? Enter this key: <span className="font-mono break-all">{setup.secret}</span>
+          </p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="form-label">{useRecoveryCode ? "Recovery Code" : "Authentication Code"}</label>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => {
+              setCode(e.target.value.trim());
+              setError("");
+            }}
+            className="input font-mono tracking-widest"
+            placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+            inputMode={useRecoveryCode ? "text" : "numeric"}
+            autoComplete="one-time-code"
+            autoFocus
+            required
+            disabled={loading}
+          />
+        </div>
+
+        <button
+          type="submit"
+          className="btn btn-primary w-full"
+          disabled={loading || (challenge.setupRequired && !setup)}
+        >
+          {loading ? (
+            <>
+              <LoadingSpinner size="xs" color="white" />
+              <span className="ml-2">Verifying...</span>
+            </>
+          ) : (
+            "Verify"
+          )}
+        </button>
+      </form>
+
+      <div className="mt-6 text-center space-y-2">
+        {!challenge.setupRequired && (
+          <button
+            type="button"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setCode("");
+              setError("");
+            }}
+            className="block w-full text-sm text-primary-600 hover:text-primary-700 font-medium"
+          >
+            {useRecoveryCode ? "Use your authenticator app instead" : "Lost your device? Use a recovery code"}
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-sm text-neutral-500 hover:text-neutral-700"
+        >
+          ← Back to sign in
+        </button>
+      </div>
+    </div>
+  );
+};
 
 const LoginPage = () => {
   const [formData, setFormData] = useState({
@@ -12,6 +178,7 @@ const LoginPage = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
 
   const { login } = useAuth();
   const navigate = useNavigate();
@@ -33,6 +200,8 @@ const LoginPage = () => {
       const result = await login(formData);
       if (result.success) {
         navigate("/");
+      } else if (result.twoFactor) {
+        setTwoFactorChallenge(result.twoFactor);
       } else {
         setError(result.error || "Login failed");
       }
@@ -47,123 +216,143 @@ const LoginPage = () => {
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 via-white to-green-50">
       <div className="max-w-md w-full mx-auto p-6">
         <div className="bg-white rounded-xl shadow-lg p-8">
-          {/* Header */}
-          <div className="text-center mb-8">
-            <div className="mx-auto h-12 w-12 bg-primary-100 rounded-full flex items-center justify-center mb-4">
-              <Shield className="h-6 w-6 text-primary-600" />
-            </div>
-            <h1 className="text-2xl font-bold text-neutral-900 mb-2">
-              Welcome Back
-            </h1>
-            <p className="text-neutral-600">
-              Sign in to your DrugVerify account
-            </p>
-          </div>
-
-          {/* Demo Accounts */}
-          <div className="mb-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
-            <h3 className="text-sm font-semibold text-blue-900 mb-2">
-              Demo Accounts:
-            </h3>
-            <div className="text-xs text-blue-800 space-y-1">
-              <p>
-                <strong>Admin:</strong> admin@drugverify.com / admin123
-              </p>
-              <p>
-                <strong>Pharmacist:</strong> pharmacist@example.com / pharm123
-              </p>
-              <p>
-                <strong>User:</strong> user@example.com / user123
-              </p>
-            </div>
-          </div>
-
-          {/* Error Alert */}
-          {error && (
-            <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center">
-              <AlertCircle className="h-4 w-4 text-red-500 mr-2" />
-              <span className="text-sm text-red-700">{error}</span>
-            </div>
-          )}
+          {twoFactorChallenge ? (
+            <TwoFactorStep
+              challenge={twoFactorChallenge}
+              onCancel={() => {
+                setTwoFactorChallenge(null);
+                setFormData({ ...formData, password: "" });
+              }}
+            />
+          ) : (
+            <>
+              {/* Header */}
+              <div className="text-center mb-8">
+                <div className="mx-auto h-12 w-12 bg-primary-100 rounded-full flex items-center justify-center mb-4">
+                  <Shield className="h-6 w-6 text-primary-600" />
+                </div>
+                <h1 className="text-2xl font-bold text-neutral-900 mb-2">
+                  Welcome Back
+                </h1>
+                <p className="text-neutral-600">
+                  Sign in to your DrugVerify account
+                </p>
+              </div>
+
+              {/* Demo Accounts */}
+              <div className="mb-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
+                <h3 className="text-sm font-semibold text-blue-900 mb-2">
+                  Demo Accounts:
+                </h3>
+                <div className="text-xs text-blue-800 space-y-1">
+                  <p>
+                    <strong>Admin:</strong> admin@drugverification.com / admin123
+                  </p>
+                  <p>
+                    <strong>Pharmacist:</strong> pharmacist@example.com / pharm123
+                  </p>
+                  <p>
+                    <strong>User:</strong> user@example.com / user123
+                  </p>
+                </div>
+              </div>
+
+              {/* Error Alert */}
+              {error && (
+                <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center">
+                  <AlertCircle className="h-4 w-4 text-red-500 mr-2" />
+                  <span className="text-sm text-red-700">{error}</span>
+                </div>
+              )}
+
+              {/* Login Form */}
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                  <label className="form-label">Email or Username</label>
+                  <input
+                    type="text"
+                    name="username"
+                    value={formData.username}
+                    onChange={handleChange}
+                    className="input"
+                    placeholder="Enter your email or username"
+                    required
+                    disabled={loading}
+                  />
+                </div>
+
+                <div>
+                  <div className="flex items-center justify-between">
+                    <label className="form-label">Password</label>
+                    <Link
+                      to="/forgot-password"
+                      className="text-sm text-primary-600 hover:text-primary-700"
+                    >
+                      Forgot password?
+                    </Link>
+                  </div>
+                  <div className="relative">
+                    <input
+                      type={showPassword ? "text" : "password"}
+                      name="password"
+                      value={formData.password}
+                      onChange={handleChange}
+                      className="input pr-10"
+                      placeholder="Enter your password"
+                      required
+                      disabled={loading}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPassword(!showPassword)}
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                      disabled={loading}
+                    >
+                      {showPassword ? (
+                        <EyeOff className="h-4 w-4 text-neutral-400" />
+                      ) : (
+                        <Eye className="h-4 w-4 text-neutral-400" />
+                      )}
+                    </button>
+                  </div>
+                </div>
 
-          {/* Login Form */}
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div>
-              <label className="form-label">Email or Username</label>
-              <input
-                type="text"
-                name="username"
-                value={formData.username}
-                onChange={handleChange}
-                className="input"
-                placeholder="Enter your email or username"
-                required
-                disabled={loading}
-              />
-            </div>
-
-            <div>
-              <label className="form-label">Password</label>
-              <div className="relative">
-                <input
-                  type={showPassword ? "text" : "password"}
-                  name="password"
-                  value={formData.password}
-                  onChange={handleChange}
-                  className="input pr-10"
-                  placeholder="Enter your password"
-                  required
-                  disabled={loading}
-                />
                 <button
-                  type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                  type="submit"
+                  className="btn btn-primary w-full"
                   disabled={loading}
                 >
-                  {showPassword ? (
-                    <EyeOff className="h-4 w-4 text-neutral-400" />
+                  {loading ? (
+                    <>
+                      <LoadingSpinner size="xs" color="white" />
+                      <span className="ml-2">Signing In...</span>
+                    </>
                   ) : (
-                    <Eye className="h-4 w-4 text-neutral-400" />
+                    "Sign In"
                   )}
                 </button>
+              </form>
+
+              {/* Footer Links */}
+              <div className="mt-6 text-center">
+                <p className="text-neutral-600 text-sm mb-2">
+                  Don't have an account?{" "}
+                  <Link
+                    to="/register"
+                    className="text-primary-600 hover:text-primary-700 font-medium"
+                  >
+                    Sign up here
+                  </Link>
+                </p>
+                <Link
+                  to="/"
+                  className="text-sm text-neutral-500 hover:text-neutral-700"
+                >
+                  ← Back to Home
+                </Link>
               </div>
-            </div>
-
-            <button
-              type="submit"
-              className="btn btn-primary w-full"
-              disabled={loading}
-            >
-              {loading ? (
-                <>
-                  <LoadingSpinner size="xs" color="white" />
-                  <span className="ml-2">Signing In...</span>
-                </>
-              ) : (
-                "Sign In"
-              )}
-            </button>
-          </form>
-
-          {/* Footer Links */}
-          <div className="mt-6 text-center">
-            <p className="text-neutral-600 text-sm mb-2">
-              Don't have an account?{" "}
-              <Link
-                to="/register"
-                className="text-primary-600 hover:text-primary-700 font-medium"
-              >
-                Sign up here
-              </Link>
-            </p>
-            <Link
-              to="/"
-              className="text-sm text-neutral-500 hover:text-neutral-700"
-            >
-              ← Back to Home
-            </Link>
-          </div>
+            </>
+          )}
         </div>
       </div>
     </div>
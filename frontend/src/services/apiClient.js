@@ -0,0 +1,163 @@
+// Axios client for the Express API
+// Attaches the JWT access token and transparently refreshes it through /api/auth/refresh
+
+import axios from 'axios';
+
+const API_BASE_URL = `${process.env.REACT_APP_API_URL || ''}/api`;
+
+const STORAGE_KEYS = {
+  accessToken: 'accessToken',
+  refreshToken: 'refreshToken',
+  currentUser: 'currentUser'
+};
+
+// Fired on window when the session can no longer be refreshed
+export const SESSION_EXPIRED_EVENT = 'auth:session-expired';
+
+class ApiClient {
+  constructor() {
+    // Content-Type is left to axios so FormData uploads get their multipart boundary
+    this.http = axios.create({ baseURL: API_BASE_URL });
+
+    // Single in-flight refresh shared by every request that hits an expired token
+    this.refreshPromise = null;
+
+    this.http.interceptors.request.use((config) => {
+      const token = this.getAccessToken();
+      if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+      }
+      return config;
+    });
+
+    this.http.interceptors.response.use(
+      (response) => response,
+      (error) => this.handleResponseError(error)
+    );
+  }
+
+  // Token storage
+  getAccessToken() {
+    return localStorage.getItem(STORAGE_KEYS.accessToken);
+  }
+
+  getRefreshToken() {
+    return localStorage.getItem(STORAGE_KEYS.refreshToken);
+  }
+
+  setTokens({ access_token, refresh_token }) {
+    if (access_token) {
+      localStorage.setItem(STORAGE_KEYS.accessToken, access_token);
+    }
+    if (refresh_token) {
+      localStorage.setItem(STORAGE_KEYS.refreshToken, refresh_token);
+    }
+  }
+
+  getStoredUser() {
+    const user = localStorage.getItem(STORAGE_KEYS.currentUser);
+    return user ? JSON.parse(user) : null;
+  }
+
+  setStoredUser(user) {
+    localStorage.setItem(STORAGE_KEYS.currentUser, JSON.stringify(user));
+  }
+
+  clearSession() {
+    Object.values(STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+  }
+
+  // Refresh handling
+  async refreshAccessToken() {
+    if (!this.refreshPromise) {
+      const refreshToken = this.getRefreshToken();
+
+      if (!refreshToken) {
+        return Promise.reject(new Error('No refresh token available'));
+      }
+
+      // Plain axios so the refresh call never re-enters the interceptors
+      this.refreshPromise = axios
+        .post(`${API_BASE_URL}/auth/refresh`, { refresh_token: refreshToken })
+        .then(({ data }) => {
+          this.setTokens(data.tokens);
+          return data.tokens.access_token;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
+  async handleResponseError(error) {
+    const { config, response } = error;
+    const isAuthRoute = config && /\/auth\/(login|register|refresh)$/.test(config.url);
+
+    // The session was signed out elsewhere (another device, a password change or an admin)
+    if (response && response.status === 401 && response.data?.code === 'SESSION_REVOKED' && !isAuthRoute) {
+      this.clearSession();
+      window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+      return Promise.reject(error);
+    }
+
+    if (response && response.status === 401 && response.data?.code === 'TOKEN_EXPIRED' && !config._retry && !isAuthRoute) {
+      config._retry = true;
+
+      try {
+        const accessToken = await this.refreshAccessToken();
+        config.headers.Authorization = `Bearer ${accessToken}`;
+        return this.http(config);
+      } catch (refreshError) {
+        this.clearSession();
+        window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+        return Promise.reject(refreshError);
+      }
+    }
+
+    return Promise.reject(error);
+  }
+
+  // Request helpers - resolve with the response body
+  async get(url, params) {
+    const response = await this.http.get(url, { params });
+    return response.data;
+  }
+
+  async post(url, data, config) {
+    const response = await this.http.post(url, data, config);
+    return response.data;
+  }
+
+  async put(url, data) {
+    const response = await this.http.put(url, data);
+    return response.data;
+  }
+
+  async delete(url) {
+    const response = await this.http.delete(url);
+    return response.data;
+  }
+
+  // Pull the most useful message out of an API error
+  getErrorMessage(error, fallback = 'Request failed') {
+    const data = error.response?.data;
+
+    if (data?.errors?.length) {
+      return data.errors[0].msg || data.message || fallback;
+    }
+
+    if (data?.message) {
+      return data.message;
+    }
+
+    if (!error.response && error.request) {
+      return 'Unable to reach the server. Please check your connection.';
+    }
+
+    return fallback;
+  }
+}
+
+export default new ApiClient();
@@ -1,386 +1,761 @@
-// LocalStorage-based Data Service for College Project
-// This replaces the complex database setup with simple browser storage
+// API-backed Data Service
+// Talks to the Express backend and maps its snake_case records onto the shapes the pages render
+
+import apiClient from './apiClient';
+
+const UPLOADS_BASE_URL = `${process.env.REACT_APP_API_URL || ''}/uploads`;
+
+const TRANSACTION_STAGES = {
+  manufacture: 'Manufactured',
+  transfer: 'Transferred',
+  sale: 'Sold',
+  return: 'Returned',
+  recall: 'Recalled'
+};
 
 class DataService {
-  constructor() {
-    this.initializeData();
-  }
-
-  // Initialize default data if not exists
-  initializeData() {
-    if (!localStorage.getItem('drugVerifyUsers')) {
-      const defaultUsers = [
-        {
-          id: 1,
-          username: 'admin',
-          email: 'admin@drugverify.com',
-          password: 'admin123',
-          firstName: 'System',
-          lastName: 'Administrator',
-          role: 'admin',
-          isActive: true,
-          isVerified: true,
-          createdAt: new Date().toISOString()
-        },
-        {
-          id: 2,
-          username: 'pharmacist1',
-          email: 'pharmacist@example.com',
-          password: 'pharm123',
-          firstName: 'John',
-          lastName: 'Pharmacist',
-          role: 'pharmacist',
-          isActive: true,
-          isVerified: true,
-          createdAt: new Date().toISOString()
-        },
-        {
-          id: 3,
-          username: 'user1',
-          email: 'user@example.com',
-          password: 'user123',
-          firstName: 'Regular',
-          lastName: 'User',
-          role: 'user',
-          isActive: true,
-          isVerified: true,
-          createdAt: new Date().toISOString()
-        }
-      ];
-      localStorage.setItem('drugVerifyUsers', JSON.stringify(defaultUsers));
+  // User Authentication
+  async login(username, password) {
+    try {
+      const data = await apiClient.post('/auth/login', { username, password });
+
+      // The password was right but a second factor is still needed
+      if (data.two_factor) {
+        return {
+          success: false,
+          message: data.message,
+          twoFactor: {
+            challengeToken: data.two_factor.challenge_token,
+            setupRequired: data.two_factor.setup_required
+          }
+        };
+      }
+
+      return this.startSession(data);
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Invalid username or password')
+      };
     }
+  }
 
-    if (!localStorage.getItem('drugVerifyDrugs')) {
-      const defaultDrugs = [
-        {
-          id: 1,
-          name: 'Paracetamol',
-          drugCode: 'PARA500',
-          batchNumber: 'BATCH001',
-          manufacturer: 'Pharma Corp',
-          expiryDate: '2025-12-31',
-          qrCode: 'QR001PARA500BATCH001',
-          barcode: '123456789012',
-          isActive: true,
-          supplyChain: [
-            { entity: 'Pharma Corp', type: 'manufacturer', date: '2024-01-15' },
-            { entity: 'MediDistrib', type: 'distributor', date: '2024-01-20' },
-            { entity: 'City Pharmacy', type: 'retailer', date: '2024-01-25' }
-          ]
-        },
-        {
-          id: 2,
-          name: 'Amoxicillin',
-          drugCode: 'AMOX250',
-          batchNumber: 'BATCH002',
-          manufacturer: 'MediCare Inc',
-          expiryDate: '2025-06-30',
-          qrCode: 'QR002AMOX250BATCH002',
-          barcode: '234567890123',
-          isActive: true,
-          supplyChain: [
-            { entity: 'MediCare Inc', type: 'manufacturer', date: '2024-02-01' },
-            { entity: 'HealthDistrib', type: 'distributor', date: '2024-02-05' },
-            { entity: 'Metro Pharmacy', type: 'retailer', date: '2024-02-10' }
-          ]
-        },
-        {
-          id: 3,
-          name: 'Lisinopril',
-          drugCode: 'LISI10',
-          batchNumber: 'BATCH003',
-          manufacturer: 'GlobalMed Ltd',
-          expiryDate: '2025-09-15',
-          qrCode: 'QR003LISI10BATCH003',
-          barcode: '345678901234',
-          isActive: true,
-          supplyChain: [
-            { entity: 'GlobalMed Ltd', type: 'manufacturer', date: '2024-01-20' },
-            { entity: 'MedSupply Co', type: 'distributor', date: '2024-01-25' },
-            { entity: 'Family Pharmacy', type: 'retailer', date: '2024-01-30' }
-          ]
-        }
-      ];
-      localStorage.setItem('drugVerifyDrugs', JSON.stringify(defaultDrugs));
+  async register(userData) {
+    try {
+      const data = await apiClient.post('/auth/register', userData);
+      return {
+        ...this.startSession(data),
+        verificationEmailSent: Boolean(data.verification_email_sent)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Registration failed')
+      };
     }
+  }
 
-    if (!localStorage.getItem('drugVerifyReports')) {
-      localStorage.setItem('drugVerifyReports', JSON.stringify([]));
+  async verifyTwoFactorLogin(challengeToken, { code, recoveryCode }) {
+    try {
+      const data = await apiClient.post('/auth/login/2fa', recoveryCode
+        ? { challengeToken, recoveryCode }
+        : { challengeToken, code });
+      return this.startSession(data);
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Invalid authentication code')
+      };
     }
+  }
 
-    if (!localStorage.getItem('drugVerifyVerifications')) {
-      localStorage.setItem('drugVerifyVerifications', JSON.stringify([]));
+  async startTwoFactorLoginSetup(challengeToken) {
+    try {
+      const data = await apiClient.post('/auth/login/2fa/setup', { challengeToken });
+      return { success: true, setup: this.mapTwoFactorSetup(data.two_factor) };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Failed to start two-factor setup')
+      };
     }
   }
 
-  // User Authentication
-  async login(username, password) {
-    const users = JSON.parse(localStorage.getItem('drugVerifyUsers') || '[]');
-    const user = users.find(u =>
-      (u.username === username || u.email === username) && u.password === password
-    );
-
-    if (user && user.isActive) {
-      const userWithoutPassword = { ...user };
-      delete userWithoutPassword.password;
-
-      // Store current user
-      localStorage.setItem('currentUser', JSON.stringify(userWithoutPassword));
-      localStorage.setItem('accessToken', 'demo-token-' + user.id);
-
+  async enableTwoFactorLogin(challengeToken, code) {
+    try {
+      const data = await apiClient.post('/auth/login/2fa/enable', { challengeToken, code });
+      return { ...this.startSession(data), recoveryCodes: data.recovery_codes };
+    } catch (error) {
       return {
-        success: true,
-        user: userWithoutPassword,
-        token: 'demo-token-' + user.id
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Invalid authentication code')
       };
     }
+  }
+
+  startSession(data) {
+    const user = this.mapUser(data.user);
+
+    apiClient.setTokens(data.tokens);
+    apiClient.setStoredUser(user);
 
     return {
-      success: false,
-      message: 'Invalid username or password'
+      success: true,
+      user,
+      token: data.tokens.access_token
     };
   }
 
-  async register(userData) {
-    const users = JSON.parse(localStorage.getItem('drugVerifyUsers') || '[]');
+  getCurrentUser() {
+    return apiClient.getStoredUser();
+  }
+
+  async logout() {
+    try {
+      if (apiClient.getAccessToken()) {
+        await apiClient.post('/auth/logout');
+      }
+    } catch (error) {
+      // The local session is cleared regardless of the server response
+      console.error('Logout request failed:', error);
+    } finally {
+      apiClient.clearSession();
+    }
+  }
+
+  async getProfile() {
+    const data = await apiClient.get('/auth/profile');
+    const user = this.mapUser(data.user);
+    apiClient.setStoredUser(user);
+    return user;
+  }
 
-    // Check if user already exists
-    const existingUser = users.find(u =>
-      u.username === userData.username || u.email === userData.email
-    );
+  async updateProfile(profileData) {
+    try {
+      const data = await apiClient.put('/auth/profile', profileData);
+      const user = { ...this.getCurrentUser(), ...this.mapUser(data.user) };
+      apiClient.setStoredUser(user);
 
-    if (existingUser) {
+      return { success: true, user };
+    } catch (error) {
       return {
         success: false,
-        message: 'Username or email already exists'
+        message: apiClient.getErrorMessage(error, 'Profile update failed')
       };
     }
+  }
 
-    const newUser = {
-      id: Date.now(),
-      ...userData,
-      isActive: true,
-      isVerified: false,
-      createdAt: new Date().toISOString()
-    };
+  async changePassword(passwordData) {
+    try {
+      await apiClient.put('/auth/password', {
+        currentPassword: passwordData.currentPassword,
+        newPassword: passwordData.newPassword
+      });
 
-    users.push(newUser);
-    localStorage.setItem('drugVerifyUsers', JSON.stringify(users));
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Password change failed')
+      };
+    }
+  }
 
-    const userWithoutPassword = { ...newUser };
-    delete userWithoutPassword.password;
+  // Mailed account links: email verification and password reset
+  async verifyEmail(token) {
+    try {
+      const data = await apiClient.post('/auth/verify-email', { token });
+      return { success: true, message: data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Email verification failed')
+      };
+    }
+  }
 
-    localStorage.setItem('currentUser', JSON.stringify(userWithoutPassword));
-    localStorage.setItem('accessToken', 'demo-token-' + newUser.id);
+  async resendVerificationEmail() {
+    try {
+      const data = await apiClient.post('/auth/verify-email/resend');
+      return { success: true, message: data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Failed to send verification email')
+      };
+    }
+  }
+
+  async requestPasswordReset(email) {
+    try {
+      const data = await apiClient.post('/auth/forgot-password', { email });
+      return { success: true, message: data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Failed to request password reset')
+      };
+    }
+  }
 
+  async resetPassword(token, { newPassword, confirmPassword }) {
+    try {
+      const data = await apiClient.post('/auth/reset-password', { token, newPassword, confirmPassword });
+      return { success: true, message: data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Password reset failed')
+      };
+    }
+  }
+
+  // Two-factor authentication
+  async getTwoFactorStatus() {
+    const data = await apiClient.get('/auth/2fa');
     return {
-      success: true,
-      user: userWithoutPassword,
-      token: 'demo-token-' + newUser.id
+      enabled: data.two_factor.enabled,
+      enabledAt: data.two_factor.enabled_at,
+      required: data.two_factor.required,
+      recoveryCodesRemaining: data.two_factor.recovery_codes_remaining
     };
   }
 
-  getCurrentUser() {
-    const user = localStorage.getItem('currentUser');
-    return user ? JSON.parse(user) : null;
+  async setupTwoFactor() {
+    try {
+      const data = await apiClient.post('/auth/2fa/setup');
+      return { success: true, setup: this.mapTwoFactorSetup(data.two_factor) };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Failed to start two-factor setup')
+      };
+    }
+  }
+
+  async enableTwoFactor(code) {
+    try {
+      const data = await apiClient.post('/auth/2fa/enable', { code });
+      return { success: true, recoveryCodes: data.recovery_codes };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Invalid authentication code')
+      };
+    }
+  }
+
+  async disableTwoFactor({ password, code }) {
+    try {
+      await apiClient.post('/auth/2fa/disable', { password, code });
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Failed to disable two-factor authentication')
+      };
+    }
   }
 
-  logout() {
-    localStorage.removeItem('currentUser');
-    localStorage.removeItem('accessToken');
+  async regenerateRecoveryCodes(code) {
+    try {
+      const data = await apiClient.post('/auth/2fa/recovery-codes', { code });
+      return { success: true, recoveryCodes: data.recovery_codes };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Failed to regenerate recovery codes')
+      };
+    }
+  }
+
+  // Signed-in devices
+  async getSessions() {
+    const data = await apiClient.get('/auth/sessions');
+    return data.sessions.map(session => this.mapSession(session));
+  }
+
+  async revokeSession(sessionId) {
+    try {
+      await apiClient.delete(`/auth/sessions/${sessionId}`);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Failed to sign out the device')
+      };
+    }
+  }
+
+  async revokeOtherSessions() {
+    try {
+      const data = await apiClient.delete('/auth/sessions');
+      return { success: true, revoked: data.revoked_sessions };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Failed to sign out other devices')
+      };
+    }
   }
 
   // Drug Verification
   async verifyDrug(searchData) {
-    const drugs = JSON.parse(localStorage.getItem('drugVerifyDrugs') || '[]');
-    let drug = null;
-
-    // Search by QR code, barcode, or batch number + drug code
+    let verificationMethod = 'manual_entry';
     if (searchData.qrCode) {
-      drug = drugs.find(d => d.qrCode === searchData.qrCode);
+      verificationMethod = 'qr_scan';
     } else if (searchData.barcode) {
-      drug = drugs.find(d => d.barcode === searchData.barcode);
-    } else if (searchData.batchNumber && searchData.drugCode) {
-      drug = drugs.find(d =>
-        d.batchNumber === searchData.batchNumber && d.drugCode === searchData.drugCode
-      );
+      verificationMethod = 'barcode_scan';
+    }
+
+    try {
+      const data = await apiClient.post('/verification/verify', {
+        locationData: await this.getScanLocation(),
+        ...searchData,
+        verificationMethod,
+        deviceInfo: { userAgent: navigator.userAgent, platform: navigator.platform }
+      });
+
+      return this.mapVerification(data.verification);
+    } catch (error) {
+      return {
+        success: false,
+        result: 'error',
+        message: apiClient.getErrorMessage(error, 'Verification failed. Please try again.'),
+        authenticity_score: 0,
+        risk_factors: []
+      };
+    }
+  }
+
+  // Scan location feeds the backend's clone detection. Only read when the user has
+  // already granted geolocation, so verifying never triggers a permission prompt.
+  async getScanLocation() {
+    if (!navigator.geolocation || !navigator.permissions) {
+      return undefined;
+    }
+
+    try {
+      const permission = await navigator.permissions.query({ name: 'geolocation' });
+      if (permission.state !== 'granted') {
+        return undefined;
+      }
+
+      return await new Promise(resolve => {
+        navigator.geolocation.getCurrentPosition(
+          position => resolve({
+            latitude: position.coords.latitude,
+            longitude: position.coords.longitude,
+            accuracy: position.coords.accuracy
+          }),
+          () => resolve(undefined),
+          { timeout: 3000, maximumAge: 10 * 60 * 1000 }
+        );
+      });
+    } catch (error) {
+      return undefined;
     }
+  }
 
-    // Log verification attempt
-    const verification = {
-      id: Date.now(),
-      ...searchData,
-      result: drug ? 'authentic' : 'not_found',
-      drug: drug || null,
-      timestamp: new Date().toISOString(),
-      userId: this.getCurrentUser()?.id || null
+  // Reports Management
+  async createReport(reportData) {
+    const formData = new FormData();
+    const fields = {
+      drugName: reportData.drugName,
+      suspectedBatchNumber: reportData.batchNumber,
+      reportType: reportData.reportType,
+      description: reportData.description,
+      locationFound: reportData.locationFound,
+      purchaseLocation: reportData.purchaseLocation
     };
 
-    const verifications = JSON.parse(localStorage.getItem('drugVerifyVerifications') || '[]');
-    verifications.push(verification);
-    localStorage.setItem('drugVerifyVerifications', JSON.stringify(verifications));
-
-    if (drug) {
-      // Check expiry
-      const drugExpiryDate = new Date(drug.expiryDate);
-      const currentDate = new Date();
-      const isExpired = drugExpiryDate < currentDate;
-      
-      console.log('🗓️ Drug expiry check:');
-      console.log('  Drug expiry:', drug.expiryDate, '→', drugExpiryDate);
-      console.log('  Current date:', currentDate);
-      console.log('  Is expired?', isExpired);
-      console.log('  Result will be:', isExpired ? 'expired' : 'authentic');
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value) {
+        formData.append(key, value);
+      }
+    });
+
+    (reportData.evidence || []).forEach(file => formData.append('evidence', file));
 
+    try {
+      const data = await apiClient.post('/reports/create', formData);
       return {
         success: true,
-        result: isExpired ? 'expired' : 'authentic',
-        drug: drug,
-        supplyChain: drug.supplyChain,
-        authenticity_score: isExpired ? 60 : 95,
-        risk_factors: isExpired ? ['Drug is expired'] : []
+        report: data.report
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Failed to submit report')
       };
     }
+  }
+
+  async getReports(userId = null) {
+    // Reporters only ever see their own reports; reviewers get the full list
+    const endpoint = userId ? '/reports/my/reports' : '/reports';
+    const data = await apiClient.get(endpoint, { limit: 100 });
+    return data.reports.map(report => this.mapReport(report));
+  }
 
+  async getReport(reportId) {
+    const data = await apiClient.get(`/reports/${reportId}`);
     return {
-      success: true,
-      result: 'not_found',
-      message: 'Drug not found in database. This could indicate a counterfeit product.',
-      authenticity_score: 10,
-      risk_factors: ['Drug not found in official database']
+      ...this.mapReport(data.report),
+      relatedReports: (data.related_reports || []).map(report => this.mapReport(report)),
+      relatedScans: (data.related_scans || []).map(scan => ({
+        id: scan.id,
+        reportId: scan.report_id,
+        drugName: scan.drug_name,
+        batchNumber: scan.batch_number,
+        serialNumber: scan.serial_number,
+        method: scan.verification_method,
+        result: scan.verification_result,
+        authenticityScore: scan.authenticity_score,
+        location: scan.location_data,
+        scannedAt: scan.verification_time
+      })),
+      investigationHistory: data.investigation_history || []
     };
   }
 
-  // Reports Management
-  async createReport(reportData) {
-    const reports = JSON.parse(localStorage.getItem('drugVerifyReports') || '[]');
-
-    const newReport = {
-      id: Date.now(),
-      ...reportData,
-      status: 'pending',
-      reporterId: this.getCurrentUser()?.id || null,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+  async updateReport(reportId, updateData) {
+    try {
+      const data = await apiClient.put(`/reports/${reportId}`, updateData);
+      return {
+        success: true,
+        report: this.mapReport(data.report)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Failed to update report')
+      };
+    }
+  }
 
-    reports.push(newReport);
-    localStorage.setItem('drugVerifyReports', JSON.stringify(reports));
+  // Supply Chain
+  async getTrackedBatches() {
+    const data = await apiClient.get('/supply-chain/transactions', { limit: 100 });
+    const batches = new Map();
+
+    // Transactions arrive newest first; walk them oldest first to build each timeline
+    [...data.transactions].reverse().forEach(transaction => {
+      if (!batches.has(transaction.batch_id)) {
+        batches.set(transaction.batch_id, {
+          id: transaction.batch_id,
+          name: transaction.drug_name,
+          drugCode: transaction.drug_code,
+          batchNumber: transaction.batch_number,
+          expiryDate: transaction.expiry_date,
+          manufacturer: transaction.to_entity_name,
+          supplyChain: []
+        });
+      }
+
+      batches.get(transaction.batch_id).supplyChain.push(this.mapSupplyChainEntry(transaction));
+    });
+
+    return Array.from(batches.values()).reverse();
+  }
+
+  async trackBatch(batchId) {
+    const data = await apiClient.get(`/supply-chain/track/${batchId}`);
+    const history = data.supply_chain;
+    const [first] = history.transactions;
 
     return {
-      success: true,
-      report: newReport
+      id: history.batchId,
+      name: first.drug_name,
+      drugCode: first.drug_code,
+      batchNumber: first.batch_number,
+      expiryDate: first.expiry_date,
+      manufacturer: first.to_entity_name,
+      supplyChain: this.mapSupplyChain(history),
+      integrityVerified: data.integrity_verified
     };
   }
 
-  async getReports(userId = null) {
-    const reports = JSON.parse(localStorage.getItem('drugVerifyReports') || '[]');
+  async getSupplyChainStats() {
+    const data = await apiClient.get('/supply-chain/stats');
+    return data.stats;
+  }
 
-    if (userId) {
-      return reports.filter(r => r.reporterId === userId);
+  // Statistics (Admin)
+  async getStats() {
+    const data = await apiClient.get('/admin/dashboard');
+    const systemStats = data.dashboard.system_stats;
+
+    return {
+      totalUsers: systemStats.users,
+      totalDrugs: systemStats.drugs,
+      totalBatches: systemStats.drug_batches,
+      totalReports: systemStats.counterfeit_reports,
+      totalVerifications: systemStats.verification_logs,
+      totalAlerts: systemStats.alerts,
+      systemHealth: data.dashboard.system_health,
+      blockchain: data.dashboard.blockchain
+    };
+  }
+
+  // Drug Management (Admin)
+  async addDrug(drugData) {
+    try {
+      const data = await apiClient.post('/admin/drugs', drugData);
+      return {
+        success: true,
+        drug: data.drug
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Failed to add drug')
+      };
     }
+  }
 
-    return reports;
+  async getAllDrugs(search = '') {
+    const data = await apiClient.get('/admin/drugs', { limit: 100, search: search || undefined });
+    return data.drugs.map(drug => ({
+      id: drug.id,
+      name: drug.name,
+      genericName: drug.generic_name,
+      brandName: drug.brand_name,
+      drugCode: drug.drug_code,
+      gtin: drug.gtin,
+      dosageForm: drug.dosage_form,
+      strength: drug.strength,
+      manufacturer: drug.manufacturer_name,
+      category: drug.category_name,
+      batchCount: drug.batch_count,
+      isActive: !!drug.is_active
+    }));
   }
 
-  async updateReport(reportId, updateData) {
-    const reports = JSON.parse(localStorage.getItem('drugVerifyReports') || '[]');
-    const reportIndex = reports.findIndex(r => r.id === reportId);
+  async getAllBatches() {
+    const data = await apiClient.get('/admin/batches', { limit: 100 });
+    return data.batches.map(batch => this.mapBatch(batch));
+  }
 
-    if (reportIndex === -1) {
-      return { success: false, message: 'Report not found' };
+  async getAllUsers() {
+    const data = await apiClient.get('/admin/users', { limit: 100 });
+    return data.users.map(user => this.mapUser(user));
+  }
+
+  async unlockUser(userId) {
+    try {
+      const data = await apiClient.post(`/admin/users/${userId}/unlock`);
+      return { success: true, message: data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Failed to unlock user')
+      };
     }
+  }
 
-    reports[reportIndex] = {
-      ...reports[reportIndex],
-      ...updateData,
-      updatedAt: new Date().toISOString()
+  // Scoring rules (Admin)
+  async getScoringRules() {
+    const data = await apiClient.get('/admin/scoring-rules');
+    return {
+      ruleSet: data.scoring_rules,
+      versions: data.versions,
+      facts: data.facts,
+      operators: data.operators,
+      results: data.results
     };
+  }
 
-    localStorage.setItem('drugVerifyReports', JSON.stringify(reports));
+  async saveScoringRules({ rules, thresholds, changeNote }) {
+    try {
+      const data = await apiClient.put('/admin/scoring-rules', { rules, thresholds, changeNote });
+      return {
+        success: true,
+        ruleSet: data.scoring_rules
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Failed to save scoring rules')
+      };
+    }
+  }
+
+  async activateScoringRuleVersion(version) {
+    try {
+      const data = await apiClient.post(`/admin/scoring-rules/${version}/activate`);
+      return {
+        success: true,
+        ruleSet: data.scoring_rules
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: apiClient.getErrorMessage(error, 'Failed to activate scoring rules')
+      };
+    }
+  }
 
+  // Response mapping
+  mapUser(user) {
     return {
-      success: true,
-      report: reports[reportIndex]
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      role: user.role,
+      organization: user.organization,
+      licenseNumber: user.license_number,
+      phone: user.phone,
+      address: user.address,
+      isActive: !!user.is_active,
+      isVerified: !!user.is_verified,
+      lastLogin: user.last_login,
+      failedLoginAttempts: user.failed_login_attempts || 0,
+      lockedUntil: user.locked_until || null,
+      createdAt: user.created_at
     };
   }
 
-  // Statistics
-  getStats() {
-    const users = JSON.parse(localStorage.getItem('drugVerifyUsers') || '[]');
-    const drugs = JSON.parse(localStorage.getItem('drugVerifyDrugs') || '[]');
-    const reports = JSON.parse(localStorage.getItem('drugVerifyReports') || '[]');
-    const verifications = JSON.parse(localStorage.getItem('drugVerifyVerifications') || '[]');
+  mapTwoFactorSetup(setup) {
+    return {
+      secret: setup.secret,
+      otpauthUrl: setup.otpauth_url,
+      qrCode: setup.qr_code
+    };
+  }
 
+  mapSession(session) {
     return {
-      totalUsers: users.length,
-      totalDrugs: drugs.length,
-      totalReports: reports.length,
-      totalVerifications: verifications.length,
-      pendingReports: reports.filter(r => r.status === 'pending').length,
-      authenticDrugs: verifications.filter(v => v.result === 'authentic').length,
-      suspiciousReports: reports.filter(r => r.status === 'investigating').length
+      id: session.id,
+      device: session.device,
+      ipAddress: session.ip_address,
+      createdAt: session.created_at,
+      lastUsedAt: session.last_used_at,
+      isCurrent: session.is_current
     };
   }
 
-  // Drug Management (Admin)
-  async addDrug(drugData) {
-    const drugs = JSON.parse(localStorage.getItem('drugVerifyDrugs') || '[]');
-
-    const newDrug = {
-      id: Date.now(),
-      ...drugData,
-      isActive: true,
-      createdAt: new Date().toISOString(),
-      supplyChain: [
-        {
-          entity: drugData.manufacturer,
-          type: 'manufacturer',
-          date: new Date().toISOString().split('T')[0]
-        }
-      ]
+  mapBatch(batch, supplyChain = []) {
+    return {
+      id: batch.id,
+      drugId: batch.drug_id,
+      name: batch.drug_name,
+      drugCode: batch.drug_code,
+      strength: batch.strength,
+      batchNumber: batch.batch_number,
+      lotNumber: batch.lot_number,
+      manufacturer: batch.manufacturer_name,
+      manufacturingDate: batch.manufacturing_date,
+      expiryDate: batch.expiry_date,
+      qrCode: batch.qr_code,
+      barcode: batch.barcode,
+      status: batch.status,
+      quantityRemaining: batch.quantity_remaining,
+      supplyChain
     };
+  }
 
-    drugs.push(newDrug);
-    localStorage.setItem('drugVerifyDrugs', JSON.stringify(drugs));
+  mapSupplyChain(history) {
+    if (!history) {
+      return [];
+    }
 
+    const verified = history.chainIntegrity ? history.chainIntegrity.isValid : false;
+    return history.transactions.map(transaction => ({
+      ...this.mapSupplyChainEntry(transaction),
+      verified
+    }));
+  }
+
+  mapSupplyChainEntry(transaction) {
     return {
-      success: true,
-      drug: newDrug
+      entity: transaction.to_entity_name,
+      type: transaction.to_entity_type,
+      stage: TRANSACTION_STAGES[transaction.transaction_type] || transaction.transaction_type,
+      location: transaction.to_entity_name,
+      date: transaction.transaction_date,
+      quantity: transaction.quantity,
+      transactionHash: transaction.transaction_hash,
+      shipmentStatus: transaction.shipment_status,
+      receivedDate: transaction.received_date,
+      verified: !!transaction.is_verified
     };
   }
 
-  async getAllDrugs() {
-    return JSON.parse(localStorage.getItem('drugVerifyDrugs') || '[]');
-  }
+  mapVerification(verification) {
+    if (!verification.batch_info) {
+      return {
+        success: true,
+        result: 'not_found',
+        message: 'Drug not found in database. This could indicate a counterfeit product.',
+        authenticity_score: verification.authenticity_score,
+        risk_factors: verification.risk_factors
+      };
+    }
 
-  async getAllUsers() {
-    const users = JSON.parse(localStorage.getItem('drugVerifyUsers') || '[]');
-    return users.map(user => {
-      const { password, ...userWithoutPassword } = user;
-      return userWithoutPassword;
-    });
+    const supplyChain = this.mapSupplyChain(verification.supply_chain);
+    const alertMessages = (verification.alerts || []).map(alert => alert.title);
+
+    return {
+      success: true,
+      result: verification.result,
+      drug: this.mapBatch(verification.batch_info, supplyChain),
+      gs1: verification.gs1
+        ? {
+            gtin: verification.gs1.gtin,
+            lot: verification.gs1.lot,
+            serial: verification.gs1.serial,
+            expiryDate: verification.gs1.expiry_date
+          }
+        : null,
+      serial: verification.serial_info
+        ? { serialNumber: verification.serial_info.serial_number, status: verification.serial_info.status }
+        : null,
+      supplyChain,
+      authenticity_score: verification.authenticity_score,
+      risk_factors: verification.risk_factors,
+      alerts: verification.alerts || [],
+      message: alertMessages.length > 0 ? `Active alerts: ${alertMessages.join(', ')}` : undefined
+    };
   }
 
-  // Search functionality
-  searchDrugs(query) {
-    const drugs = JSON.parse(localStorage.getItem('drugVerifyDrugs') || '[]');
-    return drugs.filter(drug =>
-      drug.name.toLowerCase().includes(query.toLowerCase()) ||
-      drug.drugCode.toLowerCase().includes(query.toLowerCase()) ||
-      drug.manufacturer.toLowerCase().includes(query.toLowerCase())
-    );
-  }
-
-  // Clear all data (for testing)
-  clearAllData() {
-    localStorage.removeItem('drugVerifyUsers');
-    localStorage.removeItem('drugVerifyDrugs');
-    localStorage.removeItem('drugVerifyReports');
-    localStorage.removeItem('drugVerifyVerifications');
-    localStorage.removeItem('currentUser');
-    localStorage.removeItem('accessToken');
-    this.initializeData();
+  mapReport(report) {
+    return {
+      id: report.id,
+      drugName: report.drug_name,
+      batchNumber: report.suspected_batch_number,
+      manufacturerClaimed: report.manufacturer_claimed,
+      reportType: report.report_type,
+      description: report.description,
+      locationFound: report.location_found,
+      purchaseLocation: report.purchase_location,
+      severityLevel: report.severity_level,
+      status: report.status,
+      reporterId: report.reporter_user_id,
+      reporterUsername: report.reporter_username,
+      investigatorUsername: report.investigator_username,
+      investigationNotes: report.investigation_notes,
+      resolutionNotes: report.resolution_notes,
+      match: {
+        confidence: report.match_confidence || 'none',
+        details: report.match_details || [],
+        batchId: report.matched_batch_id,
+        batchNumber: report.matched_batch_number,
+        drugId: report.matched_drug_id,
+        drugName: report.matched_drug_name,
+        manufacturerId: report.matched_manufacturer_id,
+        manufacturerName: report.matched_manufacturer_name
+      },
+      clusterId: report.cluster_id,
+      evidence: (report.evidence_photos || []).map(filename => ({
+        name: filename,
+        data: `${UPLOADS_BASE_URL}/evidence/${filename}`
+      })),
+      createdAt: report.created_at,
+      updatedAt: report.updated_at
+    };
   }
 }
 
@@ -0,0 +1,236 @@
+// GS1 element string parser
+// Reads GS1 DataMatrix / GS1-128 / GS1 QR content in raw (FNC1-separated) or parenthesised form.
+// Mirrors backend/src/utils/gs1.js so scans can be previewed before they are sent for verification.
+
+const GROUP_SEPARATOR = '\u001d';
+
+// ]d2 DataMatrix, ]C1 GS1-128, ]Q3 QR Code, ]e0 DataBar, ]J1 DotCode
+const SYMBOLOGY_IDENTIFIERS = [']d2', ']C1', ']Q3', ']e0', ']J1'];
+
+const APPLICATION_IDENTIFIERS = {
+  '00': { name: 'sscc', label: 'SSCC', length: 18 },
+  '01': { name: 'gtin', label: 'GTIN', length: 14 },
+  '02': { name: 'content_gtin', label: 'Content GTIN', length: 14 },
+  '10': { name: 'lot', label: 'Lot', maxLength: 20 },
+  '11': { name: 'production_date', label: 'Production Date', length: 6 },
+  '12': { name: 'due_date', label: 'Due Date', length: 6 },
+  '13': { name: 'packaging_date', label: 'Packaging Date', length: 6 },
+  '15': { name: 'best_before_date', label: 'Best Before', length: 6 },
+  '16': { name: 'sell_by_date', label: 'Sell By', length: 6 },
+  '17': { name: 'expiry_date', label: 'Expiry', length: 6 },
+  '20': { name: 'variant', label: 'Variant', length: 2 },
+  '21': { name: 'serial', label: 'Serial', maxLength: 20 },
+  '22': { name: 'consumer_product_variant', label: 'Consumer Variant', maxLength: 20 },
+  '235': { name: 'third_party_serial', label: 'Third Party Serial', maxLength: 28 },
+  '240': { name: 'additional_product_id', label: 'Additional Product ID', maxLength: 30 },
+  '241': { name: 'customer_part_number', label: 'Customer Part Number', maxLength: 30 },
+  '30': { name: 'variable_count', label: 'Count', maxLength: 8 },
+  '37': { name: 'count', label: 'Count', maxLength: 8 },
+  '7003': { name: 'expiry_datetime', label: 'Expiry Date/Time', length: 10 },
+  '710': { name: 'nhrn_de', label: 'NHRN (DE)', maxLength: 20 },
+  '711': { name: 'nhrn_fr', label: 'NHRN (FR)', maxLength: 20 },
+  '712': { name: 'nhrn_es', label: 'NHRN (ES)', maxLength: 20 },
+  '713': { name: 'nhrn_br', label: 'NHRN (BR)', maxLength: 20 },
+  '714': { name: 'nhrn_pt', label: 'NHRN (PT)', maxLength: 20 },
+  '715': { name: 'nhrn_us', label: 'NHRN (US)', maxLength: 20 }
+};
+
+// Two-digit AI prefixes with a predefined length - no FNC1 follows them
+const PREDEFINED_LENGTH_PREFIXES = ['00', '01', '02', '03', '04', '11', '12', '13', '14', '15', '16', '17', '18', '19', '20', '31', '32', '33', '34', '35', '36', '41'];
+
+const DATE_AIS = ['11', '12', '13', '15', '16', '17'];
+
+export class GS1ParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GS1ParseError';
+  }
+}
+
+// Whether scanned text is a GS1 element string rather than a plain code
+export const isGS1ElementString = (data) => {
+  if (typeof data !== 'string' || data.length < 4) {
+    return false;
+  }
+
+  const trimmed = data.trim();
+  return SYMBOLOGY_IDENTIFIERS.some(id => trimmed.startsWith(id))
+    || /^\(\d{2,4}\)/.test(trimmed)
+    || trimmed.includes(GROUP_SEPARATOR)
+    || /^01\d{14}(\d{2,4}|$)/.test(trimmed);
+};
+
+export const isValidGTIN = (gtin) => {
+  if (!/^(\d{8}|\d{12,14})$/.test(gtin)) {
+    return false;
+  }
+
+  const digits = gtin.split('').map(Number);
+  const checkDigit = digits.pop();
+  const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+
+  return (10 - (sum % 10)) % 10 === checkDigit;
+};
+
+// YYMMDD to ISO date using the GS1 sliding century window; day 00 is the last day of the month
+export const parseGS1Date = (yymmdd) => {
+  const yy = parseInt(yymmdd.substring(0, 2), 10);
+  const month = parseInt(yymmdd.substring(2, 4), 10);
+  let day = parseInt(yymmdd.substring(4, 6), 10);
+
+  if (month < 1 || month > 12) {
+    throw new GS1ParseError(`Invalid month in date ${yymmdd}`);
+  }
+
+  const currentYear = new Date().getUTCFullYear();
+  const difference = yy - (currentYear % 100);
+  let year = Math.floor(currentYear / 100) * 100 + yy;
+
+  if (difference >= 51) {
+    year -= 100;
+  } else if (difference <= -50) {
+    year += 100;
+  }
+
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (day === 0) {
+    day = daysInMonth;
+  }
+
+  if (day > daysInMonth) {
+    throw new GS1ParseError(`Invalid day in date ${yymmdd}`);
+  }
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+const normalize = (data) => {
+  let input = String(data).trim().replace(/<GS>/gi, GROUP_SEPARATOR);
+
+  const identifier = SYMBOLOGY_IDENTIFIERS.find(id => input.startsWith(id));
+  if (identifier) {
+    input = input.slice(identifier.length);
+  }
+
+  return input.replace(new RegExp(`^${GROUP_SEPARATOR}+`), '');
+};
+
+const createElement = (ai, definition, value) => {
+  if (definition.length && value.length !== definition.length) {
+    throw new GS1ParseError(`AI (${ai}) requires ${definition.length} characters`);
+  }
+
+  if (definition.maxLength && (value.length === 0 || value.length > definition.maxLength)) {
+    throw new GS1ParseError(`AI (${ai}) must be 1 to ${definition.maxLength} characters`);
+  }
+
+  if (definition.length && !/^\d+$/.test(value)) {
+    throw new GS1ParseError(`AI (${ai}) must be numeric`);
+  }
+
+  return { ai, name: definition.name, label: definition.label, value };
+};
+
+const parseParenthesised = (input) => {
+  const elements = [];
+  const pattern = /\((\d{2,4})\)([^(]*)/g;
+  let consumed = 0;
+  let match;
+
+  while ((match = pattern.exec(input)) !== null) {
+    if (match.index !== consumed) {
+      throw new GS1ParseError(`Unexpected data at position ${consumed}`);
+    }
+
+    const definition = APPLICATION_IDENTIFIERS[match[1]];
+    if (!definition) {
+      throw new GS1ParseError(`Unsupported Application Identifier (${match[1]})`);
+    }
+
+    const value = match[2].replace(new RegExp(GROUP_SEPARATOR, 'g'), '').trim();
+    elements.push(createElement(match[1], definition, value));
+    consumed = pattern.lastIndex;
+  }
+
+  if (consumed !== input.length) {
+    throw new GS1ParseError(`Unexpected data at position ${consumed}`);
+  }
+
+  return elements;
+};
+
+const matchApplicationIdentifier = (input, position) => {
+  for (const length of [2, 3, 4]) {
+    const candidate = input.substr(position, length);
+    if (APPLICATION_IDENTIFIERS[candidate]) {
+      return candidate;
+    }
+  }
+
+  throw new GS1ParseError(`Unsupported Application Identifier at position ${position}`);
+};
+
+const parseRaw = (input) => {
+  const elements = [];
+  let position = 0;
+
+  while (position < input.length) {
+    if (input[position] === GROUP_SEPARATOR) {
+      position++;
+      continue;
+    }
+
+    const ai = matchApplicationIdentifier(input, position);
+    const definition = APPLICATION_IDENTIFIERS[ai];
+    position += ai.length;
+
+    let value;
+    if (definition.length) {
+      value = input.substr(position, definition.length);
+      position += definition.length;
+
+      if (!PREDEFINED_LENGTH_PREFIXES.includes(ai.substring(0, 2)) && input[position] === GROUP_SEPARATOR) {
+        position++;
+      }
+    } else {
+      const end = input.indexOf(GROUP_SEPARATOR, position);
+      value = input.substring(position, end === -1 ? input.length : end);
+      position = end === -1 ? input.length : end + 1;
+    }
+
+    elements.push(createElement(ai, definition, value));
+  }
+
+  return elements;
+};
+
+// Parse an element string into { elements, gtin, lot, serial, expiry_date, ... }
+export const parseGS1 = (data) => {
+  const input = normalize(data);
+  const elements = input.startsWith('(') ? parseParenthesised(input) : parseRaw(input);
+
+  if (elements.length === 0) {
+    throw new GS1ParseError('No GS1 Application Identifiers found');
+  }
+
+  const result = { elements };
+  elements.forEach(element => {
+    result[element.name] = element.value;
+  });
+
+  if (result.gtin && !isValidGTIN(result.gtin)) {
+    throw new GS1ParseError(`Invalid GTIN check digit: ${result.gtin}`);
+  }
+
+  DATE_AIS.forEach(ai => {
+    const { name } = APPLICATION_IDENTIFIERS[ai];
+    if (result[name]) {
+      result[name] = parseGS1Date(result[name]);
+    }
+  });
+
+  return result;
+};
+
+// Human readable form, e.g. (01)09501101530003(17)261231(10)AB12
+export const formatGS1 = (parsed) => parsed.elements.map(element => `(${element.ai})${element.value}`).join('');
@@ -58,9 +58,9 @@ else
     echo "   Backend dependencies already installed"
 fi
 
-# Check if simple-server.js exists
-if [ ! -f "simple-server.js" ]; then
-    echo "❌ simple-server.js not found in backend directory"
+# Check if server.js exists
+if [ ! -f "server.js" ]; then
+    echo "❌ server.js not found in backend directory"
     exit 1
 fi
 
@@ -120,7 +120,7 @@ echo "🔧 Backend:  http://localhost:3001"
 echo "======================================"
 echo ""
 echo "🔐 Demo Login Credentials:"
-echo "   Admin:      admin@drugverify.com / admin123"
+echo "   Admin:      admin@drugverification.com / admin123"
 echo "   Pharmacist: pharmacist@example.com / pharm123"
 echo "   User:       user@example.com / user123"
 echo ""